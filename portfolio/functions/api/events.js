@@ -0,0 +1,140 @@
+/**
+ * Cloudflare Pages Function - Page Analytics
+ * Receives the batched events sent by the analytics client in js/core.js and
+ * writes them to the configured store (functions/lib/event-store.js).
+ *
+ * Privacy: requests carrying DNT or Sec-GPC are dropped unread. The IP address
+ * is never stored; it only feeds a visitor hash that is salted with
+ * ANALYTICS_SALT and changes every day, so visits can't be linked across days.
+ * Without a salt the hash could be reversed by trying every IP, so events are
+ * stored with no visitor at all.
+ */
+
+import { getEventStore } from '../lib/event-store.js';
+
+const MAX_BODY_BYTES = 16 * 1024;
+const MAX_EVENTS = 50;
+const MAX_PROPS = 10;
+const MAX_STRING = 200;
+
+const EVENT_NAMES = new Set([
+    'page_view',
+    'project_select',
+    'lab_note_open',
+    'resume_download',
+    'outbound_click',
+    'scroll_depth'
+]);
+
+const PROP_KEY = /^[a-zA-Z_]{1,32}$/;
+
+export async function onRequestPost(context) {
+    const { request, env } = context;
+
+    if (request.headers.get('DNT') === '1' || request.headers.get('Sec-GPC') === '1') {
+        return new Response(null, { status: 204 });
+    }
+
+    // Measured in bytes: a string's length counts UTF-16 units, not what was sent
+    const body = await request.arrayBuffer();
+    if (body.byteLength > MAX_BODY_BYTES) {
+        return jsonResponse({ success: false, error: 'Payload too large' }, 413);
+    }
+
+    let payload;
+    try {
+        payload = JSON.parse(new TextDecoder().decode(body));
+    } catch {
+        return jsonResponse({ success: false, error: 'Invalid JSON' }, 400);
+    }
+
+    const events = Array.isArray(payload?.events)
+        ? payload.events.slice(0, MAX_EVENTS).map(cleanEvent).filter(Boolean)
+        : [];
+    if (events.length === 0) {
+        return jsonResponse({ success: false, error: 'No valid events' }, 400);
+    }
+
+    const receivedAt = new Date().toISOString();
+    const visitor = env.ANALYTICS_SALT ? await hashVisitor(request, env.ANALYTICS_SALT, receivedAt.slice(0, 10)) : null;
+    const details = {
+        session: cleanString(payload.session, 64),
+        visitor,
+        country: request.headers.get('CF-IPCountry') || null,
+        receivedAt
+    };
+
+    try {
+        await getEventStore(env).write(events.map(event => ({ ...event, ...details })));
+    } catch (error) {
+        console.error('Analytics store error:', error);
+        return jsonResponse({ success: false, error: 'Store unavailable' }, 500);
+    }
+
+    return new Response(null, { status: 204 });
+}
+
+/**
+ * Keep only known events with flat, size-limited props
+ * @param {Object} event - Event from the client
+ * @returns {Object|null} Clean event, or null to drop it
+ */
+function cleanEvent(event) {
+    if (!event || !EVENT_NAMES.has(event.name)) return null;
+
+    const props = {};
+    Object.entries(event.props || {})
+        .filter(([key, value]) => PROP_KEY.test(key) && ['string', 'number', 'boolean'].includes(typeof value))
+        .slice(0, MAX_PROPS)
+        .forEach(([key, value]) => {
+            props[key] = typeof value === 'string' ? value.slice(0, MAX_STRING) : value;
+        });
+
+    const ts = Number.isFinite(event.ts) ? new Date(event.ts) : null;
+
+    return {
+        name: event.name,
+        page: cleanString(event.page, 100),
+        props,
+        ts: ts && !Number.isNaN(ts.getTime()) ? ts.toISOString() : null
+    };
+}
+
+/**
+ * @param {any} value - Untrusted value
+ * @param {number} max - Maximum length
+ * @returns {string|null} Truncated string, or null if it isn't one
+ */
+function cleanString(value, max) {
+    return typeof value === 'string' && value ? value.slice(0, max) : null;
+}
+
+/**
+ * Daily visitor hash: SHA-256 of salt, day, IP and user agent, truncated
+ * @param {Request} request - Incoming request
+ * @param {string} salt - ANALYTICS_SALT
+ * @param {string} day - YYYY-MM-DD
+ * @returns {Promise<string>} 16 hex characters
+ */
+async function hashVisitor(request, salt, day) {
+    const ip = request.headers.get('CF-Connecting-IP') || '';
+    const userAgent = request.headers.get('User-Agent') || '';
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${salt}:${day}:${ip}:${userAgent}`));
+
+    return [...new Uint8Array(digest)]
+        .slice(0, 8)
+        .map(byte => byte.toString(16).padStart(2, '0'))
+        .join('');
+}
+
+/**
+ * @param {Object} data - Response body
+ * @param {number} status - HTTP status
+ * @returns {Response}
+ */
+function jsonResponse(data, status) {
+    return new Response(JSON.stringify(data), {
+        status,
+        headers: { 'Content-Type': 'application/json' }
+    });
+}
@@ -0,0 +1,208 @@
+/**
+ * Cloudflare Pages Function - Open Graph Preview Cards
+ * GET /api/og/<id>.png (or .svg) renders the 1200×630 link preview for a
+ * project in data/projects/ or an experiment in data/lab.json
+ * (functions/lib/og-card.js). The prerendered pages point og:image here.
+ *
+ * Cards are cached per content-manifest.json version, so a deploy with new
+ * data renders them afresh. The PNG draws the project's first screenshot
+ * from the PNG copy scripts/build-images.mjs writes for it; the SVG embeds
+ * a smaller WebP copy.
+ */
+
+import { createCardLayout, renderCardPng, renderCardSvg, SHOT_BOX } from '../../lib/og-card.js';
+import { decodePng } from '../../lib/png.js';
+
+const CACHE_SECONDS = 24 * 60 * 60;
+
+const CONTENT_TYPES = {
+    png: 'image/png',
+    svg: 'image/svg+xml'
+};
+
+export async function onRequestGet(context) {
+    const { request, env, params } = context;
+    const match = /^(.+?)(?:\.(png|svg))?$/.exec(params.id);
+    const id = match[1];
+    const format = match[2] || 'png';
+
+    const version = (await fetchAsset(env, request, '/content-manifest.json', 'json'))?.version || 'dev';
+    const cacheKey = new Request(new URL(`/api/og/${encodeURIComponent(id)}.${format}?v=${version}`, request.url));
+    const cache = caches.default;
+
+    const cached = await cache.match(cacheKey);
+    if (cached) return cached;
+
+    const card = await findCard(env, request, id, format);
+    if (!card) {
+        return new Response('Not found', { status: 404 });
+    }
+
+    let body;
+    try {
+        const layout = createCardLayout(card);
+        body = format === 'svg' ? renderCardSvg(layout) : await renderCardPng(layout);
+    } catch (error) {
+        console.error('OG card error:', error);
+        return new Response('Render failed', { status: 500 });
+    }
+
+    const response = new Response(body, {
+        headers: {
+            'Content-Type': CONTENT_TYPES[format],
+            'Cache-Control': `public, max-age=${CACHE_SECONDS}`
+        }
+    });
+
+    context.waitUntil(cache.put(cacheKey, response.clone()));
+    return response;
+}
+
+/**
+ * Card details for a project or lab experiment
+ * @param {Object} env - Pages Function environment
+ * @param {Request} request - Incoming request
+ * @param {string} id - Item ID
+ * @param {'png'|'svg'} format - Output format, which decides how the screenshot is loaded
+ * @returns {Promise<Object|null>} Card for createCardLayout(), or null if nothing has that ID
+ */
+async function findCard(env, request, id, format) {
+    const site = new URL(request.url).host;
+    const project = await fetchAsset(env, request, `/data/projects/${encodeURIComponent(id)}.json`, 'json');
+
+    if (project?.id === id) {
+        return {
+            id,
+            title: pickText(project.title),
+            status: project.status,
+            tags: project.tech,
+            path: `~/projects/${id}`,
+            site,
+            screenshot: await loadScreenshot(env, request, project.screenshots, format)
+        };
+    }
+
+    const experiments = await fetchAsset(env, request, '/data/lab.json', 'json') || [];
+    const experiment = experiments.find(e => e.id === id);
+
+    if (experiment) {
+        return {
+            id,
+            title: pickText(experiment.title),
+            status: pickText(experiment.statusLabel),
+            tone: experiment.status,
+            tags: experiment.tech,
+            path: `~/lab/${id}`,
+            site,
+            screenshot: null
+        };
+    }
+
+    return null;
+}
+
+/**
+ * A project's first screenshot, ready for the chosen format
+ * SVG gets a data: URL of the smallest copy that fills the panel; PNG gets
+ * the decoded pixels of the copy made for the card. Lists of image paths
+ * have neither, so their PNG needs image resizing to convert the file.
+ * @param {Object} env - Pages Function environment
+ * @param {Request} request - Incoming request
+ * @param {string|string[]} screenshots - Folder under assets/ or a list of image paths
+ * @param {'png'|'svg'} format - Output format
+ * @returns {Promise<Object|null>} { href } or { width, height, pixels }
+ */
+async function loadScreenshot(env, request, screenshots, format) {
+    if (!screenshots) return null;
+
+    if (Array.isArray(screenshots)) {
+        const url = new URL(`/assets/${screenshots[0]}`, request.url);
+        return format === 'svg' ? embedScreenshot(env, url) : decodeScreenshot(url);
+    }
+
+    // A folder's first image is the first entry of its screenshots.json
+    const [first] = await fetchAsset(env, request, `/assets/${screenshots}/screenshots.json`, 'json') || [];
+    if (!first?.file) return null;
+
+    if (format === 'svg') {
+        const variant = first.variants?.find(v => v.width >= SHOT_BOX.w);
+        return embedScreenshot(env, new URL(`/assets/${screenshots}/${variant?.file || first.file}`, request.url));
+    }
+
+    if (!first.card) return null;
+    const response = await env.ASSETS.fetch(new URL(`/assets/${screenshots}/${first.card}`, request.url));
+    if (!response.ok) return null;
+
+    return decodePng(new Uint8Array(await response.arrayBuffer()));
+}
+
+/**
+ * A screenshot as a data: URL for the SVG
+ * @param {Object} env - Pages Function environment
+ * @param {URL} url - Screenshot URL
+ * @returns {Promise<Object|null>} { href }, or null if it's missing
+ */
+async function embedScreenshot(env, url) {
+    const response = await env.ASSETS.fetch(url);
+    if (!response.ok) return null;
+
+    const bytes = new Uint8Array(await response.arrayBuffer());
+    const type = response.headers.get('Content-Type') || 'image/webp';
+    return { href: `data:${type};base64,${toBase64(bytes)}` };
+}
+
+/**
+ * Fetch a screenshot through image resizing as a PNG and decode it
+ * @param {URL} url - Screenshot URL
+ * @returns {Promise<Object|null>} Decoded pixels, or null without image resizing
+ */
+async function decodeScreenshot(url) {
+    try {
+        const response = await fetch(url, {
+            cf: { image: { width: SHOT_BOX.w, height: SHOT_BOX.h, fit: 'cover', format: 'png' } }
+        });
+        if (!response.ok || response.headers.get('Content-Type') !== 'image/png') return null;
+
+        return await decodePng(new Uint8Array(await response.arrayBuffer()));
+    } catch (error) {
+        console.error('OG screenshot error:', error);
+        return null;
+    }
+}
+
+/**
+ * Read a static file of the site
+ * @param {Object} env - Pages Function environment
+ * @param {Request} request - Incoming request
+ * @param {string} path - Path from the site root
+ * @param {'json'} type - How to read the body
+ * @returns {Promise<any>} Parsed body, or null if it's missing
+ */
+async function fetchAsset(env, request, path, type) {
+    const response = await env.ASSETS.fetch(new URL(path, request.url));
+    if (!response.ok) return null;
+
+    // A missing file may come back as the site's fallback page
+    return type === 'json' ? response.json().catch(() => null) : response.text();
+}
+
+/**
+ * English text of a possibly localized field ({"en": "…", "ml": "…"})
+ * @param {string|Object} value - Data value
+ * @returns {string} Text
+ */
+function pickText(value) {
+    return typeof value === 'object' && value !== null ? value.en ?? Object.values(value)[0] : String(value ?? '');
+}
+
+/**
+ * @param {Uint8Array} bytes - Binary data
+ * @returns {string} Base64
+ */
+function toBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
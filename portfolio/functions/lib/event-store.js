@@ -0,0 +1,77 @@
+/**
+ * Analytics event stores
+ * Where functions/api/events.js writes. Pick one with the ANALYTICS_STORE
+ * environment variable:
+ *   kv      - Workers KV namespace bound as ANALYTICS_EVENTS, one key per batch
+ *   console - Log every event (what `wrangler pages dev` prints)
+ *   none    - Accept and drop
+ * Without ANALYTICS_STORE, kv is used when the binding exists, console otherwise.
+ * A store is any object with an async `write(records)` method.
+ */
+
+// Raw events are kept for 90 days
+const KV_TTL_SECONDS = 90 * 24 * 60 * 60;
+
+/**
+ * Store batches in Workers KV under events:<date>:<uuid>
+ * @param {KVNamespace} namespace - KV binding
+ * @returns {{name: string, write: Function}} Store
+ */
+export function createKvStore(namespace) {
+    return {
+        name: 'kv',
+        async write(records) {
+            const day = records[0].receivedAt.slice(0, 10);
+            await namespace.put(`events:${day}:${crypto.randomUUID()}`, JSON.stringify(records), {
+                expirationTtl: KV_TTL_SECONDS
+            });
+        }
+    };
+}
+
+/**
+ * Log each event as a JSON line
+ * @returns {{name: string, write: Function}} Store
+ */
+export function createConsoleStore() {
+    return {
+        name: 'console',
+        async write(records) {
+            records.forEach(record => console.log('[EVENTS]', JSON.stringify(record)));
+        }
+    };
+}
+
+/**
+ * Drop everything (analytics switched off)
+ * @returns {{name: string, write: Function}} Store
+ */
+export function createNullStore() {
+    return {
+        name: 'none',
+        async write() {}
+    };
+}
+
+/**
+ * Store configured for this deployment
+ * @param {Object} env - Pages Function environment
+ * @returns {{name: string, write: Function}} Store
+ */
+export function getEventStore(env) {
+    const kind = env.ANALYTICS_STORE || (env.ANALYTICS_EVENTS ? 'kv' : 'console');
+
+    switch (kind) {
+        case 'kv':
+            if (!env.ANALYTICS_EVENTS) {
+                throw new Error('ANALYTICS_STORE is "kv" but no ANALYTICS_EVENTS namespace is bound');
+            }
+            return createKvStore(env.ANALYTICS_EVENTS);
+        case 'console':
+            return createConsoleStore();
+        case 'none':
+            return createNullStore();
+        default:
+            throw new Error(`Unknown ANALYTICS_STORE "${kind}"`);
+    }
+}
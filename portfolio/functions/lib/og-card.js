@@ -0,0 +1,325 @@
+/**
+ * Open Graph preview cards
+ * Lays out a 1200×630 terminal-style card for a project or lab note, then
+ * draws it as SVG or rasterizes it to PNG in plain JavaScript (pixel font,
+ * no headless browser). Both come from the same layout, so they match.
+ */
+
+import { CELL_HEIGHT, CELL_WIDTH, GLYPH_HEIGHT, GLYPH_WIDTH, getGlyph, toFontText } from './pixel-font.js';
+import { encodePng } from './png.js';
+import { getStatusTone } from '../../js/status-tones.js';
+
+export const CARD_WIDTH = 1200;
+export const CARD_HEIGHT = 630;
+
+// Screenshot panel, also the size of the PNG copy scripts/build-images.mjs
+// writes for the card
+export const SHOT_BOX = { x: 680, y: 124, w: 440, h: 276 };
+
+// Terminal theme from js/tailwind-config.js
+const COLORS = {
+    background: '#050505',
+    grid: '#0c0c0c',
+    surface: '#0a0a0a',
+    card: '#141414',
+    bar: '#121212',
+    border: '#1f1f1f',
+    primary: '#3b82f6',
+    text: '#ffffff',
+    dim: '#888888',
+    muted: '#6b7280'
+};
+
+const TONE_COLORS = {
+    ok: '#10b981',
+    warn: '#f59e0b',
+    info: '#60a5fa',
+    idle: '#6b7280'
+};
+
+const LEFT = 80;
+const COLUMN_WIDTH = 560;
+const TITLE_SCALE = 5;
+const SMALL_SCALE = 2;
+
+// ============================================
+// LAYOUT
+// ============================================
+
+/**
+ * Split text into lines of at most `max` characters, ending the last one
+ * with "..." when it doesn't all fit
+ * @param {string} text - Text to wrap
+ * @param {number} max - Characters per line
+ * @param {number} maxLines - Lines to keep
+ * @returns {string[]} Lines
+ */
+function wrapText(text, max, maxLines) {
+    const lines = [];
+    let line = '';
+
+    for (const word of text.split(/\s+/).filter(Boolean)) {
+        const next = line ? `${line} ${word}` : word;
+        if (next.length <= max) {
+            line = next;
+        } else {
+            if (line) lines.push(line);
+            line = word.length > max ? `${word.slice(0, max - 1)}-` : word;
+        }
+    }
+    if (line) lines.push(line);
+
+    if (lines.length > maxLines) {
+        const kept = lines.slice(0, maxLines);
+        kept[maxLines - 1] = `${kept[maxLines - 1].slice(0, max - 3)}...`;
+        return kept;
+    }
+    return lines;
+}
+
+/**
+ * Mix a color into the background, for tinted fills
+ * @param {string} color - #rrggbb
+ * @param {number} amount - 0 (background) to 1 (color)
+ * @returns {string} #rrggbb
+ */
+function tint(color, amount) {
+    const [r, g, b] = parseColor(color);
+    const [br, bg, bb] = parseColor(COLORS.surface);
+    const mix = (from, to) => Math.round(from + (to - from) * amount).toString(16).padStart(2, '0');
+    return `#${mix(br, r)}${mix(bg, g)}${mix(bb, b)}`;
+}
+
+/**
+ * @param {string} color - #rrggbb
+ * @returns {number[]} [r, g, b]
+ */
+function parseColor(color) {
+    return [1, 3, 5].map(i => parseInt(color.slice(i, i + 2), 16));
+}
+
+/**
+ * Width of some text in the pixel font
+ * @param {string} text - Text
+ * @param {number} scale - Font scale
+ * @returns {number} Pixels
+ */
+function textWidth(text, scale) {
+    return toFontText(text).length * CELL_WIDTH * scale;
+}
+
+/**
+ * Lay out a card
+ * @param {Object} card - What to show
+ * @param {string} card.id - Item ID
+ * @param {string} card.title - Title
+ * @param {string} card.status - Status label
+ * @param {string} [card.tone] - Status key for the badge color (deployed, research, ...)
+ * @param {string[]} [card.tags] - Tech tags
+ * @param {string} card.path - Location shown in the title bar (~/projects/ID-9482)
+ * @param {string} card.site - Site host
+ * @param {Object|null} [card.screenshot] - { href } for SVG and/or { width, height, pixels } for PNG
+ * @returns {Object[]} Shapes: rect, text and image
+ */
+export function createCardLayout(card) {
+    const shapes = [];
+    const rect = (x, y, w, h, fill, stroke) => shapes.push({ type: 'rect', x, y, w, h, fill, stroke });
+    const text = (x, y, value, scale, fill) => shapes.push({ type: 'text', x, y, text: value, scale, fill });
+
+    // Background grid
+    rect(0, 0, CARD_WIDTH, CARD_HEIGHT, COLORS.background);
+    for (let x = 0; x < CARD_WIDTH; x += 40) rect(x, 0, 1, CARD_HEIGHT, COLORS.grid);
+    for (let y = 0; y < CARD_HEIGHT; y += 40) rect(0, y, CARD_WIDTH, 1, COLORS.grid);
+
+    // Terminal window and title bar
+    rect(40, 40, 1120, 550, COLORS.surface, COLORS.border);
+    rect(42, 42, 1116, 44, COLORS.bar);
+    rect(42, 86, 1116, 2, COLORS.border);
+    ['#ef4444', '#f59e0b', '#10b981'].forEach((color, i) => rect(64 + i * 24, 58, 12, 12, color));
+    text(150, 56, `gabriel@portfolio:${card.path}`, SMALL_SCALE, COLORS.muted);
+
+    // Status badge and ID
+    const tone = TONE_COLORS[getStatusTone(card.tone || card.status)];
+    const status = card.status.toUpperCase();
+    const badgeWidth = textWidth(status, SMALL_SCALE) + 48;
+    rect(LEFT, 124, badgeWidth, 36, tint(tone, 0.15), tint(tone, 0.5));
+    rect(LEFT + 14, 138, 8, 8, tone);
+    text(LEFT + 32, 134, status, SMALL_SCALE, tone);
+    text(LEFT + badgeWidth + 20, 134, `ID: ${card.id}`, SMALL_SCALE, COLORS.muted);
+
+    // Title
+    const titleLines = wrapText(toFontText(card.title), Math.floor(COLUMN_WIDTH / (CELL_WIDTH * TITLE_SCALE)), 3);
+    let y = 196;
+    titleLines.forEach(line => {
+        text(LEFT, y, line, TITLE_SCALE, COLORS.text);
+        y += CELL_HEIGHT * TITLE_SCALE + 12;
+    });
+
+    // Tech tags, as many rows as fit above the prompt
+    let x = LEFT;
+    y += 20;
+    for (const tag of card.tags || []) {
+        const label = toFontText(tag);
+        const width = textWidth(label, SMALL_SCALE) + 24;
+        if (x + width > LEFT + COLUMN_WIDTH) {
+            x = LEFT;
+            y += 46;
+        }
+        if (y + 34 > 520) break;
+
+        rect(x, y, width, 34, COLORS.card, COLORS.border);
+        text(x + 12, y + 9, label, SMALL_SCALE, COLORS.dim);
+        x += width + 10;
+    }
+
+    // Prompt
+    text(LEFT, 546, '>', SMALL_SCALE, COLORS.primary);
+    text(LEFT + 24, 546, card.site, SMALL_SCALE, COLORS.dim);
+    rect(LEFT + 24 + textWidth(card.site, SMALL_SCALE) + 8, 544, 12, 20, COLORS.primary);
+
+    // Screenshot, or an empty panel
+    const box = SHOT_BOX;
+    rect(box.x - 2, box.y - 2, box.w + 4, box.h + 4, COLORS.border);
+    if (card.screenshot) {
+        shapes.push({ type: 'image', ...box, image: card.screenshot });
+    } else {
+        rect(box.x, box.y, box.w, box.h, COLORS.card);
+        const label = 'NO_PREVIEW';
+        text(box.x + (box.w - textWidth(label, SMALL_SCALE)) / 2, box.y + box.h / 2 - 8, label, SMALL_SCALE, COLORS.muted);
+    }
+    text(box.x, box.y + box.h + 24, 'RENDER_OUTPUT // 1200x630', SMALL_SCALE, COLORS.muted);
+
+    return shapes;
+}
+
+// ============================================
+// SVG
+// ============================================
+
+/**
+ * Escape text for SVG markup
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Draw a layout as SVG
+ * Text uses a monospace font sized so one character spans the same 6×scale
+ * cell as in the pixel font.
+ * @param {Object[]} shapes - From createCardLayout()
+ * @returns {string} SVG document
+ */
+export function renderCardSvg(shapes) {
+    const body = shapes.map(shape => {
+        switch (shape.type) {
+            case 'rect':
+                return `<rect x="${shape.x}" y="${shape.y}" width="${shape.w}" height="${shape.h}" fill="${shape.fill}"${shape.stroke ? ` stroke="${shape.stroke}" stroke-width="2"` : ''} />`;
+            case 'text':
+                return `<text x="${shape.x}" y="${shape.y + GLYPH_HEIGHT * shape.scale}" font-size="${10 * shape.scale}" fill="${shape.fill}">${escapeXml(shape.text)}</text>`;
+            case 'image':
+                return shape.image.href
+                    ? `<image x="${shape.x}" y="${shape.y}" width="${shape.w}" height="${shape.h}" href="${escapeXml(shape.image.href)}" preserveAspectRatio="xMidYMid slice" />`
+                    : '';
+            default:
+                return '';
+        }
+    });
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${CARD_WIDTH}" height="${CARD_HEIGHT}" viewBox="0 0 ${CARD_WIDTH} ${CARD_HEIGHT}" font-family="'JetBrains Mono', ui-monospace, monospace" xml:space="preserve">
+${body.filter(Boolean).join('\n')}
+</svg>
+`;
+}
+
+// ============================================
+// PNG
+// ============================================
+
+/**
+ * Rasterize a layout to PNG
+ * @param {Object[]} shapes - From createCardLayout()
+ * @returns {Promise<Uint8Array>} PNG file
+ */
+export async function renderCardPng(shapes) {
+    const pixels = new Uint8Array(CARD_WIDTH * CARD_HEIGHT * 4);
+
+    const fill = (x, y, w, h, [r, g, b]) => {
+        const left = Math.max(0, Math.round(x));
+        const top = Math.max(0, Math.round(y));
+        const right = Math.min(CARD_WIDTH, Math.round(x + w));
+        const bottom = Math.min(CARD_HEIGHT, Math.round(y + h));
+
+        for (let py = top; py < bottom; py++) {
+            for (let px = left; px < right; px++) {
+                const i = (py * CARD_WIDTH + px) * 4;
+                pixels[i] = r;
+                pixels[i + 1] = g;
+                pixels[i + 2] = b;
+                pixels[i + 3] = 255;
+            }
+        }
+    };
+
+    for (const shape of shapes) {
+        if (shape.type === 'rect') {
+            fill(shape.x, shape.y, shape.w, shape.h, parseColor(shape.fill));
+            if (shape.stroke) {
+                const stroke = parseColor(shape.stroke);
+                fill(shape.x, shape.y, shape.w, 2, stroke);
+                fill(shape.x, shape.y + shape.h - 2, shape.w, 2, stroke);
+                fill(shape.x, shape.y, 2, shape.h, stroke);
+                fill(shape.x + shape.w - 2, shape.y, 2, shape.h, stroke);
+            }
+        } else if (shape.type === 'text') {
+            const color = parseColor(shape.fill);
+            const s = shape.scale;
+            [...toFontText(shape.text)].forEach((char, index) => {
+                const glyph = getGlyph(char);
+                for (let col = 0; col < GLYPH_WIDTH; col++) {
+                    for (let row = 0; row < GLYPH_HEIGHT; row++) {
+                        if ((glyph[col] >> row) & 1) {
+                            fill(shape.x + (index * CELL_WIDTH + col) * s, shape.y + row * s, s, s, color);
+                        }
+                    }
+                }
+            });
+        } else if (shape.type === 'image' && shape.image.pixels) {
+            drawImage(pixels, shape);
+        }
+    }
+
+    return encodePng(CARD_WIDTH, CARD_HEIGHT, pixels);
+}
+
+/**
+ * Draw decoded pixels into a box, cropped to cover it (nearest neighbor)
+ * @param {Uint8Array} target - Card pixels
+ * @param {{x: number, y: number, w: number, h: number, image: Object}} shape - Image shape
+ */
+function drawImage(target, { x, y, w, h, image }) {
+    const scale = Math.max(w / image.width, h / image.height);
+    const offsetX = (image.width * scale - w) / 2;
+    const offsetY = (image.height * scale - h) / 2;
+
+    for (let py = 0; py < h; py++) {
+        const sy = Math.min(image.height - 1, Math.floor((py + offsetY) / scale));
+        for (let px = 0; px < w; px++) {
+            const sx = Math.min(image.width - 1, Math.floor((px + offsetX) / scale));
+            const from = (sy * image.width + sx) * 4;
+            const to = ((y + py) * CARD_WIDTH + x + px) * 4;
+            const alpha = image.pixels[from + 3] / 255;
+
+            for (let c = 0; c < 3; c++) {
+                target[to + c] = Math.round(image.pixels[from + c] * alpha + target[to + c] * (1 - alpha));
+            }
+            target[to + 3] = 255;
+        }
+    }
+}
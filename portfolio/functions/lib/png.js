@@ -0,0 +1,192 @@
+/**
+ * Minimal PNG encoder and decoder for the preview cards
+ * Uses the runtime's CompressionStream / DecompressionStream for zlib, so it
+ * runs in Workers (and Node 18+) without a native image library.
+ * Decoding covers what image resizing hands back: 8-bit, non-interlaced
+ * grayscale, RGB and RGBA.
+ */
+
+const SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+
+// Bytes per pixel by PNG color type
+const CHANNELS = { 0: 1, 2: 3, 4: 2, 6: 4 };
+
+let crcTable = null;
+
+/**
+ * CRC-32 of some bytes, as PNG chunks need
+ * @param {Uint8Array} bytes - Chunk type and data
+ * @returns {number} Unsigned CRC
+ */
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xFFFFFFFF;
+    for (const byte of bytes) {
+        crc = crcTable[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Run bytes through a (de)compression stream
+ * @param {Uint8Array} bytes - Input
+ * @param {CompressionStream|DecompressionStream} stream - zlib stream
+ * @returns {Promise<Uint8Array>} Output
+ */
+async function pipe(bytes, stream) {
+    const output = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+    return new Uint8Array(await output.arrayBuffer());
+}
+
+/**
+ * One length-prefixed, checksummed chunk
+ * @param {string} type - Four-letter chunk type
+ * @param {Uint8Array} data - Chunk data
+ * @returns {Uint8Array} Chunk bytes
+ */
+function createChunk(type, data) {
+    const chunk = new Uint8Array(12 + data.length);
+    const view = new DataView(chunk.buffer);
+
+    view.setUint32(0, data.length);
+    chunk.set([...type].map(char => char.charCodeAt(0)), 4);
+    chunk.set(data, 8);
+    view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+    return chunk;
+}
+
+/**
+ * Encode RGBA pixels as a PNG
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {Uint8Array} pixels - width × height × 4 bytes
+ * @returns {Promise<Uint8Array>} PNG file
+ */
+export async function encodePng(width, height, pixels) {
+    const header = new Uint8Array(13);
+    const headerView = new DataView(header.buffer);
+    headerView.setUint32(0, width);
+    headerView.setUint32(4, height);
+    header.set([8, 6, 0, 0, 0], 8); // 8-bit RGBA, no interlace
+
+    // Every scanline starts with its filter type (0: none)
+    const stride = width * 4;
+    const raw = new Uint8Array((stride + 1) * height);
+    for (let y = 0; y < height; y++) {
+        raw.set(pixels.subarray(y * stride, (y + 1) * stride), y * (stride + 1) + 1);
+    }
+
+    const chunks = [
+        Uint8Array.from(SIGNATURE),
+        createChunk('IHDR', header),
+        createChunk('IDAT', await pipe(raw, new CompressionStream('deflate'))),
+        createChunk('IEND', new Uint8Array(0))
+    ];
+
+    const file = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+    chunks.reduce((offset, chunk) => {
+        file.set(chunk, offset);
+        return offset + chunk.length;
+    }, 0);
+    return file;
+}
+
+/**
+ * Paeth predictor from the PNG spec
+ * @param {number} a - Left
+ * @param {number} b - Above
+ * @param {number} c - Upper left
+ * @returns {number} Predicted byte
+ */
+function paeth(a, b, c) {
+    const p = a + b - c;
+    const pa = Math.abs(p - a);
+    const pb = Math.abs(p - b);
+    const pc = Math.abs(p - c);
+    if (pa <= pb && pa <= pc) return a;
+    return pb <= pc ? b : c;
+}
+
+/**
+ * Decode a PNG to RGBA pixels
+ * @param {Uint8Array} bytes - PNG file
+ * @returns {Promise<{width: number, height: number, pixels: Uint8Array}|null>} Null for anything unsupported
+ */
+export async function decodePng(bytes) {
+    if (!SIGNATURE.every((byte, i) => bytes[i] === byte)) return null;
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const data = [];
+    let width = 0;
+    let height = 0;
+    let channels = 0;
+
+    for (let offset = 8; offset + 8 <= bytes.length;) {
+        const length = view.getUint32(offset);
+        const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+        const body = bytes.subarray(offset + 8, offset + 8 + length);
+
+        if (type === 'IHDR') {
+            width = view.getUint32(offset + 8);
+            height = view.getUint32(offset + 12);
+            const [depth, colorType, , , interlace] = body.subarray(8, 13);
+            channels = CHANNELS[colorType];
+            if (depth !== 8 || !channels || interlace !== 0) return null;
+        } else if (type === 'IDAT') {
+            data.push(body);
+        } else if (type === 'IEND') {
+            break;
+        }
+
+        offset += 12 + length;
+    }
+
+    if (!width || !height || data.length === 0) return null;
+
+    const compressed = new Uint8Array(data.reduce((sum, part) => sum + part.length, 0));
+    data.reduce((offset, part) => {
+        compressed.set(part, offset);
+        return offset + part.length;
+    }, 0);
+
+    const raw = await pipe(compressed, new DecompressionStream('deflate'));
+    const stride = width * channels;
+    const lines = new Uint8Array(stride * height);
+
+    // Undo the per-scanline filters
+    for (let y = 0; y < height; y++) {
+        const filter = raw[y * (stride + 1)];
+        const line = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+        const out = y * stride;
+
+        for (let x = 0; x < stride; x++) {
+            const left = x >= channels ? lines[out + x - channels] : 0;
+            const up = y > 0 ? lines[out + x - stride] : 0;
+            const upLeft = y > 0 && x >= channels ? lines[out + x - stride - channels] : 0;
+            const predictor = [0, left, up, (left + up) >> 1, paeth(left, up, upLeft)][filter] ?? 0;
+            lines[out + x] = (line[x] + predictor) & 0xFF;
+        }
+    }
+
+    const pixels = new Uint8Array(width * height * 4);
+    for (let i = 0; i < width * height; i++) {
+        const source = lines.subarray(i * channels, (i + 1) * channels);
+        const gray = channels <= 2;
+        pixels[i * 4] = source[0];
+        pixels[i * 4 + 1] = gray ? source[0] : source[1];
+        pixels[i * 4 + 2] = gray ? source[0] : source[2];
+        pixels[i * 4 + 3] = channels === 2 ? source[1] : channels === 4 ? source[3] : 255;
+    }
+
+    return { width, height, pixels };
+}
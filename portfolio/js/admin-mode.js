@@ -14,6 +14,12 @@ let originalData = {};
  */
 export function initAdminMode() {
     document.addEventListener('keydown', handleKeyDown);
+
+    // The router swaps the editable content out from under us
+    window.addEventListener('router:navigate', () => {
+        if (isAdminMode) disableAdminMode();
+    });
+
     console.log('[ADMIN] Admin mode listener initialized. Press Ctrl+Shift+A to activate.');
 }
 
@@ -0,0 +1,698 @@
+/**
+ * PORTFOLIO SYSTEM - COMMAND PALETTE
+ * Ctrl+K / Cmd+K search across projects, experience, lab notes, skills and
+ * certificates, plus a few site-wide actions
+ *
+ * Loaded on demand by openCommandPalette() in core.js. The index is rebuilt
+ * from the data cache every time the palette opens, so it never goes stale.
+ */
+
+import { loadJSON, loadMarkdown, html, navigate, getNavItems, getNavLabel, getNextTheme, getThemeLabel, cycleTheme, track, t } from './core.js';
+import { copyText } from './highlight.js';
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const RESUME_PATH = '../resume/Gabriel_James_Resume.pdf';
+const RESULTS_PER_GROUP = 5;
+
+// Longer fields (summaries, note bodies) only match as substrings;
+// scattered single letters would match almost any paragraph
+const FUZZY_MAX_LENGTH = 80;
+
+/**
+ * Result groups, in display order (labels are locale keys)
+ */
+const GROUPS = [
+    { type: 'action', label: 'palette.group.actions' },
+    { type: 'page', label: 'palette.group.pages' },
+    { type: 'project', label: 'palette.group.projects' },
+    { type: 'experience', label: 'palette.group.experience' },
+    { type: 'lab', label: 'palette.group.lab' },
+    { type: 'skill', label: 'palette.group.skills' },
+    { type: 'certificate', label: 'palette.group.certificates' }
+];
+
+const EXPERIENCE_ICONS = {
+    work: 'work',
+    achievement: 'emoji_events',
+    opensource: 'code',
+    certification: 'verified'
+};
+
+let paletteEl = null;
+let entries = [];
+let results = [];
+let activeIndex = 0;
+let returnFocus = null;
+let previousOverflow = '';
+let openCount = 0;
+
+// ============================================
+// SEARCH INDEX
+// ============================================
+
+/**
+ * Build a searchable field
+ * @param {string|string[]} text - Field text (arrays are joined)
+ * @param {number} weight - Score multiplier
+ * @param {boolean} [snippet] - Show the matched passage when this field matches
+ * @returns {{text: string, weight: number, snippet: boolean}}
+ */
+function field(text, weight, snippet = false) {
+    return { text: Array.isArray(text) ? text.join(' ') : String(text ?? ''), weight, snippet };
+}
+
+/**
+ * Flatten markdown to plain text for searching
+ * @param {string} markdown - Raw markdown
+ * @returns {string} Text
+ */
+function markdownToText(markdown) {
+    return markdown
+        .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/^\s{0,3}(?:#{1,6}|>|[-*+]|\d+[.)])\s+/gm, '')
+        .replace(/[`*_~|]+/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Site-wide actions, always listed first
+ * @returns {Object[]} Action entries
+ */
+function getActions() {
+    return [
+        {
+            type: 'action',
+            icon: 'download',
+            title: t('palette.action.resume'),
+            subtitle: 'Gabriel_James_Resume.pdf',
+            fields: [field('download resume cv pdf', 2)],
+            run: downloadResume
+        },
+        {
+            type: 'action',
+            icon: 'content_copy',
+            title: t('palette.action.email'),
+            subtitle: t('palette.action.emailHint'),
+            fields: [field('copy email address contact mail', 2)],
+            run: copyEmail
+        },
+        {
+            type: 'action',
+            icon: 'contrast',
+            title: t('palette.action.theme'),
+            subtitle: t('palette.action.themeNext', { theme: getThemeLabel(getNextTheme()) }),
+            fields: [field('toggle switch theme dark light mode contrast amber crt colors', 2)],
+            run: switchTheme
+        }
+    ];
+}
+
+/**
+ * Pages from the site navigation
+ * @returns {Object[]} Page entries
+ */
+function getPages() {
+    return getNavItems('palette').map(item => ({
+        type: 'page',
+        icon: item.icon,
+        title: getNavLabel(item),
+        href: item.href,
+        subtitle: item.external ? new URL(item.href).hostname : undefined,
+        fields: [field([getNavLabel(item), item.id], 3)],
+        run: item.external ? () => openExternal(item.href) : undefined
+    }));
+}
+
+/**
+ * Load every data file (and lab note) into a flat list of search entries
+ * @returns {Promise<Object[]>} Entries
+ */
+async function buildIndex() {
+    const [projects, experience, lab, skills, profile] = await Promise.all([
+        loadJSON('../data/projects/index.json'),
+        loadJSON('../data/experience.json'),
+        loadJSON('../data/lab.json'),
+        loadJSON('../data/skills.json'),
+        loadJSON('../data/profile.json')
+    ]);
+
+    const notes = await Promise.all((lab || []).map(exp =>
+        exp.noteFile ? loadMarkdown(`../lab-notes/${exp.noteFile}`) : null
+    ));
+
+    return [
+        ...(projects || []).map(project => ({
+            type: 'project',
+            icon: 'deployed_code',
+            title: project.title,
+            subtitle: project.summary,
+            href: `projects.html#${encodeURIComponent(project.id)}`,
+            fields: [
+                field(project.title, 3),
+                field(project.id, 2),
+                field(project.tech, 2),
+                field(project.tags, 2),
+                field(project.summary, 1, true)
+            ]
+        })),
+        ...(experience || []).map(exp => ({
+            type: 'experience',
+            icon: EXPERIENCE_ICONS[exp.type] || 'history_edu',
+            title: exp.title,
+            subtitle: [exp.company, exp.date].filter(Boolean).join(' · '),
+            href: `experience.html#${encodeURIComponent(exp.id)}`,
+            fields: [
+                field(exp.title, 3),
+                field(exp.company, 2),
+                field(exp.tech, 2),
+                field(exp.highlights, 1, true)
+            ]
+        })),
+        ...(lab || []).map((exp, index) => ({
+            type: 'lab',
+            icon: exp.icon || 'science',
+            title: exp.title,
+            subtitle: exp.summary,
+            href: `lab.html#${encodeURIComponent(exp.id)}`,
+            fields: [
+                field(exp.title, 3),
+                field(exp.id, 2),
+                field(exp.tech, 2),
+                field(exp.summary, 1, true),
+                field(notes[index] ? markdownToText(notes[index]) : '', 0.5, true)
+            ]
+        })),
+        ...indexSkills(skills),
+        ...(profile?.certificates || []).map(cert => ({
+            type: 'certificate',
+            icon: cert.icon || 'verified',
+            title: cert.name,
+            subtitle: [cert.issuer, cert.date].filter(Boolean).join(' · '),
+            href: `certificates.html#${encodeURIComponent(cert.id)}`,
+            fields: [field(cert.name, 3), field(cert.issuer, 2)]
+        }))
+    ];
+}
+
+/**
+ * One entry per distinct skill, linking to its category card
+ * @param {Object|null} skills - skills.json
+ * @returns {Object[]} Entries
+ */
+function indexSkills(skills) {
+    const seen = new Set();
+    const indexed = [];
+
+    (skills?.categories || []).forEach(category => {
+        const items = category.groups
+            ? category.groups.flatMap(group => group.items)
+            : category.items || [];
+
+        items.forEach(item => {
+            const name = typeof item === 'string' ? item : item.name;
+            if (!name || seen.has(name.toLowerCase())) return;
+            seen.add(name.toLowerCase());
+
+            indexed.push({
+                type: 'skill',
+                icon: category.icon || 'psychology',
+                title: name,
+                subtitle: category.title,
+                href: `skills.html#${encodeURIComponent(category.id)}`,
+                fields: [field(name, 3), field(category.title, 1)]
+            });
+        });
+    });
+
+    return indexed;
+}
+
+// ============================================
+// MATCHING
+// ============================================
+
+/**
+ * Score one query token against a field
+ * Substrings score highest (more at a word start or for an exact match).
+ * Short fields also match word initials and runs, so "mvsd" finds
+ * "Market Volatility Spike Detector" and "tflow" finds "TensorFlow".
+ * @param {string} token - Lowercased query token
+ * @param {string} text - Field text
+ * @returns {{score: number, index: number}} Score (0 = no match) and substring position
+ */
+function matchToken(token, text) {
+    const haystack = text.toLowerCase();
+    const index = haystack.indexOf(token);
+
+    if (index !== -1) {
+        const atWordStart = index === 0 || !/[a-z0-9]/.test(haystack[index - 1]);
+        const exact = haystack.length === token.length;
+        return { score: (atWordStart ? 3 : 2) + (exact ? 2 : 0), index };
+    }
+
+    if (token.length < 2 || haystack.length > FUZZY_MAX_LENGTH) {
+        return { score: 0, index: -1 };
+    }
+
+    // Each letter either continues the previous match or starts a later word
+    let position = -1;
+    let jumps = 0;
+    for (const char of token) {
+        if (haystack[position + 1] === char) {
+            position++;
+            continue;
+        }
+
+        let next = position + 1;
+        while (next < haystack.length && !(haystack[next] === char && isWordStart(text, next))) {
+            next++;
+        }
+        if (next === haystack.length) return { score: 0, index: -1 };
+
+        position = next;
+        jumps++;
+    }
+
+    return { score: 1 / jumps, index: -1 };
+}
+
+/**
+ * Whether a character starts a word ("Flow" in "TensorFlow" counts)
+ * @param {string} text - Original text
+ * @param {number} i - Character position
+ * @returns {boolean}
+ */
+function isWordStart(text, i) {
+    if (i === 0) return true;
+    const prev = text[i - 1];
+    return !/[a-z0-9]/i.test(prev) || (/[a-z]/.test(prev) && /[A-Z]/.test(text[i]));
+}
+
+/**
+ * Score an entry against every query token; all tokens must match
+ * @param {Object} entry - Search entry
+ * @param {string[]} tokens - Lowercased query tokens
+ * @returns {{score: number, snippet: string|null}} Score (0 = no match) and matched passage
+ */
+function scoreEntry(entry, tokens) {
+    let total = 0;
+    let snippet = null;
+
+    for (const token of tokens) {
+        let best = { score: 0 };
+
+        entry.fields.forEach(f => {
+            const match = matchToken(token, f.text);
+            const score = match.score * f.weight;
+            if (score > best.score) {
+                best = { score, field: f, index: match.index };
+            }
+        });
+
+        if (best.score === 0) return { score: 0, snippet: null };
+
+        total += best.score;
+        if (!snippet && best.field.snippet && best.index !== -1) {
+            snippet = excerpt(best.field.text, best.index);
+        }
+    }
+
+    return { score: total, snippet };
+}
+
+/**
+ * Cut a short passage around a match
+ * @param {string} text - Full text
+ * @param {number} index - Match position
+ * @returns {string} Passage
+ */
+function excerpt(text, index) {
+    const start = Math.max(0, index - 40);
+    const end = Math.min(text.length, index + 80);
+    return `${start > 0 ? '…' : ''}${text.slice(start, end).trim()}${end < text.length ? '…' : ''}`;
+}
+
+/**
+ * Search every entry and group the results
+ * With an empty query only actions and pages are listed.
+ * @param {string} query - Raw query
+ * @returns {{groups: Array<{label: string, items: Object[]}>, tokens: string[]}}
+ */
+function search(query) {
+    const tokens = query.toLowerCase().split(/\s+/).filter(Boolean);
+    const pool = [...getActions(), ...getPages(), ...entries];
+
+    const matches = tokens.length === 0
+        ? pool.filter(entry => entry.type === 'action' || entry.type === 'page').map(entry => ({ entry, score: 1, snippet: null }))
+        : pool.map(entry => ({ entry, ...scoreEntry(entry, tokens) })).filter(match => match.score > 0);
+
+    const groups = GROUPS.map(group => ({
+        label: t(group.label),
+        items: matches
+            .filter(match => match.entry.type === group.type)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, tokens.length === 0 ? Infinity : RESULTS_PER_GROUP)
+            .map(match => ({ ...match.entry, snippet: match.snippet }))
+    })).filter(group => group.items.length > 0);
+
+    return { groups, tokens };
+}
+
+// ============================================
+// RENDERING
+// ============================================
+
+/**
+ * Wrap the parts of a title that match query tokens in <mark>
+ * @param {string} text - Title
+ * @param {string[]} tokens - Lowercased query tokens
+ * @returns {SafeHtml} Markup
+ */
+function highlightMatches(text, tokens) {
+    const lower = text.toLowerCase();
+    const marked = new Array(text.length).fill(false);
+
+    tokens.forEach(token => {
+        for (let i = lower.indexOf(token); i !== -1; i = lower.indexOf(token, i + token.length)) {
+            marked.fill(true, i, i + token.length);
+        }
+    });
+
+    const parts = [];
+    let start = 0;
+    for (let i = 1; i <= text.length; i++) {
+        if (i === text.length || marked[i] !== marked[start]) {
+            const part = text.slice(start, i);
+            parts.push(marked[start] ? html`<mark>${part}</mark>` : part);
+            start = i;
+        }
+    }
+
+    return html`${parts}`;
+}
+
+/**
+ * Render a single result
+ * @param {Object} item - Result entry
+ * @param {number} index - Position in the flat result list
+ * @param {string[]} tokens - Query tokens
+ * @returns {SafeHtml} Option markup
+ */
+function renderOption(item, index, tokens) {
+    const detail = item.snippet || item.subtitle;
+
+    return html`
+        <li id="command-palette-option-${index}" role="option" aria-selected="${String(index === activeIndex)}" data-index="${index}"
+            class="command-palette-option flex items-center gap-3 px-4 py-2 border-l-2 border-transparent cursor-pointer">
+            <span class="material-symbols-outlined text-base text-gray-500" aria-hidden="true">${item.icon}</span>
+            <div class="min-w-0 flex-1">
+                <div class="command-palette-title text-xs text-gray-300 truncate">${highlightMatches(item.title, tokens)}</div>
+                ${detail ? html`<div class="text-[10px] text-gray-600 truncate">${detail}</div>` : ''}
+            </div>
+            ${item.run ? '' : html`<span class="material-symbols-outlined text-sm text-gray-700" aria-hidden="true">arrow_forward</span>`}
+        </li>
+    `;
+}
+
+/**
+ * Re-run the search for the current input and redraw the result list
+ */
+function renderResults() {
+    const input = paletteEl.querySelector('#command-palette-input');
+    const list = paletteEl.querySelector('#command-palette-results');
+    const query = input.value.trim();
+    const { groups, tokens } = search(query);
+
+    results = groups.flatMap(group => group.items);
+    activeIndex = Math.min(activeIndex, Math.max(results.length - 1, 0));
+
+    let offset = 0;
+    list.innerHTML = results.length === 0
+        ? html`
+            <li role="presentation" class="px-4 py-8 text-center text-xs text-gray-600">
+                ${t('palette.noMatches', { query })}
+            </li>
+        `
+        : html`${groups.map((group, g) => {
+            const start = offset;
+            offset += group.items.length;
+            return html`
+                <li role="presentation">
+                    <div id="command-palette-group-${g}" class="px-4 pt-3 pb-1 text-[10px] text-gray-600 tracking-widest">${group.label}</div>
+                    <ul role="group" aria-labelledby="command-palette-group-${g}">
+                        ${group.items.map((item, i) => renderOption(item, start + i, tokens))}
+                    </ul>
+                </li>
+            `;
+        })}`;
+
+    updateActiveOption();
+}
+
+/**
+ * Point aria-activedescendant at the active result and keep it in view
+ */
+function updateActiveOption() {
+    const input = paletteEl.querySelector('#command-palette-input');
+
+    paletteEl.querySelectorAll('[role="option"]').forEach(option => {
+        option.setAttribute('aria-selected', String(Number(option.dataset.index) === activeIndex));
+    });
+
+    const active = paletteEl.querySelector(`#command-palette-option-${activeIndex}`);
+    if (active) {
+        input.setAttribute('aria-activedescendant', active.id);
+        active.scrollIntoView?.({ block: 'nearest' });
+    } else {
+        input.removeAttribute('aria-activedescendant');
+    }
+}
+
+/**
+ * Show a short message in the palette footer
+ * @param {string} message - Status text
+ */
+function setStatus(message) {
+    const status = paletteEl?.querySelector('#command-palette-status');
+    if (status) status.textContent = message;
+}
+
+// ============================================
+// ACTIONS
+// ============================================
+
+/**
+ * Start a download of the resume PDF
+ */
+function downloadResume() {
+    const link = document.createElement('a');
+    link.href = RESUME_PATH;
+    link.download = 'Gabriel_James_Resume.pdf';
+    link.click();
+    track('resume_download', { source: 'palette' });
+    closePalette();
+}
+
+/**
+ * Copy the email address from profile.json
+ * @returns {Promise<void>}
+ */
+async function copyEmail() {
+    const profile = await loadJSON('../data/profile.json');
+
+    try {
+        await copyText(profile.email);
+        setStatus(t('palette.status.copied', { email: profile.email }));
+        setTimeout(closePalette, 900);
+    } catch (error) {
+        console.warn('[PALETTE] Copy failed:', error.message);
+        setStatus(t('palette.status.copyFailed'));
+    }
+}
+
+/**
+ * Open an off-site nav link in a new tab, leaving the portfolio where it is
+ * @param {string} href - External URL
+ */
+function openExternal(href) {
+    window.open(href, '_blank', 'noopener');
+    closePalette();
+}
+
+/**
+ * Move to the next color theme
+ */
+function switchTheme() {
+    cycleTheme();
+    closePalette();
+}
+
+/**
+ * Run an action or jump to a result
+ * @param {Object} item - Result entry
+ */
+function activate(item) {
+    if (!item) return;
+
+    if (item.run) {
+        item.run();
+        return;
+    }
+
+    closePalette({ restoreFocus: false });
+    navigate(item.href);
+}
+
+// ============================================
+// KEYBOARD & POINTER
+// ============================================
+
+/**
+ * Keyboard control while the palette is open
+ * @param {KeyboardEvent} event - Keydown event
+ */
+function handleKeydown(event) {
+    const isToggle = (event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 'k';
+
+    if (event.key === 'Escape' || isToggle) {
+        closePalette();
+    } else if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+        if (results.length > 0) {
+            const step = event.key === 'ArrowDown' ? 1 : -1;
+            activeIndex = (activeIndex + step + results.length) % results.length;
+            updateActiveOption();
+        }
+    } else if (event.key === 'Enter') {
+        activate(results[activeIndex]);
+    } else if (event.key !== 'Tab') {
+        return;
+    }
+
+    // Tab stays in the search box, and handled keys don't reach page
+    // shortcuts (Escape would also close a lab note behind the palette)
+    event.preventDefault();
+    event.stopPropagation();
+}
+
+/**
+ * Create the palette element and wire its events
+ * @returns {HTMLElement} Palette root
+ */
+function createPalette() {
+    const root = document.createElement('div');
+    root.id = 'command-palette';
+    root.className = 'fixed inset-0 z-[110] flex items-start justify-center pt-[12vh] px-4 bg-black/70 backdrop-blur-sm animate-fade-in';
+    root.innerHTML = html`
+        <div role="dialog" aria-modal="true" aria-label="${t('palette.label')}" class="w-full max-w-xl bg-surface-dark border border-border-dark shadow-2xl font-mono">
+            <div class="flex items-center gap-3 px-4 h-12 border-b border-border-dark">
+                <span class="material-symbols-outlined text-primary text-lg" aria-hidden="true">search</span>
+                <input id="command-palette-input" type="text" role="combobox" aria-expanded="true"
+                       aria-controls="command-palette-results" aria-autocomplete="list" autocomplete="off" spellcheck="false"
+                       placeholder="${t('palette.placeholder')}"
+                       class="flex-1 bg-transparent border-0 p-0 text-sm text-white placeholder-gray-600 focus:ring-0 focus:outline-none" />
+                <kbd class="text-[10px] text-gray-600 border border-border-dark px-1.5 rounded">ESC</kbd>
+            </div>
+            <ul id="command-palette-results" role="listbox" aria-label="${t('palette.results')}" class="max-h-[55vh] overflow-y-auto py-2"></ul>
+            <div class="flex items-center justify-between px-4 h-8 border-t border-border-dark text-[10px] text-gray-600">
+                <span>${t('palette.hints')}</span>
+                <span id="command-palette-status" aria-live="polite"></span>
+            </div>
+        </div>
+    `;
+
+    root.addEventListener('keydown', handleKeydown);
+
+    root.querySelector('#command-palette-input').addEventListener('input', () => {
+        activeIndex = 0;
+        renderResults();
+    });
+
+    // Click outside the dialog closes it
+    root.addEventListener('click', (event) => {
+        if (event.target === root) closePalette();
+    });
+
+    const list = root.querySelector('#command-palette-results');
+    list.addEventListener('mousemove', (event) => {
+        const option = event.target.closest('[role="option"]');
+        if (option && Number(option.dataset.index) !== activeIndex) {
+            activeIndex = Number(option.dataset.index);
+            updateActiveOption();
+        }
+    });
+    list.addEventListener('click', (event) => {
+        const option = event.target.closest('[role="option"]');
+        if (option) activate(results[Number(option.dataset.index)]);
+    });
+
+    return root;
+}
+
+// ============================================
+// OPEN / CLOSE
+// ============================================
+
+/**
+ * Open the palette and (re)build the search index in the background
+ */
+export function openPalette() {
+    if (paletteEl) {
+        paletteEl.querySelector('#command-palette-input').focus();
+        return;
+    }
+
+    returnFocus = document.activeElement;
+    previousOverflow = document.body.style.overflow;
+    document.body.style.overflow = 'hidden';
+
+    paletteEl = createPalette();
+    document.body.appendChild(paletteEl);
+    activeIndex = 0;
+    renderResults();
+    paletteEl.querySelector('#command-palette-input').focus();
+
+    const session = ++openCount;
+    if (entries.length === 0) setStatus(t('palette.status.indexing'));
+
+    buildIndex()
+        .then(index => {
+            entries = index;
+            if (paletteEl && session === openCount) {
+                setStatus('');
+                renderResults();
+            }
+        })
+        .catch(error => {
+            console.error('[PALETTE] Failed to build search index:', error);
+            setStatus(t('palette.status.unavailable'));
+        });
+
+    console.log('[PALETTE] Opened');
+}
+
+/**
+ * Close the palette
+ * @param {Object} [options]
+ * @param {boolean} [options.restoreFocus=true] - Return focus to where it was before opening
+ */
+export function closePalette(options = {}) {
+    const { restoreFocus = true } = options;
+    if (!paletteEl) return;
+
+    paletteEl.remove();
+    paletteEl = null;
+    results = [];
+    document.body.style.overflow = previousOverflow;
+
+    if (restoreFocus && returnFocus?.isConnected) {
+        returnFocus.focus();
+    }
+    returnFocus = null;
+}
+
+// A back/forward navigation swaps the page out from under an open palette
+window.addEventListener('router:navigate', () => closePalette({ restoreFocus: false }));
@@ -1,341 +1,2716 @@
 /**
  * PORTFOLIO SYSTEM - CORE MODULE
  * Shared utilities, navigation, and background effects
+ *
+ * Also loads in Node for scripts/prerender.mjs, which provides `window.location`
+ * and a file-backed `fetch`. Without a document, the page wiring at the bottom
+ * is skipped and only data loading, strings and templates are used.
  */
 
+import { getSchemaForPath, validate } from './data-schemas.js';
+import { renderMarkdown } from './markdown.js';
+import { getStatusTone } from './status-tones.js';
+
 // ============================================
 // CACHING SYSTEM
 // ============================================
 
-const CACHE_VERSION = 'v1';
-const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
-const memoryCache = new Map();
+/**
+ * Cached data is served immediately and revalidated in the background.
+ * Freshness comes from content-manifest.json (generated by
+ * scripts/build-manifest.mjs): if a cached entry's hash still matches the
+ * manifest nothing is refetched, otherwise the file is re-requested with
+ * If-None-Match. Updates are pushed to subscribers in this tab and, through
+ * BroadcastChannel, in every other open tab.
+ */
+
+const CACHE_PREFIX = 'portfolio_cache_';
+const LRU_INDEX_KEY = 'portfolio_lru';
+const LEGACY_CACHE_PREFIX = 'portfolio_v1_';
+const MANIFEST_PATH = '../content-manifest.json';
+const MAX_EVICTIONS = 20;
+
+const hasDocument = typeof document !== 'undefined';
+
+const memoryCache = new Map();
+const revalidations = new Map();
+const updateListeners = new Map();
+let manifestPromise = null;
+
+// Cache key -> message of the last failed load, for the error state
+const loadErrors = new Map();
+
+// Cache key -> fetch in flight, so a prefetch and a click share one request
+const pendingLoads = new Map();
+
+// Node has BroadcastChannel too, but an open one keeps the prerender from exiting
+const cacheChannel = hasDocument && typeof BroadcastChannel !== 'undefined'
+    ? new BroadcastChannel('portfolio-cache')
+    : null;
+
+/**
+ * Resolve a request path to a stable cache key (absolute pathname)
+ * @param {string} path - Relative or absolute path
+ * @returns {string} Cache key
+ */
+function resolveCacheKey(path) {
+    return new URL(path, window.location.href).pathname;
+}
+
+/**
+ * Read the LRU index (cache key -> last access time)
+ * @returns {Object<string, number>} LRU index
+ */
+function readLruIndex() {
+    try {
+        return JSON.parse(localStorage.getItem(LRU_INDEX_KEY)) || {};
+    } catch (e) {
+        return {};
+    }
+}
+
+/**
+ * Record an access to a cache entry
+ * @param {string} key - Cache key
+ */
+function touchEntry(key) {
+    try {
+        const index = readLruIndex();
+        index[key] = Date.now();
+        localStorage.setItem(LRU_INDEX_KEY, JSON.stringify(index));
+    } catch (e) {
+        // Index is best-effort; eviction falls back to treating entries as oldest
+    }
+}
+
+/**
+ * Evict the least recently used cache entry from localStorage
+ * @param {string} keepKey - Key that must not be evicted (the one being written)
+ * @returns {boolean} True if an entry was evicted
+ */
+function evictLeastRecentlyUsed(keepKey) {
+    const index = readLruIndex();
+    let oldestKey = null;
+    let oldestAccess = Infinity;
+
+    try {
+        Object.keys(localStorage).forEach(storageKey => {
+            if (!storageKey.startsWith(CACHE_PREFIX)) return;
+            const key = storageKey.slice(CACHE_PREFIX.length);
+            if (key === keepKey) return;
+
+            const lastAccess = index[key] || 0;
+            if (lastAccess < oldestAccess) {
+                oldestAccess = lastAccess;
+                oldestKey = key;
+            }
+        });
+
+        if (oldestKey === null) return false;
+
+        localStorage.removeItem(CACHE_PREFIX + oldestKey);
+        delete index[oldestKey];
+        localStorage.setItem(LRU_INDEX_KEY, JSON.stringify(index));
+    } catch (e) {
+        return false;
+    }
+
+    console.log(`[CACHE] Evicted (LRU): ${oldestKey}`);
+    return true;
+}
+
+/**
+ * Check whether an error is a localStorage quota error
+ * @param {Error} error - Error thrown by setItem
+ * @returns {boolean}
+ */
+function isQuotaError(error) {
+    return error instanceof DOMException && (
+        error.name === 'QuotaExceededError' ||
+        error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+        error.code === 22
+    );
+}
+
+/**
+ * Get a cache entry from memory or localStorage
+ * @param {string} key - Cache key
+ * @returns {{data: any, hash: string|null, etag: string|null, storedAt: number}|null} Entry or null
+ */
+function getCachedEntry(key) {
+    // Check memory cache first (fastest)
+    if (memoryCache.has(key)) {
+        return memoryCache.get(key);
+    }
+
+    // Check localStorage (persists across page navigations)
+    try {
+        const stored = localStorage.getItem(CACHE_PREFIX + key);
+        if (stored) {
+            const entry = JSON.parse(stored);
+            memoryCache.set(key, entry);
+            touchEntry(key);
+            return entry;
+        }
+    } catch (e) {
+        // localStorage may be unavailable or hold a corrupt entry
+    }
+
+    return null;
+}
+
+/**
+ * Store a cache entry in memory and localStorage, evicting LRU entries when full
+ * @param {string} key - Cache key
+ * @param {Object} entry - Entry to store
+ */
+function setCachedEntry(key, entry) {
+    memoryCache.set(key, entry);
+
+    const serialized = JSON.stringify(entry);
+    for (let attempt = 0; attempt <= MAX_EVICTIONS; attempt++) {
+        try {
+            localStorage.setItem(CACHE_PREFIX + key, serialized);
+            touchEntry(key);
+            return;
+        } catch (e) {
+            if (!isQuotaError(e) || !evictLeastRecentlyUsed(key)) return;
+        }
+    }
+}
+
+/**
+ * Load the content-hash manifest once per page
+ * @returns {Promise<{version: string, hashes: Map<string, string>}|null>} Build version and
+ *          cache key -> content hash, or null if unavailable
+ */
+function getManifest() {
+    if (!manifestPromise) {
+        const manifestUrl = new URL(MANIFEST_PATH, window.location.href);
+
+        manifestPromise = fetch(manifestUrl, { cache: 'no-cache' })
+            .then(response => {
+                if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+                return response.json();
+            })
+            .then(manifest => ({
+                version: manifest.version,
+                hashes: new Map(
+                    Object.entries(manifest.files || {}).map(([file, hash]) => [
+                        new URL(file, manifestUrl).pathname,
+                        hash
+                    ])
+                )
+            }))
+            .catch(error => {
+                console.warn('[CACHE] Content manifest unavailable, falling back to ETag revalidation:', error.message);
+                return null;
+            });
+    }
+
+    return manifestPromise;
+}
+
+/**
+ * Look up the current content hash for a cache key
+ * @param {string} key - Cache key
+ * @returns {Promise<string|null>} Content hash or null
+ */
+async function getManifestHash(key) {
+    const manifest = await getManifest();
+    return manifest?.hashes.get(key) || null;
+}
+
+/**
+ * Fetch a resource, optionally as a conditional request
+ * @param {string} path - Resource path
+ * @param {'json'|'text'} type - How to read the body
+ * @param {string|null} etag - ETag of the cached copy
+ * @returns {Promise<{notModified: boolean, data?: any, etag?: string|null}>}
+ */
+async function fetchResource(path, type, etag = null) {
+    const response = await fetch(path, {
+        headers: etag ? { 'If-None-Match': etag } : {}
+    });
+
+    if (response.status === 304) {
+        return { notModified: true };
+    }
+
+    if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    const data = type === 'json' ? await response.json() : await response.text();
+    return { notModified: false, data, etag: response.headers.get('ETag') };
+}
+
+/**
+ * Notify this tab's subscribers that a cached resource changed
+ * @param {string} key - Cache key
+ * @param {any} data - New data
+ */
+function notifyDataUpdate(key, data) {
+    updateListeners.get(key)?.forEach(callback => {
+        try {
+            callback(data);
+        } catch (error) {
+            console.error(`[CACHE] Update listener failed for ${key}:`, error);
+        }
+    });
+}
+
+/**
+ * Revalidate a cached resource in the background (once per page load)
+ * @param {string} path - Resource path
+ * @param {string} key - Cache key
+ * @param {'json'|'text'} type - How to read the body
+ * @param {Object} cached - Current cache entry
+ * @returns {Promise<void>}
+ */
+function revalidate(path, key, type, cached) {
+    if (revalidations.has(key)) return revalidations.get(key);
+
+    const task = (async () => {
+        const hash = await getManifestHash(key);
+        if (hash && hash === cached.hash) return;
+
+        const result = await fetchResource(path, type, cached.etag);
+
+        if (result.notModified) {
+            setCachedEntry(key, { ...cached, hash: hash || cached.hash, storedAt: Date.now() });
+            return;
+        }
+
+        if (type === 'json') {
+            const errors = validateData(path, result.data);
+            if (errors.length > 0) {
+                reportDataErrors(path, errors);
+                return;
+            }
+        }
+
+        setCachedEntry(key, { data: result.data, hash, etag: result.etag, storedAt: Date.now() });
+        console.log(`[CACHE] Revalidated, updated: ${path}`);
+
+        notifyDataUpdate(key, result.data);
+        cacheChannel?.postMessage({ type: 'update', key });
+    })().catch(error => {
+        console.warn(`[CACHE] Revalidation failed for ${path}:`, error.message);
+    });
+
+    revalidations.set(key, task);
+    return task;
+}
+
+/**
+ * Load a resource through the cache (stale-while-revalidate)
+ * @param {string} path - Resource path
+ * @param {'json'|'text'} type - How to read the body
+ * @returns {Promise<any>} Data or null on failure
+ */
+async function loadCached(path, type) {
+    const key = resolveCacheKey(path);
+
+    const cached = getCachedEntry(key);
+    if (cached) {
+        console.log(`[CACHE] Hit: ${path}`);
+        revalidate(path, key, type, cached);
+        return cached.data;
+    }
+
+    if (!pendingLoads.has(key)) {
+        pendingLoads.set(key, loadFresh(path, key, type).finally(() => pendingLoads.delete(key)));
+    }
+    return pendingLoads.get(key);
+}
+
+/**
+ * Fetch a resource that isn't cached and store it
+ * @param {string} path - Resource path
+ * @param {string} key - Cache key
+ * @param {'json'|'text'} type - How to read the body
+ * @returns {Promise<any>} Data or null on failure
+ */
+async function loadFresh(path, key, type) {
+    try {
+        const [result, hash] = await Promise.all([
+            fetchResource(path, type),
+            getManifestHash(key)
+        ]);
+
+        // Invalid data is reported but not cached, so a fix shows up on reload
+        if (type === 'json') {
+            const errors = validateData(path, result.data);
+            if (errors.length > 0) {
+                reportDataErrors(path, errors);
+                return result.data;
+            }
+        }
+
+        setCachedEntry(key, { data: result.data, hash, etag: result.etag, storedAt: Date.now() });
+        revalidations.set(key, Promise.resolve());
+        loadErrors.delete(key);
+        console.log(`[CACHE] Miss, stored: ${path}`);
+        return result.data;
+    } catch (error) {
+        const offlineCopy = await readOfflineCopy(path, type);
+        if (offlineCopy !== null) {
+            console.warn(`[CACHE] Failed to load ${path}, using the offline copy:`, error.message);
+            return offlineCopy;
+        }
+
+        loadErrors.set(key, error.message);
+        console.error(`[SYSTEM] Failed to load ${path}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Last copy of a resource the service worker stored
+ * While the service worker controls the page it answers from this itself;
+ * this covers loads it doesn't see, such as after a hard reload.
+ * @param {string} path - Resource path
+ * @param {'json'|'text'} type - How to read the body
+ * @returns {Promise<any>} Data or null if there's no copy
+ */
+async function readOfflineCopy(path, type) {
+    if (typeof caches === 'undefined') return null;
+
+    try {
+        const response = await caches.match(new URL(path, window.location.href).href, { ignoreSearch: true });
+        if (!response) return null;
+        return type === 'json' ? await response.json() : await response.text();
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Subscribe to background updates of a cached resource
+ * Fires when revalidation (in this or another tab) finds newer content.
+ * Subscriptions belong to the current page and are dropped when the router
+ * navigates away from it.
+ * @param {string} path - Resource path, as passed to loadJSON/loadMarkdown
+ * @param {Function} callback - Called with the new data (localized like loadJSON)
+ * @returns {Function} Unsubscribe function
+ */
+export function onDataUpdate(path, callback) {
+    const key = resolveCacheKey(path);
+    if (!updateListeners.has(key)) {
+        updateListeners.set(key, new Set());
+    }
+    const listener = data => callback(localize(data));
+    updateListeners.get(key).add(listener);
+
+    const unsubscribe = () => updateListeners.get(key)?.delete(listener);
+    onPageLeave(unsubscribe);
+    return unsubscribe;
+}
+
+/**
+ * Clear all portfolio cache data
+ */
+export function clearCache() {
+    memoryCache.clear();
+    try {
+        Object.keys(localStorage).forEach(key => {
+            if (key.startsWith('portfolio_')) {
+                localStorage.removeItem(key);
+            }
+        });
+    } catch (e) { }
+    console.log('[CACHE] Cleared');
+}
+
+// Pick up updates written by other tabs
+if (cacheChannel) {
+    cacheChannel.addEventListener('message', (event) => {
+        if (event.data?.type !== 'update') return;
+
+        const { key } = event.data;
+        memoryCache.delete(key);
+        const entry = getCachedEntry(key);
+        if (entry) {
+            console.log(`[CACHE] Updated by another tab: ${key}`);
+            notifyDataUpdate(key, entry.data);
+        }
+    });
+}
+
+// Drop entries written by the old fixed-version cache
+try {
+    Object.keys(localStorage).forEach(key => {
+        if (key.startsWith(LEGACY_CACHE_PREFIX)) {
+            localStorage.removeItem(key);
+        }
+    });
+} catch (e) { }
+
+// ============================================
+// UTILITY FUNCTIONS
+// ============================================
+
+/**
+ * Fetch JSON data from a path (with caching)
+ * Translated fields ({en, ml, ...}) come back as the active locale's string.
+ * @param {string} path - Path to JSON file
+ * @returns {Promise<any>} Parsed JSON data
+ */
+export async function loadJSON(path) {
+    return localize(await loadCached(path, 'json'));
+}
+
+/**
+ * Path of one project's full data
+ * The site loads data/projects/index.json for lists and a project's own file
+ * when it's opened; scripts/build-projects.mjs writes both from projects.json.
+ * @param {string} id - Project ID
+ * @returns {string} Path for loadJSON()
+ */
+export function getProjectPath(id) {
+    return `../data/projects/${encodeURIComponent(id)}.json`;
+}
+
+/**
+ * srcset of an image and its smaller copies, from a manifest entry
+ * scripts/build-images.mjs writes the copies and lists them as variants.
+ * @param {string} folder - URL of the image's folder
+ * @param {{file: string, width?: number, variants?: Array<{file: string, width: number}>}} image - Manifest entry
+ * @returns {string|null} srcset, or null if the image has no copies
+ */
+export function getSrcset(folder, image) {
+    if (!image?.variants?.length || !image.width) return null;
+    return [...image.variants, image]
+        .map(({ file, width }) => `${folder}/${file} ${width}w`)
+        .join(', ');
+}
+
+/**
+ * Validate loaded data against the schema registered for its file
+ * @param {string} path - Path the data was loaded from
+ * @param {any} data - Parsed JSON data
+ * @returns {Array<{path: string, rule: string, message: string}>} Validation errors
+ */
+export function validateData(path, data) {
+    const schema = getSchemaForPath(path);
+    return schema ? validate(data, schema) : [];
+}
+
+/**
+ * Fetch Markdown content from a path (with caching)
+ * @param {string} path - Path to markdown file
+ * @returns {Promise<string>} Raw markdown content
+ */
+export async function loadMarkdown(path) {
+    return loadCached(path, 'text');
+}
+
+/**
+ * Convert markdown to themed, sanitized HTML
+ * @param {string} markdown - Raw markdown text
+ * @param {Object} options - Passed to renderMarkdown (e.g. idPrefix)
+ * @returns {SafeHtml} Markup, ready to interpolate into html``
+ */
+export function parseMarkdown(markdown, options = {}) {
+    const markup = renderMarkdown(markdown, options);
+
+    // Prerendering has no parser to sanitize with. markdown.js escapes raw
+    // HTML and drops unsafe URLs itself, so its output is what the pages and
+    // feeds get; in the browser the allowlist is a second check on top.
+    return hasDocument ? sanitizeHtml(markup) : new SafeHtml(markup);
+}
+
+/**
+ * Get status color class based on status string
+ * The token colors come from the active theme, see tailwind-config.js.
+ * @param {string} status - Status string
+ * @returns {string} Tailwind color class
+ */
+export function getStatusColor(status) {
+    return `text-status-${getStatusTone(status)}`;
+}
+
+/**
+ * Get status background class
+ * @param {string} status - Status string
+ * @returns {string} Tailwind background class
+ */
+export function getStatusBgColor(status) {
+    const tone = getStatusTone(status);
+    return tone !== 'idle'
+        ? `bg-status-${tone}/10 border-status-${tone}/20`
+        : 'bg-gray-800 border-gray-700';
+}
+
+// ============================================
+// SAFE HTML
+// ============================================
+
+/**
+ * Markup that is already escaped or sanitized
+ * Only html``, trusted() and sanitizeHtml() create these; every other value
+ * interpolated into html`` gets escaped.
+ */
+class SafeHtml {
+    constructor(markup) {
+        this.markup = markup;
+    }
+
+    toString() {
+        return this.markup;
+    }
+}
+
+/**
+ * Escape text for HTML content and quoted attributes
+ * @param {any} value - Value to escape
+ * @returns {string} Escaped string
+ */
+export function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Neutralise script and non-image data URLs
+ * @param {string} url - URL from data or markdown
+ * @returns {string} The URL, or '#' if it isn't safe to link to
+ */
+export function safeUrl(url) {
+    const value = String(url ?? '').trim();
+    const scheme = value.replace(/[\u0000- ]/g, '').toLowerCase();
+    if (/^(javascript|vbscript|file):/.test(scheme)) return '#';
+    if (scheme.startsWith('data:') && !/^data:image\/(png|gif|jpe?g|webp);/.test(scheme)) return '#';
+    return value;
+}
+
+const URL_ATTRIBUTE_END = /\s(?:href|src|action|formaction|poster)\s*=\s*["']?$/i;
+
+/**
+ * Render an interpolated value
+ * @param {any} value - SafeHtml, array, primitive or nullish
+ * @returns {string} Markup
+ */
+function renderValue(value) {
+    if (value instanceof SafeHtml) return value.markup;
+    if (Array.isArray(value)) return value.map(renderValue).join('');
+    if (value === null || value === undefined || value === false) return '';
+    return escapeHtml(value);
+}
+
+/**
+ * Tagged template that escapes every interpolated value
+ * Nest html`` for sub-templates and pass arrays of them straight in (no
+ * .join needed). Values placed in href/src attributes are also run through
+ * safeUrl(). The result can be assigned to innerHTML directly.
+ * @example container.innerHTML = html`<h3>${project.title}</h3>`;
+ * @param {TemplateStringsArray} strings - Literal parts
+ * @param {...any} values - Interpolated values
+ * @returns {SafeHtml} Markup
+ */
+export function html(strings, ...values) {
+    let markup = strings[0];
+    values.forEach((value, i) => {
+        const inUrl = URL_ATTRIBUTE_END.test(markup) && !(value instanceof SafeHtml);
+        markup += (inUrl ? escapeHtml(safeUrl(value)) : renderValue(value)) + strings[i + 1];
+    });
+    return new SafeHtml(markup);
+}
+
+/**
+ * Opt in to inserting markup unescaped
+ * Only for markup written into the repo's own data (e.g. the <br> in
+ * profile.bio). Use sanitizeHtml() for anything less trusted.
+ * @param {string} markup - Trusted markup
+ * @returns {SafeHtml} Markup
+ */
+export function trusted(markup) {
+    return new SafeHtml(String(markup ?? ''));
+}
+
+/**
+ * Elements and attributes allowed through sanitizeHtml() by default: what
+ * the markdown renderer, math renderer and code highlighter produce
+ */
+export const SANITIZE_ALLOWLIST = {
+    tags: new Set([
+        'p', 'br', 'hr', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'a', 'strong', 'em', 'del', 'code', 'pre',
+        'span', 'div', 'section', 'sup', 'sub', 'blockquote', 'ul', 'ol', 'li', 'input', 'button',
+        'table', 'thead', 'tbody', 'tr', 'th', 'td', 'img',
+        'math', 'semantics', 'annotation', 'mrow', 'mi', 'mn', 'mo', 'mtext', 'mspace', 'mfrac',
+        'msqrt', 'mroot', 'msub', 'msup', 'msubsup', 'munder', 'mover', 'munderover', 'mtable',
+        'mtr', 'mtd', 'merror'
+    ]),
+    attributes: {
+        '*': new Set(['class', 'id', 'title', 'aria-label', 'aria-hidden', 'data-code-block', 'data-copy-code', 'data-copy-label', 'data-line-content', 'data-highlighted']),
+        a: new Set(['href', 'target', 'rel']),
+        img: new Set(['src', 'alt', 'loading', 'width', 'height']),
+        ol: new Set(['start']),
+        input: new Set(['type', 'disabled', 'checked']),
+        button: new Set(['type']),
+        math: new Set(['display']),
+        mi: new Set(['mathvariant']),
+        mo: new Set(['fence', 'stretchy', 'largeop', 'movablelimits']),
+        mover: new Set(['accent']),
+        munder: new Set(['accentunder']),
+        mfrac: new Set(['linethickness']),
+        mspace: new Set(['width']),
+        mtable: new Set(['columnalign']),
+        annotation: new Set(['encoding'])
+    }
+};
+
+/**
+ * Elements removed together with their content
+ */
+const SANITIZE_DROP = new Set(['script', 'style', 'iframe', 'object', 'embed', 'template', 'noscript', 'textarea', 'select', 'form', 'link', 'meta', 'base', 'svg', 'frame', 'frameset']);
+
+/**
+ * Strip disallowed elements and attributes from a node's children
+ * @param {Node} parent - Node whose children to clean
+ * @param {Object} allowlist - { tags: Set, attributes: { tag|'*': Set } }
+ */
+function sanitizeChildren(parent, allowlist) {
+    Array.from(parent.childNodes).forEach(node => {
+        if (node.nodeType === Node.TEXT_NODE) return;
+        if (node.nodeType !== Node.ELEMENT_NODE) {
+            node.remove();
+            return;
+        }
+
+        const tag = node.localName;
+        if (SANITIZE_DROP.has(tag)) {
+            node.remove();
+            return;
+        }
+
+        sanitizeChildren(node, allowlist);
+
+        // Unknown elements are unwrapped so their text survives
+        if (!allowlist.tags.has(tag)) {
+            node.replaceWith(...node.childNodes);
+            return;
+        }
+
+        const global = allowlist.attributes['*'] || new Set();
+        const perTag = allowlist.attributes[tag] || new Set();
+        Array.from(node.attributes).forEach(attr => {
+            const name = attr.name.toLowerCase();
+            if (!global.has(name) && !perTag.has(name)) {
+                node.removeAttribute(attr.name);
+            } else if ((name === 'href' || name === 'src') && safeUrl(attr.value) === '#') {
+                node.setAttribute(attr.name, '#');
+            }
+        });
+
+        if (tag === 'input' && node.getAttribute('type') !== 'checkbox') {
+            node.remove();
+        } else if (tag === 'a' && node.getAttribute('target')) {
+            node.setAttribute('rel', 'noopener noreferrer');
+        }
+    });
+}
+
+/**
+ * Clean markup against an allowlist of elements and attributes
+ * @param {string} markup - Untrusted markup
+ * @param {Object} allowlist - Allowed tags/attributes (defaults to SANITIZE_ALLOWLIST)
+ * @returns {SafeHtml} Sanitized markup
+ */
+export function sanitizeHtml(markup, allowlist = SANITIZE_ALLOWLIST) {
+    // Without a parser nothing can be let through, so it's all shown as text
+    if (!hasDocument) return new SafeHtml(escapeHtml(markup ?? ''));
+
+    const template = document.createElement('template');
+    template.innerHTML = String(markup ?? '');
+    sanitizeChildren(template.content, allowlist);
+    return new SafeHtml(template.innerHTML);
+}
+
+// ============================================
+// DATA DIAGNOSTICS
+// ============================================
+
+// Filename -> kind of check ('schema', 'reference') -> its errors. A file can
+// fail both checks, and re-running one replaces only its own errors.
+const dataDiagnostics = new Map();
+
+const DIAGNOSTIC_LABELS = {
+    schema: '[SCHEMA] {file} failed validation:',
+    reference: '[RELATIONS] {file} has broken references:'
+};
+
+/**
+ * Record errors for a data file and show them in the diagnostics panel
+ * @param {string} path - Path of the data file
+ * @param {Array<{path: string, rule: string, message: string}>} errors - Validation errors
+ * @param {'schema'|'reference'} [kind='schema'] - Which check found them
+ */
+export function reportDataErrors(path, errors, kind = 'schema') {
+    const filename = path.split('/').pop();
+    if (!dataDiagnostics.has(filename)) dataDiagnostics.set(filename, new Map());
+    dataDiagnostics.get(filename).set(kind, errors);
+
+    console.error(DIAGNOSTIC_LABELS[kind].replace('{file}', filename));
+    errors.forEach(err => console.error(`  ${err.path} (${err.rule}): ${err.message}`));
+
+    if (!hasDocument) return;
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', renderDiagnosticsPanel, { once: true });
+    } else {
+        renderDiagnosticsPanel();
+    }
+}
+
+/**
+ * Render (or re-render) the on-page diagnostics panel
+ */
+function renderDiagnosticsPanel() {
+    document.getElementById('data-diagnostics')?.remove();
+    if (dataDiagnostics.size === 0) return;
+
+    const files = [...dataDiagnostics.entries()].map(([filename, byKind]) => [filename, [...byKind.values()].flat()]);
+    const total = files.reduce((sum, [, errors]) => sum + errors.length, 0);
+
+    const panel = document.createElement('div');
+    panel.id = 'data-diagnostics';
+    panel.setAttribute('role', 'alert');
+    panel.className = 'fixed bottom-4 left-4 z-[90] w-[calc(100%-2rem)] max-w-xl max-h-[60vh] flex flex-col bg-background-dark/95 border border-red-500/40 shadow-lg backdrop-blur-sm font-mono';
+    panel.innerHTML = html`
+        <div class="flex items-center justify-between px-4 py-2 border-b border-red-500/30 bg-red-500/10">
+            <div class="flex items-center gap-2 text-[10px] text-red-400 uppercase tracking-widest">
+                <span class="material-symbols-outlined text-sm">error</span>
+                <span>Data Integrity Check Failed</span>
+                <span class="text-red-400/60">[${total} ${total === 1 ? 'error' : 'errors'}]</span>
+            </div>
+            <button id="data-diagnostics-close" class="p-1 text-gray-500 hover:text-white transition-colors" aria-label="Dismiss diagnostics">
+                <span class="material-symbols-outlined text-sm">close</span>
+            </button>
+        </div>
+        <div class="overflow-y-auto p-4 space-y-4 text-xs">
+            ${files.map(([filename, errors]) => html`
+                <div>
+                    <div class="text-white mb-2"><span class="text-red-400">&gt;</span> data/${filename}</div>
+                    <ul class="space-y-1.5 border-l border-border-dark pl-3">
+                        ${errors.map(err => html`
+                            <li class="flex flex-col">
+                                <span class="text-primary break-all">${err.path}</span>
+                                <span class="text-gray-400"><span class="text-amber-500">[${err.rule}]</span> ${err.message}</span>
+                            </li>
+                        `)}
+                    </ul>
+                </div>
+            `)}
+        </div>
+    `;
+
+    document.body.appendChild(panel);
+    panel.querySelector('#data-diagnostics-close').addEventListener('click', () => panel.remove());
+}
+
+// ============================================
+// LOAD ERRORS
+// ============================================
+
+/**
+ * When a widget's data can't be loaded and there's no cached copy, the
+ * container it renders into shows a terminal-style error naming the file
+ * and retries on its own, waiting twice as long after each failure. The
+ * retry button, or the browser coming back online, tries again at once.
+ * Each widget loads through its own call, so one missing file only costs
+ * that widget.
+ */
+
+const RETRY_BASE_DELAY = 2000;
+const RETRY_MAX_DELAY = 60000;
+
+// Container id -> interval ticking its retry countdown
+const retryCountdowns = new Map();
+
+/**
+ * Load a widget's data, showing the error state in its container until it arrives
+ * Resolves once every file has loaded, so the caller can render as usual.
+ * @param {string} containerId - Container the widget renders into
+ * @param {string|string[]} paths - Data file(s), as passed to loadJSON
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Gives up (and clears the error) when the data is no longer wanted
+ * @returns {Promise<any>} The data (an array for several paths), or null if the page is left or the signal aborts first
+ */
+export function loadWithRetry(containerId, paths, options = {}) {
+    const { signal } = options;
+    const files = [].concat(paths);
+
+    return new Promise(resolve => {
+        let attempt = 0;
+        let timer = null;
+        let loading = false;
+        let done = false;
+        let panel = null;
+
+        const finish = (data) => {
+            if (done) return;
+            done = true;
+            clearTimeout(timer);
+            window.removeEventListener('online', tryLoad);
+            signal?.removeEventListener('abort', cancel);
+            resolve(data);
+        };
+
+        const cancel = () => {
+            panel?.remove();
+            finish(null);
+        };
+
+        async function tryLoad() {
+            if (done || loading) return;
+            loading = true;
+            clearTimeout(timer);
+
+            const results = await Promise.all(files.map(path => loadJSON(path)));
+            loading = false;
+            if (done) return;
+
+            if (results.every(result => result !== null)) {
+                if (attempt > 0) console.log(`[SYSTEM] Loaded ${files.join(', ')} after ${attempt} failed ${attempt === 1 ? 'attempt' : 'attempts'}`);
+                finish(Array.isArray(paths) ? results : results[0]);
+                return;
+            }
+
+            const delay = Math.min(RETRY_BASE_DELAY * 2 ** attempt, RETRY_MAX_DELAY);
+            attempt++;
+            panel = showLoadError(containerId, files.filter((path, i) => results[i] === null), delay, tryLoad);
+            timer = setTimeout(tryLoad, delay);
+        }
+
+        if (signal?.aborted) {
+            resolve(null);
+            return;
+        }
+
+        window.addEventListener('online', tryLoad);
+        signal?.addEventListener('abort', cancel);
+        onPageLeave(() => finish(null));
+        tryLoad();
+    });
+}
+
+/**
+ * Put the error state at the top of a container
+ * Anything already there (prerendered markup) stays below it.
+ * @param {string} containerId - Container id
+ * @param {string[]} files - Paths that failed
+ * @param {number} delay - Milliseconds until the next automatic retry
+ * @param {Function} retry - Retries at once
+ * @returns {HTMLElement|null} The error panel
+ */
+function showLoadError(containerId, files, delay, retry) {
+    const container = document.getElementById(containerId);
+    if (!container) return null;
+
+    const previous = container.querySelector(':scope > [data-load-error]');
+    const hadFocus = previous?.contains(document.activeElement);
+    clearInterval(retryCountdowns.get(containerId));
+    previous?.remove();
+
+    container.insertAdjacentHTML('afterbegin', renderLoadError(files, Math.ceil(delay / 1000)).toString());
+
+    const element = container.firstElementChild;
+    const button = element.querySelector('[data-load-retry]');
+    const countdown = element.querySelector('[data-load-countdown]');
+    const retryAt = Date.now() + delay;
+
+    button.addEventListener('click', () => {
+        countdown.textContent = t('load.retrying');
+        retry();
+    });
+    if (hadFocus) button.focus();
+
+    // Tick the countdown until the panel is replaced or rendered over
+    const interval = setInterval(() => {
+        if (!element.isConnected) {
+            clearInterval(interval);
+            if (retryCountdowns.get(containerId) === interval) retryCountdowns.delete(containerId);
+            return;
+        }
+        const seconds = Math.max(0, Math.ceil((retryAt - Date.now()) / 1000));
+        countdown.textContent = seconds > 0 ? t('load.retryIn', { seconds }) : t('load.retrying');
+    }, 1000);
+    retryCountdowns.set(containerId, interval);
+
+    return element;
+}
+
+/**
+ * Error state markup
+ * @param {string[]} files - Paths that failed
+ * @param {number} seconds - Seconds until the next automatic retry
+ * @returns {SafeHtml} Error panel
+ */
+function renderLoadError(files, seconds) {
+    return html`
+        <div data-load-error role="alert" class="col-span-full m-4 border border-red-500/30 bg-red-500/5 font-mono text-xs">
+            <div class="flex items-center gap-2 px-4 py-2 border-b border-red-500/30 bg-red-500/10 text-[10px] text-red-400 uppercase tracking-widest">
+                <span class="material-symbols-outlined text-sm">error</span>
+                <span>${t('load.title')}</span>
+            </div>
+            <div class="p-4 space-y-1">
+                ${files.map(path => {
+                    const file = path.replace(/^(\.\.?\/)+/, '');
+                    const reason = loadErrors.get(resolveCacheKey(path)) || t('load.unavailable');
+                    return html`
+                        <p class="text-gray-500">$ cat ${file}</p>
+                        <p class="text-red-400 break-words">cat: ${file}: ${reason}</p>
+                    `;
+                })}
+                <p class="text-gray-500 pt-2" data-load-countdown>${t('load.retryIn', { seconds })}</p>
+            </div>
+            <div class="px-4 pb-4">
+                <button type="button" data-load-retry class="inline-flex items-center gap-2 px-3 py-1.5 border border-primary/30 text-primary text-[10px] uppercase hover:bg-primary hover:text-white transition-colors">
+                    <span class="material-symbols-outlined text-sm">refresh</span>
+                    ${t('load.retry')}
+                </button>
+            </div>
+        </div>
+    `;
+}
+
+// ============================================
+// CROSS-REFERENCES
+// ============================================
+
+/**
+ * Projects, experience entries, skills and certificates link to each other
+ * through stable ids:
+ *   - experience[].projects    → project ids (e.g. the hackathon a project won)
+ *   - experience[].certificate → a certificate id (certification entries)
+ *   - certificates[].skills    → skill names
+ *   - projects[].tech, experience[].tech → skill names, matched loosely
+ *     ("React 19" → React, "TailwindCSS" → Tailwind CSS, skill `aliases`)
+ * Links are declared on one side only; the graph makes them two-way.
+ */
+
+const RELATION_SOURCES = {
+    projects: '../data/projects/index.json',
+    experience: '../data/experience.json',
+    skills: '../data/skills.json',
+    profile: '../data/profile.json'
+};
+
+const RELATION_ICONS = {
+    project: 'deployed_code',
+    experience: 'history_edu',
+    skill: 'bolt',
+    certificate: 'verified'
+};
+
+/**
+ * Turn a name into an id fragment ("C++" → "cpp", "Tailwind CSS" → "tailwind-css")
+ * @param {string} value - Name
+ * @returns {string} Lowercase, dash-separated slug
+ */
+export function slugify(value) {
+    return String(value).toLowerCase()
+        .replace(/\+/g, 'p')
+        .replace(/#/g, 'sharp')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-|-$/g, '');
+}
+
+/**
+ * Anchor id of a skill on skills.html
+ * @param {string} name - Skill name as written in skills.json
+ * @returns {string} Element id
+ */
+export function getSkillAnchor(name) {
+    return `skill-${slugify(name)}`;
+}
+
+/**
+ * Keys a tech or skill name matches on
+ * Drops notes in parentheses and trailing versions, ignores case and spacing,
+ * and splits "TensorFlow / Keras" into both names.
+ * @param {string} name - Tech or skill name
+ * @returns {string[]} Match keys
+ */
+function getSkillKeys(name) {
+    return String(name).split(/\s+\/\s+/)
+        .map(part => part.toLowerCase()
+            .replace(/\([^)]*\)/g, '')
+            .trim()
+            .replace(/\s*v?\d+(\.\d+)*$/, '')
+            .replace(/[\s_-]+/g, ''))
+        .filter(Boolean);
+}
+
+/**
+ * Every skill in skills.json, whatever layout its category uses
+ * @param {Object} skills - skills.json data
+ * @returns {Array<{name: string, aliases: string[], category: string}>} Skills
+ */
+function listSkills(skills) {
+    return (skills?.categories || []).flatMap(category => {
+        const items = category.groups
+            ? category.groups.flatMap(group => group.items)
+            : category.items || [];
+        return items.map(item => typeof item === 'string'
+            ? { name: item, aliases: [], category: category.id }
+            : { name: item.name, aliases: item.aliases || [], category: category.id });
+    });
+}
+
+/**
+ * Build the relationship graph from the loaded data files
+ * @param {Object} data - { projects, experience, skills, profile }
+ * @returns {{nodes: Map, edges: Map, skillKeys: Map, errors: Object}} Graph
+ */
+function buildRelationGraph({ projects, experience, skills, profile }) {
+    const nodes = new Map();
+    const edges = new Map();
+    const skillKeys = new Map();
+    const errors = { 'experience.json': [], 'profile.json': [] };
+
+    const addNode = (type, id, title, href) => {
+        const key = `${type}:${id}`;
+        nodes.set(key, { type, id, title, href, icon: RELATION_ICONS[type] });
+        edges.set(key, new Set());
+        return key;
+    };
+    const link = (a, b) => {
+        if (a === b) return;
+        edges.get(a).add(b);
+        edges.get(b).add(a);
+    };
+    const linkSkills = (key, names) => {
+        (names || []).forEach(name => getSkillKeys(name).forEach(skillKey => {
+            if (skillKeys.has(skillKey)) link(key, skillKeys.get(skillKey));
+        }));
+    };
+
+    listSkills(skills).forEach(skill => {
+        const key = addNode('skill', slugify(skill.name), skill.name, `skills.html#${getSkillAnchor(skill.name)}`);
+        [skill.name, ...skill.aliases].flatMap(getSkillKeys).forEach(skillKey => {
+            if (!skillKeys.has(skillKey)) skillKeys.set(skillKey, key);
+        });
+    });
+
+    (projects || []).forEach(project => {
+        const key = addNode('project', project.id, project.title, `projects.html#${encodeURIComponent(project.id)}`);
+        linkSkills(key, project.tech);
+    });
+
+    (profile?.certificates || []).forEach((cert, i) => {
+        if (!cert.id) return;
+        const key = addNode('certificate', cert.id, cert.name, `certificates.html#${encodeURIComponent(cert.id)}`);
+        (cert.skills || []).forEach((name, j) => {
+            const skillKey = getSkillKeys(name).find(k => skillKeys.has(k));
+            if (skillKey) {
+                link(key, skillKeys.get(skillKey));
+            } else {
+                errors['profile.json'].push({ path: `$.certificates[${i}].skills[${j}]`, rule: 'reference', message: `No skill named "${name}" in skills.json` });
+            }
+        });
+    });
+
+    (experience || []).forEach((exp, i) => {
+        if (!exp.id) return;
+        const key = addNode('experience', exp.id, exp.title, `experience.html#${encodeURIComponent(exp.id)}`);
+        linkSkills(key, exp.tech);
+
+        (exp.projects || []).forEach((id, j) => {
+            if (nodes.has(`project:${id}`)) {
+                link(key, `project:${id}`);
+            } else {
+                errors['experience.json'].push({ path: `$[${i}].projects[${j}]`, rule: 'reference', message: `No project with id "${id}" in ${RELATION_SOURCES.projects.replace('../data/', '')}` });
+            }
+        });
+
+        if (exp.certificate) {
+            if (nodes.has(`certificate:${exp.certificate}`)) {
+                link(key, `certificate:${exp.certificate}`);
+            } else {
+                errors['experience.json'].push({ path: `$[${i}].certificate`, rule: 'reference', message: `No certificate with id "${exp.certificate}" in profile.json` });
+            }
+        }
+    });
+
+    return { nodes, edges, skillKeys, errors };
+}
+
+/**
+ * Load every data file and resolve the links between them
+ * The graph is small, so it's rebuilt on each call; renderers call this again
+ * from their onDataUpdate handlers to pick up changed data.
+ * @returns {Promise<Object>} Resolver with get(), related(), all() and findSkill()
+ */
+export async function loadRelations() {
+    const entries = await Promise.all(Object.entries(RELATION_SOURCES)
+        .map(async ([name, path]) => [name, await loadJSON(path)]));
+    const graph = buildRelationGraph(Object.fromEntries(entries));
+
+    Object.entries(graph.errors).forEach(([filename, errors]) => {
+        if (errors.length > 0) reportDataErrors(filename, errors, 'reference');
+    });
+
+    return {
+        /**
+         * @param {string} type - project, experience, skill or certificate
+         * @param {string} id - Node id
+         * @returns {Object|null} { type, id, title, href, icon }
+         */
+        get: (type, id) => graph.nodes.get(`${type}:${id}`) || null,
+
+        /**
+         * @param {string} type - Type of the node to start from
+         * @param {string} id - Its id
+         * @param {string} [relatedType] - Only return nodes of this type
+         * @returns {Object[]} Linked nodes
+         */
+        related: (type, id, relatedType) => [...(graph.edges.get(`${type}:${id}`) || [])]
+            .map(key => graph.nodes.get(key))
+            .filter(node => !relatedType || node.type === relatedType),
+
+        /**
+         * @param {string} type - Node type
+         * @returns {Object[]} Every node of that type
+         */
+        all: type => [...graph.nodes.values()].filter(node => node.type === type),
+
+        /**
+         * @param {string} name - Tech name as written in a project or entry
+         * @returns {Object|null} The skill it matches
+         */
+        findSkill: name => {
+            const skillKey = getSkillKeys(name).find(k => graph.skillKeys.has(k));
+            return skillKey ? graph.nodes.get(graph.skillKeys.get(skillKey)) : null;
+        }
+    };
+}
+
+/**
+ * Render a "related" block of links
+ * @param {Object[]} nodes - Nodes from related()
+ * @param {string} label - Heading text
+ * @returns {SafeHtml|string} Markup, or '' when there's nothing to link
+ */
+export function createRelatedLinks(nodes, label) {
+    if (!nodes || nodes.length === 0) return '';
+
+    return html`
+        <div class="related-links mt-4">
+            <span class="block text-[10px] font-mono text-gray-600 uppercase tracking-widest mb-2">${label}</span>
+            <div class="flex flex-wrap gap-2">
+                ${nodes.map(node => html`
+                    <a href="${node.href}" class="inline-flex items-center gap-1.5 px-2 py-1 text-[11px] font-mono text-gray-400 border border-border-dark bg-background-dark hover:text-primary hover:border-primary/40 fast-transition">
+                        <span class="material-symbols-outlined text-[14px]" aria-hidden="true">${node.icon}</span>
+                        <span>${node.title}</span>
+                    </a>
+                `)}
+            </div>
+        </div>
+    `;
+}
+
+// ============================================
+// OFFLINE SUPPORT
+// ============================================
+
+const SERVICE_WORKER_PATH = '../sw.js';
+
+/**
+ * Register the service worker for the current build and watch for updates
+ * The worker URL carries the build version from content-manifest.json, so a
+ * new deploy installs a new worker, which waits until the visitor accepts.
+ */
+export async function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+
+    const manifest = await getManifest();
+    if (!manifest?.version) return;
+
+    try {
+        const registration = await navigator.serviceWorker.register(
+            `${SERVICE_WORKER_PATH}?v=${manifest.version}`,
+            { scope: new URL('../', window.location.href).pathname }
+        );
+
+        // Only prompt when replacing an active worker, not on first install
+        const promptIfWaiting = () => {
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                showUpdatePrompt(registration.waiting, manifest.version);
+            }
+        };
+
+        promptIfWaiting();
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            worker?.addEventListener('statechange', () => {
+                if (worker.state === 'installed') promptIfWaiting();
+            });
+        });
+
+        console.log(`[SYSTEM] Service worker registered (build ${manifest.version})`);
+    } catch (error) {
+        console.warn('[SYSTEM] Service worker registration failed:', error);
+    }
+}
+
+/**
+ * Tell the visitor a new build is ready and activate it on request
+ * @param {ServiceWorker} worker - Installed worker waiting to activate
+ * @param {string} version - Build version
+ */
+function showUpdatePrompt(worker, version) {
+    if (document.getElementById('update-prompt')) return;
+
+    const prompt = document.createElement('div');
+    prompt.id = 'update-prompt';
+    prompt.setAttribute('role', 'status');
+    prompt.className = 'fixed bottom-4 right-4 z-[90] flex items-center gap-4 bg-surface-dark border border-primary/30 px-4 py-3 shadow-lg font-mono animate-fade-in';
+    prompt.innerHTML = html`
+        <div class="flex flex-col">
+            <span class="text-[10px] text-primary uppercase tracking-widest">${t('update.title')}</span>
+            <span class="text-[10px] text-gray-500">${t('update.ready', { build: version.slice(0, 7) })}</span>
+        </div>
+        <button id="update-prompt-reload" class="px-3 py-1.5 bg-primary text-black text-[10px] font-bold uppercase hover:bg-white transition-colors">
+            ${t('update.reload')}
+        </button>
+        <button id="update-prompt-dismiss" class="p-1 text-gray-500 hover:text-white transition-colors" aria-label="${t('update.dismiss')}">
+            <span class="material-symbols-outlined text-sm">close</span>
+        </button>
+    `;
+
+    document.body.appendChild(prompt);
+
+    prompt.querySelector('#update-prompt-dismiss').addEventListener('click', () => prompt.remove());
+    prompt.querySelector('#update-prompt-reload').addEventListener('click', () => {
+        let reloading = false;
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (reloading) return;
+            reloading = true;
+            window.location.reload();
+        });
+        worker.postMessage({ type: 'SKIP_WAITING' });
+    });
+}
+
+// ============================================
+// BACKGROUND EFFECTS
+// ============================================
+
+/**
+ * Create and inject background effect elements
+ * All layers are always added; styles.css shows only the ones listed in the
+ * active theme's `effects`, so switching theme needs no re-render.
+ */
+export function createBackground() {
+    const body = document.body;
+
+    // Grid background
+    const gridBg = document.createElement('div');
+    gridBg.className = 'grid-bg';
+    body.insertBefore(gridBg, body.firstChild);
+
+    // Gradient overlay
+    const gradientOverlay = document.createElement('div');
+    gradientOverlay.className = 'gradient-overlay';
+    body.insertBefore(gradientOverlay, body.firstChild.nextSibling);
+
+    // Scanline
+    const scanline = document.createElement('div');
+    scanline.className = 'scanline';
+    body.appendChild(scanline);
+
+    // CRT overlay
+    const crtOverlay = document.createElement('div');
+    crtOverlay.className = 'crt-overlay';
+    body.appendChild(crtOverlay);
+}
+
+// ============================================
+// NAVIGATION
+// ============================================
+
+const NAVIGATION_PATH = '../data/navigation.json';
+const NAV_PLACEMENTS = ['header', 'drawer', 'footer', 'palette', 'shell'];
+
+let navItems = [];
+let navReady = loadNavigation();
+
+/**
+ * Load the navigation config (data/navigation.json)
+ * Labels stay as written ({"en": …, "ml": …}); getNavLabel() picks the
+ * language at render time, so a language switch doesn't need a reload.
+ * @returns {Promise<void>}
+ */
+async function loadNavigation() {
+    try {
+        const data = await loadCached(NAVIGATION_PATH, 'json');
+        navItems = data?.items || [];
+    } catch (error) {
+        console.error('[NAV] Failed to load navigation:', error);
+    }
+}
+
+/**
+ * Navigation items, in order
+ * Items with a `module` are handled by the client-side router, which imports
+ * js/<module> and calls its `init` export after swapping the page in.
+ * Empty until data/navigation.json has loaded.
+ * @param {string} [placement] - Only items shown there (header, drawer, footer, palette, shell)
+ * @returns {Object[]} Items from data/navigation.json
+ */
+export function getNavItems(placement) {
+    if (!placement) return navItems;
+    return navItems.filter(item => (item.show || NAV_PLACEMENTS).includes(placement));
+}
+
+/**
+ * Get current page from URL
+ * Prerendered project and lab note pages name the page they belong to in
+ * <main data-page>, so the nav still marks it active.
+ * @returns {string} Current page filename
+ */
+export function getCurrentPage() {
+    const page = hasDocument ? document.querySelector('main')?.dataset.page : null;
+    if (page) return page;
+
+    const path = window.location.pathname;
+    const filename = path.split('/').pop() || 'index.html';
+    return filename;
+}
+
+/**
+ * Translated label of a nav item
+ * @param {Object} item - Navigation item
+ * @returns {string} Label
+ */
+export function getNavLabel(item) {
+    return localize(item.label);
+}
+
+/**
+ * Render one nav link for a placement
+ * @param {Object} item - Navigation item
+ * @param {string} placement - header, drawer or footer
+ * @param {string} currentPage - Current page filename
+ * @returns {SafeHtml} Link markup
+ */
+function renderNavLink(item, placement, currentPage) {
+    const isActive = !item.external && item.href === currentPage;
+    const attributes = html`${isActive ? html`aria-current="page"` : ''}
+        ${item.external ? html`target="_blank" rel="noopener noreferrer"` : ''}`;
+    const externalIcon = item.external
+        ? html`<span class="material-symbols-outlined text-[1em] align-[-0.125em]" aria-hidden="true">open_in_new</span>`
+        : '';
+
+    if (placement === 'drawer') {
+        return html`<a href="${item.href}" class="${isActive ? 'active' : ''}" ${attributes}>${getNavLabel(item)} ${externalIcon}</a>`;
+    }
+
+    if (placement === 'footer') {
+        return html`
+            <a href="${item.href}" ${attributes}
+               class="text-[10px] font-mono uppercase tracking-wider fast-transition ${isActive ? 'text-primary' : 'text-gray-500 hover:text-white'}">
+                ${getNavLabel(item)} ${externalIcon}
+            </a>
+        `;
+    }
+
+    return html`
+        <a href="${item.href}" ${attributes}
+           class="nav-link px-4 py-1.5 rounded-full text-xs font-mono font-medium fast-transition
+                  ${isActive
+            ? 'bg-primary/10 text-primary border border-primary/20'
+            : 'hover:bg-white/5 text-gray-400 hover:text-white'}">
+            ${getNavLabel(item)} ${externalIcon}
+        </a>
+    `;
+}
+
+/**
+ * Create navigation HTML
+ * @param {string} currentPage - Current page filename
+ * @param {string} [placement='header'] - header, drawer or footer
+ * @returns {SafeHtml[]} Navigation links
+ */
+export function createNavigation(currentPage, placement = 'header') {
+    return getNavItems(placement).map(item => renderNavLink(item, placement, currentPage));
+}
+
+/**
+ * Fill every [data-nav="header|drawer|footer"] slot on the page
+ * Pages only mark where the links go, so adding a page is one entry in
+ * data/navigation.json.
+ * @param {ParentNode} [root=document] - Where to look for slots
+ */
+function renderNavigation(root = document) {
+    const currentPage = getCurrentPage();
+    root.querySelectorAll('[data-nav]').forEach(slot => {
+        slot.innerHTML = html`${createNavigation(currentPage, slot.dataset.nav)}`;
+    });
+}
+
+/**
+ * Arrow keys, Home and End move between the links of a nav slot
+ * @param {KeyboardEvent} event - Keydown event
+ */
+function handleNavKeydown(event) {
+    const link = event.target.closest?.('[data-nav] a');
+    if (!link || event.altKey || event.ctrlKey || event.metaKey) return;
+
+    const links = [...link.closest('[data-nav]').querySelectorAll('a')];
+    const index = links.indexOf(link);
+    const targets = {
+        ArrowRight: links[(index + 1) % links.length],
+        ArrowDown: links[(index + 1) % links.length],
+        ArrowLeft: links[(index - 1 + links.length) % links.length],
+        ArrowUp: links[(index - 1 + links.length) % links.length],
+        Home: links[0],
+        End: links[links.length - 1]
+    };
+
+    if (targets[event.key]) {
+        event.preventDefault();
+        targets[event.key].focus();
+    }
+}
+
+/**
+ * Render the nav slots once the config and strings are in, and keep them current
+ */
+function initNavigation() {
+    Promise.all([navReady, localeReady]).then(() => renderNavigation());
+
+    onDataUpdate(NAVIGATION_PATH, () => {
+        navReady = loadNavigation().then(() => renderNavigation());
+    });
+
+    document.addEventListener('keydown', handleNavKeydown);
+}
+
+// ============================================
+// MOTION
+// ============================================
+
+const reducedMotion = window.matchMedia?.('(prefers-reduced-motion: reduce)');
+
+/**
+ * Whether the visitor has asked the OS for reduced motion
+ * CSS turns off entry animations on its own (styles.css, MOTION); scripts
+ * check this before spawning effects, delaying content or smooth scrolling.
+ * @returns {boolean}
+ */
+export function prefersReducedMotion() {
+    return Boolean(reducedMotion?.matches);
+}
+
+/**
+ * Scroll behavior that respects the motion preference
+ * @returns {ScrollBehavior} 'auto' for reduced motion, otherwise 'smooth'
+ */
+export function getScrollBehavior() {
+    return prefersReducedMotion() ? 'auto' : 'smooth';
+}
+
+// ============================================
+// DIALOGS
+// ============================================
+
+const FOCUSABLE_SELECTOR = [
+    'a[href]',
+    'button:not([disabled])',
+    'input:not([disabled])',
+    'select:not([disabled])',
+    'textarea:not([disabled])',
+    '[tabindex]:not([tabindex="-1"])'
+].join(', ');
+
+// Open dialogs, innermost last; only that one handles Tab and Escape
+const dialogStack = [];
+
+/**
+ * Focusable elements inside a dialog that are currently visible
+ * @param {HTMLElement} element - Dialog element
+ * @returns {HTMLElement[]}
+ */
+function getFocusableElements(element) {
+    return [...element.querySelectorAll(FOCUSABLE_SELECTOR)]
+        .filter(el => el.getClientRects().length > 0);
+}
+
+/**
+ * Keep Tab inside the innermost dialog and close it on Escape
+ * @param {KeyboardEvent} event - Keydown event
+ */
+function handleDialogKeydown(event) {
+    const dialog = dialogStack[dialogStack.length - 1];
+    if (!dialog) return;
+
+    // A page swap took the overlay away without closing it
+    if (!dialog.element.isConnected) {
+        dialog.close({ restoreFocus: false });
+        handleDialogKeydown(event);
+        return;
+    }
+
+    if (event.key === 'Escape') {
+        event.preventDefault();
+        dialog.onEscape();
+        return;
+    }
+
+    if (event.key !== 'Tab') return;
+
+    const focusable = getFocusableElements(dialog.element);
+    if (focusable.length === 0) {
+        event.preventDefault();
+        dialog.element.focus();
+        return;
+    }
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const active = document.activeElement;
+
+    if (!dialog.element.contains(active)) {
+        event.preventDefault();
+        (event.shiftKey ? last : first).focus();
+    } else if (event.shiftKey && active === first) {
+        event.preventDefault();
+        last.focus();
+    } else if (!event.shiftKey && active === last) {
+        event.preventDefault();
+        first.focus();
+    }
+}
+
+/**
+ * Give an overlay modal dialog semantics and keyboard behavior
+ * The element gets role="dialog", aria-modal and its accessible name. While
+ * open, Tab cycles through its controls, Escape calls `onEscape` (usually
+ * the same path as the close button), and closing hands focus back to
+ * whatever had it before. Showing and hiding the element stays with the caller.
+ * @param {HTMLElement} element - Overlay root
+ * @param {Object} options - Dialog options
+ * @param {Function} options.onEscape - Called when Escape is pressed inside the dialog
+ * @param {string} [options.labelledBy] - ID of the element that titles the dialog
+ * @param {string} [options.label] - Accessible name when there is no visible title
+ * @param {HTMLElement|string} [options.initialFocus] - Element (or selector) focused on open; defaults to the first control
+ * @returns {{element: HTMLElement, open: Function, close: Function, isOpen: Function}}
+ */
+export function createDialog(element, options = {}) {
+    const { onEscape, labelledBy, label, initialFocus } = options;
+
+    element.setAttribute('role', 'dialog');
+    element.setAttribute('aria-modal', 'true');
+    if (labelledBy) element.setAttribute('aria-labelledby', labelledBy);
+    if (label) element.setAttribute('aria-label', label);
+    if (!element.hasAttribute('tabindex')) element.tabIndex = -1;
+
+    let returnFocus = null;
+
+    const dialog = {
+        element,
+        onEscape: onEscape || (() => dialog.close()),
+
+        /**
+         * Trap focus in the dialog and move focus into it
+         */
+        open() {
+            if (dialog.isOpen()) return;
+
+            returnFocus = document.activeElement;
+            dialogStack.push(dialog);
+            if (dialogStack.length === 1) {
+                document.addEventListener('keydown', handleDialogKeydown);
+            }
+
+            const target = typeof initialFocus === 'string'
+                ? element.querySelector(initialFocus)
+                : initialFocus;
+            (target || getFocusableElements(element)[0] || element).focus();
+        },
+
+        /**
+         * Release the focus trap
+         * @param {Object} [closeOptions]
+         * @param {boolean} [closeOptions.restoreFocus=true] - Return focus to where it was before opening
+         */
+        close(closeOptions = {}) {
+            const { restoreFocus = true } = closeOptions;
+            const index = dialogStack.indexOf(dialog);
+            if (index === -1) return;
+
+            dialogStack.splice(index, 1);
+            if (dialogStack.length === 0) {
+                document.removeEventListener('keydown', handleDialogKeydown);
+            }
+
+            if (restoreFocus && returnFocus?.isConnected) {
+                returnFocus.focus();
+            }
+            returnFocus = null;
+        },
+
+        /**
+         * @returns {boolean} Whether the dialog is currently trapping focus
+         */
+        isOpen() {
+            return dialogStack.includes(dialog);
+        }
+    };
+
+    return dialog;
+}
+
+// ============================================
+// MOBILE NAVIGATION
+// ============================================
+
+let mobileNavDialog = null;
+
+/**
+ * Open or close the mobile navigation overlay
+ * @param {boolean} [open] - Force a state; toggles when omitted
+ */
+export function toggleMobileNav(open) {
+    const menuButton = document.getElementById('mobile-menu-btn');
+    const mobileNav = document.getElementById('mobile-nav');
+    if (!mobileNav) return;
+
+    // Each page brings its own overlay, so the dialog follows the current one
+    if (mobileNavDialog?.element !== mobileNav) {
+        mobileNavDialog?.close({ restoreFocus: false });
+        mobileNavDialog = createDialog(mobileNav, {
+            onEscape: () => toggleMobileNav(false)
+        });
+    }
+
+    const isOpen = open ?? !mobileNav.classList.contains('active');
+    menuButton?.classList.toggle('active', isOpen);
+    menuButton?.setAttribute('aria-expanded', String(isOpen));
+    mobileNav.classList.toggle('active', isOpen);
+    document.body.classList.toggle('mobile-nav-open', isOpen);
+
+    if (isOpen) {
+        mobileNavDialog.open();
+    } else {
+        mobileNavDialog.close();
+    }
+}
+
+/**
+ * Wire up the hamburger button, close button and overlay links
+ * Listens on the document so it keeps working after the router swaps pages.
+ */
+function initMobileNav() {
+    document.addEventListener('click', (event) => {
+        if (event.target.closest('#mobile-menu-btn, #mobile-nav-close')) {
+            toggleMobileNav();
+        } else if (event.target.closest('#mobile-nav a')) {
+            toggleMobileNav(false);
+        }
+    });
+}
+
+// ============================================
+// ROUTER
+// ============================================
+
+/**
+ * Body elements that survive a client-side navigation (besides scripts):
+ * the star field and overlays created by core.js and admin-mode.js
+ */
+const ROUTER_PERSIST = '.shooting-star, #data-diagnostics, #update-prompt, #admin-toolbar, #admin-notification, #command-palette';
+
+const pageLeaveCallbacks = new Set();
+let routerNavigating = false;
+let navigationId = 0;
+let renderedPath = null;
+let scrollSaveTimer = null;
+
+/**
+ * Find the nav item the router can render for a URL
+ * Matches with or without the .html extension, since some hosts strip it.
+ * @param {URL} url - Target URL
+ * @returns {Object|null} Navigation item with a module, or null
+ */
+function findRoute(url) {
+    if (url.origin !== window.location.origin) return null;
+
+    const page = (url.pathname.split('/').pop() || 'index.html').replace(/\.html$/, '');
+    return getNavItems().find(item => item.module && !item.external && item.href.replace(/\.html$/, '') === page) || null;
+}
+
+/**
+ * Run a page module's init function once the DOM is ready
+ * Page modules call this instead of listening for DOMContentLoaded. Init waits
+ * for the locale bundles, so t() is safe to call while rendering. When the
+ * router imports a module it calls the init export itself, so this does nothing.
+ * @param {Function} init - Page init function
+ */
+export function onPageReady(init) {
+    if (routerNavigating || !hasDocument) return;
+
+    // Content renders asynchronously, so the browser's own jump to #id usually misses
+    const run = () => localeReady.then(() => init()).then(() => scrollToHashTarget());
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', run, { once: true });
+    } else {
+        run();
+    }
+}
+
+/**
+ * Scroll the element named by the URL hash into view
+ * @param {URL|Location} [url] - URL to read the hash from
+ * @returns {boolean} Whether a target was found
+ */
+function scrollToHashTarget(url = window.location) {
+    if (!url.hash) return false;
+
+    const target = document.getElementById(decodeHash(url.hash));
+    target?.scrollIntoView();
+    return Boolean(target);
+}
+
+/**
+ * Register cleanup to run when the router navigates away from the current page
+ * @param {Function} callback - Cleanup function
+ */
+export function onPageLeave(callback) {
+    pageLeaveCallbacks.add(callback);
+}
+
+/**
+ * Run and clear the current page's cleanup callbacks
+ */
+function leavePage() {
+    pageLeaveCallbacks.forEach(callback => {
+        try {
+            callback();
+        } catch (error) {
+            console.error('[ROUTER] Page cleanup failed:', error);
+        }
+    });
+    pageLeaveCallbacks.clear();
+}
+
+/**
+ * Fill page containers by id
+ * Renderers describe their page as { containerId: markup }; scripts/prerender.mjs
+ * writes the same map into the HTML at build time.
+ * @param {Object<string, SafeHtml|string|null>} sections - Markup per container id (null leaves it alone)
+ */
+export function renderSections(sections) {
+    Object.entries(sections).forEach(([id, markup]) => {
+        const container = document.getElementById(id);
+        if (container && markup !== null) {
+            container.innerHTML = markup;
+        }
+    });
+}
+
+/**
+ * Item a prerendered detail page was built for (<main data-item="ID-9482">)
+ * scripts/prerender.mjs writes one page per project and lab note; renderers
+ * show that item when the URL has no #hash of its own.
+ * @returns {string|null} Item id
+ */
+export function getPageItem() {
+    return document.querySelector('main')?.dataset.item || null;
+}
+
+/**
+ * Decode a URL hash, without the '#'
+ * A malformed escape (a stray "%" typed or pasted into the URL) is kept as is
+ * rather than throwing.
+ * @param {string} hash - Hash as it appears in the URL
+ * @returns {string} Decoded hash
+ */
+export function decodeHash(hash) {
+    const raw = hash.replace(/^#/, '');
+    try {
+        return decodeURIComponent(raw);
+    } catch {
+        return raw;
+    }
+}
+
+/**
+ * Read the view state a page keeps in its URL
+ * @returns {{params: URLSearchParams, hash: string}} Query params and the decoded hash (without '#')
+ */
+export function getUrlState() {
+    return {
+        params: new URLSearchParams(window.location.search),
+        hash: decodeHash(window.location.hash)
+    };
+}
+
+/**
+ * Record a change of view (selected item, filter, open slide) in the URL
+ * Pushes a history entry by default so back/forward step through views.
+ * @param {Object} changes - What to change; omitted parts stay as they are
+ * @param {Object<string, string|number|null>} [changes.params] - Query params to set (null removes)
+ * @param {string|null} [changes.hash] - New hash (null removes)
+ * @param {Object} options - Update options
+ * @param {boolean} options.replace - Replace the current entry instead of pushing
+ */
+export function setUrlState(changes, options = {}) {
+    const url = new URL(window.location.href);
+
+    Object.entries(changes.params || {}).forEach(([key, value]) => {
+        if (value === null || value === undefined || value === '') {
+            url.searchParams.delete(key);
+        } else {
+            url.searchParams.set(key, String(value));
+        }
+    });
+
+    if (changes.hash !== undefined) {
+        url.hash = changes.hash ? encodeURIComponent(changes.hash) : '';
+    }
+
+    if (url.href === window.location.href) return;
+
+    if (options.replace) {
+        history.replaceState(history.state, '', url.href);
+    } else {
+        saveScrollPosition();
+        history.pushState({ scrollY: window.scrollY }, '', url.href);
+    }
+}
+
+/**
+ * Call back when back/forward changes the current page's URL state
+ * Only fires while the page is showing; the listener is removed when the
+ * router leaves it. Hashes from in-page anchors arrive here too.
+ * @param {Function} callback - Called with getUrlState()
+ */
+export function onUrlStateChange(callback) {
+    const path = window.location.pathname;
+    const listener = () => {
+        if (window.location.pathname === path) {
+            callback(getUrlState());
+        }
+    };
+
+    window.addEventListener('popstate', listener);
+    onPageLeave(() => window.removeEventListener('popstate', listener));
+}
+
+/**
+ * Remember the scroll position on the current history entry
+ */
+function saveScrollPosition() {
+    history.replaceState({ ...history.state, scrollY: window.scrollY }, '');
+}
+
+/**
+ * Replace the current page's content with another page's
+ * Everything in <body> is swapped except scripts and ROUTER_PERSIST, so page
+ * specific headers, backgrounds, styles and footers come along with <main>.
+ * @param {Document} doc - Parsed target page
+ */
+function swapPage(doc) {
+    const body = document.body;
+
+    document.title = doc.title;
+    const description = doc.querySelector('meta[name="description"]')?.getAttribute('content');
+    if (description) {
+        document.querySelector('meta[name="description"]')?.setAttribute('content', description);
+    }
+
+    // Canonical URL, Open Graph tags and JSON-LD written by scripts/prerender.mjs
+    document.head.querySelectorAll('[data-seo]').forEach(element => element.remove());
+    document.head.append(...[...doc.head.querySelectorAll('[data-seo]')].map(element => document.adoptNode(element)));
+
+    [...body.children]
+        .filter(element => element.tagName !== 'SCRIPT' && !element.matches(ROUTER_PERSIST))
+        .forEach(element => element.remove());
+
+    const incoming = [...doc.body.children].filter(element => element.tagName !== 'SCRIPT');
+    body.prepend(...incoming.map(element => document.adoptNode(element)));
+
+    body.className = doc.body.className;
+    body.removeAttribute('style');
+
+    renderNavigation();
+    renderHeaderControls();
+    applyTranslations();
+    renderLocaleSwitchers();
+    syncThemeChrome();
+}
+
+/**
+ * Move focus to the new page's main region so keyboard and screen reader
+ * users start at the content rather than the top of the document
+ */
+function focusMainContent() {
+    const main = document.querySelector('main');
+    if (!main) return;
+
+    if (!main.hasAttribute('tabindex')) {
+        main.setAttribute('tabindex', '-1');
+    }
+    main.focus({ preventScroll: true });
+}
+
+/**
+ * Navigate to a page without reloading the shell
+ * Falls back to a normal page load when the target isn't routable or fails to load.
+ * @param {string} href - Target URL (relative to the current page)
+ * @param {Object} options - Navigation options
+ * @param {boolean} options.push - Add a history entry (false for back/forward)
+ * @param {number} [options.scrollY] - Scroll position to restore
+ * @returns {Promise<void>}
+ */
+export async function navigate(href, options = {}) {
+    const { push = true, scrollY = null } = options;
+    const url = new URL(href, window.location.href);
+    const route = findRoute(url);
+
+    if (!route || renderedPath === null) {
+        window.location.assign(url.href);
+        return;
+    }
+
+    const id = ++navigationId;
+
+    try {
+        const response = await fetch(url.href);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        const doc = new DOMParser().parseFromString(await response.text(), 'text/html');
+
+        // A newer navigation started while this page was loading
+        if (id !== navigationId) return;
+
+        if (push) {
+            saveScrollPosition();
+            history.scrollRestoration = 'manual';
+            history.pushState({ scrollY: 0 }, '', url.href);
+        }
+        renderedPath = url.pathname;
+
+        leavePage();
+        swapPage(doc);
+        window.dispatchEvent(new CustomEvent('router:navigate', { detail: { href: url.href, route } }));
+
+        routerNavigating = true;
+        let pageModule;
+        try {
+            pageModule = await import(`./${route.module}`);
+        } finally {
+            routerNavigating = false;
+        }
+        await pageModule[route.init]?.();
+
+        if (id !== navigationId) return;
+
+        if (scrollY !== null) {
+            window.scrollTo(0, scrollY);
+        } else if (!scrollToHashTarget(url)) {
+            window.scrollTo(0, 0);
+        }
+        focusMainContent();
+
+        console.log(`[ROUTER] Rendered ${route.href}`);
+    } catch (error) {
+        console.warn(`[ROUTER] Falling back to a full load of ${url.href}:`, error.message);
+        window.location.assign(url.href);
+    }
+}
+
+/**
+ * Intercept clicks on links to routable pages
+ * @param {MouseEvent} event - Click event
+ */
+function handleLinkClick(event) {
+    if (event.defaultPrevented || event.button !== 0) return;
+    if (event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return;
+
+    const link = event.target.closest('a[href]');
+    if (!link || link.hasAttribute('download')) return;
+    if (link.target && link.target !== '_self') return;
+
+    const url = new URL(link.href, window.location.href);
+    if (!findRoute(url)) return;
+
+    // In-page anchors are left to the browser
+    if (url.hash && url.pathname === window.location.pathname && url.search === window.location.search) return;
+
+    event.preventDefault();
+    navigate(url.href);
+}
+
+/**
+ * Re-render on back/forward between routed pages
+ */
+function handlePopState(event) {
+    // Hash changes and query updates made by the page itself stay on the same page
+    if (window.location.pathname === renderedPath) return;
+
+    navigate(window.location.href, { push: false, scrollY: event.state?.scrollY ?? null });
+}
+
+/**
+ * Start handling navigation between routed pages
+ * Only runs on routed pages; everything else (and every page without
+ * JavaScript) keeps working as plain multi-page links. Routes come from
+ * data/navigation.json, so links do full loads until it has arrived.
+ * @returns {Promise<void>}
+ */
+async function startRouter() {
+    await navReady;
+    if (!window.history?.pushState || !findRoute(new URL(window.location.href))) return;
+
+    renderedPath = window.location.pathname;
+
+    document.addEventListener('click', handleLinkClick);
+    window.addEventListener('popstate', handlePopState);
+    window.addEventListener('scroll', () => {
+        clearTimeout(scrollSaveTimer);
+        scrollSaveTimer = setTimeout(saveScrollPosition, 150);
+    }, { passive: true });
+}
+
+// ============================================
+// LOCALIZATION
+// ============================================
+
+/**
+ * UI strings live in locales/<locale>.json as flat "area.name" keys and are
+ * read with t(). Data files may give any text field as {"en": …, "ml": …}
+ * instead of a string; loadJSON() hands renderers the active locale's text.
+ * English is the fallback for both. Static page text is translated through
+ * data-i18n attributes (data-i18n-label / data-i18n-placeholder for
+ * aria-label and placeholder).
+ */
+
+export const SUPPORTED_LOCALES = {
+    en: 'English',
+    ml: 'മലയാളം'
+};
+
+const DEFAULT_LOCALE = 'en';
+const LOCALE_STORAGE_KEY = 'portfolio_locale';
+const LOCALE_CODE = /^[a-z]{2,3}(?:-[A-Z]{2})?$/;
+
+const bundles = {};
+let currentLocale = detectLocale();
+let localeReady = loadBundles();
+
+/**
+ * Pick the locale: saved choice, then the browser's languages, then English
+ * @returns {string} Locale code
+ */
+function detectLocale() {
+    try {
+        const stored = localStorage.getItem(LOCALE_STORAGE_KEY);
+        if (SUPPORTED_LOCALES[stored]) return stored;
+    } catch {
+        // Storage unavailable, fall through to the browser language
+    }
+
+    const preferred = (globalThis.navigator?.languages || [globalThis.navigator?.language])
+        .map(tag => String(tag).split('-')[0].toLowerCase());
+    return preferred.find(lang => SUPPORTED_LOCALES[lang]) || DEFAULT_LOCALE;
+}
+
+/**
+ * Load the active locale's bundle (and English to fall back on)
+ * @returns {Promise<void>}
+ */
+async function loadBundles() {
+    const locales = [...new Set([DEFAULT_LOCALE, currentLocale])].filter(locale => !bundles[locale]);
+    const loaded = await Promise.all(locales.map(locale => loadCached(`../locales/${locale}.json`, 'json')));
+    locales.forEach((locale, i) => {
+        bundles[locale] = loaded[i] || {};
+    });
+    locales.forEach(reportMissingTranslations);
+
+    if (hasDocument) document.documentElement.lang = currentLocale;
+}
+
+/**
+ * Warn about English strings a locale bundle doesn't have
+ * t() shows those in English, so a missed key is easy to overlook.
+ * @param {string} locale - Loaded locale code
+ */
+function reportMissingTranslations(locale) {
+    const fallback = bundles[DEFAULT_LOCALE];
+    if (locale === DEFAULT_LOCALE || !fallback) return;
+
+    const missing = Object.keys(fallback).filter(key => bundles[locale][key] === undefined);
+    if (missing.length > 0) {
+        console.warn(`[I18N] ${locale}.json is missing ${missing.length} of ${DEFAULT_LOCALE}.json's keys: ${missing.join(', ')}`);
+    }
+}
+
+/**
+ * Get the active locale
+ * @returns {string} Locale code
+ */
+export function getLocale() {
+    return currentLocale;
+}
 
 /**
- * Get cached data from memory or localStorage
- * @param {string} key - Cache key
- * @returns {any|null} Cached data or null
+ * Check whether a UI string exists in the active or fallback bundle
+ * @param {string} key - String key
+ * @returns {boolean}
  */
-function getCachedData(key) {
-    // Check memory cache first (fastest)
-    if (memoryCache.has(key)) {
-        const { data, timestamp } = memoryCache.get(key);
-        if (Date.now() - timestamp < CACHE_TTL) {
-            return data;
-        }
-        memoryCache.delete(key);
-    }
+function hasTranslation(key) {
+    return bundles[currentLocale]?.[key] !== undefined || bundles[DEFAULT_LOCALE]?.[key] !== undefined;
+}
 
-    // Check localStorage (persists across page navigations)
-    try {
-        const stored = localStorage.getItem(`portfolio_${CACHE_VERSION}_${key}`);
-        if (stored) {
-            const { data, timestamp } = JSON.parse(stored);
-            if (Date.now() - timestamp < CACHE_TTL) {
-                // Restore to memory cache for faster subsequent access
-                memoryCache.set(key, { data, timestamp });
-                return data;
-            }
-            // Clean up expired data
-            localStorage.removeItem(`portfolio_${CACHE_VERSION}_${key}`);
-        }
-    } catch (e) {
-        // localStorage may be unavailable or full
+/**
+ * Translate a UI string
+ * @example t('experience.empty') // "No entries found for this filter"
+ * @example t('palette.noMatches', { query }) // "No matches for "{query}""
+ * @param {string} key - String key
+ * @param {Object<string, string|number>} [params] - Values for {name} placeholders
+ * @returns {string} Translated string (the key itself if no bundle has it)
+ */
+export function t(key, params = {}) {
+    const template = bundles[currentLocale]?.[key] ?? bundles[DEFAULT_LOCALE]?.[key] ?? key;
+    return template.replace(/\{(\w+)\}/g, (match, name) => String(params[name] ?? match));
+}
+
+/**
+ * Whether a value is a per-locale text map like {"en": "…", "ml": "…"}
+ * @param {any} value - Value to check
+ * @returns {boolean}
+ */
+function isTranslationMap(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value)
+        && typeof value[DEFAULT_LOCALE] === 'string'
+        && Object.entries(value).every(([code, text]) => LOCALE_CODE.test(code) && typeof text === 'string');
+}
+
+/**
+ * Resolve translated fields to the active locale, anywhere in a value
+ * @param {any} value - Data as stored in a data file
+ * @returns {any} Data with plain strings
+ */
+export function localize(value) {
+    if (isTranslationMap(value)) {
+        return value[currentLocale] || value[DEFAULT_LOCALE];
+    }
+    if (Array.isArray(value)) {
+        return value.map(localize);
     }
+    if (value !== null && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, localize(item)]));
+    }
+    return value;
+}
 
-    return null;
+/**
+ * Format a data-file date for the active locale
+ * Understands "2024", "2025.04", "2026-01-26" and ranges joined with " - "
+ * ("2025.04 - PRESENT"); anything else is returned as written.
+ * @param {string} value - Date text
+ * @returns {string} Localized date
+ */
+export function formatDate(value) {
+    return String(value ?? '').split(/\s+-\s+/).map(part => {
+        if (/^present$/i.test(part)) return t('date.present');
+
+        const match = part.match(/^(\d{4})(?:[.-](\d{2}))?(?:[.-](\d{2}))?$/);
+        if (!match) return part;
+
+        const [, year, month, day] = match;
+        const date = new Date(Date.UTC(Number(year), Number(month || 1) - 1, Number(day || 1)));
+        return new Intl.DateTimeFormat(currentLocale, {
+            year: 'numeric',
+            month: month ? 'short' : undefined,
+            day: day ? 'numeric' : undefined,
+            timeZone: 'UTC'
+        }).format(date);
+    }).join(' – ');
 }
 
 /**
- * Store data in cache (both memory and localStorage)
- * @param {string} key - Cache key
- * @param {any} data - Data to cache
+ * Translate static text marked with data-i18n attributes
+ * Elements whose key no bundle has are left as written in the page.
+ * @param {ParentNode} [root] - Subtree to translate
+ */
+export function applyTranslations(root = document) {
+    const targets = [
+        ['data-i18n', (el, text) => { el.textContent = text; }],
+        ['data-i18n-label', (el, text) => el.setAttribute('aria-label', text)],
+        ['data-i18n-placeholder', (el, text) => el.setAttribute('placeholder', text)]
+    ];
+
+    targets.forEach(([attribute, apply]) => {
+        root.querySelectorAll(`[${attribute}]`).forEach(el => {
+            const key = el.getAttribute(attribute);
+            if (hasTranslation(key)) apply(el, t(key));
+        });
+    });
+}
+
+/**
+ * Fill the header language menus ([data-locale-switcher] selects)
+ */
+function renderLocaleSwitchers() {
+    document.querySelectorAll('select[data-locale-switcher]').forEach(select => {
+        select.innerHTML = html`${Object.entries(SUPPORTED_LOCALES).map(([code, name]) => html`
+            <option value="${code}" lang="${code}">${name}</option>
+        `)}`;
+        select.value = currentLocale;
+    });
+}
+
+/**
+ * Switch the UI language and re-render the current page in it
+ * @param {string} locale - Locale code from SUPPORTED_LOCALES
+ * @returns {Promise<void>}
  */
-function setCachedData(key, data) {
-    const timestamp = Date.now();
-    memoryCache.set(key, { data, timestamp });
+export async function setLocale(locale) {
+    if (!SUPPORTED_LOCALES[locale] || locale === currentLocale) return;
 
+    currentLocale = locale;
     try {
-        localStorage.setItem(
-            `portfolio_${CACHE_VERSION}_${key}`,
-            JSON.stringify({ data, timestamp })
-        );
-    } catch (e) {
-        // localStorage may be full or unavailable
+        localStorage.setItem(LOCALE_STORAGE_KEY, locale);
+    } catch {
+        // Private mode; the choice lasts until the page is reloaded
+    }
+
+    localeReady = loadBundles();
+    await localeReady;
+    console.log(`[I18N] Locale: ${locale}`);
+
+    // Renderers read strings while rendering, so render the page again
+    if (renderedPath !== null && findRoute(new URL(window.location.href))) {
+        navigate(window.location.href, { push: false, scrollY: window.scrollY });
+    } else {
+        window.location.reload();
     }
 }
 
 /**
- * Clear all portfolio cache data
+ * Translate the page once bundles load and follow the language menus
  */
-export function clearCache() {
-    memoryCache.clear();
-    try {
-        Object.keys(localStorage).forEach(key => {
-            if (key.startsWith('portfolio_')) {
-                localStorage.removeItem(key);
-            }
-        });
-    } catch (e) { }
-    console.log('[CACHE] Cleared');
+function initLocalization() {
+    localeReady.then(() => {
+        renderHeaderControls();
+        applyTranslations();
+        renderLocaleSwitchers();
+    });
+
+    document.addEventListener('change', (event) => {
+        if (event.target.matches('select[data-locale-switcher]')) {
+            setLocale(event.target.value);
+        }
+    });
 }
 
 // ============================================
-// UTILITY FUNCTIONS
+// THEME
 // ============================================
 
 /**
- * Fetch JSON data from a path (with caching)
- * @param {string} path - Path to JSON file
- * @returns {Promise<any>} Parsed JSON data
+ * Themes are token sets defined in tailwind-config.js, which also applies the
+ * saved (or OS-preferred) one before the first paint. This part switches them
+ * at runtime and keeps the header toggles in sync.
  */
-export async function loadJSON(path) {
-    // Check cache first
-    const cached = getCachedData(path);
-    if (cached) {
-        console.log(`[CACHE] Hit: ${path}`);
-        return cached;
-    }
 
-    try {
-        const response = await fetch(path);
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
+const THEME_STORAGE_KEY = 'portfolio_theme';
+const DEFAULT_THEME = 'terminal-dark';
+const THEMES = window.PORTFOLIO_THEMES || {};
+const prefersLight = window.matchMedia?.('(prefers-color-scheme: light)');
+
+/**
+ * Get the active color theme
+ * @returns {string} Theme name (a key of window.PORTFOLIO_THEMES)
+ */
+export function getTheme() {
+    return document.documentElement.dataset.theme || DEFAULT_THEME;
+}
+
+/**
+ * Names of the available themes, in toggle order
+ * @returns {string[]}
+ */
+export function getThemes() {
+    return Object.keys(THEMES);
+}
+
+/**
+ * Translated name of a theme
+ * @param {string} [theme] - Theme name (defaults to the active one)
+ * @returns {string} Label
+ */
+export function getThemeLabel(theme = getTheme()) {
+    const key = `theme.${theme}`;
+    return hasTranslation(key) ? t(key) : (THEMES[theme]?.label || theme);
+}
+
+/**
+ * Switch the color theme
+ * @param {string} theme - Theme name
+ * @param {Object} [options]
+ * @param {boolean} [options.persist=true] - Remember it (false when following the OS setting)
+ */
+export function setTheme(theme, { persist = true } = {}) {
+    if (!THEMES[theme]) return;
+
+    window.applyPortfolioTheme(theme);
+    syncThemeChrome();
+
+    if (persist) {
+        try {
+            localStorage.setItem(THEME_STORAGE_KEY, theme);
+        } catch {
+            // Private mode; the theme just won't stick
         }
-        const data = await response.json();
-        setCachedData(path, data);
-        console.log(`[CACHE] Miss, stored: ${path}`);
-        return data;
-    } catch (error) {
-        console.error(`[SYSTEM] Failed to load ${path}:`, error);
-        return null;
     }
+
+    window.dispatchEvent(new CustomEvent('theme:change', { detail: { theme } }));
+    console.log(`[THEME] ${theme}`);
 }
 
 /**
- * Fetch Markdown content from a path (with caching)
- * @param {string} path - Path to markdown file
- * @returns {Promise<string>} Raw markdown content
+ * Theme the header toggle switches to next
+ * @returns {string} Theme name
  */
-export async function loadMarkdown(path) {
-    // Check cache first
-    const cached = getCachedData(path);
-    if (cached) {
-        console.log(`[CACHE] Hit: ${path}`);
-        return cached;
-    }
+export function getNextTheme() {
+    const themes = getThemes();
+    return themes[(themes.indexOf(getTheme()) + 1) % themes.length];
+}
 
+/**
+ * Move to the next theme
+ */
+export function cycleTheme() {
+    setTheme(getNextTheme());
+}
+
+/**
+ * Whether the visitor has picked a theme themselves
+ * @returns {boolean}
+ */
+function hasSavedTheme() {
     try {
-        const response = await fetch(path);
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
-        }
-        const text = await response.text();
-        setCachedData(path, text);
-        console.log(`[CACHE] Miss, stored: ${path}`);
-        return text;
-    } catch (error) {
-        console.error(`[SYSTEM] Failed to load ${path}:`, error);
-        return null;
+        return THEMES[localStorage.getItem(THEME_STORAGE_KEY)] !== undefined;
+    } catch {
+        return false;
     }
 }
 
 /**
- * Simple markdown to HTML converter (basic support)
- * @param {string} markdown - Raw markdown text
- * @returns {string} HTML string
- */
-export function parseMarkdown(markdown) {
-    if (!markdown) return '';
-
-    return markdown
-        // Headers
-        .replace(/^### (.*$)/gim, '<h3 class="text-lg font-medium text-white mt-6 mb-2">$1</h3>')
-        .replace(/^## (.*$)/gim, '<h2 class="text-xl font-medium text-white mt-8 mb-3">$1</h2>')
-        .replace(/^# (.*$)/gim, '<h1 class="text-2xl font-medium text-white mb-4">$1</h1>')
-        // Bold and Italic
-        .replace(/\*\*\*(.*?)\*\*\*/g, '<strong><em>$1</em></strong>')
-        .replace(/\*\*(.*?)\*\*/g, '<strong class="text-white">$1</strong>')
-        .replace(/\*(.*?)\*/g, '<em>$1</em>')
-        // Code blocks
-        .replace(/```(\w+)?\n([\s\S]*?)```/g, '<pre class="bg-surface-dark border border-border-dark p-4 my-4 overflow-x-auto"><code class="text-sm font-mono text-gray-300">$2</code></pre>')
-        // Inline code
-        .replace(/`(.*?)`/g, '<code class="bg-surface-dark px-1 py-0.5 text-primary font-mono text-sm">$1</code>')
-        // Links
-        .replace(/\[(.*?)\]\((.*?)\)/g, '<a href="$2" class="text-primary hover:underline" target="_blank">$1</a>')
-        // Lists
-        .replace(/^\- (.*$)/gim, '<li class="text-gray-400 ml-4">$1</li>')
-        .replace(/^\d+\. (.*$)/gim, '<li class="text-gray-400 ml-4 list-decimal">$1</li>')
-        // Horizontal rule
-        .replace(/^---$/gim, '<hr class="border-border-dark my-6"/>')
-        // Paragraphs
-        .replace(/\n\n/g, '</p><p class="text-gray-400 leading-relaxed mb-4">')
-        // Line breaks
-        .replace(/\n/g, '<br/>');
+ * Update the browser chrome color and the header toggles for the active theme
+ */
+function syncThemeChrome() {
+    const background = THEMES[getTheme()]?.tokens['background-dark'];
+    if (background) {
+        document.querySelector('meta[name="theme-color"]')?.setAttribute('content', `rgb(${background})`);
+    }
+
+    document.querySelectorAll('[data-theme-toggle]').forEach(button => {
+        const label = getThemeLabel();
+        button.setAttribute('aria-label', t('header.theme', { theme: label }));
+        button.querySelectorAll('[data-theme-label]').forEach(el => {
+            el.textContent = label;
+        });
+    });
 }
 
 /**
- * Get status color class based on status string
- * @param {string} status - Status string
- * @returns {string} Tailwind color class
+ * Wire the header toggles and follow OS color scheme changes
  */
-export function getStatusColor(status) {
-    const statusMap = {
-        'DEPLOYED': 'text-emerald-500',
-        'deployed': 'text-emerald-500',
-        'EXPERIMENT': 'text-amber-500',
-        'experiment': 'text-amber-500',
-        'ARCHIVED': 'text-gray-500',
-        'archived': 'text-gray-500',
-        'training': 'text-emerald-500',
-        'live': 'text-emerald-500',
-        'prototype': 'text-gray-500',
-        'dormant': 'text-gray-500',
-        'research': 'text-blue-400'
-    };
-    return statusMap[status] || 'text-gray-500';
+function initTheme() {
+    if (!window.applyPortfolioTheme) return;
+
+    localeReady.then(syncThemeChrome);
+
+    document.addEventListener('click', (event) => {
+        if (event.target.closest('[data-theme-toggle]')) {
+            cycleTheme();
+        }
+    });
+
+    // Only while the visitor hasn't chosen a theme of their own
+    prefersLight?.addEventListener?.('change', (event) => {
+        if (!hasSavedTheme()) {
+            setTheme(event.matches ? 'light' : DEFAULT_THEME, { persist: false });
+        }
+    });
+}
+
+// ============================================
+// COMMAND PALETTE
+// ============================================
+
+/**
+ * Open the command palette (Ctrl+K / Cmd+K)
+ * The palette and its search index live in js/command-palette.js, which is
+ * only fetched the first time it's opened.
+ * @returns {Promise<void>}
+ */
+export async function openCommandPalette() {
+    toggleMobileNav(false);
+    const { openPalette } = await import('./command-palette.js');
+    openPalette();
 }
 
 /**
- * Get status background class
- * @param {string} status - Status string
- * @returns {string} Tailwind background class
+ * Listen for the palette shortcut and [data-command-palette] buttons
  */
-export function getStatusBgColor(status) {
-    const statusMap = {
-        'DEPLOYED': 'bg-emerald-500/10 border-emerald-500/20',
-        'deployed': 'bg-emerald-500/10 border-emerald-500/20',
-        'EXPERIMENT': 'bg-amber-500/10 border-amber-500/20',
-        'experiment': 'bg-amber-500/10 border-amber-500/20',
-        'training': 'bg-emerald-500/10 border-emerald-500/20',
-        'live': 'bg-emerald-500/10 border-emerald-500/20',
-        'research': 'bg-blue-500/10 border-blue-500/20'
-    };
-    return statusMap[status] || 'bg-gray-800 border-gray-700';
+function initCommandPalette() {
+    document.addEventListener('keydown', (event) => {
+        if ((event.ctrlKey || event.metaKey) && !event.altKey && event.key.toLowerCase() === 'k') {
+            event.preventDefault();
+            if (!document.getElementById('command-palette')) {
+                openCommandPalette();
+            }
+        }
+    });
+
+    document.addEventListener('click', (event) => {
+        if (event.target.closest('[data-command-palette]')) {
+            openCommandPalette();
+        }
+    });
 }
 
 // ============================================
-// BACKGROUND EFFECTS
+// ANALYTICS
 // ============================================
 
 /**
- * Create and inject background effect elements
+ * First-party page analytics
+ * Events are queued and sent in batches to functions/api/events.js, which
+ * keeps no IP addresses. Nothing is recorded when the browser sends Do Not
+ * Track or Global Privacy Control. There are no cookies; the session id only
+ * lives as long as the tab.
  */
-export function createBackground() {
-    const body = document.body;
 
-    // Grid background
-    const gridBg = document.createElement('div');
-    gridBg.className = 'grid-bg';
-    body.insertBefore(gridBg, body.firstChild);
+const ANALYTICS_ENDPOINT = '/api/events';
+const ANALYTICS_FLUSH_DELAY = 10000;
+const ANALYTICS_BATCH_SIZE = 20;
+const ANALYTICS_SESSION_KEY = 'portfolio_session';
+const SCROLL_MILESTONES = [25, 50, 75, 100];
 
-    // Gradient overlay
-    const gradientOverlay = document.createElement('div');
-    gradientOverlay.className = 'gradient-overlay';
-    body.insertBefore(gradientOverlay, body.firstChild.nextSibling);
+const analyticsQueue = [];
+let analyticsTimer = null;
 
-    // Scanline
-    const scanline = document.createElement('div');
-    scanline.className = 'scanline';
-    body.appendChild(scanline);
+/**
+ * Whether the visitor allows tracking
+ * @returns {boolean} False with Do Not Track or Global Privacy Control on
+ */
+function isTrackingAllowed() {
+    const dnt = navigator.doNotTrack ?? window.doNotTrack ?? navigator.msDoNotTrack;
+    return dnt !== '1' && dnt !== 'yes' && navigator.globalPrivacyControl !== true;
+}
 
-    // CRT overlay
-    const crtOverlay = document.createElement('div');
-    crtOverlay.className = 'crt-overlay';
-    body.appendChild(crtOverlay);
+/**
+ * Random id for this tab, kept in sessionStorage
+ * @returns {string} Session id
+ */
+function getSessionId() {
+    try {
+        let id = sessionStorage.getItem(ANALYTICS_SESSION_KEY);
+        if (!id) {
+            id = crypto.randomUUID?.() ?? Math.random().toString(36).slice(2);
+            sessionStorage.setItem(ANALYTICS_SESSION_KEY, id);
+        }
+        return id;
+    } catch {
+        return 'anonymous';
+    }
 }
 
-// ============================================
-// NAVIGATION
-// ============================================
+/**
+ * Record an analytics event
+ * Events go out in batches (every 10s, every 20 events, or when the tab is
+ * hidden), so calling this is cheap.
+ * @param {string} name - Event name (page_view, project_select, lab_note_open, resume_download, outbound_click, scroll_depth)
+ * @param {Object<string, string|number|boolean>} [props] - Flat event details
+ */
+export function track(name, props = {}) {
+    if (!isTrackingAllowed()) return;
+
+    analyticsQueue.push({ name, page: getCurrentPage(), props, ts: Date.now() });
+
+    if (analyticsQueue.length >= ANALYTICS_BATCH_SIZE) {
+        flushAnalytics();
+    } else if (!analyticsTimer) {
+        analyticsTimer = setTimeout(flushAnalytics, ANALYTICS_FLUSH_DELAY);
+    }
+}
 
 /**
- * Navigation configuration
+ * Send queued events to the events endpoint
+ * Uses sendBeacon so a batch survives the tab closing; failures are dropped.
  */
-export const NAV_ITEMS = [
-    { label: 'DASHBOARD', href: 'dashboard.html', icon: 'dashboard' },
-    { label: 'PROJECTS', href: 'projects.html', icon: 'deployed_code' },
-    { label: 'SKILLS', href: 'skills.html', icon: 'psychology' },
-    { label: 'EXPERIENCE', href: 'experience.html', icon: 'history_edu' },
-    { label: 'LAB', href: 'lab.html', icon: 'science' },
-    { label: 'CONTACT', href: 'contact.html', icon: 'mail' }
-];
+function flushAnalytics() {
+    clearTimeout(analyticsTimer);
+    analyticsTimer = null;
+    if (analyticsQueue.length === 0) return;
+
+    const body = JSON.stringify({ session: getSessionId(), events: analyticsQueue.splice(0) });
+
+    if (navigator.sendBeacon?.(ANALYTICS_ENDPOINT, new Blob([body], { type: 'application/json' }))) return;
+
+    fetch(ANALYTICS_ENDPOINT, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body,
+        keepalive: true
+    }).catch(() => {});
+}
 
 /**
- * Get current page from URL
- * @returns {string} Current page filename
+ * Report how far a scrolling element has been read (25/50/75/100%)
+ * Each milestone is sent once.
+ * @param {HTMLElement|Window} scroller - Element that scrolls
+ * @param {Object} [props] - Extra event details (e.g. { project: id })
+ * @returns {Function} Stops tracking
  */
-export function getCurrentPage() {
-    const path = window.location.pathname;
-    const filename = path.split('/').pop() || 'index.html';
-    return filename;
+export function trackScrollDepth(scroller, props = {}) {
+    const reached = new Set();
+
+    const onScroll = () => {
+        const element = scroller === window ? document.documentElement : scroller;
+        const scrollTop = scroller === window ? window.scrollY : scroller.scrollTop;
+        const scrollable = element.scrollHeight - element.clientHeight;
+        const depth = scrollable > 0 ? (scrollTop / scrollable) * 100 : 100;
+
+        SCROLL_MILESTONES
+            .filter(milestone => depth >= milestone && !reached.has(milestone))
+            .forEach(milestone => {
+                reached.add(milestone);
+                track('scroll_depth', { ...props, depth: milestone });
+            });
+    };
+
+    scroller.addEventListener('scroll', onScroll, { passive: true });
+    return () => scroller.removeEventListener('scroll', onScroll);
 }
 
 /**
- * Create navigation HTML
- * @param {string} currentPage - Current page filename
- * @returns {string} Navigation HTML
- */
-export function createNavigation(currentPage) {
-    return NAV_ITEMS.map(item => {
-        const isActive = currentPage === item.href;
-        return `
-            <a href="${item.href}" 
-               class="nav-link px-4 py-1.5 rounded-full text-xs font-mono font-medium transition-colors
-                      ${isActive
-                ? 'bg-primary/10 text-primary border border-primary/20'
-                : 'hover:bg-white/5 text-gray-400 hover:text-white'}">
-                ${item.label}
-            </a>
-        `;
-    }).join('');
+ * Track resume downloads and links that leave the site
+ * @param {MouseEvent} event - Click event
+ */
+function handleTrackedClick(event) {
+    const link = event.target.closest?.('a[href]');
+    if (!link) return;
+
+    const url = new URL(link.href, window.location.href);
+
+    if (/\/resume\/[^/]+\.pdf$/i.test(url.pathname)) {
+        track('resume_download', { source: link.dataset.trackLabel || getCurrentPage() });
+    } else if (url.origin !== window.location.origin && /^https?:$/.test(url.protocol)) {
+        track('outbound_click', {
+            url: `${url.hostname}${url.pathname}`,
+            ...(link.dataset.trackLabel ? { label: link.dataset.trackLabel } : {})
+        });
+    }
+}
+
+/**
+ * Record page views (including router swaps) and flush when the tab is hidden
+ */
+function initAnalytics() {
+    if (!isTrackingAllowed()) {
+        console.log('[ANALYTICS] Disabled (Do Not Track)');
+        return;
+    }
+
+    // Only the referring site, never the full URL
+    const referrer = document.referrer ? new URL(document.referrer) : null;
+    track('page_view', referrer && referrer.origin !== window.location.origin ? { referrer: referrer.hostname } : {});
+
+    window.addEventListener('router:navigate', () => track('page_view'));
+    document.addEventListener('click', handleTrackedClick, true);
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') flushAnalytics();
+    });
+    window.addEventListener('pagehide', flushAnalytics);
 }
 
 // ============================================
-// HEADER COMPONENT
+// HEADER CONTROLS
 // ============================================
 
 /**
- * Create and inject the standard header
- * @param {Object} options - Header options
+ * Search, language and theme controls and the status chips
+ * Pages only mark where they go with [data-controls="header|drawer|status"],
+ * like the nav links, so a new control is one edit here. `status` is the
+ * chips alone, for the landing page.
+ * @param {string} placement - header, drawer or status
+ * @returns {SafeHtml} Controls markup
  */
-export function createHeader(options = {}) {
-    const {
-        title = 'ROOT@SYSTEM:~',
-        showNav = true,
-        showStatus = true
-    } = options;
+export function createHeaderControls(placement) {
+    const themeLabel = getThemeLabel(hasDocument ? getTheme() : DEFAULT_THEME);
+    const localeOptions = html`${Object.entries(SUPPORTED_LOCALES).map(([code, name]) => html`
+        <option value="${code}" lang="${code}" ${code === currentLocale ? html`selected` : ''}>${name}</option>
+    `)}`;
 
-    const currentPage = getCurrentPage();
+    if (placement === 'drawer') {
+        return html`
+            <button type="button" class="mobile-nav-search" data-command-palette>${t('nav.search')}</button>
+            <button type="button" class="mobile-nav-theme" data-theme-toggle aria-label="${t('header.theme', { theme: themeLabel })}">
+                <span class="material-symbols-outlined text-base align-middle">contrast</span>
+                <span data-theme-label>${themeLabel}</span>
+            </button>
+            <select class="mobile-nav-locale" data-locale-switcher aria-label="${t('header.language')}">${localeOptions}</select>
+        `;
+    }
 
-    const headerHTML = `
-        <header class="fixed top-0 left-0 right-0 z-40 w-full flex items-center justify-between border-b border-border-dark bg-background-dark/90 backdrop-blur-md px-6 h-14">
-            <div class="flex items-center gap-4 text-primary">
-                <a href="index.html" class="flex items-center gap-2 hover:opacity-80 transition-opacity">
-                    <span class="material-symbols-outlined text-lg">terminal</span>
-                    <span class="text-xs font-mono font-bold tracking-widest text-white">${title}</span>
-                </a>
-            </div>
-            ${showNav ? `
-                <div class="hidden md:flex items-center gap-1 bg-surface-dark border border-border-dark rounded-full px-1 p-1">
-                    ${createNavigation(currentPage)}
-                </div>
-            ` : ''}
-            ${showStatus ? `
-                <div class="flex items-center gap-6">
-                    <div class="hidden md:flex items-center gap-2 text-[10px] font-mono text-gray-500">
-                        <span class="w-1.5 h-1.5 bg-emerald-500 rounded-full animate-pulse"></span>
-                        <span>SYSTEM_NORMAL</span>
-                    </div>
-                    <div class="text-[10px] font-mono text-primary font-bold border border-primary/20 px-2 py-0.5 rounded bg-primary/5">
-                        SECURE
-                    </div>
-                </div>
-            ` : ''}
-        </header>
+    const status = html`
+        <div class="flex items-center gap-2 text-[10px] font-mono text-gray-500">
+            <span class="w-1.5 h-1.5 bg-emerald-500 rounded-full animate-pulse"></span>
+            <span>SYSTEM_NORMAL</span>
+        </div>
+        <div class="flex items-center gap-2 text-[10px] font-mono text-gray-500">
+            <span class="material-symbols-outlined text-sm">wifi</span>
+            <span>UPLINK_ESTABLISHED</span>
+        </div>
+        <div class="text-[10px] font-mono text-primary font-bold border border-primary/20 px-2 py-0.5 rounded bg-primary/5">
+            SECURE
+        </div>
+    `;
+    if (placement === 'status') return status;
+
+    return html`
+        <button type="button" data-command-palette aria-label="${t('header.search')}" aria-keyshortcuts="Control+K Meta+K"
+                class="flex items-center gap-2 text-[10px] font-mono text-gray-500 hover:text-white border border-border-dark hover:border-primary/40 rounded px-2 py-0.5 fast-transition">
+            <span class="material-symbols-outlined text-sm">search</span>
+            <kbd class="font-mono">CTRL K</kbd>
+        </button>
+        <select data-locale-switcher aria-label="${t('header.language')}" class="locale-switcher">${localeOptions}</select>
+        <button type="button" data-theme-toggle aria-label="${t('header.theme', { theme: themeLabel })}"
+                class="flex items-center gap-1.5 text-[10px] font-mono uppercase text-gray-500 hover:text-white fast-transition">
+            <span class="material-symbols-outlined text-sm">contrast</span>
+            <span data-theme-label>${themeLabel}</span>
+        </button>
+        ${status}
     `;
+}
 
-    document.body.insertAdjacentHTML('afterbegin', headerHTML);
+/**
+ * Fill every [data-controls] slot on the page
+ * Runs once the strings are in; the controls' handlers are delegated, so
+ * filling a slot again is safe.
+ * @param {ParentNode} [root=document] - Where to look for slots
+ */
+function renderHeaderControls(root = document) {
+    root.querySelectorAll('[data-controls]').forEach(slot => {
+        slot.innerHTML = createHeaderControls(slot.dataset.controls);
+    });
 }
 
 // ============================================
@@ -372,33 +2747,39 @@ export function createFooterDecorations() {
 
 /**
  * Create and show boot screen animation
- * @param {string} message - Boot message to display
+ * Runs before the locale bundles may have loaded, so the first lines are
+ * written in English and translated once they arrive.
+ * @param {string} [message] - Boot message to display
  */
-export function showBootScreen(message = 'loading kernel...') {
-    const bootHTML = `
+export function showBootScreen(message) {
+    const bootHTML = html`
         <div id="boot-screen">
             <div class="w-64 flex flex-col gap-2">
                 <div class="flex justify-between text-[10px] font-mono text-primary tracking-widest uppercase">
-                    <span>System Boot</span>
+                    <span data-i18n="boot.title">System Boot</span>
                     <span>v2.4.0</span>
                 </div>
                 <div class="w-full h-[2px] bg-gray-900 overflow-hidden">
                     <div class="loader-bar h-full"></div>
                 </div>
                 <div class="font-mono text-[10px] text-gray-500 mt-1 boot-messages">
-                    <span class="block">${message}</span>
+                    ${message
+                        ? html`<span class="block">${message}</span>`
+                        : html`<span class="block" data-i18n="boot.loading">loading kernel...</span>`}
                 </div>
             </div>
         </div>
     `;
 
-    document.body.insertAdjacentHTML('afterbegin', bootHTML);
+    document.body.insertAdjacentHTML('afterbegin', bootHTML.toString());
+    const bootScreen = document.getElementById('boot-screen');
+    localeReady.then(() => applyTranslations(bootScreen));
 
-    // Add boot messages with delays
+    // Add boot messages with delays (all at once for reduced motion)
     const messages = [
-        { text: 'mounting volumes...', delay: 500 },
-        { text: 'verifying credentials...', delay: 1000 },
-        { text: 'access granted', delay: 1300, class: 'text-emerald-500' }
+        { key: 'boot.mounting', delay: 500 },
+        { key: 'boot.verifying', delay: 1000 },
+        { key: 'boot.granted', delay: 1300, class: 'text-emerald-500' }
     ];
 
     const container = document.querySelector('.boot-messages');
@@ -406,9 +2787,9 @@ export function showBootScreen(message = 'loading kernel...') {
         setTimeout(() => {
             const span = document.createElement('span');
             span.className = `block ${msg.class || ''}`;
-            span.textContent = msg.text;
+            span.textContent = t(msg.key);
             container.appendChild(span);
-        }, msg.delay);
+        }, prefersReducedMotion() ? 0 : msg.delay);
     });
 }
 
@@ -416,6 +2797,16 @@ export function showBootScreen(message = 'loading kernel...') {
 // INITIALIZATION
 // ============================================
 
+/**
+ * Wait for the UI strings and navigation config
+ * Page modules don't need this (onPageReady waits already); it's for code
+ * that renders without a page, like scripts/prerender.mjs.
+ * @returns {Promise<void>}
+ */
+export async function whenCoreReady() {
+    await Promise.all([localeReady, navReady]);
+}
+
 /**
  * Initialize core system components
  * @param {Object} options - Initialization options
@@ -423,9 +2814,7 @@ export function showBootScreen(message = 'loading kernel...') {
 export function initSystem(options = {}) {
     const {
         showBoot = false,
-        showHeader = true,
-        showFooter = true,
-        headerTitle = 'ROOT@SYSTEM:~'
+        showFooter = true
     } = options;
 
     // Wait for DOM
@@ -442,10 +2831,6 @@ export function initSystem(options = {}) {
 
         createBackground();
 
-        if (showHeader) {
-            createHeader({ title: headerTitle });
-        }
-
         if (showFooter) {
             createFooterDecorations();
         }
@@ -454,5 +2839,22 @@ export function initSystem(options = {}) {
     }
 }
 
+if (hasDocument) {
+    initLocalization();
+    initNavigation();
+    initTheme();
+    initMobileNav();
+    initCommandPalette();
+    initAnalytics();
+    startRouter();
+
+    // Register the offline worker once the page has loaded
+    if (document.readyState === 'complete') {
+        registerServiceWorker();
+    } else {
+        window.addEventListener('load', registerServiceWorker, { once: true });
+    }
+}
+
 // Auto-log system status
 console.log('[SYSTEM] Core module loaded');
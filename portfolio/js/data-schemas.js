@@ -0,0 +1,532 @@
+/**
+ * PORTFOLIO SYSTEM - DATA SCHEMAS
+ * Shape definitions for data/*.json and a small validator for them
+ *
+ * Schemas use a subset of JSON Schema keywords (type, required, properties,
+ * items, enum, minLength, minimum, maximum, pattern) plus `discriminator` /
+ * `variants` for arrays whose entries change shape based on a field, and
+ * `localized` for text that may be given per locale ({"en": "…", "ml": "…"}).
+ */
+
+// ============================================
+// SHARED FRAGMENTS
+// ============================================
+
+const nonEmptyString = { type: 'string', minLength: 1 };
+const stringList = { type: 'array', items: nonEmptyString };
+const text = { ...nonEmptyString, localized: true };
+const optionalText = { type: 'string', localized: true };
+const textList = { type: 'array', items: text };
+const slug = { type: 'string', pattern: '^[a-z0-9-]+$' };
+
+const LOCALE_CODE = /^[a-z]{2,3}(?:-[A-Z]{2})?$/;
+
+// ============================================
+// FILE SCHEMAS
+// ============================================
+
+const profileSchema = {
+    type: 'object',
+    required: ['name', 'title', 'bio', 'email', 'status', 'stats', 'socials', 'certificates'],
+    properties: {
+        name: nonEmptyString,
+        title: text,
+        tagline: optionalText,
+        url: { type: 'string', pattern: '^https?://.+/$' },
+        email: { type: 'string', pattern: '^[^@\\s]+@[^@\\s]+$' },
+        bio: text,
+        status: text,
+        systemId: { type: 'string' },
+        version: { type: 'string' },
+        stats: {
+            type: 'object',
+            required: ['projects', 'experience', 'hackathonsWon'],
+            properties: {
+                projects: { type: ['number', 'string'] },
+                experience: { type: ['number', 'string'] },
+                hackathonsWon: { type: ['number', 'string'] },
+                certificationsVerified: { type: ['number', 'string'] }
+            }
+        },
+        focusAreas: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['name', 'icon', 'level'],
+                properties: {
+                    name: text,
+                    icon: nonEmptyString,
+                    color: { type: 'string' },
+                    level: { type: 'number', minimum: 0, maximum: 100 }
+                }
+            }
+        },
+        currentlyExploring: textList,
+        socials: {
+            type: 'object',
+            required: ['github', 'linkedin'],
+            properties: {
+                github: { $ref: 'social' },
+                linkedin: { $ref: 'social' }
+            }
+        },
+        certificates: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['id', 'name', 'issuer', 'date'],
+                properties: {
+                    id: slug,
+                    name: nonEmptyString,
+                    issuer: nonEmptyString,
+                    date: { type: 'string' },
+                    link: { type: 'string' },
+                    icon: { type: 'string' },
+                    skills: stringList
+                }
+            }
+        }
+    },
+    definitions: {
+        social: {
+            type: 'object',
+            required: ['url', 'label'],
+            properties: {
+                url: { type: 'string', pattern: '^https?://' },
+                label: nonEmptyString
+            }
+        }
+    }
+};
+
+const projectCardProperties = {
+    id: nonEmptyString,
+    title: text,
+    status: { type: 'string', pattern: '^[A-Z_]+$' },
+    summary: text,
+    tags: stringList,
+    tech: stringList
+};
+
+const projectSchema = {
+    type: 'object',
+    required: ['id', 'title', 'status', 'summary', 'tags', 'tech', 'links'],
+    properties: {
+        ...projectCardProperties,
+        problem: optionalText,
+        architecture: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['step', 'title', 'description'],
+                properties: {
+                    step: nonEmptyString,
+                    title: text,
+                    description: optionalText
+                }
+            }
+        },
+        metrics: {
+            type: 'object',
+            additionalProperties: {
+                type: 'object',
+                required: ['label', 'value'],
+                properties: {
+                    label: text,
+                    value: { type: ['string', 'number'] }
+                }
+            }
+        },
+        links: {
+            type: 'object',
+            additionalProperties: { type: 'string' }
+        },
+        screenshots: { type: ['string', 'array'] },
+        details: optionalText,
+        lastUpdated: { type: 'string', pattern: '^\\d{4}-\\d{2}(-\\d{2})?$' }
+    }
+};
+
+const projectsSchema = { type: 'array', minItems: 1, items: projectSchema };
+
+// data/projects/index.json, generated by scripts/build-projects.mjs
+const projectIndexSchema = {
+    type: 'array',
+    minItems: 1,
+    items: {
+        type: 'object',
+        required: ['id', 'title', 'status', 'summary', 'tags', 'tech'],
+        properties: projectCardProperties
+    }
+};
+
+// Smaller copies of an image, for srcset
+const imageVariants = {
+    type: 'array',
+    items: {
+        type: 'object',
+        required: ['file', 'width'],
+        properties: {
+            file: { type: 'string', pattern: '^[^/\\\\]+$' },
+            width: { type: 'number', minimum: 1 }
+        }
+    }
+};
+
+// assets/projects/<folder>/screenshots.json, generated by scripts/build-images.mjs
+const screenshotsSchema = {
+    type: 'array',
+    items: {
+        type: 'object',
+        required: ['file', 'width', 'height', 'alt'],
+        properties: {
+            file: { type: 'string', pattern: '^[^/\\\\]+$' },
+            width: { type: 'number', minimum: 1 },
+            height: { type: 'number', minimum: 1 },
+            caption: optionalText,
+            alt: text,
+            placeholder: { type: 'string', pattern: '^data:image/png;base64,[A-Za-z0-9+/=]+$' },
+            variants: imageVariants,
+            card: { type: 'string', pattern: '^[^/\\\\]+\\.png$' }
+        }
+    }
+};
+
+// assets/logos/logos.json, generated by scripts/build-images.mjs
+const logosSchema = {
+    type: 'array',
+    items: {
+        type: 'object',
+        required: ['file', 'width', 'height'],
+        properties: {
+            file: { type: 'string', pattern: '^[^/\\\\]+$' },
+            width: { type: 'number', minimum: 1 },
+            height: { type: 'number', minimum: 1 },
+            variants: imageVariants
+        }
+    }
+};
+
+const experienceSchema = {
+    type: 'array',
+    items: {
+        type: 'object',
+        required: ['id', 'type', 'date', 'title', 'company'],
+        properties: {
+            id: slug,
+            type: { enum: ['work', 'achievement', 'opensource', 'certification', 'project'] },
+            date: nonEmptyString,
+            title: text,
+            company: nonEmptyString,
+            colorClass: { type: 'string' },
+            tech: stringList,
+            projects: stringList
+        },
+        discriminator: 'type',
+        variants: {
+            work: {
+                required: ['highlights'],
+                properties: { highlights: textList }
+            },
+            project: {
+                required: ['highlights'],
+                properties: { highlights: textList }
+            },
+            achievement: {
+                required: ['description'],
+                properties: { description: text, award: optionalText }
+            },
+            opensource: {
+                required: ['description'],
+                properties: {
+                    description: text,
+                    stats: { type: 'object' }
+                }
+            },
+            certification: {
+                required: ['validationNumber'],
+                properties: { validationNumber: nonEmptyString, certificate: slug }
+            }
+        }
+    }
+};
+
+const skillsSchema = {
+    type: 'object',
+    required: ['categories', 'proficiencyBars'],
+    properties: {
+        categories: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['id', 'title', 'icon', 'type'],
+                properties: {
+                    id: nonEmptyString,
+                    title: nonEmptyString,
+                    icon: nonEmptyString,
+                    type: { enum: ['list', 'tags', 'grid', 'list-prefixed', 'inline'] }
+                },
+                discriminator: 'type',
+                variants: {
+                    list: { required: ['items'], properties: { items: { $ref: 'namedItems' } } },
+                    tags: { required: ['items'], properties: { items: { $ref: 'namedItems' } } },
+                    'list-prefixed': { required: ['items'], properties: { items: { $ref: 'namedItems' } } },
+                    inline: { required: ['items'], properties: { items: stringList } },
+                    grid: {
+                        required: ['groups'],
+                        properties: {
+                            groups: {
+                                type: 'array',
+                                items: {
+                                    type: 'object',
+                                    required: ['label', 'items'],
+                                    properties: {
+                                        label: nonEmptyString,
+                                        items: { $ref: 'namedItems' }
+                                    }
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        },
+        proficiencyBars: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['name', 'percentage', 'color'],
+                properties: {
+                    name: nonEmptyString,
+                    percentage: { type: 'number', minimum: 0, maximum: 100 },
+                    color: nonEmptyString
+                }
+            }
+        }
+    },
+    definitions: {
+        namedItems: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['name'],
+                properties: { name: nonEmptyString, aliases: stringList }
+            }
+        }
+    }
+};
+
+const labSchema = {
+    type: 'array',
+    items: {
+        type: 'object',
+        required: ['id', 'title', 'status', 'statusLabel', 'icon', 'summary', 'interactive'],
+        properties: {
+            id: nonEmptyString,
+            title: text,
+            status: nonEmptyString,
+            statusLabel: text,
+            icon: nonEmptyString,
+            summary: text,
+            tech: stringList,
+            interactive: { type: 'boolean' },
+            colorTheme: { enum: ['primary', 'blue', 'neutral'] },
+            noteFile: { type: 'string', pattern: '\\.md$' },
+            date: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$' },
+            metadata: { type: 'object' }
+        }
+    }
+};
+
+const NAV_PLACEMENTS = ['header', 'drawer', 'footer', 'palette', 'shell'];
+
+const navigationSchema = {
+    type: 'object',
+    required: ['items'],
+    properties: {
+        items: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['id', 'label', 'href', 'icon'],
+                properties: {
+                    id: slug,
+                    label: text,
+                    href: nonEmptyString,
+                    icon: nonEmptyString,
+                    external: { type: 'boolean' },
+                    show: { type: 'array', items: { enum: NAV_PLACEMENTS } },
+                    module: { type: 'string', pattern: '\\.js$' },
+                    init: nonEmptyString
+                }
+            }
+        }
+    }
+};
+
+/**
+ * Schemas keyed by data file name
+ * `folder/*` covers every other file in a folder.
+ */
+export const DATA_SCHEMAS = {
+    'profile.json': profileSchema,
+    'projects.json': projectsSchema,
+    'projects/index.json': projectIndexSchema,
+    'projects/*': projectSchema,
+    'screenshots.json': screenshotsSchema,
+    'logos.json': logosSchema,
+    'experience.json': experienceSchema,
+    'skills.json': skillsSchema,
+    'lab.json': labSchema,
+    'navigation.json': navigationSchema
+};
+
+/**
+ * Look up the schema for a data path
+ * @param {string} path - Path or URL of a JSON file
+ * @returns {Object|null} Schema or null if the file has none
+ */
+export function getSchemaForPath(path) {
+    const [filename, folder] = String(path).split(/[?#]/)[0].split(/[\\/]/).reverse();
+    return DATA_SCHEMAS[`${folder}/${filename}`] || DATA_SCHEMAS[`${folder}/*`] || DATA_SCHEMAS[filename] || null;
+}
+
+// ============================================
+// VALIDATOR
+// ============================================
+
+/**
+ * Get the JSON type name of a value
+ * @param {any} value - Value to inspect
+ * @returns {string} JSON type name
+ */
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+/**
+ * Append a property name to a JSON path
+ * @param {string} path - Parent path
+ * @param {string} key - Property name
+ * @returns {string} Child path
+ */
+function childPath(path, key) {
+    return /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+}
+
+/**
+ * Validate a value against a schema
+ * @param {any} value - Value to validate
+ * @param {Object} schema - Schema to validate against
+ * @param {string} path - JSON path of the value (defaults to root)
+ * @param {Object} definitions - Named schemas available to $ref
+ * @returns {Array<{path: string, rule: string, message: string}>} Validation errors
+ */
+export function validate(value, schema, path = '$', definitions = schema.definitions || {}) {
+    const errors = [];
+    const fail = (rule, message) => errors.push({ path, rule, message });
+
+    if (schema.$ref) {
+        const target = definitions[schema.$ref];
+        if (!target) {
+            fail('$ref', `unknown schema reference "${schema.$ref}"`);
+            return errors;
+        }
+        return validate(value, target, path, definitions);
+    }
+
+    // Per-locale text: every translation is checked against the plain schema
+    if (schema.localized && typeOf(value) === 'object') {
+        const { localized, ...textSchema } = schema;
+        if (value.en === undefined) {
+            fail('localized', 'translations must include "en"');
+        }
+        Object.keys(value).forEach(key => {
+            if (!LOCALE_CODE.test(key)) {
+                errors.push({ path: childPath(path, key), rule: 'localized', message: `"${key}" is not a locale code` });
+            } else {
+                errors.push(...validate(value[key], textSchema, childPath(path, key), definitions));
+            }
+        });
+        return errors;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        fail('enum', `expected one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}, got ${JSON.stringify(value)}`);
+        return errors;
+    }
+
+    const actualType = typeOf(value);
+
+    if (schema.type) {
+        const allowed = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!allowed.includes(actualType)) {
+            fail('type', `expected ${allowed.join(' | ')}, got ${actualType}`);
+            return errors;
+        }
+    }
+
+    if (actualType === 'string') {
+        if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+            fail('minLength', schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            fail('pattern', `${JSON.stringify(value)} does not match /${schema.pattern}/`);
+        }
+    }
+
+    if (actualType === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            fail('minimum', `must be >= ${schema.minimum}, got ${value}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            fail('maximum', `must be <= ${schema.maximum}, got ${value}`);
+        }
+    }
+
+    if (actualType === 'array') {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            fail('minItems', `must contain at least ${schema.minItems} item(s)`);
+        }
+        if (schema.items) {
+            value.forEach((item, i) => {
+                errors.push(...validate(item, schema.items, `${path}[${i}]`, definitions));
+            });
+        }
+    }
+
+    if (actualType === 'object') {
+        // Merge the variant picked by the discriminator field into this schema
+        let required = schema.required || [];
+        let properties = schema.properties || {};
+
+        if (schema.discriminator && schema.variants) {
+            const variant = schema.variants[value[schema.discriminator]];
+            if (variant) {
+                required = [...required, ...(variant.required || [])];
+                properties = { ...properties, ...(variant.properties || {}) };
+            }
+        }
+
+        required.forEach(key => {
+            if (value[key] === undefined) {
+                errors.push({
+                    path: childPath(path, key),
+                    rule: 'required',
+                    message: `missing required property "${key}"`
+                });
+            }
+        });
+
+        Object.keys(value).forEach(key => {
+            const propSchema = properties[key] || schema.additionalProperties;
+            if (propSchema && typeof propSchema === 'object') {
+                errors.push(...validate(value[key], propSchema, childPath(path, key), definitions));
+            }
+        });
+    }
+
+    return errors;
+}
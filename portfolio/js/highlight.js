@@ -0,0 +1,408 @@
+/**
+ * PORTFOLIO SYSTEM - SYNTAX HIGHLIGHTER
+ * Small tokenizer-based highlighter for fenced code blocks
+ *
+ * Languages: Python, JavaScript, JSON, bash and SQL (plus their common
+ * aliases). Unknown languages render as plain text with the same chrome:
+ * language label, copy button, line numbers and highlighted lines from an
+ * info string like ```python {3,5-7}.
+ */
+
+import { t } from './core.js';
+
+// ============================================
+// THEME
+// ============================================
+
+/**
+ * Tailwind classes for each token type
+ */
+export const HIGHLIGHT_CLASSES = {
+    keyword: 'text-purple-400',
+    string: 'text-emerald-400',
+    number: 'text-amber-400',
+    constant: 'text-amber-400',
+    comment: 'text-gray-500 italic',
+    function: 'text-blue-400',
+    builtin: 'text-cyan-400',
+    property: 'text-sky-300',
+    variable: 'text-pink-400',
+    decorator: 'text-amber-300',
+    operator: 'text-gray-400'
+};
+
+/**
+ * Tailwind classes for the code block chrome
+ */
+export const CODE_BLOCK_CLASSES = {
+    wrapper: 'my-4 border border-border-dark bg-surface-dark',
+    toolbar: 'flex items-center justify-between px-4 py-1.5 border-b border-border-dark bg-background-dark text-[10px] font-mono uppercase tracking-wider text-gray-500',
+    copy: 'flex items-center gap-1 hover:text-primary transition-colors',
+    pre: 'overflow-x-auto py-3',
+    code: 'block min-w-max text-sm font-mono text-gray-300',
+    line: 'flex px-4 border-l-2 border-transparent',
+    lineHighlighted: 'flex px-4 border-l-2 border-primary bg-primary/10',
+    lineNumber: 'w-8 shrink-0 pr-4 text-right text-gray-600 select-none'
+};
+
+// ============================================
+// LANGUAGE DEFINITIONS
+// ============================================
+
+const words = list => new Set(list.split(/\s+/));
+
+const DOUBLE_STRING = /"(?:\\.|[^"\\\n])*"/y;
+const SINGLE_STRING = /'(?:\\.|[^'\\\n])*'/y;
+const C_NUMBER = /\b(?:0[xX][\da-fA-F_]+|0[bB][01_]+|0[oO][0-7_]+|\d[\d_]*\.?[\d_]*(?:[eE][+-]?\d+)?n?|\.\d[\d_]*(?:[eE][+-]?\d+)?)/y;
+
+/**
+ * Each language has ordered `rules` ([type, sticky regex]) tried at every
+ * position, then an identifier pattern whose matches are classified
+ * against the word lists.
+ */
+const LANGUAGES = {
+    python: {
+        rules: [
+            ['comment', /#.*/y],
+            ['string', /[rRbBuUfF]{0,2}(?:"""[\s\S]*?(?:"""|$(?![\s\S]))|'''[\s\S]*?(?:'''|$(?![\s\S])))/y],
+            ['string', /[rRbBuUfF]{0,2}(?:"(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*')/y],
+            ['decorator', /@[A-Za-z_][\w.]*/y],
+            ['number', /\b(?:0[xX][\da-fA-F_]+|0[bB][01_]+|0[oO][0-7_]+|\d[\d_]*\.?[\d_]*(?:[eE][+-]?\d+)?j?|\.\d[\d_]*(?:[eE][+-]?\d+)?j?)/y],
+            ['operator', /\*\*=?|\/\/=?|->|:=|[-+*/%=<>!&|^~]=?/y]
+        ],
+        identifier: /[A-Za-z_]\w*/y,
+        keywords: words('and as assert async await break class continue def del elif else except finally for from global if import in is lambda nonlocal not or pass raise return try while with yield match case'),
+        constants: words('True False None Ellipsis NotImplemented'),
+        builtins: words('abs all any bool bytes callable dict dir divmod enumerate filter float format getattr hasattr hash id input int isinstance issubclass iter len list map max min next object open ord pow print range repr reversed round set setattr slice sorted str sum super tuple type vars zip Exception ValueError TypeError KeyError IndexError RuntimeError StopIteration'),
+        variables: words('self cls'),
+        declarations: words('def class')
+    },
+    javascript: {
+        rules: [
+            ['comment', /\/\/.*/y],
+            ['comment', /\/\*[\s\S]*?(?:\*\/|$(?![\s\S]))/y],
+            ['string', /`(?:\\[\s\S]|[^`\\])*`?/y],
+            ['string', DOUBLE_STRING],
+            ['string', SINGLE_STRING],
+            ['number', C_NUMBER],
+            ['operator', /=>|\.\.\.|\?\?=?|\?\.|&&=?|\|\|=?|[=!]==?|[-+*/%<>&|^~]=?/y]
+        ],
+        identifier: /[A-Za-z_$][\w$]*/y,
+        keywords: words('async await break case catch class const continue debugger default delete do else export extends finally for from function get if import in instanceof let new of return set static super switch throw try typeof var void while with yield'),
+        constants: words('true false null undefined NaN Infinity this'),
+        builtins: words('Array Boolean Date Error JSON Map Math Number Object Promise Proxy Reflect RegExp Set String Symbol WeakMap console document window globalThis fetch require module process'),
+        variables: words(''),
+        declarations: words('function class')
+    },
+    json: {
+        rules: [
+            ['property', /"(?:\\.|[^"\\\n])*"(?=\s*:)/y],
+            ['string', DOUBLE_STRING],
+            ['number', /-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/y]
+        ],
+        identifier: /[A-Za-z_]\w*/y,
+        keywords: words(''),
+        constants: words('true false null'),
+        builtins: words(''),
+        variables: words(''),
+        declarations: words('')
+    },
+    bash: {
+        rules: [
+            ['comment', /(?<=^|[\s;])#.*/my],
+            ['string', /"(?:\\.|[^"\\])*"/y],
+            ['string', /'[^']*'/y],
+            ['variable', /\$(?:\{[^}\n]*\}|\([^)\n]*\)|[A-Za-z_]\w*|[@#?$!*\d-])/y],
+            ['property', /(?<=\s)--?[A-Za-z][\w-]*/y],
+            ['number', /\b\d+\b/y],
+            ['operator', /&&|\|\||[|&;<>]=?/y]
+        ],
+        identifier: /[A-Za-z_][\w.-]*/y,
+        keywords: words('if then else elif fi for in while until do done case esac function return export local readonly select break continue'),
+        constants: words('true false'),
+        builtins: words('echo printf cd ls pwd cat grep sed awk find xargs mkdir rm cp mv touch chmod chown ln curl wget git npm npx node python python3 pip pip3 source exit set unset sudo tar ssh docker kill sort uniq head tail wc tee'),
+        variables: words(''),
+        declarations: words('function')
+    },
+    sql: {
+        caseInsensitive: true,
+        rules: [
+            ['comment', /--.*/y],
+            ['comment', /\/\*[\s\S]*?(?:\*\/|$(?![\s\S]))/y],
+            ['string', /'(?:''|[^'])*'/y],
+            ['property', /"(?:""|[^"])*"|`[^`]*`/y],
+            ['number', /\b\d+(?:\.\d+)?\b/y],
+            ['operator', /<>|[<>!]=|[-+*/%=<>|]/y]
+        ],
+        identifier: /[A-Za-z_][\w$]*/y,
+        keywords: words('select from where and or not in is null like between exists insert into values update set delete create table view index drop alter add column primary key foreign references join inner left right full outer cross on as group by order having limit offset union all distinct case when then else end asc desc with returning default unique check constraint if begin commit rollback transaction over partition'),
+        constants: words('true false null'),
+        builtins: words('count sum avg min max coalesce nullif cast now current_date current_timestamp lower upper length substring trim round abs date extract row_number rank dense_rank'),
+        variables: words(''),
+        declarations: words('')
+    }
+};
+
+const ALIASES = {
+    py: 'python', python3: 'python',
+    js: 'javascript', mjs: 'javascript', cjs: 'javascript', jsx: 'javascript',
+    ts: 'javascript', typescript: 'javascript', tsx: 'javascript', node: 'javascript',
+    jsonc: 'json', json5: 'json',
+    sh: 'bash', shell: 'bash', zsh: 'bash', console: 'bash', shellscript: 'bash',
+    postgres: 'sql', postgresql: 'sql', mysql: 'sql', sqlite: 'sql'
+};
+
+/**
+ * Resolve a fence language name to a definition key
+ * @param {string} lang - Language from the info string
+ * @returns {string} Canonical language name ('' when unsupported)
+ */
+export function resolveLanguage(lang) {
+    const name = String(lang || '').toLowerCase();
+    if (LANGUAGES[name]) return name;
+    return ALIASES[name] || '';
+}
+
+// ============================================
+// TOKENIZER
+// ============================================
+
+/**
+ * Escape text for HTML
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Classify an identifier
+ * @param {string} word - Identifier text
+ * @param {Object} language - Language definition
+ * @param {string} code - Full source
+ * @param {number} end - Index just past the identifier
+ * @param {string} previous - Previous non-whitespace token text
+ * @returns {string} Token type ('' for plain)
+ */
+function classifyWord(word, language, code, end, previous) {
+    const key = language.caseInsensitive ? word.toLowerCase() : word;
+    const start = end - word.length;
+    const afterDot = code[start - 1] === '.';
+
+    if (!afterDot) {
+        if (language.keywords.has(key)) return 'keyword';
+        if (language.constants.has(key)) return 'constant';
+        if (language.variables.has(key)) return 'variable';
+    }
+    if (language.declarations.has(previous)) return 'function';
+    if (/^\s*\(/.test(code.slice(end, end + 40))) return 'function';
+    if (!afterDot && language.builtins.has(key)) return 'builtin';
+    if (afterDot && language !== LANGUAGES.sql) return 'property';
+    return '';
+}
+
+/**
+ * Split source into typed tokens
+ * @param {string} code - Source code
+ * @param {string} lang - Canonical language name
+ * @returns {Array<{type: string, text: string}>} Tokens ('' type = plain text)
+ */
+export function tokenize(code, lang) {
+    const language = LANGUAGES[lang];
+    if (!language) return [{ type: '', text: code }];
+
+    const tokens = [];
+    let plain = '';
+    let previous = '';
+    let pos = 0;
+
+    const push = (type, text) => {
+        if (!type) {
+            plain += text;
+            if (text.trim()) previous = text.trim();
+            return;
+        }
+        if (plain) tokens.push({ type: '', text: plain });
+        plain = '';
+        tokens.push({ type, text });
+        previous = text;
+    };
+
+    scan: while (pos < code.length) {
+        for (const [type, pattern] of language.rules) {
+            pattern.lastIndex = pos;
+            const match = pattern.exec(code);
+            if (match && match[0]) {
+                push(type, match[0]);
+                pos += match[0].length;
+                continue scan;
+            }
+        }
+
+        language.identifier.lastIndex = pos;
+        const word = language.identifier.exec(code);
+        if (word) {
+            const end = pos + word[0].length;
+            push(classifyWord(word[0], language, code, end, previous), word[0]);
+            pos = end;
+            continue;
+        }
+
+        push('', code[pos]);
+        pos++;
+    }
+
+    if (plain) tokens.push({ type: '', text: plain });
+    return tokens;
+}
+
+/**
+ * Highlight code and split it into lines (tokens spanning lines are split
+ * so every line stands alone)
+ * @param {string} code - Source code
+ * @param {string} lang - Language name or alias
+ * @returns {string[]} HTML for each line
+ */
+export function highlightLines(code, lang) {
+    const lines = [''];
+    tokenize(code, resolveLanguage(lang)).forEach(token => {
+        token.text.split('\n').forEach((part, i) => {
+            if (i > 0) lines.push('');
+            if (!part) return;
+            const className = HIGHLIGHT_CLASSES[token.type];
+            lines[lines.length - 1] += className
+                ? `<span class="${className}">${escapeHtml(part)}</span>`
+                : escapeHtml(part);
+        });
+    });
+    return lines;
+}
+
+// ============================================
+// CODE BLOCKS
+// ============================================
+
+/**
+ * Parse a highlighted-lines annotation like {3,5-7}
+ * @param {string} spec - Annotation contents without braces
+ * @returns {Set<number>} Line numbers (1-based)
+ */
+export function parseLineSpec(spec) {
+    const lines = new Set();
+    String(spec || '').split(',').forEach(part => {
+        const range = part.trim().match(/^(\d+)(?:\s*-\s*(\d+))?$/);
+        if (!range) return;
+        const from = parseInt(range[1], 10);
+        const to = range[2] ? parseInt(range[2], 10) : from;
+        for (let n = Math.min(from, to); n <= Math.max(from, to) && n - from < 10000; n++) {
+            lines.add(n);
+        }
+    });
+    return lines;
+}
+
+/**
+ * Split a fence info string into language and highlighted lines
+ * Accepts `python`, `python {3,5-7}`, `python{3}` and `{3} python`.
+ * @param {string} info - Fence info string
+ * @returns {{lang: string, highlighted: Set<number>}}
+ */
+export function parseInfoString(info) {
+    const text = String(info || '');
+    const spec = text.match(/\{([\d,\s-]*)\}/);
+    const lang = text.replace(/\{[\d,\s-]*\}/, ' ').trim().split(/\s+/)[0] || '';
+    return { lang, highlighted: parseLineSpec(spec ? spec[1] : '') };
+}
+
+/**
+ * Render a fenced code block with language label, copy button, line
+ * numbers and highlighted lines
+ * @param {string} code - Block contents
+ * @param {string} info - Fence info string (language and optional {lines})
+ * @returns {string} HTML string
+ */
+export function renderCodeBlock(code, info = '') {
+    const { lang, highlighted } = parseInfoString(info);
+    const canonical = resolveLanguage(lang);
+    const label = lang || 'text';
+
+    const lines = highlightLines(code, lang).map((html, i) => {
+        const number = i + 1;
+        const lineClass = highlighted.has(number) ? CODE_BLOCK_CLASSES.lineHighlighted : CODE_BLOCK_CLASSES.line;
+        const marker = highlighted.has(number) ? ' data-highlighted="true"' : '';
+        return `<span class="${lineClass}"${marker}><span class="${CODE_BLOCK_CLASSES.lineNumber}" aria-hidden="true">${number}</span><span data-line-content>${html || ' '}</span></span>`;
+    }).join('');
+
+    return `<div class="${CODE_BLOCK_CLASSES.wrapper}" data-code-block>`
+        + `<div class="${CODE_BLOCK_CLASSES.toolbar}"><span>${escapeHtml(label)}</span>`
+        + `<button type="button" class="${CODE_BLOCK_CLASSES.copy}" data-copy-code aria-label="${escapeHtml(t('code.copyLabel'))}">`
+        + `<span class="material-symbols-outlined text-sm">content_copy</span><span data-copy-label>${escapeHtml(t('code.copy'))}</span></button></div>`
+        + `<pre class="${CODE_BLOCK_CLASSES.pre}"><code class="${CODE_BLOCK_CLASSES.code}${canonical ? ` language-${canonical}` : ''}">${lines}</code></pre>`
+        + '</div>';
+}
+
+/**
+ * Copy text, falling back to a hidden textarea where the async clipboard
+ * API isn't available (file:// pages, older browsers)
+ * @param {string} text - Text to copy
+ * @returns {Promise<void>}
+ */
+export async function copyText(text) {
+    if (navigator.clipboard?.writeText) {
+        await navigator.clipboard.writeText(text);
+        return;
+    }
+
+    const textarea = document.createElement('textarea');
+    textarea.value = text;
+    textarea.setAttribute('readonly', '');
+    textarea.style.position = 'fixed';
+    textarea.style.opacity = '0';
+    document.body.appendChild(textarea);
+    textarea.select();
+    const ok = document.execCommand('copy');
+    textarea.remove();
+    if (!ok) throw new Error('copy command was rejected');
+}
+
+/**
+ * Wire up copy buttons for code blocks rendered inside a container
+ * Safe to call again after re-rendering; buttons are only bound once.
+ * @param {HTMLElement} container - Element containing rendered markdown
+ */
+export function bindCodeBlocks(container) {
+    if (!container) return;
+
+    container.querySelectorAll('[data-copy-code]:not([data-bound])').forEach(button => {
+        button.dataset.bound = 'true';
+        button.addEventListener('click', async () => {
+            const block = button.closest('[data-code-block]');
+            const code = Array.from(block.querySelectorAll('[data-line-content]'))
+                .map(line => line.textContent.replace(/^ $/, ''))
+                .join('\n');
+            const label = button.querySelector('[data-copy-label]');
+            const icon = button.querySelector('.material-symbols-outlined');
+
+            try {
+                await copyText(code);
+                label.textContent = t('code.copied');
+                icon.textContent = 'check';
+            } catch (error) {
+                console.warn('[CODE] Copy failed:', error);
+                label.textContent = t('code.copyFailed');
+            }
+
+            clearTimeout(button.resetTimer);
+            button.resetTimer = setTimeout(() => {
+                label.textContent = t('code.copy');
+                icon.textContent = 'content_copy';
+            }, 1500);
+        });
+    });
+}
@@ -0,0 +1,1120 @@
+/**
+ * PORTFOLIO SYSTEM - MARKDOWN RENDERER
+ * CommonMark block/inline parser with the GFM extensions our notes use
+ * (tables, task lists, strikethrough, footnotes), heading anchors,
+ * $inline$ / $$display$$ math and highlighted code blocks
+ *
+ * Parsing runs in two passes like the spec describes: blocks first (which
+ * also collects link reference and footnote definitions), then inline
+ * content. Raw HTML in the source is escaped, never passed through.
+ */
+
+import { renderCodeBlock } from './highlight.js';
+import { renderMath } from './math.js';
+
+// ============================================
+// THEME
+// ============================================
+
+/**
+ * Tailwind classes applied to each rendered element
+ */
+export const MARKDOWN_CLASSES = {
+    h1: 'text-2xl font-medium text-white mb-4',
+    h2: 'text-xl font-medium text-white mt-8 mb-3',
+    h3: 'text-lg font-medium text-white mt-6 mb-2',
+    h4: 'text-base font-medium text-white mt-6 mb-2',
+    h5: 'text-sm font-medium text-white mt-4 mb-2',
+    h6: 'text-sm font-medium text-gray-400 mt-4 mb-2',
+    anchor: 'ml-2 text-gray-600 no-underline opacity-0 group-hover:opacity-100 focus:opacity-100 hover:text-primary transition-opacity',
+    p: 'text-gray-400 leading-relaxed mb-4',
+    strong: 'text-white',
+    em: '',
+    del: 'text-gray-500',
+    a: 'text-primary hover:underline',
+    code: 'bg-surface-dark px-1 py-0.5 text-primary font-mono text-sm',
+    ul: 'list-disc list-outside pl-5 mb-4 space-y-1 text-gray-400',
+    ol: 'list-decimal list-outside pl-5 mb-4 space-y-1 text-gray-400',
+    taskList: 'list-none pl-1 mb-4 space-y-1 text-gray-400',
+    li: 'text-gray-400',
+    taskItem: 'flex items-start gap-2',
+    checkbox: 'mt-1 accent-primary pointer-events-none',
+    blockquote: 'border-l-2 border-primary/50 pl-4 my-4 text-gray-500 italic',
+    hr: 'border-border-dark my-6',
+    tableWrap: 'overflow-x-auto my-6 border border-border-dark',
+    table: 'w-full text-sm',
+    th: 'px-4 py-2 font-mono text-xs uppercase tracking-wider text-gray-500 bg-background-dark border-b border-border-dark',
+    td: 'px-4 py-2 text-gray-400 border-b border-border-dark/50',
+    img: 'max-w-full h-auto my-4 border border-border-dark',
+    footnoteRef: 'text-primary text-xs font-mono no-underline hover:underline',
+    footnotes: 'mt-10 pt-4 border-t border-border-dark text-sm',
+    footnoteList: 'list-decimal list-outside pl-5 space-y-2 text-gray-500',
+    footnoteBack: 'ml-1 text-primary no-underline hover:underline',
+    math: 'text-gray-200',
+    mathBlock: 'my-6 overflow-x-auto overflow-y-hidden text-white text-lg'
+};
+
+// ============================================
+// SHARED HELPERS
+// ============================================
+
+const ESCAPABLE = /[!"#$%&'()*+,\-./:;<=>?@[\\\]^_`{|}~]/;
+const ENTITY = /^&(?:#\d{1,7}|#[xX][0-9a-fA-F]{1,6}|[A-Za-z][A-Za-z0-9]{1,31});/;
+
+/**
+ * Escape text for use in HTML content or attributes
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Build a class attribute (empty when there are no classes)
+ * @param {string} name - Key into MARKDOWN_CLASSES
+ * @returns {string} ` class="..."` or ''
+ */
+function cls(name) {
+    return MARKDOWN_CLASSES[name] ? ` class="${MARKDOWN_CLASSES[name]}"` : '';
+}
+
+/**
+ * Remove backslash escapes (used for link destinations and titles)
+ * @param {string} text - Source text
+ * @returns {string} Unescaped text
+ */
+function unescapeText(text) {
+    return text.replace(/\\([!"#$%&'()*+,\-./:;<=>?@[\\\]^_`{|}~])/g, '$1');
+}
+
+/**
+ * Neutralise script URLs in links and images
+ * @param {string} url - Link destination
+ * @returns {string} Safe URL
+ */
+function safeUrl(url) {
+    const trimmed = url.trim();
+    if (/^(javascript|vbscript|file):/i.test(trimmed)) return '#';
+    if (/^data:/i.test(trimmed) && !/^data:image\/(png|gif|jpe?g|webp);/i.test(trimmed)) return '#';
+    return trimmed.replace(/ /g, '%20');
+}
+
+/**
+ * Normalise a link/footnote label for lookup
+ * @param {string} label - Raw label
+ * @returns {string} Case-folded label with collapsed whitespace
+ */
+function normalizeLabel(label) {
+    return label.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Expand leading tabs to spaces (tab stop of 4)
+ * @param {string} line - Source line
+ * @returns {string} Line with leading tabs expanded
+ */
+function expandTabs(line) {
+    const match = line.match(/^[ \t]+/);
+    if (!match || !match[0].includes('\t')) return line;
+
+    let column = 0;
+    for (const ch of match[0]) {
+        column += ch === '\t' ? 4 - (column % 4) : 1;
+    }
+    return ' '.repeat(column) + line.slice(match[0].length);
+}
+
+/**
+ * Count leading spaces
+ * @param {string} line - Source line
+ * @returns {number} Indentation width
+ */
+function indentOf(line) {
+    return line.match(/^ */)[0].length;
+}
+
+/**
+ * Strip up to `width` leading spaces
+ * @param {string} line - Source line
+ * @param {number} width - Spaces to remove
+ * @returns {string} Dedented line
+ */
+function dedent(line, width) {
+    return line.slice(Math.min(width, indentOf(line)));
+}
+
+const isBlank = line => /^\s*$/.test(line);
+
+// ============================================
+// BLOCK PATTERNS
+// ============================================
+
+const RE_FENCE = /^( {0,3})(`{3,}|~{3,})(.*)$/;
+const RE_MATH_BLOCK = /^ {0,3}\$\$(.*)$/;
+const RE_ATX = /^ {0,3}(#{1,6})(?=[ \t]|$)(.*)$/;
+const RE_HR = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const RE_SETEXT = /^ {0,3}(=+|-+)[ \t]*$/;
+const RE_QUOTE = /^ {0,3}> ?/;
+const RE_LIST = /^( {0,3})([-+*]|\d{1,9}[.)])(?=[ \t]|$)( *)(.*)$/;
+const RE_TABLE_DELIM = /^ {0,3}\|?[ \t]*:?-+:?[ \t]*(\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/;
+const RE_FOOTNOTE_DEF = /^ {0,3}\[\^([^\]\s]+)\]:[ \t]*(.*)$/;
+const RE_LINK_DEF = /^ {0,3}\[((?:[^\]\\]|\\.)+)\]:[ \t]*(?:<([^>\n]*)>|(\S+))(?:[ \t]+(?:"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|\(((?:[^)\\]|\\.)*)\)))?[ \t]*$/;
+
+/**
+ * Parse a list marker line
+ * @param {string} line - Source line
+ * @returns {Object|null} Marker details or null
+ */
+function matchListItem(line) {
+    const match = line.match(RE_LIST);
+    if (!match) return null;
+
+    const [, indent, marker, spaces, rest] = match;
+    const ordered = /\d/.test(marker);
+    // More than 4 spaces after the marker means indented code inside the item
+    const padding = rest === '' ? 1 : (spaces.length > 4 ? 1 : spaces.length);
+
+    return {
+        ordered,
+        bullet: ordered ? marker.slice(-1) : marker,
+        start: ordered ? parseInt(marker, 10) : 1,
+        contentIndent: indent.length + marker.length + padding,
+        firstLine: spaces.length > 4 ? ' '.repeat(spaces.length - 1) + rest : rest,
+        empty: rest === ''
+    };
+}
+
+/**
+ * Split a table row into raw cell strings
+ * @param {string} line - Table row
+ * @returns {string[]} Cell sources
+ */
+function splitTableRow(line) {
+    let row = line.trim();
+    if (row.startsWith('|')) row = row.slice(1);
+    if (row.endsWith('|') && !row.endsWith('\\|')) row = row.slice(0, -1);
+
+    const cells = [];
+    let current = '';
+    for (let i = 0; i < row.length; i++) {
+        if (row[i] === '\\' && row[i + 1] === '|') {
+            current += '|';
+            i++;
+        } else if (row[i] === '|') {
+            cells.push(current.trim());
+            current = '';
+        } else {
+            current += row[i];
+        }
+    }
+    cells.push(current.trim());
+    return cells;
+}
+
+/**
+ * Whether a line starts a block that can interrupt a paragraph
+ * @param {string} line - Source line
+ * @returns {boolean}
+ */
+function interruptsParagraph(line) {
+    if (RE_FENCE.test(line) || RE_MATH_BLOCK.test(line) || RE_ATX.test(line) || RE_HR.test(line) || RE_QUOTE.test(line)) {
+        return true;
+    }
+    const item = matchListItem(line);
+    // Only non-empty bullets and lists starting at 1 may interrupt a paragraph
+    return Boolean(item && !item.empty && (!item.ordered || item.start === 1));
+}
+
+// ============================================
+// BLOCK PARSER
+// ============================================
+
+/**
+ * Parse lines into block nodes
+ * @param {string[]} lines - Source lines (tabs expanded)
+ * @param {Object} state - Shared parse state (references, footnotes)
+ * @returns {Array<Object>} Block nodes
+ */
+function parseBlocks(lines, state) {
+    const blocks = [];
+    let i = 0;
+
+    while (i < lines.length) {
+        const line = lines[i];
+
+        if (isBlank(line)) {
+            i++;
+            continue;
+        }
+
+        // Fenced code
+        const fence = line.match(RE_FENCE);
+        if (fence && !(fence[2][0] === '`' && fence[3].includes('`'))) {
+            const [, indent, marker, info] = fence;
+            const closing = new RegExp(`^ {0,3}${marker[0] === '`' ? '`' : '~'}{${marker.length},}[ \\t]*$`);
+            const content = [];
+            i++;
+            while (i < lines.length && !closing.test(lines[i])) {
+                content.push(dedent(lines[i], indent.length));
+                i++;
+            }
+            i++;
+            blocks.push({ type: 'code', info: unescapeText(info.trim()), text: content.join('\n') });
+            continue;
+        }
+
+        // Display math: $$ on its own line(s), or $$ ... $$ on one line
+        const math = line.match(RE_MATH_BLOCK);
+        if (math) {
+            const content = [];
+            let rest = math[1];
+            i++;
+            while (!rest.includes('$$') && i < lines.length) {
+                content.push(rest);
+                rest = lines[i];
+                i++;
+            }
+            const close = rest.indexOf('$$');
+            content.push(close === -1 ? rest : rest.slice(0, close));
+            blocks.push({ type: 'math', tex: content.join('\n').trim() });
+            continue;
+        }
+
+        // Indented code
+        if (indentOf(line) >= 4) {
+            const content = [];
+            while (i < lines.length && (indentOf(lines[i]) >= 4 || isBlank(lines[i]))) {
+                content.push(dedent(lines[i], 4));
+                i++;
+            }
+            while (content.length && isBlank(content[content.length - 1])) content.pop();
+            blocks.push({ type: 'code', info: '', text: content.join('\n') });
+            continue;
+        }
+
+        // ATX heading
+        const atx = line.match(RE_ATX);
+        if (atx) {
+            const text = atx[2].trim().replace(/(^|[ \t]+)#+[ \t]*$/, '').trim();
+            blocks.push({ type: 'heading', level: atx[1].length, text });
+            i++;
+            continue;
+        }
+
+        // Thematic break
+        if (RE_HR.test(line)) {
+            blocks.push({ type: 'hr' });
+            i++;
+            continue;
+        }
+
+        // Blockquote (with lazy paragraph continuation)
+        if (RE_QUOTE.test(line)) {
+            const content = [];
+            while (i < lines.length) {
+                if (RE_QUOTE.test(lines[i])) {
+                    content.push(expandTabs(lines[i].replace(RE_QUOTE, '')));
+                } else if (!isBlank(lines[i]) && content.length && !isBlank(content[content.length - 1])
+                    && !interruptsParagraph(lines[i])) {
+                    content.push(lines[i]);
+                } else {
+                    break;
+                }
+                i++;
+            }
+            blocks.push({ type: 'blockquote', children: parseBlocks(content, state) });
+            continue;
+        }
+
+        // Lists
+        const listItem = matchListItem(line);
+        if (listItem) {
+            const { node, next } = parseList(lines, i, listItem, state);
+            blocks.push(node);
+            i = next;
+            continue;
+        }
+
+        // Footnote definition
+        const footnote = line.match(RE_FOOTNOTE_DEF);
+        if (footnote) {
+            const content = [footnote[2]];
+            i++;
+            while (i < lines.length) {
+                if (indentOf(lines[i]) >= 4) {
+                    content.push(dedent(lines[i], 4));
+                } else if (isBlank(lines[i]) && i + 1 < lines.length && indentOf(lines[i + 1]) >= 4) {
+                    content.push('');
+                } else if (!isBlank(lines[i]) && !isBlank(content[content.length - 1])
+                    && !interruptsParagraph(lines[i]) && !RE_FOOTNOTE_DEF.test(lines[i])) {
+                    content.push(lines[i]);
+                } else {
+                    break;
+                }
+                i++;
+            }
+            const label = normalizeLabel(footnote[1]);
+            if (!state.footnotes.has(label)) {
+                state.footnotes.set(label, { label: footnote[1], blocks: parseBlocks(content, state) });
+            }
+            continue;
+        }
+
+        // Link reference definition
+        const linkDef = line.match(RE_LINK_DEF);
+        if (linkDef) {
+            const label = normalizeLabel(linkDef[1]);
+            if (!state.refs.has(label)) {
+                const title = linkDef[4] ?? linkDef[5] ?? linkDef[6];
+                state.refs.set(label, {
+                    href: unescapeText(linkDef[2] ?? linkDef[3]),
+                    title: title === undefined ? '' : unescapeText(title)
+                });
+            }
+            i++;
+            continue;
+        }
+
+        // Table: header row followed by a delimiter row with matching cells
+        if (line.includes('|') && i + 1 < lines.length && RE_TABLE_DELIM.test(lines[i + 1])) {
+            const header = splitTableRow(line);
+            const delimiters = splitTableRow(lines[i + 1]);
+            if (header.length === delimiters.length) {
+                const align = delimiters.map(cell => {
+                    const left = cell.startsWith(':');
+                    const right = cell.endsWith(':');
+                    if (left && right) return 'center';
+                    if (right) return 'right';
+                    if (left) return 'left';
+                    return '';
+                });
+                const rows = [];
+                i += 2;
+                while (i < lines.length && !isBlank(lines[i]) && !interruptsParagraph(lines[i])) {
+                    const cells = splitTableRow(lines[i]);
+                    rows.push(header.map((_, col) => cells[col] ?? ''));
+                    i++;
+                }
+                blocks.push({ type: 'table', header, align, rows });
+                continue;
+            }
+        }
+
+        // Paragraph (possibly turned into a setext heading)
+        const content = [line.replace(/^[ \t]+/, '')];
+        i++;
+        let setextLevel = 0;
+        while (i < lines.length && !isBlank(lines[i])) {
+            const setext = lines[i].match(RE_SETEXT);
+            if (setext) {
+                setextLevel = setext[1][0] === '=' ? 1 : 2;
+                i++;
+                break;
+            }
+            if (interruptsParagraph(lines[i])) break;
+            content.push(lines[i].replace(/^[ \t]+/, ''));
+            i++;
+        }
+
+        const text = content.join('\n').replace(/[ \t]+$/, '');
+        blocks.push(setextLevel ? { type: 'heading', level: setextLevel, text } : { type: 'paragraph', text });
+    }
+
+    return blocks;
+}
+
+/**
+ * Parse a list starting at `start`
+ * @param {string[]} lines - Source lines
+ * @param {number} start - Index of the first item
+ * @param {Object} first - Marker details of the first item
+ * @param {Object} state - Shared parse state
+ * @returns {{node: Object, next: number}} List node and the next line index
+ */
+function parseList(lines, start, first, state) {
+    const items = [];
+    let loose = false;
+    let i = start;
+    let marker = first;
+
+    while (marker) {
+        const content = [marker.firstLine];
+        let sawBlank = false;
+        i++;
+
+        while (i < lines.length) {
+            const line = lines[i];
+            if (isBlank(line)) {
+                // An item that starts empty ends at its first blank line
+                if (content.length === 1 && marker.empty) break;
+                content.push('');
+                sawBlank = true;
+                i++;
+                continue;
+            }
+            if (indentOf(line) >= marker.contentIndent) {
+                if (sawBlank && content.some(l => !isBlank(l))) loose = true;
+                content.push(dedent(line, marker.contentIndent));
+                sawBlank = false;
+                i++;
+                continue;
+            }
+            // Lazy continuation of the item's paragraph
+            if (!sawBlank && !interruptsParagraph(line) && !matchListItem(line)
+                && !isBlank(content[content.length - 1])) {
+                content.push(line.trim());
+                i++;
+                continue;
+            }
+            break;
+        }
+
+        // Trailing blank lines belong between items, not inside them
+        let trailingBlank = false;
+        while (content.length && isBlank(content[content.length - 1])) {
+            content.pop();
+            trailingBlank = true;
+        }
+
+        let checked = null;
+        const task = content[0]?.match(/^\[([ xX])\](?:[ \t]+|$)/);
+        if (task) {
+            checked = task[1] !== ' ';
+            content[0] = content[0].slice(task[0].length);
+        }
+
+        items.push({ checked, children: parseBlocks(content, state) });
+
+        const next = i < lines.length ? matchListItem(lines[i]) : null;
+        marker = next && indentOf(lines[i]) < first.contentIndent
+            && next.ordered === first.ordered && next.bullet === first.bullet ? next : null;
+        if (trailingBlank && marker) loose = true;
+    }
+
+    return {
+        node: {
+            type: 'list',
+            ordered: first.ordered,
+            start: first.start,
+            loose,
+            task: items.some(item => item.checked !== null),
+            items
+        },
+        next: i
+    };
+}
+
+// ============================================
+// INLINE PARSER
+// ============================================
+
+/**
+ * Classify a character for emphasis flanking rules
+ * @param {string} ch - Character (or '' at the text boundary)
+ * @returns {'space'|'punct'|'other'}
+ */
+function charClass(ch) {
+    if (!ch || /\s/.test(ch)) return 'space';
+    if (/[\p{P}\p{S}]/u.test(ch)) return 'punct';
+    return 'other';
+}
+
+/**
+ * Parse an inline link tail: `(destination "title")`
+ * @param {string} src - Inline source
+ * @param {number} pos - Index of the opening parenthesis
+ * @returns {{href: string, title: string, end: number}|null}
+ */
+function parseLinkTail(src, pos) {
+    if (src[pos] !== '(') return null;
+    let i = pos + 1;
+    while (/\s/.test(src[i] || '')) i++;
+
+    let href = '';
+    if (src[i] === '<') {
+        const close = src.indexOf('>', i);
+        if (close === -1 || src.slice(i, close).includes('\n')) return null;
+        href = src.slice(i + 1, close);
+        i = close + 1;
+    } else {
+        let depth = 0;
+        const begin = i;
+        while (i < src.length) {
+            const ch = src[i];
+            if (ch === '\\' && ESCAPABLE.test(src[i + 1] || '')) {
+                i += 2;
+                continue;
+            }
+            if (/\s/.test(ch)) break;
+            if (ch === '(') depth++;
+            if (ch === ')') {
+                if (depth === 0) break;
+                depth--;
+            }
+            i++;
+        }
+        href = src.slice(begin, i);
+    }
+
+    const beforeTitle = i;
+    while (/\s/.test(src[i] || '')) i++;
+
+    let title = '';
+    const opener = src[i];
+    if (i > beforeTitle && (opener === '"' || opener === "'" || opener === '(')) {
+        const closer = opener === '(' ? ')' : opener;
+        let j = i + 1;
+        while (j < src.length && src[j] !== closer) {
+            j += src[j] === '\\' ? 2 : 1;
+        }
+        if (j >= src.length) return null;
+        title = src.slice(i + 1, j);
+        i = j + 1;
+        while (/\s/.test(src[i] || '')) i++;
+    }
+
+    if (src[i] !== ')') return null;
+    return { href: unescapeText(href), title: unescapeText(title), end: i + 1 };
+}
+
+/**
+ * Resolve emphasis, strong and strikethrough delimiters in a node list
+ * @param {Array<Object>} nodes - Inline nodes (modified in place)
+ */
+function processEmphasis(nodes) {
+    let i = 0;
+
+    while (i < nodes.length) {
+        const closer = nodes[i];
+        if (closer.type !== 'delim' || !closer.canClose) {
+            i++;
+            continue;
+        }
+
+        let openerIndex = -1;
+        for (let j = i - 1; j >= 0; j--) {
+            const opener = nodes[j];
+            if (opener.type !== 'delim' || opener.char !== closer.char || !opener.canOpen) continue;
+            if (closer.char === '~') {
+                if (opener.count !== closer.count) continue;
+            } else if ((opener.canClose || closer.canOpen)
+                && (opener.original + closer.original) % 3 === 0
+                && !(opener.original % 3 === 0 && closer.original % 3 === 0)) {
+                // "Rule of 3" from the spec
+                continue;
+            }
+            openerIndex = j;
+            break;
+        }
+
+        if (openerIndex === -1) {
+            if (!closer.canOpen) closer.canClose = false;
+            i++;
+            continue;
+        }
+
+        const opener = nodes[openerIndex];
+        const use = closer.char === '~' ? closer.count : (opener.count >= 2 && closer.count >= 2 ? 2 : 1);
+        const tag = closer.char === '~' ? 'del' : (use === 2 ? 'strong' : 'em');
+
+        const children = nodes.slice(openerIndex + 1, i);
+        nodes.splice(openerIndex + 1, i - openerIndex - 1, { type: 'element', tag, children });
+        opener.count -= use;
+        closer.count -= use;
+
+        i = openerIndex + 2;
+        if (opener.count === 0) {
+            nodes.splice(openerIndex, 1);
+            i--;
+        }
+        if (closer.count === 0) {
+            nodes.splice(i, 1);
+        }
+    }
+}
+
+/**
+ * Parse inline markdown into nodes
+ * @param {string} src - Inline source text
+ * @param {Object} state - Shared parse state
+ * @returns {Array<Object>} Inline nodes
+ */
+function parseInline(src, state) {
+    const nodes = [];
+    const brackets = [];
+    let text = '';
+    let i = 0;
+
+    const flush = () => {
+        if (text) nodes.push({ type: 'text', value: text });
+        text = '';
+    };
+
+    while (i < src.length) {
+        const ch = src[i];
+
+        // Backslash escapes and hard breaks
+        if (ch === '\\') {
+            const next = src[i + 1];
+            if (next === '\n') {
+                flush();
+                nodes.push({ type: 'break' });
+                i += 2;
+                continue;
+            }
+            if (next && ESCAPABLE.test(next)) {
+                text += next;
+                i += 2;
+                continue;
+            }
+            text += ch;
+            i++;
+            continue;
+        }
+
+        // Code spans: a closing backtick run of the same length
+        if (ch === '`') {
+            const run = src.slice(i).match(/^`+/)[0];
+            let search = i + run.length;
+            let close = -1;
+            while (search < src.length) {
+                const found = src.indexOf(run, search);
+                if (found === -1) break;
+                const after = found + run.length;
+                if (src[found - 1] !== '`' && src[after] !== '`') {
+                    close = found;
+                    break;
+                }
+                search = after;
+                while (src[search] === '`') search++;
+            }
+            if (close === -1) {
+                text += run;
+                i += run.length;
+                continue;
+            }
+            let code = src.slice(i + run.length, close).replace(/\n/g, ' ');
+            if (/^ .* $/.test(code) && code.trim()) code = code.slice(1, -1);
+            flush();
+            nodes.push({ type: 'code', value: code });
+            i = close + run.length;
+            continue;
+        }
+
+        // Math: $$display$$ or $inline$ (an opening $ must be followed by
+        // non-space and a closing $ preceded by non-space and not followed by
+        // a digit, so prices like $5 and $10 stay text)
+        if (ch === '$') {
+            const display = src[i + 1] === '$';
+            const delimiter = display ? '$$' : '$';
+            const start = i + delimiter.length;
+            let close = -1;
+            for (let j = start; j < src.length; j++) {
+                if (src[j] === '\\') {
+                    j++;
+                    continue;
+                }
+                if (src.startsWith(delimiter, j)) {
+                    if (display || (!/\s/.test(src[j - 1]) && !/\d/.test(src[j + 1] || ''))) close = j;
+                    break;
+                }
+            }
+            const tex = close === -1 ? '' : src.slice(start, close);
+            if (tex.trim() && (display || !/^\s/.test(tex))) {
+                flush();
+                nodes.push({ type: 'math', tex: tex.trim(), display });
+                i = close + delimiter.length;
+                continue;
+            }
+            text += delimiter;
+            i += delimiter.length;
+            continue;
+        }
+
+        // Emphasis and strikethrough delimiter runs
+        if (ch === '*' || ch === '_' || ch === '~') {
+            const run = src.slice(i).match(ch === '*' ? /^\*+/ : ch === '_' ? /^_+/ : /^~+/)[0];
+            if (ch === '~' && run.length > 2) {
+                text += run;
+                i += run.length;
+                continue;
+            }
+            const before = charClass(src[i - 1]);
+            const after = charClass(src[i + run.length]);
+            const leftFlanking = after !== 'space' && (after !== 'punct' || before !== 'other');
+            const rightFlanking = before !== 'space' && (before !== 'punct' || after !== 'other');
+
+            let canOpen = leftFlanking;
+            let canClose = rightFlanking;
+            if (ch === '_') {
+                // Underscores don't open or close inside words (snake_case stays intact)
+                canOpen = leftFlanking && (!rightFlanking || before === 'punct');
+                canClose = rightFlanking && (!leftFlanking || after === 'punct');
+            }
+
+            flush();
+            nodes.push({ type: 'delim', char: ch, count: run.length, original: run.length, canOpen, canClose });
+            i += run.length;
+            continue;
+        }
+
+        // Footnote references
+        if (ch === '[' && src[i + 1] === '^') {
+            const match = src.slice(i).match(/^\[\^([^\]\s]+)\]/);
+            const label = match && normalizeLabel(match[1]);
+            if (match && state.footnotes.has(label)) {
+                flush();
+                nodes.push({ type: 'footnoteRef', label });
+                i += match[0].length;
+                continue;
+            }
+        }
+
+        // Link and image openers
+        if (ch === '[' || (ch === '!' && src[i + 1] === '[')) {
+            flush();
+            const image = ch === '!';
+            const node = { type: 'text', value: image ? '![' : '[' };
+            nodes.push(node);
+            brackets.push({ node, image, active: true, start: i + (image ? 2 : 1) });
+            i += image ? 2 : 1;
+            continue;
+        }
+
+        // Link and image closers
+        if (ch === ']') {
+            const opener = brackets.pop();
+            if (!opener) {
+                text += ch;
+                i++;
+                continue;
+            }
+            if (!opener.active) {
+                text += ch;
+                i++;
+                continue;
+            }
+
+            const label = src.slice(opener.start, i);
+            let target = parseLinkTail(src, i + 1);
+            let end = target?.end;
+
+            if (!target) {
+                const ref = src.slice(i + 1).match(/^\[((?:[^\]\\]|\\.)*)\]/);
+                const key = normalizeLabel(ref && ref[1] ? ref[1] : label);
+                if (state.refs.has(key)) {
+                    target = state.refs.get(key);
+                    end = i + 1 + (ref ? ref[0].length : 0);
+                }
+            }
+
+            if (!target) {
+                text += ch;
+                i++;
+                continue;
+            }
+
+            flush();
+            const openerIndex = nodes.indexOf(opener.node);
+            const children = nodes.splice(openerIndex);
+            children.shift();
+            processEmphasis(children);
+
+            nodes.push({
+                type: opener.image ? 'image' : 'link',
+                href: target.href,
+                title: target.title,
+                children
+            });
+
+            // Links can't contain other links
+            if (!opener.image) {
+                brackets.forEach(bracket => {
+                    if (!bracket.image) bracket.active = false;
+                });
+            }
+            i = end;
+            continue;
+        }
+
+        // Autolinks
+        if (ch === '<') {
+            const uri = src.slice(i).match(/^<([a-zA-Z][a-zA-Z0-9+.-]{1,31}:[^\s<>]*)>/);
+            const email = !uri && src.slice(i).match(/^<([a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*)>/);
+            if (uri || email) {
+                flush();
+                const value = (uri || email)[1];
+                nodes.push({
+                    type: 'link',
+                    href: email ? `mailto:${value}` : value,
+                    title: '',
+                    children: [{ type: 'text', value }]
+                });
+                i += (uri || email)[0].length;
+                continue;
+            }
+        }
+
+        // Entities pass through untouched
+        if (ch === '&') {
+            const entity = src.slice(i).match(ENTITY);
+            if (entity) {
+                flush();
+                nodes.push({ type: 'entity', value: entity[0] });
+                i += entity[0].length;
+                continue;
+            }
+        }
+
+        // Line endings: two trailing spaces make a hard break
+        if (ch === '\n') {
+            const hard = / {2,}$/.test(text);
+            text = text.replace(/ +$/, '');
+            flush();
+            nodes.push(hard ? { type: 'break' } : { type: 'text', value: '\n' });
+            i++;
+            while (src[i] === ' ') i++;
+            continue;
+        }
+
+        text += ch;
+        i++;
+    }
+
+    flush();
+    processEmphasis(nodes);
+    return nodes;
+}
+
+// ============================================
+// RENDERER
+// ============================================
+
+/**
+ * Plain text of inline nodes (used for heading slugs and image alt text)
+ * @param {Array<Object>} nodes - Inline nodes
+ * @returns {string} Text content
+ */
+function plainText(nodes) {
+    return nodes.map(node => {
+        if (node.children) return plainText(node.children);
+        if (node.type === 'delim') return node.char.repeat(node.count);
+        if (node.type === 'break') return ' ';
+        if (node.type === 'math') return node.tex;
+        return node.value || '';
+    }).join('');
+}
+
+/**
+ * Make a unique heading id from its text (GitHub style)
+ * @param {string} text - Heading text
+ * @param {Object} state - Shared render state
+ * @returns {string} Element id
+ */
+function slugify(text, state) {
+    const base = text
+        .toLowerCase()
+        .trim()
+        .replace(/[^\p{L}\p{N}\s_-]/gu, '')
+        .replace(/\s+/g, '-') || 'section';
+
+    const seen = state.slugs.get(base) || 0;
+    state.slugs.set(base, seen + 1);
+    return state.idPrefix + (seen ? `${base}-${seen}` : base);
+}
+
+/**
+ * Render a link destination, keeping in-page anchors inside this document
+ * @param {string} href - Raw destination
+ * @param {Object} state - Shared render state
+ * @returns {string} Escaped href
+ */
+function renderHref(href, state) {
+    if (href.startsWith('#') && href.length > 1 && state.idPrefix) {
+        return escapeHtml(`#${state.idPrefix}${href.slice(1)}`);
+    }
+    return escapeHtml(safeUrl(href));
+}
+
+/**
+ * Render inline nodes to HTML
+ * @param {Array<Object>} nodes - Inline nodes
+ * @param {Object} state - Shared render state
+ * @returns {string} HTML
+ */
+function renderInline(nodes, state) {
+    return nodes.map(node => {
+        switch (node.type) {
+            case 'text':
+                return escapeHtml(node.value);
+            case 'delim':
+                return escapeHtml(node.char.repeat(node.count));
+            case 'entity':
+                return node.value;
+            case 'break':
+                return '<br/>';
+            case 'code':
+                return `<code${cls('code')}>${escapeHtml(node.value)}</code>`;
+            case 'math':
+                return `<span${cls('math')}>${renderMath(node.tex, { display: node.display })}</span>`;
+            case 'element':
+                return `<${node.tag}${cls(node.tag)}>${renderInline(node.children, state)}</${node.tag}>`;
+            case 'link': {
+                const title = node.title ? ` title="${escapeHtml(node.title)}"` : '';
+                const external = /^(https?:)?\/\//i.test(node.href)
+                    ? ' target="_blank" rel="noopener noreferrer"'
+                    : '';
+                return `<a href="${renderHref(node.href, state)}"${title}${cls('a')}${external}>${renderInline(node.children, state)}</a>`;
+            }
+            case 'image': {
+                const title = node.title ? ` title="${escapeHtml(node.title)}"` : '';
+                return `<img src="${escapeHtml(safeUrl(node.href))}" alt="${escapeHtml(plainText(node.children))}"${title}${cls('img')} loading="lazy"/>`;
+            }
+            case 'footnoteRef': {
+                const footnote = state.footnotes.get(node.label);
+                if (!footnote.number) {
+                    state.footnoteOrder.push(node.label);
+                    footnote.number = state.footnoteOrder.length;
+                    footnote.refs = 0;
+                }
+                footnote.refs++;
+                const id = `${state.idPrefix}fn-${footnote.number}`;
+                const refId = `${state.idPrefix}fnref-${footnote.number}${footnote.refs > 1 ? `-${footnote.refs}` : ''}`;
+                return `<sup><a href="#${id}" id="${refId}"${cls('footnoteRef')}>[${footnote.number}]</a></sup>`;
+            }
+            default:
+                return '';
+        }
+    }).join('');
+}
+
+/**
+ * Render a block's children, unwrapping paragraphs in tight lists
+ * @param {Array<Object>} blocks - Child blocks
+ * @param {Object} state - Shared render state
+ * @param {boolean} tight - Render paragraphs without <p>
+ * @returns {string} HTML
+ */
+function renderChildren(blocks, state, tight) {
+    return blocks.map(block => (tight && block.type === 'paragraph'
+        ? renderInline(parseInline(block.text, state), state)
+        : renderBlock(block, state)
+    )).join(tight ? '' : '\n');
+}
+
+/**
+ * Render one block node to HTML
+ * @param {Object} block - Block node
+ * @param {Object} state - Shared render state
+ * @returns {string} HTML
+ */
+function renderBlock(block, state) {
+    switch (block.type) {
+        case 'heading': {
+            const inline = parseInline(block.text, state);
+            const id = slugify(plainText(inline), state);
+            const tag = `h${block.level}`;
+            return `<${tag} id="${id}" class="group scroll-mt-4 ${MARKDOWN_CLASSES[tag]}">${renderInline(inline, state)}<a href="#${id}"${cls('anchor')} aria-label="Link to this section">#</a></${tag}>`;
+        }
+        case 'paragraph':
+            return `<p${cls('p')}>${renderInline(parseInline(block.text, state), state)}</p>`;
+        case 'code':
+            return renderCodeBlock(block.text, block.info);
+        case 'math':
+            return `<div${cls('mathBlock')}>${renderMath(block.tex, { display: true })}</div>`;
+        case 'hr':
+            return `<hr${cls('hr')}/>`;
+        case 'blockquote':
+            return `<blockquote${cls('blockquote')}>\n${renderChildren(block.children, state, false)}\n</blockquote>`;
+        case 'list': {
+            const tag = block.ordered ? 'ol' : 'ul';
+            const start = block.ordered && block.start !== 1 ? ` start="${block.start}"` : '';
+            const items = block.items.map(item => {
+                const content = renderChildren(item.children, state, !block.loose);
+                if (item.checked === null) {
+                    return `<li${cls('li')}>${content}</li>`;
+                }
+                const checkbox = `<input type="checkbox" disabled${item.checked ? ' checked' : ''}${cls('checkbox')}/>`;
+                return `<li class="${MARKDOWN_CLASSES.li} ${MARKDOWN_CLASSES.taskItem}">${checkbox}<div>${content}</div></li>`;
+            }).join('\n');
+            return `<${tag}${start}${cls(block.task ? 'taskList' : tag)}>\n${items}\n</${tag}>`;
+        }
+        case 'table': {
+            const alignClass = col => (block.align[col] ? ` text-${block.align[col]}` : ' text-left');
+            const head = block.header
+                .map((cell, col) => `<th class="${MARKDOWN_CLASSES.th}${alignClass(col)}">${renderInline(parseInline(cell, state), state)}</th>`)
+                .join('');
+            const body = block.rows
+                .map(row => `<tr>${row.map((cell, col) => `<td class="${MARKDOWN_CLASSES.td}${alignClass(col)}">${renderInline(parseInline(cell, state), state)}</td>`).join('')}</tr>`)
+                .join('\n');
+            return `<div${cls('tableWrap')}><table${cls('table')}>\n<thead><tr>${head}</tr></thead>\n<tbody>\n${body}\n</tbody>\n</table></div>`;
+        }
+        default:
+            return '';
+    }
+}
+
+/**
+ * Render the footnotes section for every footnote that was referenced
+ * @param {Object} state - Shared render state
+ * @returns {string} HTML
+ */
+function renderFootnotes(state) {
+    if (!state.footnoteOrder.length) return '';
+
+    const items = [];
+    // Footnotes can reference other footnotes, so the list may grow while rendering
+    for (let n = 0; n < state.footnoteOrder.length; n++) {
+        const footnote = state.footnotes.get(state.footnoteOrder[n]);
+        const number = n + 1;
+        const backlinks = Array.from({ length: footnote.refs }, (_, r) => {
+            const refId = `${state.idPrefix}fnref-${number}${r ? `-${r + 1}` : ''}`;
+            return `<a href="#${refId}"${cls('footnoteBack')} aria-label="Back to reference ${number}">↩</a>`;
+        }).join('');
+        const single = footnote.blocks.length === 1 && footnote.blocks[0].type === 'paragraph';
+        const content = renderChildren(footnote.blocks, state, single);
+        items.push(`<li id="${state.idPrefix}fn-${number}" class="scroll-mt-4">${content}${backlinks}</li>`);
+    }
+
+    return `<section${cls('footnotes')} aria-label="Footnotes">\n<ol${cls('footnoteList')}>\n${items.join('\n')}\n</ol>\n</section>`;
+}
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * Render markdown to themed HTML
+ * @param {string} markdown - Markdown source
+ * @param {Object} options - Render options
+ * @param {string} options.idPrefix - Prefix for heading and footnote ids, so
+ *   several documents can share a page without id clashes
+ * @returns {string} HTML string
+ */
+export function renderMarkdown(markdown, options = {}) {
+    if (!markdown) return '';
+
+    const state = {
+        refs: new Map(),
+        footnotes: new Map(),
+        footnoteOrder: [],
+        slugs: new Map(),
+        idPrefix: options.idPrefix || ''
+    };
+
+    const lines = String(markdown)
+        .replace(/^\uFEFF/, '')
+        .replace(/\r\n?/g, '\n')
+        .replace(/\u0000/g, '\uFFFD')
+        .split('\n')
+        .map(expandTabs);
+
+    const blocks = parseBlocks(lines, state);
+    return renderChildren(blocks, state, false) + renderFootnotes(state);
+}
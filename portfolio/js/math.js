@@ -0,0 +1,561 @@
+/**
+ * PORTFOLIO SYSTEM - MATH RENDERER
+ * Converts the LaTeX subset used in lab notes to MathML
+ *
+ * Browsers render MathML natively, so equations work offline without a
+ * font bundle or an external rendering service. Supported: fractions,
+ * roots, scripts, \left/\right fences, \text and font commands, accents,
+ * Greek letters, common operators and relations, matrix/cases/aligned
+ * environments. Anything unknown is flagged inline instead of breaking
+ * the whole expression.
+ */
+
+// ============================================
+// SYMBOL TABLES
+// ============================================
+
+const GREEK = {
+    alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ϵ', varepsilon: 'ε',
+    zeta: 'ζ', eta: 'η', theta: 'θ', vartheta: 'ϑ', iota: 'ι', kappa: 'κ',
+    lambda: 'λ', mu: 'μ', nu: 'ν', xi: 'ξ', pi: 'π', varpi: 'ϖ', rho: 'ρ',
+    varrho: 'ϱ', sigma: 'σ', varsigma: 'ς', tau: 'τ', upsilon: 'υ', phi: 'ϕ',
+    varphi: 'φ', chi: 'χ', psi: 'ψ', omega: 'ω',
+    Gamma: 'Γ', Delta: 'Δ', Theta: 'Θ', Lambda: 'Λ', Xi: 'Ξ', Pi: 'Π',
+    Sigma: 'Σ', Upsilon: 'Υ', Phi: 'Φ', Psi: 'Ψ', Omega: 'Ω'
+};
+
+/**
+ * Ordinary symbols rendered as identifiers
+ */
+const SYMBOLS = {
+    infty: '∞', partial: '∂', nabla: '∇', ell: 'ℓ', hbar: 'ℏ', emptyset: '∅',
+    varnothing: '∅', Re: 'ℜ', Im: 'ℑ', aleph: 'ℵ', top: '⊤', bot: '⊥',
+    angle: '∠', triangle: '△', prime: '′'
+};
+
+/**
+ * Operators, relations, arrows and delimiters
+ */
+const OPERATORS = {
+    cdot: '⋅', times: '×', div: '÷', pm: '±', mp: '∓', ast: '∗', star: '⋆',
+    circ: '∘', bullet: '∙', oplus: '⊕', otimes: '⊗', odot: '⊙',
+    le: '≤', leq: '≤', ge: '≥', geq: '≥', ne: '≠', neq: '≠', ll: '≪', gg: '≫',
+    approx: '≈', equiv: '≡', sim: '∼', simeq: '≃', cong: '≅', propto: '∝',
+    coloneqq: '≔', triangleq: '≜',
+    to: '→', rightarrow: '→', leftarrow: '←', leftrightarrow: '↔',
+    Rightarrow: '⇒', Leftarrow: '⇐', Leftrightarrow: '⇔', implies: '⟹',
+    impliedby: '⟸', iff: '⟺', mapsto: '↦', gets: '←', uparrow: '↑', downarrow: '↓',
+    in: '∈', notin: '∉', ni: '∋', subset: '⊂', subseteq: '⊆', supset: '⊃',
+    supseteq: '⊇', cup: '∪', cap: '∩', setminus: '∖', forall: '∀', exists: '∃',
+    nexists: '∄', neg: '¬', lnot: '¬', land: '∧', wedge: '∧', lor: '∨', vee: '∨',
+    perp: '⊥', parallel: '∥', mid: '∣', vdash: '⊢', models: '⊨',
+    ldots: '…', cdots: '⋯', dots: '…', vdots: '⋮', ddots: '⋱',
+    langle: '⟨', rangle: '⟩', lvert: '|', rvert: '|', vert: '|', lVert: '‖',
+    rVert: '‖', Vert: '‖', lfloor: '⌊', rfloor: '⌋', lceil: '⌈', rceil: '⌉',
+    '{': '{', '}': '}', '|': '‖', '#': '#', '%': '%', '&': '&', '$': '$', _: '_'
+};
+
+/**
+ * Big operators (limits go above/below in display mode)
+ */
+const LARGE_OPERATORS = {
+    sum: '∑', prod: '∏', coprod: '∐', int: '∫', iint: '∬', iiint: '∭',
+    oint: '∮', bigcup: '⋃', bigcap: '⋂', bigoplus: '⨁', bigotimes: '⨂'
+};
+
+/**
+ * Named functions rendered upright; the `true` ones take limits
+ */
+const FUNCTIONS = {
+    sin: false, cos: false, tan: false, cot: false, sec: false, csc: false,
+    arcsin: false, arccos: false, arctan: false, sinh: false, cosh: false,
+    tanh: false, log: false, ln: false, lg: false, exp: false, det: false,
+    dim: false, ker: false, deg: false, gcd: false, arg: false, Pr: false,
+    lim: true, limsup: true, liminf: true, max: true, min: true, sup: true,
+    inf: true, argmax: true, argmin: true
+};
+
+const ACCENTS = {
+    hat: '^', widehat: '^', bar: '¯', overline: '¯', vec: '→', tilde: '~',
+    widetilde: '~', dot: '˙', ddot: '¨', check: 'ˇ', breve: '˘', acute: '´',
+    grave: '`', overrightarrow: '→'
+};
+
+const SPACES = {
+    ',': '0.1667em', ':': '0.2222em', '>': '0.2222em', ';': '0.2778em',
+    ' ': '0.25em', quad: '1em', qquad: '2em', enspace: '0.5em', '!': '-0.1667em'
+};
+
+const ENVIRONMENTS = {
+    matrix: { open: '', close: '' },
+    pmatrix: { open: '(', close: ')' },
+    bmatrix: { open: '[', close: ']' },
+    Bmatrix: { open: '{', close: '}' },
+    vmatrix: { open: '|', close: '|' },
+    Vmatrix: { open: '‖', close: '‖' },
+    cases: { open: '{', close: '', align: 'left' },
+    aligned: { open: '', close: '', align: 'right left' },
+    align: { open: '', close: '', align: 'right left' },
+    'align*': { open: '', close: '', align: 'right left' },
+    gathered: { open: '', close: '' },
+    array: { open: '', close: '', columns: true }
+};
+
+/**
+ * Unicode math alphabets used by the font commands (MathML Core only
+ * supports mathvariant="normal", so styled letters are real code points)
+ */
+const ALPHABETS = {
+    bold: { upper: 0x1D400, lower: 0x1D41A, digit: 0x1D7CE },
+    boldItalic: { upper: 0x1D468, lower: 0x1D482, digit: 0x1D7CE },
+    doubleStruck: {
+        upper: 0x1D538, lower: 0x1D552, digit: 0x1D7D8,
+        exceptions: { C: 'ℂ', H: 'ℍ', N: 'ℕ', P: 'ℙ', Q: 'ℚ', R: 'ℝ', Z: 'ℤ' }
+    },
+    script: {
+        upper: 0x1D49C, lower: 0x1D4B6,
+        exceptions: { B: 'ℬ', E: 'ℰ', F: 'ℱ', H: 'ℋ', I: 'ℐ', L: 'ℒ', M: 'ℳ', R: 'ℛ', e: 'ℯ', g: 'ℊ', o: 'ℴ' }
+    },
+    fraktur: {
+        upper: 0x1D504, lower: 0x1D51E,
+        exceptions: { C: 'ℭ', H: 'ℌ', I: 'ℑ', R: 'ℜ', Z: 'ℨ' }
+    }
+};
+
+const FONT_COMMANDS = {
+    mathbf: 'bold', boldsymbol: 'boldItalic', bm: 'boldItalic', mathbb: 'doubleStruck',
+    mathcal: 'script', mathscr: 'script', mathfrak: 'fraktur', mathrm: 'normal',
+    mathit: 'italic', mathsf: 'normal', mathtt: 'normal'
+};
+
+const TEXT_COMMANDS = ['text', 'textrm', 'textit', 'textbf', 'textsf', 'texttt', 'mbox'];
+
+/**
+ * Commands that are accepted and ignored (sizing and style hints)
+ */
+const IGNORED = [
+    'displaystyle', 'textstyle', 'scriptstyle', 'limits', 'nolimits', 'nonumber',
+    'big', 'Big', 'bigg', 'Bigg', 'bigl', 'bigr', 'Bigl', 'Bigr', 'biggl', 'biggr',
+    'Biggl', 'Biggr', 'middle'
+];
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Escape text for MathML content
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Map ASCII letters/digits into a Unicode math alphabet
+ * @param {string} text - Plain text
+ * @param {string} font - Key into ALPHABETS
+ * @returns {string} Styled text
+ */
+function styleText(text, font) {
+    const alphabet = ALPHABETS[font];
+    if (!alphabet) return text;
+
+    return [...text].map(ch => {
+        if (alphabet.exceptions?.[ch]) return alphabet.exceptions[ch];
+        if (ch >= 'A' && ch <= 'Z') return String.fromCodePoint(alphabet.upper + ch.charCodeAt(0) - 65);
+        if (ch >= 'a' && ch <= 'z' && alphabet.lower) return String.fromCodePoint(alphabet.lower + ch.charCodeAt(0) - 97);
+        if (ch >= '0' && ch <= '9' && alphabet.digit) return String.fromCodePoint(alphabet.digit + ch.charCodeAt(0) - 48);
+        return ch;
+    }).join('');
+}
+
+/**
+ * Wrap several nodes in an mrow (a single node is returned as is)
+ * @param {Array<{xml: string}>} nodes - Parsed nodes
+ * @returns {string} MathML
+ */
+function row(nodes) {
+    if (nodes.length === 1) return nodes[0].xml;
+    return `<mrow>${nodes.map(node => node.xml).join('')}</mrow>`;
+}
+
+/**
+ * Stretchy fence operator
+ * @param {string} symbol - Delimiter character ('' for none)
+ * @returns {string} MathML
+ */
+function fence(symbol) {
+    return symbol ? `<mo fence="true" stretchy="true">${escapeXml(symbol)}</mo>` : '';
+}
+
+// ============================================
+// TOKENIZER
+// ============================================
+
+/**
+ * Read the next token without consuming it
+ * @param {Object} state - Parser state
+ * @returns {{type: string, value: string, end: number}|null} Token
+ */
+function peek(state) {
+    let pos = state.pos;
+    while (pos < state.src.length && /\s/.test(state.src[pos])) pos++;
+    if (pos >= state.src.length) return null;
+
+    const ch = state.src[pos];
+    if (ch === '\\') {
+        const name = state.src.slice(pos + 1).match(/^(?:[A-Za-z]+\*?|.)/);
+        if (!name) return { type: 'char', value: '\\', end: pos + 1 };
+        return { type: 'command', value: name[0], end: pos + 1 + name[0].length };
+    }
+    if (/[0-9.]/.test(ch)) {
+        const number = state.src.slice(pos).match(/^(?:\d+(?:\.\d+)?|\.\d+|\.)/)[0];
+        return { type: number === '.' ? 'char' : 'number', value: number, end: pos + number.length };
+    }
+    return { type: 'char', value: ch, end: pos + 1 };
+}
+
+/**
+ * Consume and return the next token
+ * @param {Object} state - Parser state
+ * @returns {Object|null} Token
+ */
+function next(state) {
+    const token = peek(state);
+    if (token) state.pos = token.end;
+    return token;
+}
+
+/**
+ * Read a raw brace group (for \text, environment names and array specs)
+ * @param {Object} state - Parser state
+ * @returns {string} Group content without the braces
+ */
+function readRawGroup(state) {
+    const token = next(state);
+    if (!token || token.value !== '{') throw new Error('expected {');
+
+    let depth = 1;
+    const start = state.pos;
+    while (state.pos < state.src.length) {
+        const ch = state.src[state.pos];
+        if (ch === '\\') {
+            state.pos += 2;
+            continue;
+        }
+        if (ch === '{') depth++;
+        if (ch === '}' && --depth === 0) {
+            state.pos++;
+            return state.src.slice(start, state.pos - 1);
+        }
+        state.pos++;
+    }
+    throw new Error('unbalanced braces');
+}
+
+// ============================================
+// PARSER
+// ============================================
+
+/**
+ * Parse tokens until a stop token (not consumed)
+ * @param {Object} state - Parser state
+ * @param {function(Object): boolean} isStop - Stop predicate
+ * @returns {Array<{xml: string}>} Nodes
+ */
+function parseRow(state, isStop) {
+    const nodes = [];
+    let token = peek(state);
+    while (token && !isStop(token)) {
+        const node = parseScripts(state);
+        if (node) nodes.push(node);
+        token = peek(state);
+    }
+    return nodes;
+}
+
+/**
+ * Parse an atom plus any ^ / _ scripts attached to it
+ * @param {Object} state - Parser state
+ * @returns {{xml: string}|null} Node
+ */
+function parseScripts(state) {
+    const base = parseAtom(state);
+    if (!base) return null;
+
+    let sub = null;
+    let sup = null;
+    for (let token = peek(state); token && (token.value === '^' || token.value === '_' || token.value === "'"); token = peek(state)) {
+        next(state);
+        if (token.value === "'") {
+            sup = { xml: sup ? row([sup, { xml: '<mo>′</mo>' }]) : '<mo>′</mo>' };
+        } else if (token.value === '^') {
+            sup = parseArgument(state);
+        } else {
+            sub = parseArgument(state);
+        }
+    }
+
+    if (!sub && !sup) return base;
+
+    const under = base.limits && state.display;
+    if (sub && sup) {
+        return { xml: under ? `<munderover>${base.xml}${sub.xml}${sup.xml}</munderover>` : `<msubsup>${base.xml}${sub.xml}${sup.xml}</msubsup>` };
+    }
+    if (sub) {
+        return { xml: under ? `<munder>${base.xml}${sub.xml}</munder>` : `<msub>${base.xml}${sub.xml}</msub>` };
+    }
+    return { xml: under ? `<mover>${base.xml}${sup.xml}</mover>` : `<msup>${base.xml}${sup.xml}</msup>` };
+}
+
+/**
+ * Parse a command or group argument (single digit when ungrouped, so \frac12 works)
+ * @param {Object} state - Parser state
+ * @returns {{xml: string}} Node
+ */
+function parseArgument(state) {
+    const token = peek(state);
+    if (!token) throw new Error('missing argument');
+
+    if (token.type === 'number' && token.value.length > 1) {
+        state.pos = token.end - token.value.length + 1;
+        return { xml: `<mn>${styleText(token.value[0], state.font)}</mn>` };
+    }
+    const node = parseAtom(state);
+    if (!node) throw new Error('missing argument');
+    return node;
+}
+
+/**
+ * Parse a delimiter after \left, \right or a sizing command
+ * @param {Object} state - Parser state
+ * @returns {string} Delimiter character ('' for \left. / \right.)
+ */
+function parseDelimiter(state) {
+    const token = next(state);
+    if (!token) throw new Error('missing delimiter');
+    if (token.value === '.') return '';
+    if (token.type === 'command') {
+        if (OPERATORS[token.value] === undefined) throw new Error(`unknown delimiter \\${token.value}`);
+        return OPERATORS[token.value];
+    }
+    return token.value;
+}
+
+/**
+ * Parse \begin{env} ... \end{env}
+ * @param {Object} state - Parser state
+ * @returns {{xml: string}} Node
+ */
+function parseEnvironment(state) {
+    const name = readRawGroup(state).trim();
+    const env = ENVIRONMENTS[name];
+    if (!env) throw new Error(`unknown environment ${name}`);
+    if (env.columns) readRawGroup(state);
+
+    const rows = [[]];
+    const isStop = token => token.value === '&' || (token.type === 'command' && (token.value === '\\' || token.value === 'end'));
+
+    for (;;) {
+        const cell = parseRow(state, isStop);
+        rows[rows.length - 1].push(cell);
+
+        const token = next(state);
+        if (!token) throw new Error(`missing \\end{${name}}`);
+        if (token.value === '\\') {
+            rows.push([]);
+        } else if (token.value === 'end') {
+            readRawGroup(state);
+            break;
+        }
+    }
+
+    // A trailing \\ leaves an empty last row
+    const last = rows[rows.length - 1];
+    if (last.length === 1 && last[0].length === 0) rows.pop();
+
+    const align = env.align ? ` columnalign="${env.align}"` : '';
+    const table = `<mtable${align}>${rows.map(cells =>
+        `<mtr>${cells.map(cell => `<mtd>${row(cell.length ? cell : [{ xml: '<mrow></mrow>' }])}</mtd>`).join('')}</mtr>`
+    ).join('')}</mtable>`;
+
+    if (!env.open && !env.close) return { xml: table };
+    return { xml: `<mrow>${fence(env.open)}${table}${fence(env.close)}</mrow>` };
+}
+
+/**
+ * Parse a command token
+ * @param {Object} state - Parser state
+ * @param {string} name - Command name without the backslash
+ * @returns {{xml: string, limits?: boolean}|null} Node
+ */
+function parseCommand(state, name) {
+    if (GREEK[name]) {
+        const upright = /^[A-Z]/.test(name) ? ' mathvariant="normal"' : '';
+        return { xml: `<mi${upright}>${GREEK[name]}</mi>` };
+    }
+    if (SYMBOLS[name]) return { xml: `<mi>${SYMBOLS[name]}</mi>` };
+    if (OPERATORS[name] !== undefined) return { xml: `<mo>${escapeXml(OPERATORS[name])}</mo>` };
+    if (LARGE_OPERATORS[name]) {
+        const integral = /int$/.test(name);
+        return { xml: `<mo largeop="true"${integral ? '' : ' movablelimits="true"'}>${LARGE_OPERATORS[name]}</mo>`, limits: !integral };
+    }
+    if (FUNCTIONS[name] !== undefined) {
+        const label = name.replace(/^arg(max|min)$/, 'arg $1').replace(/^lim(sup|inf)$/, 'lim $1');
+        return { xml: `<mi>${label}</mi>`, limits: FUNCTIONS[name] };
+    }
+    if (SPACES[name]) {
+        return { xml: `<mspace width="${SPACES[name]}"></mspace>` };
+    }
+    if (IGNORED.includes(name)) return null;
+
+    switch (name) {
+        case 'frac':
+        case 'dfrac':
+        case 'tfrac': {
+            const numerator = parseArgument(state);
+            const denominator = parseArgument(state);
+            return { xml: `<mfrac>${numerator.xml}${denominator.xml}</mfrac>` };
+        }
+        case 'binom': {
+            const top = parseArgument(state);
+            const bottom = parseArgument(state);
+            return { xml: `<mrow>${fence('(')}<mfrac linethickness="0">${top.xml}${bottom.xml}</mfrac>${fence(')')}</mrow>` };
+        }
+        case 'sqrt': {
+            const token = peek(state);
+            if (token && token.value === '[') {
+                next(state);
+                const index = parseRow(state, t => t.value === ']');
+                next(state);
+                const radicand = parseArgument(state);
+                return { xml: `<mroot>${radicand.xml}${row(index)}</mroot>` };
+            }
+            return { xml: `<msqrt>${parseArgument(state).xml}</msqrt>` };
+        }
+        case 'left': {
+            const open = parseDelimiter(state);
+            const body = parseRow(state, t => t.type === 'command' && t.value === 'right');
+            if (!next(state)) throw new Error('missing \\right');
+            const close = parseDelimiter(state);
+            return { xml: `<mrow>${fence(open)}${body.map(node => node.xml).join('')}${fence(close)}</mrow>` };
+        }
+        case 'right':
+            throw new Error('\\right without \\left');
+        case 'begin':
+            return parseEnvironment(state);
+        case 'operatorname':
+        case 'operatorname*': {
+            const label = readRawGroup(state).replace(/\\,/g, ' ');
+            return { xml: `<mi>${escapeXml(label)}</mi>`, limits: name.endsWith('*') };
+        }
+        case 'underline': {
+            const body = parseArgument(state);
+            return { xml: `<munder accentunder="true">${body.xml}<mo stretchy="true">_</mo></munder>` };
+        }
+        case 'overset':
+        case 'underset': {
+            const annotation = parseArgument(state);
+            const body = parseArgument(state);
+            const tag = name === 'overset' ? 'mover' : 'munder';
+            return { xml: `<${tag}>${body.xml}${annotation.xml}</${tag}>` };
+        }
+        case '\\':
+            return null;
+        default:
+            break;
+    }
+
+    if (ACCENTS[name]) {
+        const body = parseArgument(state);
+        const stretchy = /^(wide|over)/.test(name) ? 'true' : 'false';
+        return { xml: `<mover accent="true">${body.xml}<mo stretchy="${stretchy}">${escapeXml(ACCENTS[name])}</mo></mover>` };
+    }
+
+    if (TEXT_COMMANDS.includes(name)) {
+        const text = readRawGroup(state)
+            .replace(/\\([{}$%&#_ ])/g, '$1')
+            .replace(/^ | $/g, '\u00A0');
+        const font = name === 'textbf' ? 'bold' : '';
+        return { xml: `<mtext>${escapeXml(styleText(text, font))}</mtext>` };
+    }
+
+    if (FONT_COMMANDS[name]) {
+        const previous = state.font;
+        state.font = FONT_COMMANDS[name];
+        const body = parseArgument(state);
+        state.font = previous;
+        return body;
+    }
+
+    return { xml: `<merror><mtext>\\${escapeXml(name)}</mtext></merror>` };
+}
+
+/**
+ * Parse a single atom
+ * @param {Object} state - Parser state
+ * @returns {{xml: string, limits?: boolean}|null} Node (null for no-op tokens)
+ */
+function parseAtom(state) {
+    const token = next(state);
+    if (!token) return null;
+
+    if (token.type === 'command') return parseCommand(state, token.value);
+
+    if (token.type === 'number') {
+        return { xml: `<mn>${styleText(token.value, state.font)}</mn>` };
+    }
+
+    const ch = token.value;
+    if (ch === '{') {
+        const body = parseRow(state, t => t.value === '}');
+        if (!next(state)) throw new Error('unbalanced braces');
+        return { xml: body.length ? row(body) : '<mrow></mrow>' };
+    }
+    if (ch === '}') throw new Error('unexpected }');
+    if (ch === '^' || ch === '_') throw new Error(`unexpected ${ch}`);
+    if (ch === '~') return { xml: `<mspace width="${SPACES[' ']}"></mspace>` };
+
+    if (/[A-Za-z]/.test(ch)) {
+        if (state.font === 'normal') return { xml: `<mi mathvariant="normal">${ch}</mi>` };
+        if (state.font && state.font !== 'italic') return { xml: `<mi>${styleText(ch, state.font)}</mi>` };
+        return { xml: `<mi>${ch}</mi>` };
+    }
+
+    const symbol = { '-': '−', '*': '∗', '<': '<', '>': '>' }[ch] || ch;
+    return { xml: `<mo>${escapeXml(symbol)}</mo>` };
+}
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * Render a LaTeX expression as MathML
+ * The TeX source is kept as an annotation so copy/paste and screen readers
+ * can fall back to it. Malformed input renders as code with the error.
+ * @param {string} tex - LaTeX source (without $ delimiters)
+ * @param {Object} options - Render options
+ * @param {boolean} options.display - Display (block) style instead of inline
+ * @returns {string} MathML (or an escaped fallback)
+ */
+export function renderMath(tex, options = {}) {
+    const display = Boolean(options.display);
+    const state = { src: String(tex), pos: 0, display, font: '' };
+
+    try {
+        const nodes = parseRow(state, () => false);
+        const body = nodes.length ? row(nodes) : '<mrow></mrow>';
+        const mode = display ? ' display="block"' : '';
+        return `<math${mode}><semantics>${body}<annotation encoding="application/x-tex">${escapeXml(tex)}</annotation></semantics></math>`;
+    } catch (error) {
+        console.warn(`[MATH] Could not render "${tex}": ${error.message}`);
+        return `<code class="text-red-400 font-mono text-sm" title="${escapeXml(error.message)}">${escapeXml(tex)}</code>`;
+    }
+}
@@ -0,0 +1,194 @@
+/**
+ * PORTFOLIO SYSTEM - CERTIFICATES RENDERER
+ * Renders the certificate grid from profile.json
+ */
+
+import { loadJSON, html, onPageReady, renderSections, t, formatDate, loadRelations, createRelatedLinks, getSrcset } from './core.js';
+import { createCredentialSchema } from './seo.js';
+
+// Logo files, with their sizes and smaller copies in logos.json (scripts/build-images.mjs)
+const LOGO_FOLDER = '../assets/logos';
+
+/**
+ * Map an issuer name to its logo file
+ * @param {string} issuer - Certificate issuer
+ * @returns {{path: string|null, darkBg: boolean}} Logo path and background hint
+ */
+function getProviderLogo(issuer) {
+    const issuerLower = issuer.toLowerCase();
+
+    // AWS - orange logo works on white
+    if (issuerLower.includes('amazon web services') || issuerLower.includes('aws')) {
+        return { path: '../assets/logos/aws.webp', darkBg: false };
+    }
+    // Amazon (non-AWS) - black logo needs dark background
+    if (issuerLower.includes('amazon')) {
+        return { path: '../assets/logos/amazon.webp', darkBg: true };
+    }
+    // IBM - blue logo works on white
+    if (issuerLower.includes('ibm')) {
+        return { path: '../assets/logos/ibm.webp', darkBg: false };
+    }
+    // Google Cloud - multicolor works on white
+    if (issuerLower.includes('google cloud') || issuerLower.includes('google')) {
+        return { path: '../assets/logos/google-cloud.webp', darkBg: false };
+    }
+    // Meta - blue logo works on white
+    if (issuerLower.includes('meta')) {
+        return { path: '../assets/logos/meta.webp', darkBg: false };
+    }
+    // DeepLearning.AI / Stanford - red logo works on white
+    if (issuerLower.includes('deeplearning') || issuerLower.includes('stanford')) {
+        return { path: '../assets/logos/deeplearning-ai.webp', darkBg: false };
+    }
+    // Vanderbilt - gold on brown
+    if (issuerLower.includes('vanderbilt')) {
+        return { path: '../assets/logos/vanderbilt.webp', darkBg: false };
+    }
+    // Yale - blue works on white
+    if (issuerLower.includes('yale')) {
+        return { path: '../assets/logos/yale.webp', darkBg: false };
+    }
+    // NYU - purple works on white
+    if (issuerLower.includes('new york university')) {
+        return { path: '../assets/logos/nyu.webp', darkBg: false };
+    }
+    // NY Institute of Finance - dark logo needs dark background
+    if (issuerLower.includes('new york institute of finance') || issuerLower.includes('nyif')) {
+        return { path: '../assets/logos/nyif.webp', darkBg: true };
+    }
+    // UC Davis - blue/gold works on white
+    if (issuerLower.includes('california') && issuerLower.includes('davis')) {
+        return { path: '../assets/logos/ucdavis.webp', darkBg: false };
+    }
+    // Coursera - blue works on white
+    if (issuerLower.includes('coursera')) {
+        return { path: '../assets/logos/coursera.webp', darkBg: false };
+    }
+    // No logo available - return null path
+    return { path: null, darkBg: false };
+}
+
+/**
+ * Initialize certificates page
+ */
+export async function initCertificates() {
+    const profile = await loadJSON('../data/profile.json');
+    if (!profile || !profile.certificates) {
+        console.error('[CERTIFICATES] Failed to load certificates data');
+        return;
+    }
+
+    const [relations, logos] = await Promise.all([
+        loadRelations(),
+        loadJSON(`${LOGO_FOLDER}/logos.json`)
+    ]);
+    renderSections(getSections(profile.certificates, relations, logos || []));
+
+    // Swap logos that fail to load for the certificate's icon
+    document.getElementById('certificates-grid')?.addEventListener('error', (e) => {
+        const img = e.target.closest?.('img[data-fallback-icon]');
+        if (!img) return;
+        const icon = document.createElement('span');
+        icon.className = 'material-symbols-outlined text-primary text-xl';
+        icon.textContent = img.dataset.fallbackIcon;
+        img.replaceWith(icon);
+    }, true);
+
+    console.log('[CERTIFICATES] Rendered', profile.certificates.length, 'certificates');
+}
+
+/**
+ * Page variants for scripts/prerender.mjs
+ * @param {{url: string}} site - Site root
+ * @returns {Promise<Object[]>} The certificates page, with a credential entry per certificate
+ */
+export async function prerender(site) {
+    const profile = await loadJSON('../data/profile.json');
+    const logos = await loadJSON(`${LOGO_FOLDER}/logos.json`) || [];
+    return [{
+        sections: getSections(profile.certificates, await loadRelations(), logos),
+        schema: profile.certificates.map(cert => createCredentialSchema(cert, site.url))
+    }];
+}
+
+/**
+ * Markup for each container on the page
+ * @param {Object[]} certificates - Certificates from profile.json
+ * @param {Object} relations - Resolver from loadRelations()
+ * @param {Object[]} logos - Entries of logos.json
+ * @returns {Object<string, SafeHtml|string>} Container id → markup
+ */
+function getSections(certificates, relations, logos) {
+    return {
+        'cert-count': String(certificates.length),
+        'certificates-grid': renderCertificateGrid(certificates, relations, logos)
+    };
+}
+
+/**
+ * Render the certificate cards
+ * @param {Object[]} certificates - Certificates from profile.json
+ * @param {Object} relations - Resolver from loadRelations()
+ * @param {Object[]} logos - Entries of logos.json
+ * @returns {SafeHtml} Grid markup
+ */
+function renderCertificateGrid(certificates, relations, logos) {
+    return html`${certificates.map((cert, index) => {
+        const logoInfo = getProviderLogo(cert.issuer);
+        const logo = logoInfo.path && logos.find(entry => logoInfo.path === `${LOGO_FOLDER}/${entry.file}`);
+        const srcset = logo ? getSrcset(LOGO_FOLDER, logo) : null;
+        return html`
+        <div id="${cert.id}" class="group relative bg-surface-card border border-border-dark hover:border-primary/50 p-6 fast-transition overflow-hidden"
+             style="animation: fadeInUp 0.4s ease-out ${index * 0.1}s both">
+            <!-- Background Icon -->
+            <div class="absolute top-0 right-0 p-4 opacity-5 group-hover:opacity-10 transition-opacity">
+                <span class="material-symbols-outlined text-7xl">${cert.icon || 'verified'}</span>
+            </div>
+            
+            <!-- Badge with Provider Logo or Material Icon -->
+            <div class="flex items-center gap-3 mb-4">
+                ${logoInfo.path ? html`
+                <div class="w-12 h-12 rounded-lg bg-transparent flex items-center justify-center transition-all overflow-hidden">
+                    <img src="${logoInfo.path}" alt="${cert.issuer}" loading="lazy"
+                         ${srcset ? html`srcset="${srcset}" sizes="48px"` : ''}
+                         ${logo ? html`width="${logo.width}" height="${logo.height}"` : ''}
+                         class="w-full h-full object-contain brightness-0 invert opacity-90 group-hover:opacity-100 transition-opacity" data-fallback-icon="${cert.icon || 'verified'}" />
+                </div>
+                ` : html`
+                <div class="w-12 h-12 rounded-lg bg-transparent flex items-center justify-center transition-all">
+                    <span class="material-symbols-outlined text-white text-3xl opacity-90 group-hover:opacity-100 transition-opacity">${cert.icon || 'verified'}</span>
+                </div>
+                `}
+                <span class="text-xs font-mono text-gray-500 uppercase">${formatDate(cert.date)}</span>
+            </div>
+            
+            <!-- Content -->
+            <h3 class="text-lg font-medium text-white mb-2 group-hover:text-primary transition-colors">${cert.name}</h3>
+            <p class="text-sm text-gray-400 mb-4">${cert.issuer}</p>
+            ${relations ? html`
+                <div class="-mt-2 mb-4">
+                    ${createRelatedLinks(relations.related('certificate', cert.id, 'skill'), t('related.skills'))}
+                    ${createRelatedLinks(relations.related('certificate', cert.id, 'experience'), t('related.experience'))}
+                </div>
+            ` : ''}
+            
+            <!-- Link -->
+            ${cert.link && cert.link !== '#' ? html`
+                <a href="${cert.link}" target="_blank" rel="noopener noreferrer"
+                   class="inline-flex items-center gap-2 text-xs font-mono text-primary hover:text-white transition-colors">
+                    <span>${t('certificates.view')}</span>
+                    <span class="material-symbols-outlined text-sm">open_in_new</span>
+                </a>
+            ` : html`
+                <div class="inline-flex items-center gap-2 text-xs font-mono text-emerald-500">
+                    <span class="material-symbols-outlined text-sm">verified</span>
+                    <span>${t('certificates.verified')}</span>
+                </div>
+            `}
+        </div>
+    `})}`;
+}
+
+// Auto-initialize when DOM is ready
+onPageReady(initCertificates);
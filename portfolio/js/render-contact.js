@@ -0,0 +1,173 @@
+/**
+ * PORTFOLIO SYSTEM - CONTACT RENDERER
+ * Renders contact links from profile.json and submits the contact form
+ */
+
+import { loadJSON, html, onPageReady, renderSections, t } from './core.js';
+
+/**
+ * Initialize contact page
+ */
+export async function initContact() {
+    bindContactForm();
+    await loadContactData();
+}
+
+/**
+ * Load profile.json and show the direct contact links
+ */
+async function loadContactData() {
+    const profile = await loadJSON('../data/profile.json');
+    if (!profile) return;
+
+    renderSections(getSections(profile));
+}
+
+/**
+ * Page variants for scripts/prerender.mjs
+ * @returns {Promise<Object[]>} The contact page
+ */
+export async function prerender() {
+    return [{ sections: getSections(await loadJSON('../data/profile.json')) }];
+}
+
+/**
+ * Markup for each container on the page
+ * @param {Object} profile - profile.json data
+ * @returns {Object<string, SafeHtml|string>} Container id → markup
+ */
+function getSections(profile) {
+    return {
+        'contact-links': renderContactLinks(profile),
+        'system-id': html`ID: ${profile.systemId}`
+    };
+}
+
+/**
+ * Render the direct contact links
+ * @param {Object} profile - profile.json data
+ * @returns {SafeHtml} Label and links
+ */
+function renderContactLinks(profile) {
+    const links = [
+        {
+            icon: 'mail',
+            label: t('contact.email'),
+            value: profile.email,
+            href: `mailto:${profile.email}`,
+            iconColor: 'text-primary'
+        },
+        {
+            icon: 'terminal',
+            label: t('contact.github'),
+            value: profile.socials.github.label,
+            href: profile.socials.github.url,
+            iconColor: 'text-white'
+        },
+        {
+            icon: 'group',
+            label: t('contact.linkedin'),
+            value: profile.socials.linkedin.label,
+            href: profile.socials.linkedin.url,
+            iconColor: 'text-blue-400'
+        }
+    ];
+
+    return html`
+        <span class="text-[10px] font-mono text-gray-600 uppercase mb-2" data-i18n="contact.direct">${t('contact.direct')}</span>
+        ${links.map(link => html`
+            <a class="group relative overflow-hidden bg-surface-dark border border-border-dark p-4 flex items-center justify-between hover:border-primary/50 hover:bg-surface-dark/80 transition-all duration-300" href="${link.href}" target="_blank" rel="noopener noreferrer">
+                <div class="flex items-center gap-4 relative z-10">
+                    <div class="w-10 h-10 rounded bg-background-dark border border-border-dark flex items-center justify-center ${link.iconColor} group-hover:scale-110 transition-transform duration-300">
+                        <span class="material-symbols-outlined text-lg">${link.icon}</span>
+                    </div>
+                    <div class="flex flex-col">
+                        <span class="text-[10px] font-mono text-gray-500 uppercase tracking-wider group-hover:text-primary transition-colors">${link.label}</span>
+                        <span class="text-sm font-mono text-white">${link.value}</span>
+                    </div>
+                </div>
+                <span class="material-symbols-outlined text-gray-600 text-sm group-hover:text-white -rotate-45 group-hover:rotate-0 transition-all duration-300">arrow_outward</span>
+                <div class="absolute left-0 top-0 bottom-0 w-[2px] bg-primary scale-y-0 group-hover:scale-y-100 transition-transform duration-300 origin-bottom"></div>
+            </a>
+        `)}
+    `;
+}
+
+/**
+ * Submit the contact form to Formspree without leaving the page
+ */
+function bindContactForm() {
+    const contactForm = document.getElementById('contact-form');
+    contactForm?.addEventListener('submit', handleSubmit);
+}
+
+/**
+ * Handle contact form submission
+ * @param {SubmitEvent} e - Submit event
+ */
+async function handleSubmit(e) {
+    e.preventDefault();
+    const form = e.target;
+    const submitBtn = form.querySelector('button[type="submit"]');
+    const originalBtnText = submitBtn.innerHTML;
+
+    // Show loading state
+    submitBtn.innerHTML = html`
+        <span class="relative z-10 flex items-center justify-center gap-3">
+            <span class="animate-pulse">${t('contact.sending')}</span>
+            <span class="material-symbols-outlined text-sm animate-spin">sync</span>
+        </span>
+    `;
+    submitBtn.disabled = true;
+
+    try {
+        const response = await fetch(form.action, {
+            method: 'POST',
+            body: new FormData(form),
+            headers: { 'Accept': 'application/json' }
+        });
+
+        if (response.ok) {
+            // Success state
+            submitBtn.innerHTML = html`
+                <span class="relative z-10 flex items-center justify-center gap-3 text-emerald-400">
+                    ${t('contact.sent')}
+                    <span class="material-symbols-outlined text-sm">check_circle</span>
+                </span>
+            `;
+            submitBtn.classList.add('bg-emerald-500/20', 'border', 'border-emerald-500/50');
+            submitBtn.classList.remove('bg-white', 'text-black');
+            form.reset();
+
+            // Reset button after 3 seconds
+            setTimeout(() => {
+                submitBtn.innerHTML = originalBtnText;
+                submitBtn.disabled = false;
+                submitBtn.classList.remove('bg-emerald-500/20', 'border', 'border-emerald-500/50');
+                submitBtn.classList.add('bg-white', 'text-black');
+            }, 3000);
+        } else {
+            throw new Error('Transmission failed');
+        }
+    } catch (error) {
+        // Error state
+        submitBtn.innerHTML = html`
+            <span class="relative z-10 flex items-center justify-center gap-3 text-red-400">
+                ${t('contact.failed')}
+                <span class="material-symbols-outlined text-sm">error</span>
+            </span>
+        `;
+        submitBtn.classList.add('bg-red-500/20', 'border', 'border-red-500/50');
+        submitBtn.classList.remove('bg-white', 'text-black');
+
+        setTimeout(() => {
+            submitBtn.innerHTML = originalBtnText;
+            submitBtn.disabled = false;
+            submitBtn.classList.remove('bg-red-500/20', 'border', 'border-red-500/50');
+            submitBtn.classList.add('bg-white', 'text-black');
+        }, 3000);
+    }
+}
+
+// Auto-initialize when DOM is ready
+onPageReady(initContact);
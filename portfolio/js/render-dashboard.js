@@ -3,7 +3,8 @@
  * Renders main dashboard overview aggregating data from multiple sources
  */
 
-import { loadJSON } from './core.js';
+import { loadJSON, loadWithRetry, onDataUpdate, html, trusted, onPageReady, renderSections, t } from './core.js';
+import { createShell } from './terminal.js';
 
 let profile = null;
 let projects = [];
@@ -15,53 +16,77 @@ let skills = null;
 export async function initDashboard() {
     // Load all data sources in parallel
     [profile, projects, skills] = await Promise.all([
-        loadJSON('../data/profile.json'),
-        loadJSON('../data/projects.json'),
+        loadWithRetry('status-card', '../data/profile.json'),
+        loadJSON('../data/projects/index.json'),
         loadJSON('../data/skills.json')
     ]);
-
-    if (!profile) {
-        console.error('[DASHBOARD] Failed to load profile data');
-        return;
-    }
+    if (!profile) return;
 
     renderDashboard();
     initTerminalWidget();
 
+    // Re-render when a newer profile.json arrives in the background
+    onDataUpdate('../data/profile.json', (data) => {
+        profile = data;
+        renderDashboard();
+    });
+
     console.log('[DASHBOARD] Dashboard initialized');
 }
 
+/**
+ * Page variants for scripts/prerender.mjs
+ * @returns {Promise<Object[]>} The dashboard page
+ */
+export async function prerender() {
+    profile = await loadJSON('../data/profile.json');
+    return [{ sections: getSections() }];
+}
+
 /**
  * Render the main dashboard
  */
 function renderDashboard() {
-    renderStatusCard();
-    renderProfileCard();
-    renderFocusAreas();
-    renderExploringTopics();
-    renderTerminalWidget();
-    renderSystemLog();
+    renderSections(getSections());
+
+    // Update container classes for the quick stats design
+    const statsWidget = document.getElementById('terminal-widget');
+    if (statsWidget) {
+        statsWidget.className = 'col-span-1 md:col-span-3 lg:col-span-4 row-span-1 bg-surface-card border border-border-dark relative overflow-hidden fast-transition';
+    }
+}
+
+/**
+ * Markup for each dashboard card
+ * @returns {Object<string, SafeHtml|null>} Container id → markup
+ */
+function getSections() {
+    return {
+        'status-card': renderStatusCard(),
+        'profile-card': renderProfileCard(),
+        'focus-areas': renderFocusAreas(),
+        'exploring-topics': renderExploringTopics(),
+        'terminal-widget': renderTerminalWidget()
+    };
 }
 
 /**
  * Render status card - System Architecture design
+ * @returns {SafeHtml} Card markup
  */
 function renderStatusCard() {
-    const container = document.getElementById('status-card');
-    if (!container) return;
-
-    container.innerHTML = `
+    return html`
         <div class="flex flex-wrap justify-between items-start gap-3 z-10 mb-8">
             <div class="inline-flex items-center gap-2 px-3 py-1.5 border border-primary/30 rounded-lg bg-primary/5">
                 <span class="material-symbols-outlined text-primary text-sm">auto_awesome</span>
-                <span class="font-mono text-xs text-primary uppercase tracking-wider">Intelligence Architecture V2</span>
+                <span class="font-mono text-xs text-primary uppercase tracking-wider">${t('dashboard.architecture')}</span>
             </div>
             <span class="font-mono text-xs text-emerald-500 border border-emerald-500/20 bg-emerald-500/10 px-3 py-1.5 rounded-full" data-editable="profile-status">${profile.status}</span>
         </div>
         <div class="flex-1 z-10 flex flex-col">
             <div class="border-l-2 border-gray-700 pl-4 mb-8">
                 <p class="text-base text-gray-400 max-w-4xl leading-relaxed" data-editable="profile-bio">
-                    ${profile.bio}
+                    ${trusted(profile.bio)}
                 </p>
             </div>
         </div>
@@ -72,19 +97,17 @@ function renderStatusCard() {
  * SVG Icons for social links
  */
 const socialIcons = {
-    github: `<svg viewBox="0 0 24 24" class="w-4 h-4 fill-current"><path d="M12 0c-6.626 0-12 5.373-12 12 0 5.302 3.438 9.8 8.207 11.387.599.111.793-.261.793-.577v-2.234c-3.338.726-4.033-1.416-4.033-1.416-.546-1.387-1.333-1.756-1.333-1.756-1.089-.745.083-.729.083-.729 1.205.084 1.839 1.237 1.839 1.237 1.07 1.834 2.807 1.304 3.492.997.107-.775.418-1.305.762-1.604-2.665-.305-5.467-1.334-5.467-5.931 0-1.311.469-2.381 1.236-3.221-.124-.303-.535-1.524.117-3.176 0 0 1.008-.322 3.301 1.23.957-.266 1.983-.399 3.003-.404 1.02.005 2.047.138 3.006.404 2.291-1.552 3.297-1.23 3.297-1.23.653 1.653.242 2.874.118 3.176.77.84 1.235 1.911 1.235 3.221 0 4.609-2.807 5.624-5.479 5.921.43.372.823 1.102.823 2.222v3.293c0 .319.192.694.801.576 4.765-1.589 8.199-6.086 8.199-11.386 0-6.627-5.373-12-12-12z"/></svg>`,
-    linkedin: `<svg viewBox="0 0 24 24" class="w-4 h-4 fill-current"><path d="M19 0h-14c-2.761 0-5 2.239-5 5v14c0 2.761 2.239 5 5 5h14c2.762 0 5-2.239 5-5v-14c0-2.761-2.238-5-5-5zm-11 19h-3v-11h3v11zm-1.5-12.268c-.966 0-1.75-.79-1.75-1.764s.784-1.764 1.75-1.764 1.75.79 1.75 1.764-.783 1.764-1.75 1.764zm13.5 12.268h-3v-5.604c0-3.368-4-3.113-4 0v5.604h-3v-11h3v1.765c1.396-2.586 7-2.777 7 2.476v6.759z"/></svg>`,
-    email: `<svg viewBox="0 0 24 24" class="w-4 h-4 fill-current"><path d="M0 3v18h24v-18h-24zm21.518 2l-9.518 7.713-9.518-7.713h19.036zm-19.518 14v-11.817l10 8.104 10-8.104v11.817h-20z"/></svg>`
+    github: html`<svg viewBox="0 0 24 24" class="w-4 h-4 fill-current"><path d="M12 0c-6.626 0-12 5.373-12 12 0 5.302 3.438 9.8 8.207 11.387.599.111.793-.261.793-.577v-2.234c-3.338.726-4.033-1.416-4.033-1.416-.546-1.387-1.333-1.756-1.333-1.756-1.089-.745.083-.729.083-.729 1.205.084 1.839 1.237 1.839 1.237 1.07 1.834 2.807 1.304 3.492.997.107-.775.418-1.305.762-1.604-2.665-.305-5.467-1.334-5.467-5.931 0-1.311.469-2.381 1.236-3.221-.124-.303-.535-1.524.117-3.176 0 0 1.008-.322 3.301 1.23.957-.266 1.983-.399 3.003-.404 1.02.005 2.047.138 3.006.404 2.291-1.552 3.297-1.23 3.297-1.23.653 1.653.242 2.874.118 3.176.77.84 1.235 1.911 1.235 3.221 0 4.609-2.807 5.624-5.479 5.921.43.372.823 1.102.823 2.222v3.293c0 .319.192.694.801.576 4.765-1.589 8.199-6.086 8.199-11.386 0-6.627-5.373-12-12-12z"/></svg>`,
+    linkedin: html`<svg viewBox="0 0 24 24" class="w-4 h-4 fill-current"><path d="M19 0h-14c-2.761 0-5 2.239-5 5v14c0 2.761 2.239 5 5 5h14c2.762 0 5-2.239 5-5v-14c0-2.761-2.238-5-5-5zm-11 19h-3v-11h3v11zm-1.5-12.268c-.966 0-1.75-.79-1.75-1.764s.784-1.764 1.75-1.764 1.75.79 1.75 1.764-.783 1.764-1.75 1.764zm13.5 12.268h-3v-5.604c0-3.368-4-3.113-4 0v5.604h-3v-11h3v1.765c1.396-2.586 7-2.777 7 2.476v6.759z"/></svg>`,
+    email: html`<svg viewBox="0 0 24 24" class="w-4 h-4 fill-current"><path d="M0 3v18h24v-18h-24zm21.518 2l-9.518 7.713-9.518-7.713h19.036zm-19.518 14v-11.817l10 8.104 10-8.104v11.817h-20z"/></svg>`
 };
 
 /**
  * Render profile card with SVG icons as overlay buttons
+ * @returns {SafeHtml} Card markup
  */
 function renderProfileCard() {
-    const container = document.getElementById('profile-card');
-    if (!container) return;
-
-    container.innerHTML = `
+    return html`
         <div class="absolute inset-0 bg-gradient-to-b from-transparent via-transparent to-black/80 z-10"></div>
         <div class="w-full h-full bg-surface-dark relative">
             <div class="absolute inset-0 bg-[url('../assets/profile-bg.webp')] bg-cover bg-center opacity-50 grayscale group-hover:grayscale-0 transition-all duration-700"></div>
@@ -118,10 +141,10 @@ function renderProfileCard() {
 
 /**
  * Render focus areas card
+ * @returns {SafeHtml|null} Card markup, or null without focus areas
  */
 function renderFocusAreas() {
-    const container = document.getElementById('focus-areas');
-    if (!container || !profile.focusAreas) return;
+    if (!profile.focusAreas) return null;
 
     const colorMap = {
         'primary': 'text-primary',
@@ -135,13 +158,13 @@ function renderFocusAreas() {
         'orange-400': 'bg-orange-400'
     };
 
-    container.innerHTML = `
+    return html`
         <div class="flex items-center justify-between mb-4">
-            <h3 class="font-mono text-sm uppercase tracking-wider text-gray-400">Focus Areas</h3>
+            <h3 class="font-mono text-sm uppercase tracking-wider text-gray-400">${t('dashboard.focusAreas')}</h3>
             <span class="material-symbols-outlined text-gray-600 text-lg">center_focus_strong</span>
         </div>
         <div class="flex-1 flex flex-col gap-3">
-            ${profile.focusAreas.map(area => `
+            ${profile.focusAreas.map(area => html`
                 <div class="group flex items-center justify-between p-3 bg-surface-dark border border-white/5 hover:border-primary/30 transition-all cursor-default">
                     <div class="flex items-center gap-3">
                         <span class="${colorMap[area.color] || 'text-primary'} material-symbols-outlined text-lg">${area.icon}</span>
@@ -151,29 +174,29 @@ function renderFocusAreas() {
                         <div class="h-full ${bgColorMap[area.color] || 'bg-primary'}" style="width: ${area.level}%"></div>
                     </div>
                 </div>
-            `).join('')}
+            `)}
         </div>
     `;
 }
 
 /**
  * Render currently exploring topics
+ * @returns {SafeHtml|null} Card markup, or null without topics
  */
 function renderExploringTopics() {
-    const container = document.getElementById('exploring-topics');
-    if (!container || !profile.currentlyExploring) return;
+    if (!profile.currentlyExploring) return null;
 
-    container.innerHTML = `
+    return html`
         <div class="absolute top-0 right-0 w-24 h-24 bg-gradient-to-bl from-primary/10 to-transparent pointer-events-none"></div>
-        <h3 class="font-mono text-sm uppercase tracking-wider text-gray-400 mb-4">Currently Exploring</h3>
+        <h3 class="font-mono text-sm uppercase tracking-wider text-gray-400 mb-4">${t('dashboard.exploring')}</h3>
         <div class="flex flex-wrap gap-2">
-            ${profile.currentlyExploring.map(topic => `
+            ${profile.currentlyExploring.map(topic => html`
                 <span class="px-3 py-1 bg-surface-dark border border-white/10 text-sm text-gray-300 rounded hover:border-primary/40 hover:text-primary transition-colors cursor-default">${topic}</span>
-            `).join('')}
+            `)}
         </div>
         <div class="mt-4 flex items-center gap-2 text-[10px] font-mono text-gray-500">
             <span class="animate-pulse text-primary">●</span>
-            <span>Processing learning vectors...</span>
+            <span>${t('dashboard.processing')}</span>
         </div>
     `;
 }
@@ -182,30 +205,25 @@ function renderExploringTopics() {
 
 /**
  * Render Quick Stats widget (replacing terminal)
+ * @returns {SafeHtml} Widget markup
  */
 function renderTerminalWidget() {
-    const container = document.getElementById('terminal-widget');
-    if (!container) return;
-
     // Source stats from profile.json
     const quickStats = [
-        { label: 'Projects Completed', value: profile.stats.projects || '0', icon: 'folder_open' },
-        { label: 'Years Experience', value: profile.stats.experience || '0', icon: 'work_history' },
-        { label: 'Verified Certs', value: profile.stats.certificationsVerified || '0', icon: 'workspace_premium' },
-        { label: 'Hackathons Won', value: profile.stats.hackathonsWon || '0', icon: 'trophy' }
+        { label: t('dashboard.stats.projects'), value: profile.stats.projects || '0', icon: 'folder_open' },
+        { label: t('dashboard.stats.experience'), value: profile.stats.experience || '0', icon: 'work_history' },
+        { label: t('dashboard.stats.certificates'), value: profile.stats.certificationsVerified || '0', icon: 'workspace_premium' },
+        { label: t('dashboard.stats.hackathons'), value: profile.stats.hackathonsWon || '0', icon: 'trophy' }
     ];
 
-    // Update container classes for the new design
-    container.className = 'col-span-1 md:col-span-3 lg:col-span-4 row-span-1 bg-surface-card border border-border-dark relative overflow-hidden fast-transition';
-
-    container.innerHTML = `
+    return html`
         <div class="h-full flex flex-col p-5">
             <div class="flex items-center justify-between mb-4">
-                <h3 class="font-mono text-sm uppercase tracking-wider text-gray-400">Quick Stats</h3>
+                <h3 class="font-mono text-sm uppercase tracking-wider text-gray-400">${t('dashboard.quickStats')}</h3>
                 <span class="material-symbols-outlined text-primary text-lg">bar_chart</span>
             </div>
             <div class="grid grid-cols-2 gap-3 flex-1">
-                ${quickStats.map(stat => `
+                ${quickStats.map(stat => html`
                     <div class="group bg-surface-dark border border-white/5 p-3 rounded-lg hover:border-primary/30 transition-all cursor-default">
                         <div class="flex items-center gap-2 mb-1">
                             <span class="material-symbols-outlined text-primary text-base">${stat.icon}</span>
@@ -213,54 +231,41 @@ function renderTerminalWidget() {
                         </div>
                         <div class="text-2xl font-mono text-white font-medium">${stat.value}</div>
                     </div>
-                `).join('')}
+                `)}
             </div>
         </div>
     `;
 }
 
 /**
- * Initialize terminal widget (now just a placeholder since we removed typing)
+ * Start the interactive shell in the system log panel
+ * Created once per visit (not on data updates) so output and input survive
+ * a background refresh; commands read the latest data themselves.
  */
 function initTerminalWidget() {
-    // No longer needed - quick stats are static
+    const container = document.getElementById('system-log');
+    if (!container) return;
+
+    createShell(container, { intro: getBootLog() });
 }
 
 /**
- * Render system log
+ * Boot messages printed above the first prompt
+ * @returns {SafeHtml[]} Log lines
  */
-function renderSystemLog() {
-    const container = document.getElementById('system-log');
-    if (!container) return;
-
+function getBootLog() {
     const now = new Date();
     const timeStr = (offset) => {
         const d = new Date(now.getTime() + offset * 1000);
         return d.toTimeString().slice(0, 8);
     };
 
-    container.innerHTML = `
-        <div class="absolute top-2 right-2 flex gap-1">
-            <div class="w-2 h-2 rounded-full bg-red-500/20"></div>
-            <div class="w-2 h-2 rounded-full bg-yellow-500/20"></div>
-            <div class="w-2 h-2 rounded-full bg-green-500/20"></div>
-        </div>
-        <div class="text-gray-500 mb-1 border-b border-white/10 pb-1">system_log.txt</div>
-        <div class="flex-1 overflow-hidden flex flex-col justify-end text-gray-400 gap-1 opacity-70">
-            <p><span class="text-primary">${timeStr(-180)}</span> [INFO] Dashboard initialized successfully.</p>
-            <p><span class="text-primary">${timeStr(-160)}</span> [INFO] Connected to remote repository.</p>
-            <p><span class="text-emerald-500">${timeStr(-60)}</span> [SUCCESS] Portfolio data loaded. Rendering view...</p>
-            <div class="flex items-center gap-2">
-                <span class="text-primary">root@portfolio:~$</span>
-                <span class="animate-pulse w-2 h-4 bg-primary inline-block"></span>
-            </div>
-        </div>
-    `;
+    return [
+        html`<span class="text-primary">${timeStr(-180)}</span> [INFO] ${t('dashboard.log.initialized')}`,
+        html`<span class="text-primary">${timeStr(-160)}</span> [INFO] ${t('dashboard.log.connected')}`,
+        html`<span class="text-emerald-500">${timeStr(-60)}</span> [SUCCESS] ${t('dashboard.log.loaded')} ${trusted(t('dashboard.log.help', { command: '<span class="text-white">help</span>' }))}`
+    ];
 }
 
 // Auto-initialize when DOM is ready
-if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', initDashboard);
-} else {
-    initDashboard();
-}
+onPageReady(initDashboard);
@@ -3,9 +3,10 @@
  * Renders execution log / timeline from JSON data
  */
 
-import { loadJSON } from './core.js';
+import { loadJSON, loadWithRetry, onDataUpdate, html, onPageReady, renderSections, getUrlState, setUrlState, onUrlStateChange, t, formatDate, loadRelations, createRelatedLinks } from './core.js';
 
 let experiences = [];
+let relations = null;
 let currentFilter = 'all';
 
 /**
@@ -46,48 +47,93 @@ function parseDateForSort(dateStr) {
  * Initialize experience page
  */
 export async function initExperience() {
-    experiences = await loadJSON('../data/experience.json');
+    // The sidebar loads on its own, so either side can fail without the other
+    showSidebar();
+    onDataUpdate('../data/skills.json', showSidebar);
+    onDataUpdate('../data/profile.json', showSidebar);
 
-    if (!experiences) {
-        console.error('[EXPERIENCE] Failed to load experience data');
-        return;
-    }
+    experiences = await loadWithRetry('experience-timeline', '../data/experience.json');
+    if (!experiences) return;
 
     // Sort experiences by date (latest first)
     experiences.sort((a, b) => parseDateForSort(b.date) - parseDateForSort(a.date));
+    relations = await loadRelations();
+
+    currentFilter = readFilter(getUrlState().params);
+    setActiveFilterLink(currentFilter);
 
-    renderExperienceTimeline();
-    renderSidebar();
+    showTimeline();
     setupFilters();
 
+    // Follow back/forward between filters
+    onUrlStateChange(({ params }) => {
+        const filter = readFilter(params);
+        if (filter !== currentFilter) {
+            applyFilter(filter);
+        }
+    });
+
+    // Re-render when newer data arrives in the background
+    onDataUpdate('../data/experience.json', async (data) => {
+        experiences = data.sort((a, b) => parseDateForSort(b.date) - parseDateForSort(a.date));
+        relations = await loadRelations();
+        showTimeline();
+    });
+
     console.log(`[EXPERIENCE] Loaded ${experiences.length} entries`);
 }
 
+/**
+ * Page variants for scripts/prerender.mjs
+ * @returns {Promise<Object[]>} The experience page, unfiltered
+ */
+export async function prerender() {
+    const [data, skills, profile] = await Promise.all([
+        loadJSON('../data/experience.json'),
+        loadJSON('../data/skills.json'),
+        loadJSON('../data/profile.json')
+    ]);
+    experiences = data.sort((a, b) => parseDateForSort(b.date) - parseDateForSort(a.date));
+    relations = await loadRelations();
+    currentFilter = 'all';
+
+    return [{
+        sections: {
+            'experience-timeline': renderExperienceTimeline(),
+            'experience-sidebar': renderSidebar(skills, profile)
+        }
+    }];
+}
+
+/**
+ * Show the timeline for the current filter
+ */
+function showTimeline() {
+    renderSections({ 'experience-timeline': renderExperienceTimeline() });
+}
+
 /**
  * Render the experience timeline
+ * @returns {SafeHtml} Timeline markup
  */
 function renderExperienceTimeline() {
-    const container = document.getElementById('experience-timeline');
-    if (!container) return;
-
     // Filter experiences based on current filter
     const filteredExperiences = currentFilter === 'all' 
         ? experiences 
         : experiences.filter(exp => exp.type === currentFilter);
 
     if (filteredExperiences.length === 0) {
-        container.innerHTML = `
+        return html`
             <div class="text-center py-12 text-gray-500 font-mono text-sm">
                 <span class="material-symbols-outlined text-2xl mb-2 block">filter_list_off</span>
-                No entries found for this filter
+                ${t('experience.empty')}
             </div>
         `;
-        return;
     }
 
-    container.innerHTML = `
+    return html`
         <div class="absolute left-4 top-4 bottom-0 w-[1px] bg-border-dark lg:left-[17px]"></div>
-        ${filteredExperiences.map((exp, i) => renderExperienceEntry(exp, i)).join('')}
+        ${filteredExperiences.map((exp, i) => renderExperienceEntry(exp, i))}
     `;
 }
 
@@ -105,63 +151,102 @@ function setupFilters() {
         const filter = link.dataset.filter;
         if (filter === currentFilter) return;
 
-        // Update active state
-        filterContainer.querySelectorAll('.filter-link').forEach(l => {
-            l.classList.remove('text-primary');
-        });
-        link.classList.add('text-primary');
+        applyFilter(filter);
+        setUrlState({ params: { filter: filter === 'all' ? null : filter } });
+    });
+}
+
+/**
+ * Read the timeline filter from the URL (experience.html?filter=achievement)
+ * @param {URLSearchParams} params - URL query params
+ * @returns {string} A filter with a link on the page, or 'all'
+ */
+function readFilter(params) {
+    const filter = params.get('filter');
+    const known = [...document.querySelectorAll('#experience-filters .filter-link')].map(link => link.dataset.filter);
+    return known.includes(filter) ? filter : 'all';
+}
 
-        // Apply filter
-        currentFilter = filter;
-        renderExperienceTimeline();
+/**
+ * Highlight the active filter link
+ * @param {string} filter - Active filter
+ */
+function setActiveFilterLink(filter) {
+    document.querySelectorAll('#experience-filters .filter-link').forEach(link => {
+        link.classList.toggle('text-primary', link.dataset.filter === filter);
     });
 }
 
+/**
+ * Switch the timeline to a filter
+ * @param {string} filter - Filter to apply
+ */
+function applyFilter(filter) {
+    setActiveFilterLink(filter);
+    currentFilter = filter;
+    showTimeline();
+}
+
 /**
  * Render a single experience entry
  * @param {Object} exp - Experience data
  * @param {number} index - Entry index for animation delay
- * @returns {string} HTML string
+ * @returns {SafeHtml|string} Entry markup
  */
 function renderExperienceEntry(exp, index) {
     const delay = 0.1 + (index * 0.1);
+    const anchor = exp.id;
 
     if (exp.type === 'work') {
-        return renderWorkEntry(exp, delay);
+        return renderWorkEntry(exp, delay, anchor);
     } else if (exp.type === 'achievement') {
-        return renderAchievementEntry(exp, delay);
+        return renderAchievementEntry(exp, delay, anchor);
     } else if (exp.type === 'opensource') {
-        return renderOpenSourceEntry(exp, delay);
+        return renderOpenSourceEntry(exp, delay, anchor);
     } else if (exp.type === 'certification') {
-        return renderCertificationEntry(exp, delay);
+        return renderCertificationEntry(exp, delay, anchor);
     }
 
     return '';
 }
 
+/**
+ * Render links to the projects and certificate an entry points at
+ * @param {Object} exp - Experience data
+ * @returns {SafeHtml|string} Related links markup
+ */
+function renderRelated(exp) {
+    if (!relations) return '';
+    return html`
+        ${createRelatedLinks(relations.related('experience', exp.id, 'project'), t('related.projects'))}
+        ${createRelatedLinks(relations.related('experience', exp.id, 'certificate'), t('related.certificates'))}
+    `;
+}
+
 /**
  * Render work experience entry
  */
-function renderWorkEntry(exp, delay) {
-    return `
-        <div class="log-entry group relative pl-12 lg:pl-16 animate-fade-in-up" style="animation-delay: ${delay}s; opacity: 0;">
+function renderWorkEntry(exp, delay, anchor) {
+    return html`
+        <div id="${anchor}" class="log-entry group relative pl-12 lg:pl-16 animate-fade-in-up" style="animation-delay: ${delay}s; opacity: 0;">
             <div class="log-marker absolute left-3 top-2 w-2.5 h-2.5 bg-gray-800 border border-gray-600 rounded-full transition-all duration-300 lg:left-[13px] z-10"></div>
             <div class="flex flex-col sm:flex-row sm:items-baseline gap-2 mb-2">
-                <span class="${exp.colorClass || 'text-primary'} font-mono text-sm">${exp.date}</span>
+                <span class="${exp.colorClass || 'text-primary'} font-mono text-sm">${formatDate(exp.date)}</span>
                 <h3 class="text-xl font-medium text-white" data-editable="exp-${exp.title.replace(/\s/g, '-')}-title">${exp.title}</h3>
                 <span class="text-xs font-mono text-gray-500 px-2 py-0.5 border border-border-dark rounded bg-surface-dark">${exp.company}</span>
             </div>
             <div class="bg-surface-dark/50 border border-border-dark p-4 rounded-sm hover:border-primary/50 transition-colors duration-300 backdrop-blur-sm">
                 <ul class="space-y-2 text-sm text-gray-400 font-light list-disc list-inside marker:text-primary">
-                    ${exp.highlights.map(h => `<li>${h}</li>`).join('')}
+                    ${exp.highlights.map(h => html`<li>${h}</li>`)}
                 </ul>
-                ${exp.tech ? `
+                ${exp.tech ? html`
                     <div class="mt-4 flex gap-2 flex-wrap">
-                        ${exp.tech.map(t => `
-                            <span class="text-[10px] font-mono text-gray-500 bg-background-dark border border-border-dark px-1.5 py-0.5">${t}</span>
-                        `).join('')}
+                        ${exp.tech.map(tech => html`
+                            <span class="text-[10px] font-mono text-gray-500 bg-background-dark border border-border-dark px-1.5 py-0.5">${tech}</span>
+                        `)}
                     </div>
                 ` : ''}
+                ${renderRelated(exp)}
             </div>
         </div>
     `;
@@ -170,28 +255,29 @@ function renderWorkEntry(exp, delay) {
 /**
  * Render achievement entry
  */
-function renderAchievementEntry(exp, delay) {
-    return `
-        <div class="log-entry group relative pl-12 lg:pl-16 animate-fade-in-up" style="animation-delay: ${delay}s; opacity: 0;">
+function renderAchievementEntry(exp, delay, anchor) {
+    return html`
+        <div id="${anchor}" class="log-entry group relative pl-12 lg:pl-16 animate-fade-in-up" style="animation-delay: ${delay}s; opacity: 0;">
             <div class="log-marker absolute left-3 top-2 w-2.5 h-2.5 bg-gray-800 border border-gray-600 rounded-full transition-all duration-300 lg:left-[13px] z-10"></div>
             <div class="flex flex-col sm:flex-row sm:items-baseline gap-2 mb-2">
-                <span class="${exp.colorClass || 'text-emerald-500'} font-mono text-sm">${exp.date}</span>
+                <span class="${exp.colorClass || 'text-emerald-500'} font-mono text-sm">${formatDate(exp.date)}</span>
                 <h3 class="text-xl font-medium text-white">${exp.title}</h3>
                 <span class="text-xs font-mono text-gray-500 px-2 py-0.5 border border-border-dark rounded bg-surface-dark">${exp.company}</span>
             </div>
             <div class="bg-surface-dark/50 border border-border-dark p-4 rounded-sm ${exp.hoverBorderClass || 'hover:border-emerald-500/30'} transition-colors duration-300 backdrop-blur-sm relative overflow-hidden">
-                ${exp.icon ? `
+                ${exp.icon ? html`
                     <div class="absolute top-0 right-0 p-2 opacity-10">
                         <span class="material-symbols-outlined text-4xl">${exp.icon}</span>
                     </div>
                 ` : ''}
                 <p class="text-sm text-gray-400 font-light mb-2">${exp.description}</p>
-                ${exp.award ? `
+                ${exp.award ? html`
                     <div class="flex items-center gap-2 text-xs font-mono text-emerald-500/80">
                         <span class="material-symbols-outlined text-[14px]">star</span>
                         <span>${exp.award}</span>
                     </div>
                 ` : ''}
+                ${renderRelated(exp)}
             </div>
         </div>
     `;
@@ -200,26 +286,26 @@ function renderAchievementEntry(exp, delay) {
 /**
  * Render open source contribution entry
  */
-function renderOpenSourceEntry(exp, delay) {
-    return `
-        <div class="log-entry group relative pl-12 lg:pl-16 animate-fade-in-up" style="animation-delay: ${delay}s; opacity: 0;">
+function renderOpenSourceEntry(exp, delay, anchor) {
+    return html`
+        <div id="${anchor}" class="log-entry group relative pl-12 lg:pl-16 animate-fade-in-up" style="animation-delay: ${delay}s; opacity: 0;">
             <div class="log-marker absolute left-3 top-2 w-2.5 h-2.5 bg-gray-800 border border-gray-600 rounded-full transition-all duration-300 lg:left-[13px] z-10"></div>
             <div class="flex flex-col sm:flex-row sm:items-baseline gap-2 mb-2">
-                <span class="${exp.colorClass || 'text-purple-400'} font-mono text-sm">${exp.date}</span>
+                <span class="${exp.colorClass || 'text-purple-400'} font-mono text-sm">${formatDate(exp.date)}</span>
                 <h3 class="text-xl font-medium text-white">${exp.title}</h3>
                 <span class="text-xs font-mono text-gray-500 px-2 py-0.5 border border-border-dark rounded bg-surface-dark">${exp.company}</span>
             </div>
             <div class="bg-surface-dark/50 border border-border-dark p-4 rounded-sm ${exp.hoverBorderClass || 'hover:border-purple-500/30'} transition-colors duration-300 backdrop-blur-sm">
                 <p class="text-sm text-gray-400 font-light mb-2">${exp.description}</p>
-                ${exp.stats ? `
+                ${exp.stats ? html`
                     <div class="flex items-center gap-4 text-xs font-mono mt-3">
-                        ${exp.stats.prs ? `
+                        ${exp.stats.prs ? html`
                             <div class="flex items-center gap-1 text-gray-500">
                                 <span class="material-symbols-outlined text-[14px]">call_merge</span>
                                 <span>${exp.stats.prs}</span>
                             </div>
                         ` : ''}
-                        ${exp.stats.stars ? `
+                        ${exp.stats.stars ? html`
                             <div class="flex items-center gap-1 text-gray-500">
                                 <span class="material-symbols-outlined text-[14px]">star</span>
                                 <span>${exp.stats.stars}</span>
@@ -227,6 +313,7 @@ function renderOpenSourceEntry(exp, delay) {
                         ` : ''}
                     </div>
                 ` : ''}
+                ${renderRelated(exp)}
             </div>
         </div>
     `;
@@ -235,44 +322,55 @@ function renderOpenSourceEntry(exp, delay) {
 /**
  * Render certification entry
  */
-function renderCertificationEntry(exp, delay) {
-    return `
-        <div class="log-entry group relative pl-12 lg:pl-16 animate-fade-in-up" style="animation-delay: ${delay}s; opacity: 0;">
+function renderCertificationEntry(exp, delay, anchor) {
+    return html`
+        <div id="${anchor}" class="log-entry group relative pl-12 lg:pl-16 animate-fade-in-up" style="animation-delay: ${delay}s; opacity: 0;">
             <div class="log-marker absolute left-3 top-2 w-2.5 h-2.5 bg-gray-800 border border-gray-600 rounded-full transition-all duration-300 lg:left-[13px] z-10"></div>
             <div class="flex flex-col sm:flex-row sm:items-baseline gap-2 mb-2">
-                <span class="${exp.colorClass || 'text-orange-400'} font-mono text-sm">${exp.date}</span>
+                <span class="${exp.colorClass || 'text-orange-400'} font-mono text-sm">${formatDate(exp.date)}</span>
                 <h3 class="text-xl font-medium text-white">${exp.title}</h3>
                 <span class="text-xs font-mono text-gray-500 px-2 py-0.5 border border-border-dark rounded bg-surface-dark">${exp.company}</span>
             </div>
             <div class="bg-surface-dark/50 border border-border-dark p-3 rounded-sm ${exp.hoverBorderClass || 'hover:border-orange-500/30'} transition-colors duration-300 backdrop-blur-sm flex justify-between items-center">
-                <span class="text-sm text-gray-400 font-light">Validation Number: ${exp.validationNumber}</span>
+                <span class="text-sm text-gray-400 font-light">${t('experience.validationNumber', { number: exp.validationNumber })}</span>
                 <span class="material-symbols-outlined text-gray-600">verified</span>
             </div>
+            ${renderRelated(exp)}
         </div>
     `;
 }
 
 /**
- * Render sidebar with skills and stats
+ * Load the sidebar's data and show it
  */
-async function renderSidebar() {
-    const container = document.getElementById('experience-sidebar');
-    if (!container) return;
+async function showSidebar() {
+    const data = await loadWithRetry('experience-sidebar', ['../data/skills.json', '../data/profile.json']);
+    if (!data) return;
+
+    const [skills, profile] = data;
 
-    const skills = await loadJSON('../data/skills.json');
-    const profile = await loadJSON('../data/profile.json');
+    renderSections({ 'experience-sidebar': renderSidebar(skills, profile) });
 
-    if (!skills || !profile) return;
+    // Setup ping easter egg
+    setupPingEasterEgg();
+}
 
-    container.innerHTML = `
+/**
+ * Render sidebar with skills and stats
+ * @param {Object} skills - skills.json data
+ * @param {Object} profile - profile.json data
+ * @returns {SafeHtml} Sidebar markup
+ */
+function renderSidebar(skills, profile) {
+    return html`
         <div class="sticky top-24">
             <div class="bg-surface-dark border border-border-dark p-5 rounded-sm mb-6">
                 <div class="flex items-center justify-between mb-4 border-b border-border-dark pb-2">
-                    <span class="text-xs font-mono text-primary uppercase">Tech Stack Matrix</span>
+                    <span class="text-xs font-mono text-primary uppercase">${t('experience.techStack')}</span>
                     <span class="material-symbols-outlined text-gray-600 text-sm">memory</span>
                 </div>
                 <div class="space-y-4">
-                    ${skills.proficiencyBars.map(bar => `
+                    ${skills.proficiencyBars.map(bar => html`
                         <div>
                             <div class="flex justify-between text-[10px] font-mono text-gray-500 mb-1">
                                 <span>${bar.name}</span>
@@ -282,17 +380,17 @@ async function renderSidebar() {
                                 <div class="h-full ${bar.color}" style="width: ${bar.percentage}%"></div>
                             </div>
                         </div>
-                    `).join('')}
+                    `)}
                 </div>
                 <div class="mt-6 pt-4 border-t border-border-dark grid ${profile.stats.ossContribs ? 'grid-cols-2' : 'grid-cols-1'} gap-2">
                     <div class="text-center p-2 bg-background-dark border border-border-dark">
                         <span class="block text-xl font-display text-white">${profile.stats.hackathonsWon}</span>
-                        <span class="text-[9px] font-mono text-gray-500 uppercase">Hackathons Won</span>
+                        <span class="text-[9px] font-mono text-gray-500 uppercase">${t('experience.hackathonsWon')}</span>
                     </div>
-                    ${profile.stats.ossContribs ? `
+                    ${profile.stats.ossContribs ? html`
                     <div class="text-center p-2 bg-background-dark border border-border-dark">
                         <span class="block text-xl font-display text-white">${profile.stats.ossContribs}</span>
-                        <span class="text-[9px] font-mono text-gray-500 uppercase">OSS Contribs</span>
+                        <span class="text-[9px] font-mono text-gray-500 uppercase">${t('experience.ossContribs')}</span>
                     </div>
                     ` : ''}
                 </div>
@@ -304,18 +402,15 @@ async function renderSidebar() {
                     <div class="absolute inset-0 bg-emerald-500 rounded-full blur-sm opacity-50 animate-pulse"></div>
                 </div>
                 <div>
-                    <span class="block text-xs font-mono text-white uppercase tracking-wider">Status: Online</span>
-                    <span class="block text-[10px] font-mono text-gray-500">Open for new deployments</span>
+                    <span class="block text-xs font-mono text-white uppercase tracking-wider">${t('experience.statusOnline')}</span>
+                    <span class="block text-[10px] font-mono text-gray-500">${t('experience.openForWork')}</span>
                 </div>
                 <button id="ping-btn" class="ml-auto px-3 py-1.5 border border-primary/30 text-primary text-[10px] font-mono hover:bg-primary hover:text-white transition-colors uppercase">
-                    Ping
+                    ${t('experience.ping')}
                 </button>
             </div>
         </div>
     `;
-
-    // Setup ping easter egg
-    setupPingEasterEgg();
 }
 
 /**
@@ -409,7 +504,7 @@ function setupPingEasterEgg() {
         // Button feedback
         btn.textContent = '...';
         setTimeout(() => {
-            btn.textContent = 'PING';
+            btn.textContent = t('experience.ping');
         }, 400);
     });
 }
@@ -563,8 +658,4 @@ function showPingToast(btnRect) {
 }
 
 // Auto-initialize when DOM is ready
-if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', initExperience);
-} else {
-    initExperience();
-}
+onPageReady(initExperience);
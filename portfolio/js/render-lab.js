@@ -3,27 +3,159 @@
  * Renders experiments and research notes from JSON and Markdown
  */
 
-import { loadJSON, loadMarkdown, parseMarkdown, getStatusColor, getStatusBgColor } from './core.js';
+import { loadJSON, loadWithRetry, loadMarkdown, onDataUpdate, parseMarkdown, html, getStatusColor, getStatusBgColor, onPageReady, onPageLeave, getPageItem, getUrlState, setUrlState, onUrlStateChange, createDialog, getScrollBehavior, decodeHash, track, t } from './core.js';
+import { bindCodeBlocks } from './highlight.js';
+import { getLabNotePage, getPreviewImage, getPageMeta, setPageMeta } from './seo.js';
 
 let experiments = [];
+let currentFilter = 'all';
+let modalDialog = null;
+
+// Title, description and canonical URL to restore when the note closes
+let pageMeta = null;
+
+// Whether the open note added its own history entry (closing goes back)
+let modalPushed = false;
 
 /**
  * Initialize lab page
  */
 export async function initLab() {
-    experiments = await loadJSON('../data/lab.json');
+    experiments = await loadWithRetry('experiment-grid', '../data/lab.json');
+    if (!experiments) return;
 
-    if (!experiments) {
-        console.error('[LAB] Failed to load lab data');
-        return;
-    }
+    const { params, hash } = getUrlState();
+    currentFilter = readFilter(params);
 
-    renderExperimentGrid();
+    renderExperimentGrid(currentFilter);
     setupFilterButtons();
+    setActiveFilterButton(currentFilter);
+    showExperimentFromUrl(hash || getPageItem());
+
+    onUrlStateChange(syncFromUrl);
+    onPageLeave(closeExperimentModal);
+
+    // Re-render when a newer lab.json arrives in the background
+    onDataUpdate('../data/lab.json', (data) => {
+        experiments = data;
+        renderExperimentGrid(currentFilter);
+    });
 
     console.log(`[LAB] Loaded ${experiments.length} experiments`);
 }
 
+/**
+ * Page variants for scripts/prerender.mjs
+ * Each readable note gets a page of its own with the note open over the grid,
+ * and a feed entry when it has a date.
+ * @returns {Promise<Object[]>} Lab page, then one per note
+ */
+export async function prerender() {
+    experiments = await loadJSON('../data/lab.json');
+    const sections = { 'experiment-grid': renderExperimentGridMarkup('all') };
+    const pages = [{ sections }];
+
+    for (const experiment of experiments) {
+        if (!experiment.interactive || !experiment.noteFile) continue;
+
+        const markdown = await loadMarkdown(`../lab-notes/${experiment.noteFile}`);
+        if (!markdown) {
+            console.warn(`[PRERENDER] ${experiment.id} has no page: lab-notes/${experiment.noteFile} not found`);
+            continue;
+        }
+
+        const date = getNoteDate(experiment, markdown);
+
+        pages.push({
+            ...getNoteMeta(experiment),
+            item: experiment.id,
+            type: 'article',
+            image: getPreviewImage(experiment.id),
+            updated: date,
+            feed: date && {
+                title: experiment.title,
+                published: date,
+                content: parseMarkdown(markdown),
+                tags: experiment.tech
+            },
+            sections,
+            append: renderNoteModal(experiment, markdown)
+        });
+    }
+
+    return pages;
+}
+
+/**
+ * When a note was written: `date` in lab.json, or else the note's own
+ * **Created:** or **Started:** line
+ * @param {Object} experiment - Experiment data
+ * @param {string} markdown - Note source
+ * @returns {string|null} Date (YYYY-MM-DD)
+ */
+function getNoteDate(experiment, markdown) {
+    return experiment.date || markdown.match(/^\*\*(?:Created|Started):\*\*\s*(\d{4}-\d{2}-\d{2})/m)?.[1] || null;
+}
+
+/**
+ * Page file, title and description of a lab note
+ * @param {Object} experiment - Experiment data
+ * @returns {{file: string, title: string, description: string}}
+ */
+function getNoteMeta(experiment) {
+    return {
+        file: getLabNotePage(experiment.id),
+        title: `${experiment.title} | Lab | Gabriel James`,
+        description: experiment.summary
+    };
+}
+
+/**
+ * Read the grid filter from the URL (lab.html?filter=ml)
+ * @param {URLSearchParams} params - URL query params
+ * @returns {string} A filter with a button on the page, or 'all'
+ */
+function readFilter(params) {
+    const filter = params.get('filter');
+    const known = [...document.querySelectorAll('[data-filter]')].map(btn => btn.dataset.filter);
+    return known.includes(filter) ? filter : 'all';
+}
+
+/**
+ * Open the note or scroll to the card named in the URL (lab.html#NOTE-201)
+ * @param {string} expId - Experiment ID from the URL hash
+ */
+function showExperimentFromUrl(expId) {
+    const experiment = experiments.find(e => e.id === expId);
+    if (!experiment) return;
+
+    if (experiment.interactive && experiment.noteFile) {
+        openExperimentModal(expId);
+    } else {
+        document.getElementById(expId)?.scrollIntoView({ block: 'center' });
+    }
+}
+
+/**
+ * Restore the filter and open note after back/forward
+ * @param {{params: URLSearchParams, hash: string}} state - URL state
+ */
+function syncFromUrl({ params, hash }) {
+    modalPushed = false;
+
+    const filter = readFilter(params);
+    if (filter !== currentFilter) {
+        applyFilter(filter);
+    }
+
+    if (!hash) {
+        closeExperimentModal();
+    } else if (document.getElementById('experiment-modal')?.dataset.expId !== hash) {
+        closeExperimentModal();
+        showExperimentFromUrl(hash);
+    }
+}
+
 /**
  * Render the experiment grid
  * @param {string} filter - Optional filter type
@@ -32,6 +164,33 @@ function renderExperimentGrid(filter = 'all') {
     const container = document.getElementById('experiment-grid');
     if (!container) return;
 
+    container.innerHTML = renderExperimentGridMarkup(filter);
+
+    // Add click handlers for interactive cards
+    container.querySelectorAll('.experiment-card[data-interactive="true"]').forEach(card => {
+        const open = () => {
+            const expId = card.dataset.expId;
+            setUrlState({ hash: expId });
+            modalPushed = true;
+            openExperimentModal(expId);
+        };
+
+        card.addEventListener('click', open);
+        card.addEventListener('keydown', (e) => {
+            if (e.target === card && (e.key === 'Enter' || e.key === ' ')) {
+                e.preventDefault();
+                open();
+            }
+        });
+    });
+}
+
+/**
+ * Experiment grid markup
+ * @param {string} filter - Filter type
+ * @returns {SafeHtml} Grid markup
+ */
+function renderExperimentGridMarkup(filter) {
     let filteredExperiments = experiments;
 
     if (filter !== 'all') {
@@ -43,24 +202,16 @@ function renderExperimentGrid(filter = 'all') {
         });
     }
 
-    container.innerHTML = `
-        ${filteredExperiments.map((exp, i) => renderExperimentCard(exp, i)).join('')}
+    return html`
+        ${filteredExperiments.map((exp, i) => renderExperimentCard(exp, i))}
     `;
-
-    // Add click handlers for interactive cards
-    container.querySelectorAll('.experiment-card[data-interactive="true"]').forEach(card => {
-        card.addEventListener('click', () => {
-            const expId = card.dataset.expId;
-            openExperimentModal(expId);
-        });
-    });
 }
 
 /**
  * Render a single experiment card
  * @param {Object} exp - Experiment data
  * @param {number} index - Index for animation delay
- * @returns {string} HTML string
+ * @returns {SafeHtml} Card markup
  */
 function renderExperimentCard(exp, index) {
     const delay = 0.1 + (index * 0.1);
@@ -99,12 +250,13 @@ function renderExperimentCard(exp, index) {
 
     const theme = colorThemes[exp.colorTheme] || colorThemes.neutral;
 
-    return `
-        <article class="experiment-card tech-card group relative h-72 bg-card-dark border border-border-dark flex flex-col justify-between overflow-hidden transition-all duration-300 ${isInteractive ? `hover:shadow-2xl ${theme.hover} cursor-pointer` : ''}"
+    return html`
+        <article id="${exp.id}" class="experiment-card tech-card group relative h-72 bg-card-dark border border-border-dark flex flex-col justify-between overflow-hidden transition-all duration-300 ${isInteractive ? `hover:shadow-2xl ${theme.hover} cursor-pointer` : ''}"
                  style="animation: slideUp 0.6s ease-out ${delay}s forwards; opacity: 0;"
                  data-exp-id="${exp.id}"
-                 data-interactive="${isInteractive}">
-            ${isInteractive ? `
+                 data-interactive="${isInteractive}"
+                 ${isInteractive ? html`tabindex="0" role="button" aria-haspopup="dialog"` : ''}>
+            ${isInteractive ? html`
                 <div class="absolute inset-0 bg-gradient-to-b from-transparent to-background-dark/80 pointer-events-none"></div>
                 <div class="absolute top-0 left-0 w-full h-[1px] bg-gradient-to-r from-transparent via-primary/50 to-transparent opacity-0 group-hover:opacity-100 transition-opacity duration-500"></div>
             ` : ''}
@@ -114,7 +266,7 @@ function renderExperimentCard(exp, index) {
                     <div class="flex flex-col">
                         <span class="text-[10px] font-mono ${isInteractive ? 'text-primary' : 'text-text-muted'} mb-1">ID: ${exp.id}</span>
                         <span class="inline-flex items-center gap-1.5 px-1.5 py-0.5 rounded ${style.bg} text-[9px] font-mono ${style.text} uppercase border ${style.border} w-fit">
-                            ${style.dot ? `<span class="w-1 h-1 bg-current rounded-full animate-pulse"></span>` : ''}
+                            ${style.dot ? html`<span class="w-1 h-1 bg-current rounded-full animate-pulse"></span>` : ''}
                             ${exp.statusLabel}
                         </span>
                     </div>
@@ -128,16 +280,16 @@ function renderExperimentCard(exp, index) {
             
             <div class="relative z-10 p-4 border-t border-dashed border-border-dark/50 ${isInteractive ? `bg-surface-dark/50 ${theme.footerHover}` : ''} flex items-center justify-between transition-colors">
                 <div class="flex items-center gap-3 text-[10px] font-mono text-text-muted">
-                    ${exp.tech ? exp.tech.map(t => `<span class="flex items-center gap-1"><span class="w-1 h-1 bg-white rounded-full"></span> ${t}</span>`).join('') : ''}
-                    ${exp.metadata?.epoch ? `<span>EPOCH: ${exp.metadata.epoch}</span>` : ''}
-                    ${exp.metadata?.readTime ? `<span>READ TIME: ${exp.metadata.readTime}</span>` : ''}
+                    ${exp.tech ? exp.tech.map(tech => html`<span class="flex items-center gap-1"><span class="w-1 h-1 bg-white rounded-full"></span> ${tech}</span>`) : ''}
+                    ${exp.metadata?.epoch ? html`<span>EPOCH: ${exp.metadata.epoch}</span>` : ''}
+                    ${exp.metadata?.readTime ? html`<span>${t('lab.readTime', { time: exp.metadata.readTime })}</span>` : ''}
                 </div>
-                ${isInteractive ? `
+                ${isInteractive ? html`
                     <div class="flex items-center gap-1 text-[10px] font-mono ${theme.ctaColor} opacity-0 group-hover:opacity-100 transition-all duration-300 transform translate-x-2 group-hover:translate-x-0">
-                        <span class="uppercase font-bold tracking-wider">${exp.status === 'research' ? 'Read Entry' : 'View Analysis'}</span>
+                        <span class="uppercase font-bold tracking-wider">${t(exp.status === 'research' ? 'lab.readEntry' : 'lab.viewAnalysis')}</span>
                         <span class="material-symbols-outlined text-sm expand-icon">${exp.status === 'research' ? 'article' : 'open_in_full'}</span>
                     </div>
-                ` : `
+                ` : html`
                     <span class="material-symbols-outlined text-sm text-text-muted">${exp.icon === 'router' ? 'settings_input_component' : 'code'}</span>
                 `}
             </div>
@@ -154,27 +306,41 @@ function renderExperimentCard(exp, index) {
  * Setup filter button handlers
  */
 function setupFilterButtons() {
-    const buttons = document.querySelectorAll('[data-filter]');
-
-    buttons.forEach(btn => {
+    document.querySelectorAll('[data-filter]').forEach(btn => {
         btn.addEventListener('click', () => {
             const filter = btn.dataset.filter;
+            if (filter === currentFilter) return;
 
-            // Update active state
-            buttons.forEach(b => {
-                if (b.dataset.filter === filter) {
-                    b.className = 'px-4 py-2 bg-primary text-black font-bold hover:bg-primary/90 transition-colors';
-                } else {
-                    b.className = 'px-4 py-2 bg-surface-dark text-text-dim hover:text-white hover:bg-card-dark transition-colors';
-                }
-            });
-
-            // Re-render grid
-            renderExperimentGrid(filter);
+            applyFilter(filter);
+            setUrlState({ params: { filter: filter === 'all' ? null : filter } });
         });
     });
 }
 
+/**
+ * Highlight the active filter button
+ * @param {string} filter - Active filter
+ */
+function setActiveFilterButton(filter) {
+    document.querySelectorAll('[data-filter]').forEach(b => {
+        if (b.dataset.filter === filter) {
+            b.className = 'px-4 py-2 bg-primary text-black font-bold hover:bg-primary/90 transition-colors';
+        } else {
+            b.className = 'px-4 py-2 bg-surface-dark text-text-dim hover:text-white hover:bg-card-dark transition-colors';
+        }
+    });
+}
+
+/**
+ * Switch the grid to a filter
+ * @param {string} filter - Filter to apply
+ */
+function applyFilter(filter) {
+    setActiveFilterButton(filter);
+    currentFilter = filter;
+    renderExperimentGrid(filter);
+}
+
 /**
  * Open experiment modal with markdown content
  * @param {string} expId - Experiment ID
@@ -190,52 +356,105 @@ async function openExperimentModal(expId) {
         return;
     }
 
-    const html = parseMarkdown(markdown);
-
-    // Create modal
-    const modal = document.createElement('div');
-    modal.id = 'experiment-modal';
-    modal.className = 'fixed inset-0 z-50 flex items-center justify-center p-4 bg-background-dark/80 backdrop-blur-sm';
-    modal.innerHTML = `
-        <div class="relative bg-surface-dark border border-border-dark max-w-4xl w-full max-h-[90vh] overflow-hidden flex flex-col">
-            <div class="flex items-center justify-between p-4 border-b border-border-dark bg-background-dark">
-                <div class="flex items-center gap-3">
-                    <span class="text-xs font-mono text-primary">${experiment.id}</span>
-                    <span class="text-sm font-mono text-white">${experiment.title}</span>
+    // Create modal (replacing a prerendered one on lab-<id>.html pages)
+    closeExperimentModal();
+    document.body.insertAdjacentHTML('beforeend', renderNoteModal(experiment, markdown).toString());
+
+    const modal = document.getElementById('experiment-modal');
+    document.body.style.overflow = 'hidden';
+    bindCodeBlocks(modal);
+
+    // Close handlers
+    document.getElementById('close-modal').addEventListener('click', dismissExperimentModal);
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) {
+            dismissExperimentModal();
+            return;
+        }
+
+        // Heading and footnote links scroll inside the note instead of replacing #<id> in the URL
+        const anchor = e.target.closest('a[href^="#"]');
+        if (anchor) {
+            e.preventDefault();
+            modal.querySelector(`#${CSS.escape(decodeHash(anchor.hash))}`)?.scrollIntoView({ behavior: getScrollBehavior() });
+        }
+    });
+
+    modalDialog = createDialog(modal, {
+        labelledBy: 'experiment-modal-title',
+        onEscape: dismissExperimentModal
+    });
+    modalDialog.open();
+
+    pageMeta ??= getPageMeta();
+    const meta = getNoteMeta(experiment);
+    setPageMeta({ ...meta, url: meta.file });
+
+    track('lab_note_open', { note: experiment.id });
+}
+
+/**
+ * Note modal markup
+ * @param {Object} experiment - Experiment data
+ * @param {string} markdown - Note source
+ * @returns {SafeHtml} Modal markup
+ */
+function renderNoteModal(experiment, markdown) {
+    const noteHtml = parseMarkdown(markdown, { idPrefix: `${experiment.id.toLowerCase()}-` });
+
+    return html`
+        <div id="experiment-modal" data-exp-id="${experiment.id}" class="fixed inset-0 z-50 flex items-center justify-center p-4 bg-background-dark/80 backdrop-blur-sm">
+            <div class="relative bg-surface-dark border border-border-dark max-w-4xl w-full max-h-[90vh] overflow-hidden flex flex-col">
+                <div class="flex items-center justify-between p-4 border-b border-border-dark bg-background-dark">
+                    <div class="flex items-center gap-3">
+                        <span class="text-xs font-mono text-primary">${experiment.id}</span>
+                        <span id="experiment-modal-title" class="text-sm font-mono text-white">${experiment.title}</span>
+                    </div>
+                    <button id="close-modal" type="button" aria-label="${t('lab.closeNote')}" class="p-2 text-gray-400 hover:text-white transition-colors">
+                        <span class="material-symbols-outlined" aria-hidden="true">close</span>
+                    </button>
                 </div>
-                <button id="close-modal" class="p-2 text-gray-400 hover:text-white transition-colors">
-                    <span class="material-symbols-outlined">close</span>
-                </button>
-            </div>
-            <div class="flex-1 overflow-y-auto p-8">
-                <div class="prose prose-invert max-w-none">
-                    ${html}
+                <div class="flex-1 overflow-y-auto p-8">
+                    <div class="prose prose-invert max-w-none">
+                        ${noteHtml}
+                    </div>
                 </div>
             </div>
         </div>
     `;
+}
 
-    document.body.appendChild(modal);
-    document.body.style.overflow = 'hidden';
+/**
+ * Remove the experiment modal, if open
+ */
+function closeExperimentModal() {
+    const modal = document.getElementById('experiment-modal');
+    if (!modal) return;
 
-    // Close handlers
-    const closeModal = () => {
-        modal.remove();
-        document.body.style.overflow = '';
-    };
+    modal.remove();
+    document.body.style.overflow = '';
+    modalDialog?.close();
+    modalDialog = null;
 
-    document.getElementById('close-modal').addEventListener('click', closeModal);
-    modal.addEventListener('click', (e) => {
-        if (e.target === modal) closeModal();
-    });
-    document.addEventListener('keydown', (e) => {
-        if (e.key === 'Escape') closeModal();
-    }, { once: true });
+    if (pageMeta) {
+        setPageMeta(pageMeta);
+        pageMeta = null;
+    }
 }
 
-// Auto-initialize when DOM is ready
-if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', initLab);
-} else {
-    initLab();
+/**
+ * Close the modal from the UI, stepping back over the history entry opening it added
+ */
+function dismissExperimentModal() {
+    closeExperimentModal();
+
+    if (modalPushed) {
+        modalPushed = false;
+        history.back();
+    } else {
+        setUrlState({ hash: null }, { replace: true });
+    }
 }
+
+// Auto-initialize when DOM is ready
+onPageReady(initLab);
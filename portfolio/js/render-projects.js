@@ -3,10 +3,34 @@
  * Renders project list and detail views from JSON data
  */
 
-import { loadJSON, getStatusColor, getStatusBgColor } from './core.js';
+import { loadJSON, loadWithRetry, getProjectPath, onDataUpdate, parseMarkdown, html, getStatusColor, getStatusBgColor, onPageReady, onPageLeave, getPageItem, getUrlState, setUrlState, onUrlStateChange, createDialog, track, trackScrollDepth, t, loadRelations, createRelatedLinks, getSrcset } from './core.js';
+import { bindCodeBlocks } from './highlight.js';
+import { getProjectPage, getPreviewImage, createProjectSchema, setPageMeta } from './seo.js';
 
+// Project cards from data/projects/index.json; a project's full data is
+// loaded from its own file when it's shown
 let projects = [];
 let selectedProject = null;
+let relations = null;
+
+// Aborts loading the previously selected project's file
+let detailRequest = null;
+
+// Projects whose files were prefetched, or subscribed to for updates
+const prefetched = new Set();
+const detailSubscriptions = new Set();
+
+/**
+ * Lightbox controls for the selected project's gallery, once its screenshots load
+ */
+let lightboxControls = null;
+let lightboxKeydown = null;
+
+// Stops scroll-depth tracking for the project on screen
+let stopScrollTracking = null;
+
+// Whether the open lightbox added its own history entry (closing goes back)
+let lightboxPushed = false;
 
 /**
  * Check if we're on mobile viewport
@@ -17,35 +41,179 @@ function isMobile() {
 
 /**
  * Show project list (mobile only)
+ * @param {Object} options - View options
+ * @param {boolean} options.updateUrl - Record the change in the URL
  */
-function showProjectList() {
+function showProjectList(options = {}) {
+    const { updateUrl = true } = options;
+
     document.body.classList.remove('mobile-detail-active');
     selectedProject = null;
     renderProjectList();
+
+    if (updateUrl) {
+        setUrlState({ hash: null, params: { slide: null } });
+    }
 }
 
 /**
  * Initialize projects page
  */
 export async function initProjects() {
-    projects = await loadJSON('../data/projects.json');
+    selectedProject = null;
+    prefetched.clear();
+    detailSubscriptions.clear();
 
-    if (!projects) {
-        console.error('[PROJECTS] Failed to load projects data');
-        return;
-    }
+    projects = await loadWithRetry('project-list', '../data/projects/index.json');
+    if (!projects) return;
+
+    relations = await loadRelations();
 
     renderProjectList();
+    showProjectFromUrl(getUrlState());
+    onUrlStateChange(syncFromUrl);
+    onPageLeave(() => {
+        stopScrollTracking?.();
+        stopScrollTracking = null;
+        detailRequest?.abort();
+        thumbnailObserver?.disconnect();
+        thumbnailObserver = null;
+    });
 
-    // On desktop, select first project by default
-    // On mobile, just show the list
-    if (!isMobile() && projects.length > 0) {
-        selectProject(projects[0].id);
-    }
+    // Re-render when a newer index arrives in the background
+    onDataUpdate('../data/projects/index.json', async (data) => {
+        projects = data;
+        relations = await loadRelations();
+        renderProjectList();
+
+        if (projects.some(p => p.id === selectedProject)) {
+            showProjectDetail(selectedProject);
+        }
+    });
 
     console.log(`[PROJECTS] Loaded ${projects.length} projects`);
 }
 
+/**
+ * Page variants for scripts/prerender.mjs
+ * The projects page opens on the first project, like desktop does, and each
+ * project gets a page of its own, previewed with its first screenshot and
+ * listed in the feeds as of its lastUpdated date.
+ * @param {{url: string}} site - Site root
+ * @returns {Promise<Object[]>} Projects page, then one per project
+ */
+export async function prerender(site) {
+    projects = await loadJSON('../data/projects/index.json');
+    relations = await loadRelations();
+    const loaded = await Promise.all(projects.map(project => loadJSON(getProjectPath(project.id))));
+
+    // A project whose file is missing or invalid gets no page of its own
+    const details = loaded.filter((detail, i) => {
+        if (!detail) {
+            console.warn(`[PRERENDER] Skipping ${getProjectPath(projects[i].id).replace('../', '')}: missing or invalid`);
+        }
+        return detail;
+    });
+
+    const variant = (project) => {
+        selectedProject = project.id;
+        return {
+            'project-list': renderProjectListMarkup(),
+            'project-detail': renderProjectDetailMarkup(project)
+        };
+    };
+
+    const pages = [{ sections: details.length > 0 ? variant(details[0]) : {} }];
+
+    for (const project of details) {
+        const [screenshot = null] = project.screenshots ? await getScreenshots(project.screenshots) : [];
+
+        pages.push({
+            ...getProjectMeta(project),
+            item: project.id,
+            type: 'article',
+            image: getPreviewImage(project.id),
+            schema: [createProjectSchema(project, site.url, screenshot?.src ?? null)],
+            updated: project.lastUpdated,
+            feed: {
+                title: project.title,
+                content: html`<p>${project.summary}</p>${project.details ? parseMarkdown(project.details) : ''}`,
+                tags: project.tags
+            },
+            sections: variant(project)
+        });
+    }
+
+    return pages;
+}
+
+/**
+ * Page file, title and description of a project
+ * @param {Object} project - Project data
+ * @returns {{file: string, title: string, description: string}}
+ */
+function getProjectMeta(project) {
+    return {
+        file: getProjectPage(project.id),
+        title: `${project.title} | Projects | Gabriel James`,
+        description: project.summary
+    };
+}
+
+/**
+ * Show the project named in the URL (projects.html#ID-9482)
+ * Without one, a prerendered project page shows its project, desktop selects
+ * the first project and mobile shows the list.
+ * @param {{params: URLSearchParams, hash: string}} state - URL state
+ */
+function showProjectFromUrl({ hash }) {
+    const pageItem = getPageItem();
+
+    if (projects.some(p => p.id === hash)) {
+        selectProject(hash, { updateUrl: false, source: 'url' });
+    } else if (projects.some(p => p.id === pageItem)) {
+        selectProject(pageItem, { updateUrl: false, source: 'url' });
+    } else if (!isMobile() && projects.length > 0) {
+        selectProject(projects[0].id, { updateUrl: false, source: null });
+    } else {
+        showProjectList({ updateUrl: false });
+    }
+}
+
+/**
+ * Restore the view after back/forward
+ * @param {{params: URLSearchParams, hash: string}} state - URL state
+ */
+function syncFromUrl(state) {
+    lightboxPushed = false;
+
+    if (state.hash && !projects.some(p => p.id === state.hash)) {
+        // An in-page anchor (e.g. a heading in the implementation notes)
+        return;
+    }
+
+    if (state.hash && state.hash === selectedProject) {
+        syncLightbox(state.params);
+    } else {
+        showProjectFromUrl(state);
+    }
+}
+
+/**
+ * Open or close the lightbox to match the `slide` URL param (1-based)
+ * @param {URLSearchParams} params - URL query params
+ */
+function syncLightbox(params) {
+    if (!lightboxControls) return;
+
+    const slide = parseInt(params.get('slide'), 10);
+    if (slide >= 1 && slide <= lightboxControls.count) {
+        lightboxControls.open(slide - 1);
+    } else {
+        lightboxControls.close();
+    }
+}
+
 /**
  * Render the project list sidebar
  */
@@ -53,27 +221,46 @@ function renderProjectList() {
     const container = document.getElementById('project-list');
     if (!container) return;
 
-    const activeCount = projects.filter(p => p.status === 'DEPLOYED' || p.status === 'EXPERIMENT').length;
-
-    container.innerHTML = `
-        <div class="p-4 border-b border-border-dark bg-surface-dark/50 flex justify-between items-center sticky top-0 backdrop-blur-sm">
-            <h2 class="font-mono text-xs uppercase tracking-widest text-gray-400">Available Models</h2>
-            <span class="text-[10px] font-mono bg-border-dark px-1.5 py-0.5 rounded text-gray-300">${String(activeCount).padStart(2, '0')} ACTIVE</span>
-        </div>
-        <div class="flex-1 overflow-y-auto p-4 space-y-3">
-            ${projects.map(p => renderProjectCard(p)).join('')}
-        </div>
-    `;
+    container.innerHTML = renderProjectListMarkup();
 
-    // Add click handlers
+    // Add click handlers, and fetch a project's file as soon as it's pointed at
     container.querySelectorAll('.project-card').forEach(card => {
         card.addEventListener('click', () => {
             const projectId = card.dataset.projectId;
             selectProject(projectId);
         });
+        card.addEventListener('pointerenter', () => prefetchProject(card.dataset.projectId));
     });
 }
 
+/**
+ * Warm the cache with a project's file
+ * @param {string} projectId - Project ID
+ */
+function prefetchProject(projectId) {
+    if (prefetched.has(projectId)) return;
+    prefetched.add(projectId);
+    loadJSON(getProjectPath(projectId));
+}
+
+/**
+ * Project list sidebar markup
+ * @returns {SafeHtml} List markup
+ */
+function renderProjectListMarkup() {
+    const activeCount = projects.filter(p => p.status === 'DEPLOYED' || p.status === 'EXPERIMENT').length;
+
+    return html`
+        <div class="p-4 border-b border-border-dark bg-surface-dark/50 flex justify-between items-center sticky top-0 backdrop-blur-sm">
+            <h2 class="font-mono text-xs uppercase tracking-widest text-gray-400">${t('projects.available')}</h2>
+            <span class="text-[10px] font-mono bg-border-dark px-1.5 py-0.5 rounded text-gray-300">${t('projects.activeCount', { count: String(activeCount).padStart(2, '0') })}</span>
+        </div>
+        <div class="flex-1 overflow-y-auto p-4 space-y-3">
+            ${projects.map(p => renderProjectCard(p))}
+        </div>
+    `;
+}
+
 /**
  * Render a single project card
  * @param {Object} project - Project data
@@ -84,21 +271,21 @@ function renderProjectCard(project) {
     const statusColor = getStatusColor(project.status);
     const statusBg = getStatusBgColor(project.status);
 
-    return `
+    return html`
         <div class="project-card group relative p-4 ${isActive ? 'bg-primary/5 border-primary/40' : 'bg-surface-highlight border-border-dark'} border cursor-pointer transition-all duration-300 hover:bg-primary/10"
              data-project-id="${project.id}">
             <div class="flex items-start justify-between mb-2">
                 <span class="text-[10px] font-mono ${isActive ? 'text-primary/80 border-primary/20' : 'text-gray-600 border-gray-800'} border px-1 py-0.5">${project.id}</span>
                 <span class="flex items-center gap-1.5 text-[10px] font-mono ${statusColor}">
-                    ${project.status === 'DEPLOYED' ? '<span class="w-1 h-1 bg-emerald-500 rounded-full"></span>' : ''}
+                    ${project.status === 'DEPLOYED' ? html`<span class="w-1 h-1 bg-emerald-500 rounded-full"></span>` : ''}
                     ${project.status}
-                    ${isActive ? '<span class="material-symbols-outlined text-primary text-sm">arrow_outward</span>' : ''}
+                    ${isActive ? html`<span class="material-symbols-outlined text-primary text-sm">arrow_outward</span>` : ''}
                 </span>
             </div>
             <h3 class="text-lg font-medium ${isActive ? 'text-white' : 'text-gray-300'} mb-1 group-hover:text-primary transition-colors" data-editable="project-${project.id}-title">${project.title}</h3>
             <p class="text-xs text-gray-400 font-mono leading-relaxed line-clamp-2" data-editable="project-${project.id}-summary">${project.summary}</p>
             <div class="mt-3 flex flex-wrap gap-2">
-                ${project.tags.map(tag => `<span class="text-[10px] font-mono text-gray-500">#${tag}</span>`).join('')}
+                ${project.tags.map(tag => html`<span class="text-[10px] font-mono text-gray-500">#${tag}</span>`)}
             </div>
         </div>
     `;
@@ -107,13 +294,28 @@ function renderProjectCard(project) {
 /**
  * Select a project and show its details
  * @param {string} projectId - Project ID to select
+ * @param {Object} options - View options
+ * @param {boolean} options.updateUrl - Record the selection in the URL
+ * @param {string|null} options.source - How it was picked, for analytics ('list', 'url'); null when automatic
  */
-function selectProject(projectId) {
-    selectedProject = projectId;
+function selectProject(projectId, options = {}) {
+    const { updateUrl = true, source = 'list' } = options;
     const project = projects.find(p => p.id === projectId);
 
     if (!project) return;
 
+    if (source && projectId !== selectedProject) {
+        track('project_select', { project: projectId, source });
+    }
+
+    selectedProject = projectId;
+    if (updateUrl) {
+        setUrlState({ hash: projectId, params: { slide: null } });
+    }
+
+    const meta = getProjectMeta(project);
+    setPageMeta({ ...meta, url: meta.file });
+
     // On mobile, show detail view
     if (isMobile()) {
         document.body.classList.add('mobile-detail-active');
@@ -133,8 +335,42 @@ function selectProject(projectId) {
         newScrollableDiv.scrollTop = scrollTop;
     }
 
-    // Render detail view
+    // Render detail view once the project's file is in
+    showProjectDetail(projectId);
+}
+
+/**
+ * Load a project's full data and show it in the detail pane
+ * Selecting another project before it arrives drops this one; if it can't
+ * be loaded the pane shows the error state until it can.
+ * @param {string} projectId - Project ID
+ */
+async function showProjectDetail(projectId) {
+    const container = document.getElementById('project-detail');
+    const path = getProjectPath(projectId);
+
+    detailRequest?.abort();
+    detailRequest = new AbortController();
+    container?.setAttribute('aria-busy', 'true');
+
+    const project = await loadWithRetry('project-detail', path, { signal: detailRequest.signal });
+    if (!project || selectedProject !== projectId) return;
+
+    container?.removeAttribute('aria-busy');
     renderProjectDetail(project);
+
+    // The detail pane scrolls on desktop, the page does on mobile
+    const scroller = isMobile() ? window : container;
+    stopScrollTracking?.();
+    stopScrollTracking = scroller ? trackScrollDepth(scroller, { project: projectId }) : null;
+
+    // Re-render when a newer copy of this project's file arrives
+    if (!detailSubscriptions.has(projectId)) {
+        detailSubscriptions.add(projectId);
+        onDataUpdate(path, (data) => {
+            if (selectedProject === projectId) renderProjectDetail(data);
+        });
+    }
 }
 
 /**
@@ -145,9 +381,32 @@ function renderProjectDetail(project) {
     const container = document.getElementById('project-detail');
     if (!container) return;
 
+    container.innerHTML = renderProjectDetailMarkup(project);
+
+    // Add back button handler for mobile
+    const backBtn = container.querySelector('#mobile-back-btn');
+    if (backBtn) {
+        backBtn.addEventListener('click', () => showProjectList());
+    }
+
+    bindCodeBlocks(container);
+
+    // Load screenshots if available
+    lightboxControls = null;
+    if (project.screenshots) {
+        loadScreenshots(project.screenshots);
+    }
+}
+
+/**
+ * Project detail markup
+ * @param {Object} project - Project data
+ * @returns {SafeHtml} Detail view markup
+ */
+function renderProjectDetailMarkup(project) {
     const statusColor = getStatusColor(project.status);
 
-    container.innerHTML = `
+    return html`
         <div class="absolute top-0 left-0 w-4 h-4 border-t border-l border-primary/30"></div>
         <div class="absolute top-0 right-0 w-4 h-4 border-t border-r border-primary/30"></div>
         <div class="absolute bottom-0 left-0 w-4 h-4 border-b border-l border-primary/30"></div>
@@ -157,7 +416,7 @@ function renderProjectDetail(project) {
             <!-- Mobile Back Button -->
             <button id="mobile-back-btn" class="md:hidden flex items-center gap-2 text-gray-400 hover:text-white transition-colors self-start -ml-1">
                 <span class="material-symbols-outlined text-lg">arrow_back</span>
-                <span class="text-xs font-mono uppercase">Back to Projects</span>
+                <span class="text-xs font-mono uppercase">${t('projects.back')}</span>
             </button>
             <div class="flex flex-col md:flex-row md:items-end justify-between gap-4">
                 <div>
@@ -168,15 +427,15 @@ function renderProjectDetail(project) {
                     <h1 class="text-2xl md:text-4xl font-display font-medium text-white tracking-tight" data-editable="project-${project.id}-title-detail">${project.title}</h1>
                 </div>
                 <div class="flex items-center gap-3">
-                    ${project.links?.code ? `
-                        <a class="group flex items-center gap-2 px-4 py-2 border border-border-dark bg-surface-dark text-xs font-mono hover:border-primary/50 hover:text-white transition-all" href="${project.links.code}" target="_blank">
+                    ${project.links?.code ? html`
+                        <a class="group flex items-center gap-2 px-4 py-2 border border-border-dark bg-surface-dark text-xs font-mono hover:border-primary/50 hover:text-white transition-all" href="${project.links.code}" target="_blank" rel="noopener" data-track-label="code">
                             <span class="material-symbols-outlined text-sm">code</span>
-                            <span>SOURCE_CODE</span>
+                            <span>${t('projects.sourceCode')}</span>
                         </a>
                     ` : ''}
-                    ${project.links?.demo ? `
-                        <a class="group flex items-center gap-2 px-4 py-2 bg-primary text-black font-bold text-xs font-mono hover:bg-white transition-all" href="${project.links.demo}" target="_blank">
-                            <span>LAUNCH_DEMO</span>
+                    ${project.links?.demo ? html`
+                        <a class="group flex items-center gap-2 px-4 py-2 bg-primary text-black font-bold text-xs font-mono hover:bg-white transition-all" href="${project.links.demo}" target="_blank" rel="noopener" data-track-label="demo">
+                            <span>${t('projects.launchDemo')}</span>
                             <span class="material-symbols-outlined text-sm transition-transform group-hover:translate-x-1">arrow_forward</span>
                         </a>
                     ` : ''}
@@ -187,49 +446,52 @@ function renderProjectDetail(project) {
         <div class="flex-1 overflow-y-auto p-8">
             <div class="max-w-4xl mx-auto grid grid-cols-1 lg:grid-cols-3 gap-8">
                 <div class="lg:col-span-2 space-y-8">
-                    ${project.problem ? `
+                    ${project.problem ? html`
                         <div class="relative">
                             <div class="absolute -left-3 top-1 w-1 h-4 bg-primary"></div>
-                            <h3 class="text-sm font-mono text-gray-400 uppercase tracking-widest mb-3">Problem Statement</h3>
+                            <h3 class="text-sm font-mono text-gray-400 uppercase tracking-widest mb-3">${t('projects.problem')}</h3>
                             <p class="text-gray-300 font-light leading-relaxed text-lg border-l border-border-dark pl-6" data-editable="project-${project.id}-problem">${project.problem}</p>
                         </div>
                     ` : ''}
                     
-                    ${project.screenshots ? `
+                    ${project.screenshots ? html`
                         <div class="relative">
-                            <h3 class="text-sm font-mono text-gray-400 uppercase tracking-widest mb-4">Screenshots</h3>
+                            <h3 class="text-sm font-mono text-gray-400 uppercase tracking-widest mb-4">${t('projects.screenshots')}</h3>
                             <div id="screenshots-gallery" class="grid grid-cols-2 md:grid-cols-3 gap-3">
                                 <!-- Screenshots will be loaded dynamically -->
                             </div>
                             <!-- Lightbox for viewing larger images -->
-                            <div id="screenshot-lightbox" class="fixed inset-0 z-[100] bg-black/95 hidden items-center justify-center p-4 md:p-8">
+                            <div id="screenshot-lightbox" aria-label="${t('projects.lightbox')}" class="fixed inset-0 z-[100] bg-black/95 hidden items-center justify-center p-4 md:p-8">
                                 <!-- Close button -->
-                                <button id="lightbox-close" class="absolute top-6 right-6 text-white/70 hover:text-white transition-colors z-10">
-                                    <span class="material-symbols-outlined text-4xl">close</span>
+                                <button id="lightbox-close" type="button" aria-label="${t('projects.lightboxClose')}" class="absolute top-6 right-6 text-white/70 hover:text-white transition-colors z-10">
+                                    <span class="material-symbols-outlined text-4xl" aria-hidden="true">close</span>
                                 </button>
                                 <!-- Left navigation -->
-                                <button id="lightbox-prev" class="absolute left-4 top-1/2 -translate-y-1/2 text-white/70 hover:text-white transition-colors z-10 p-2 hover:bg-white/10 rounded-full">
-                                    <span class="material-symbols-outlined text-4xl">chevron_left</span>
+                                <button id="lightbox-prev" type="button" aria-label="${t('projects.lightboxPrev')}" class="absolute left-4 top-1/2 -translate-y-1/2 text-white/70 hover:text-white transition-colors z-10 p-2 hover:bg-white/10 rounded-full">
+                                    <span class="material-symbols-outlined text-4xl" aria-hidden="true">chevron_left</span>
                                 </button>
                                 <!-- Right navigation -->
-                                <button id="lightbox-next" class="absolute right-4 top-1/2 -translate-y-1/2 text-white/70 hover:text-white transition-colors z-10 p-2 hover:bg-white/10 rounded-full">
-                                    <span class="material-symbols-outlined text-4xl">chevron_right</span>
+                                <button id="lightbox-next" type="button" aria-label="${t('projects.lightboxNext')}" class="absolute right-4 top-1/2 -translate-y-1/2 text-white/70 hover:text-white transition-colors z-10 p-2 hover:bg-white/10 rounded-full">
+                                    <span class="material-symbols-outlined text-4xl" aria-hidden="true">chevron_right</span>
                                 </button>
-                                <!-- Image counter -->
-                                <div id="lightbox-counter" class="absolute bottom-6 left-1/2 -translate-x-1/2 text-white/70 font-mono text-sm z-10"></div>
+                                <!-- Caption and image counter -->
+                                <div aria-live="polite" class="absolute bottom-6 left-1/2 -translate-x-1/2 max-w-[80vw] flex flex-col items-center gap-1 text-center z-10">
+                                    <p id="lightbox-caption" class="text-white/90 text-sm hidden"></p>
+                                    <div id="lightbox-counter" class="text-white/70 font-mono text-sm"></div>
+                                </div>
                                 <!-- Image container -->
                                 <div class="w-full h-full flex items-center justify-center" id="lightbox-container">
-                                    <img id="lightbox-image" src="" alt="Screenshot" class="max-w-[90vw] max-h-[85vh] object-contain" />
+                                    <img id="lightbox-image" src="" alt="${t('projects.screenshotAlt', { index: 1 })}" class="max-w-[90vw] max-h-[85vh] object-contain" />
                                 </div>
                             </div>
                         </div>
                     ` : ''}
                     
-                    ${project.architecture ? `
+                    ${project.architecture ? html`
                         <div>
-                            <h3 class="text-sm font-mono text-gray-400 uppercase tracking-widest mb-4">System Architecture & Logic</h3>
+                            <h3 class="text-sm font-mono text-gray-400 uppercase tracking-widest mb-4">${t('projects.architecture')}</h3>
                             <div class="border border-border-dark bg-surface-dark/40 p-6 rounded-sm space-y-4">
-                                ${project.architecture.map((step, i) => `
+                                ${project.architecture.map((step, i) => html`
                                     <div class="flex items-start gap-4">
                                         <span class="font-mono text-primary text-sm mt-1">${step.step}.</span>
                                         <div>
@@ -237,8 +499,17 @@ function renderProjectDetail(project) {
                                             <p class="text-sm text-gray-400">${step.description}</p>
                                         </div>
                                     </div>
-                                    ${i < project.architecture.length - 1 ? '<div class="w-full h-[1px] bg-border-dark/50"></div>' : ''}
-                                `).join('')}
+                                    ${i < project.architecture.length - 1 ? html`<div class="w-full h-[1px] bg-border-dark/50"></div>` : ''}
+                                `)}
+                            </div>
+                        </div>
+                    ` : ''}
+
+                    ${project.details ? html`
+                        <div>
+                            <h3 class="text-sm font-mono text-gray-400 uppercase tracking-widest mb-4">${t('projects.notes')}</h3>
+                            <div class="max-w-none">
+                                ${parseMarkdown(project.details, { idPrefix: `${project.id.toLowerCase()}-` })}
                             </div>
                         </div>
                     ` : ''}
@@ -246,25 +517,24 @@ function renderProjectDetail(project) {
                 
                 <div class="space-y-8">
                     <div>
-                        <h3 class="text-sm font-mono text-gray-400 uppercase tracking-widest mb-4">Tech Stack</h3>
+                        <h3 class="text-sm font-mono text-gray-400 uppercase tracking-widest mb-4">${t('projects.techStack')}</h3>
                         <div class="flex flex-wrap gap-2">
-                            ${project.tech.map(t => `
-                                <span class="px-3 py-1 bg-surface-highlight border border-border-dark text-xs font-mono text-gray-300">${t}</span>
-                            `).join('')}
+                            ${project.tech.map(tech => renderTechChip(tech))}
                         </div>
+                        ${relations ? createRelatedLinks(relations.related('project', project.id, 'experience'), t('related.experience')) : ''}
                     </div>
                     
-                    ${project.metrics ? `
+                    ${project.metrics ? html`
                         <div>
-                            <h3 class="text-sm font-mono text-gray-400 uppercase tracking-widest mb-4">Outcome Metrics</h3>
+                            <h3 class="text-sm font-mono text-gray-400 uppercase tracking-widest mb-4">${t('projects.metrics')}</h3>
                             <div class="grid grid-cols-1 gap-3">
-                                ${Object.values(project.metrics).map((metric, i) => `
+                                ${Object.values(project.metrics).map((metric, i) => html`
                                     <div class="p-4 ${i === 0 ? 'bg-primary/5 border-primary/20' : 'bg-surface-highlight border-border-dark'} border flex flex-col">
                                         <span class="text-[10px] font-mono ${i === 0 ? 'text-primary' : 'text-gray-400'} mb-1">${metric.label}</span>
                                         <span class="text-2xl font-display font-medium text-white">${metric.value}</span>
-                                        ${metric.baseline || metric.note ? `<span class="text-[10px] text-gray-500 mt-1">${metric.baseline || metric.note}</span>` : ''}
+                                        ${metric.baseline || metric.note ? html`<span class="text-[10px] text-gray-500 mt-1">${metric.baseline || metric.note}</span>` : ''}
                                     </div>
-                                `).join('')}
+                                `)}
                             </div>
                         </div>
                     ` : ''}
@@ -292,164 +562,224 @@ function renderProjectDetail(project) {
             </div>
         </div>
     `;
+}
 
-    // Add back button handler for mobile
-    const backBtn = container.querySelector('#mobile-back-btn');
-    if (backBtn) {
-        backBtn.addEventListener('click', showProjectList);
-    }
-
-    // Load screenshots if available
-    if (project.screenshots) {
-        loadScreenshots(project.screenshots);
+/**
+ * Render a tech stack chip, linked to the skill it matches
+ * @param {string} tech - Tech name as written in projects.json
+ * @returns {SafeHtml} Chip markup
+ */
+function renderTechChip(tech) {
+    const skill = relations?.findSkill(tech);
+    if (!skill) {
+        return html`<span class="px-3 py-1 bg-surface-highlight border border-border-dark text-xs font-mono text-gray-300">${tech}</span>`;
     }
+    return html`
+        <a href="${skill.href}" title="${skill.title}" class="px-3 py-1 bg-surface-highlight border border-border-dark text-xs font-mono text-gray-300 hover:text-primary hover:border-primary/40 fast-transition">${tech}</a>
+    `;
 }
 
+// Rendered width of a gallery tile: a third of the detail column on large
+// screens, a third of what the project list leaves on tablets, half on phones
+const THUMBNAIL_SIZES = '(min-width: 1024px) 190px, (min-width: 768px) 20vw, 50vw';
+const LIGHTBOX_SIZES = '90vw';
+
 /**
  * Image cache for faster subsequent loads
  */
 const imageCache = new Map();
-const SUPPORTED_SCREENSHOT_EXTENSIONS = ['webp', 'gif'];
+
+// Loads gallery tiles as they near the viewport; replaced with each gallery
+let thumbnailObserver = null;
 
 /**
- * Preload images for faster display
- * @param {string[]} images - Array of image paths to preload
+ * Preload a lightbox image at the size the lightbox will pick
+ * @param {Object} image - Image from getScreenshots()
  */
-function preloadImages(images) {
-    images.forEach(src => {
-        if (!imageCache.has(src)) {
-            const img = new Image();
-            img.src = src;
-            imageCache.set(src, img);
-        }
-    });
+function preloadImage(image) {
+    if (imageCache.has(image.src)) return;
+    const img = new Image();
+    if (image.srcset) {
+        img.sizes = LIGHTBOX_SIZES;
+        img.srcset = image.srcset;
+    }
+    img.src = image.src;
+    imageCache.set(image.src, img);
+}
+
+/**
+ * Start loading a gallery tile's image, fading it in over its placeholder
+ * @param {HTMLImageElement} img - Image with data-src (and data-srcset)
+ */
+function loadThumbnail(img) {
+    const { src, srcset } = img.dataset;
+    if (!src) return;
+
+    const reveal = () => {
+        img.classList.remove('opacity-0');
+        img.classList.add('opacity-100');
+    };
+    img.addEventListener('load', reveal, { once: true });
+    img.addEventListener('error', reveal, { once: true });
+
+    if (srcset) {
+        img.sizes = THUMBNAIL_SIZES;
+        img.srcset = srcset;
+    }
+    img.src = src;
+    delete img.dataset.src;
+    delete img.dataset.srcset;
 }
 
 /**
- * Load screenshots from the specified folder or array of paths
- * Supports optimized WebP assets and animated GIFs.
+ * Load gallery tiles as they scroll near the viewport
+ * Without IntersectionObserver every tile loads right away.
+ * @param {HTMLElement} gallery - Gallery container
+ */
+function observeThumbnails(gallery) {
+    thumbnailObserver?.disconnect();
+    thumbnailObserver = null;
+
+    const thumbnails = gallery.querySelectorAll('img[data-src]');
+    if (typeof IntersectionObserver === 'undefined') {
+        thumbnails.forEach(loadThumbnail);
+        return;
+    }
+
+    thumbnailObserver = new IntersectionObserver((entries, observer) => {
+        entries.forEach(entry => {
+            if (!entry.isIntersecting) return;
+            observer.unobserve(entry.target);
+            loadThumbnail(entry.target);
+        });
+    }, { rootMargin: '200px' });
+    thumbnails.forEach(img => thumbnailObserver.observe(img));
+}
+
+/**
+ * Render the gallery and lightbox for a project's screenshots
  * @param {string|string[]} screenshots - Either a folder path (e.g., "projects/neural-search") or an array of image paths
  */
 async function loadScreenshots(screenshots) {
     const gallery = document.getElementById('screenshots-gallery');
     const lightbox = document.getElementById('screenshot-lightbox');
     const lightboxImage = document.getElementById('lightbox-image');
+    const lightboxCaption = document.getElementById('lightbox-caption');
 
     if (!gallery) return;
 
-    let foundImages = [];
+    const images = await getScreenshots(screenshots);
 
-    // Handle array format (e.g., ["Media/planner.webp", "Media/quiz.webp"])
-    if (Array.isArray(screenshots)) {
-        for (const imgPath of screenshots) {
-            const resolvedPath = await resolveFirstExistingImage(`../assets/${imgPath}`);
-            if (resolvedPath) {
-                foundImages.push(resolvedPath);
-            }
-        }
-    } else {
-        // Handle folder path format (e.g., "projects/neural-search")
-        const basePath = `../assets/${screenshots}`;
+    // Another project was selected while the manifest was loading
+    if (!gallery.isConnected) return;
 
-        const numberedNames = Array.from({ length: 20 }, (_, index) => String(index + 1));
-        foundImages.push(...await collectFolderImages(basePath, numberedNames));
-
-        // Also try common names
-        const commonNames = ['screenshot', 'main', 'demo', 'preview', 'cover', 'hero', 'logo'];
-        foundImages.push(...await collectFolderImages(basePath, commonNames));
-    }
-
-    foundImages = [...new Set(foundImages)];
-
-    if (foundImages.length === 0) {
-        gallery.innerHTML = `
+    if (images.length === 0) {
+        gallery.innerHTML = html`
             <div class="col-span-full text-center py-8 text-gray-500 font-mono text-sm border border-dashed border-border-dark">
                 <span class="material-symbols-outlined text-2xl mb-2 block">image</span>
-                No screenshots available yet
+                ${t('projects.noScreenshots')}
             </div>
         `;
         return;
     }
 
-    // Sort images for consistent ordering (numeric sort for numbered files)
-    foundImages.sort((a, b) => {
-        const matchA = a.match(/\/(\d+)\.[^.]+$/);
-        const matchB = b.match(/\/(\d+)\.[^.]+$/);
-        const numA = matchA ? parseInt(matchA[1], 10) : Number.MAX_SAFE_INTEGER;
-        const numB = matchB ? parseInt(matchB[1], 10) : Number.MAX_SAFE_INTEGER;
-
-        if (numA !== numB) {
-            return numA - numB;
-        }
-
-        const extA = getExtensionPriority(a);
-        const extB = getExtensionPriority(b);
-        if (extA !== extB) {
-            return extA - extB;
-        }
-
-        return a.localeCompare(b);
-    });
-
-    // Preload all images for instant display
-    preloadImages(foundImages);
-
     // Track current image index for navigation
     let currentImageIndex = 0;
 
     // Helper function to update lightbox display
     const updateLightboxImage = (index) => {
         currentImageIndex = index;
-        // Use cached image if available for instant display
-        const cachedImg = imageCache.get(foundImages[index]);
-        if (cachedImg && cachedImg.complete) {
-            lightboxImage.src = cachedImg.src;
+        const image = images[index];
+        if (image.srcset) {
+            lightboxImage.sizes = LIGHTBOX_SIZES;
+            lightboxImage.srcset = image.srcset;
         } else {
-            lightboxImage.src = foundImages[index];
+            lightboxImage.removeAttribute('srcset');
+        }
+        lightboxImage.src = image.src;
+        lightboxImage.alt = getScreenshotAlt(image, index);
+        if (lightboxCaption) {
+            lightboxCaption.textContent = image.caption || '';
+            lightboxCaption.classList.toggle('hidden', !image.caption);
         }
         const counter = document.getElementById('lightbox-counter');
         if (counter) {
-            counter.textContent = `${index + 1} / ${foundImages.length}`;
+            counter.textContent = `${index + 1} / ${images.length}`;
         }
+        if (!lightbox.classList.contains('hidden')) {
+            setUrlState({ params: { slide: index + 1 } }, { replace: true });
+        }
+
+        // Only the neighbours, so paging either way is instant
+        preloadImage(images[(index + 1) % images.length]);
+        preloadImage(images[(index - 1 + images.length) % images.length]);
+    };
+
+    // Close from the UI: step back over the entry opening it added, if any
+    const dismissLightbox = () => {
+        closeLightbox();
+        if (lightboxPushed) {
+            lightboxPushed = false;
+            history.back();
+        } else {
+            setUrlState({ params: { slide: null } }, { replace: true });
+        }
+    };
+
+    const lightboxDialog = createDialog(lightbox, { onEscape: dismissLightbox });
+
+    // Helper function to open lightbox at an image
+    const openLightbox = (index) => {
+        lightbox.classList.remove('hidden');
+        lightbox.classList.add('flex');
+        updateLightboxImage(index);
+        lightboxDialog.open();
     };
 
     // Helper function to close lightbox
     const closeLightbox = () => {
         lightbox.classList.add('hidden');
         lightbox.classList.remove('flex');
+        lightboxDialog.close();
     };
 
     // Helper function to show previous image
     const showPrevImage = () => {
-        const newIndex = currentImageIndex > 0 ? currentImageIndex - 1 : foundImages.length - 1;
+        const newIndex = currentImageIndex > 0 ? currentImageIndex - 1 : images.length - 1;
         updateLightboxImage(newIndex);
     };
 
     // Helper function to show next image
     const showNextImage = () => {
-        const newIndex = currentImageIndex < foundImages.length - 1 ? currentImageIndex + 1 : 0;
+        const newIndex = currentImageIndex < images.length - 1 ? currentImageIndex + 1 : 0;
         updateLightboxImage(newIndex);
     };
 
-    // Render gallery with lazy loading and performance optimizations
-    gallery.innerHTML = foundImages.map((img, index) => `
-        <div class="aspect-video bg-surface-dark border border-border-dark overflow-hidden cursor-pointer group hover:border-primary/50 transition-all"
-             data-screenshot-index="${index}">
-            <img src="${img}" alt="Screenshot ${index + 1}" 
-                 loading="${index < 3 ? 'eager' : 'lazy'}"
+    // Render gallery with lazy loading; each tile shows its blurred
+    // placeholder until the image arrives and fades in, and the size avoids
+    // layout shifts. observeThumbnails() sets src once a tile is near view.
+    gallery.innerHTML = html`${images.map((image, index) => html`
+        <button type="button" class="relative block aspect-video bg-surface-dark border border-border-dark overflow-hidden cursor-pointer group hover:border-primary/50 transition-all"
+             data-screenshot-index="${index}" aria-label="${t('projects.openScreenshot', { index: index + 1, count: images.length })}"
+             ${image.caption ? html`title="${image.caption}"` : ''}>
+            ${image.placeholder ? html`<img src="${image.placeholder}" alt="" aria-hidden="true" class="absolute inset-0 w-full h-full object-cover blur-md scale-110" />` : ''}
+            <img data-src="${image.src}" ${image.srcset ? html`data-srcset="${image.srcset}"` : ''}
+                 alt="${getScreenshotAlt(image, index)}"
+                 ${image.width ? html`width="${image.width}" height="${image.height}"` : ''}
                  decoding="async"
                  fetchpriority="${index === 0 ? 'high' : 'low'}"
-                 class="w-full h-full object-cover group-hover:scale-105 transition-transform duration-300" />
-        </div>
-    `).join('');
+                 class="relative w-full h-full object-cover opacity-0 group-hover:scale-105 transition duration-500 motion-reduce:transition-none" />
+        </button>
+    `)}`;
+    observeThumbnails(gallery);
 
     // Setup lightbox handlers
     gallery.querySelectorAll('[data-screenshot-index]').forEach(thumb => {
         thumb.addEventListener('click', () => {
             const index = parseInt(thumb.dataset.screenshotIndex);
-            updateLightboxImage(index);
-            lightbox.classList.remove('hidden');
-            lightbox.classList.add('flex');
+            setUrlState({ params: { slide: index + 1 } });
+            lightboxPushed = true;
+            openLightbox(index);
         });
     });
 
@@ -458,7 +788,7 @@ async function loadScreenshots(screenshots) {
     if (closeBtn) {
         closeBtn.addEventListener('click', (e) => {
             e.stopPropagation();
-            closeLightbox();
+            dismissLightbox();
         });
     }
 
@@ -485,17 +815,15 @@ async function loadScreenshots(screenshots) {
     if (lightboxContainer) {
         lightboxContainer.addEventListener('click', (e) => {
             if (e.target === lightboxContainer) {
-                closeLightbox();
+                dismissLightbox();
             }
         });
     }
 
-    // Keyboard navigation
+    // Arrow keys page through the slides (Escape and Tab belong to the dialog)
     const handleKeydown = (e) => {
         if (!lightbox.classList.contains('hidden')) {
-            if (e.key === 'Escape') {
-                closeLightbox();
-            } else if (e.key === 'ArrowLeft') {
+            if (e.key === 'ArrowLeft') {
                 showPrevImage();
             } else if (e.key === 'ArrowRight') {
                 showNextImage();
@@ -503,93 +831,49 @@ async function loadScreenshots(screenshots) {
         }
     };
 
-    // Remove any existing keydown handler to avoid duplicates
-    document.removeEventListener('keydown', handleKeydown);
-    document.addEventListener('keydown', handleKeydown);
-}
-
-function buildImageCandidates(assetPath) {
-    const match = assetPath.match(/\.([^.\/]+)$/);
-    if (!match) {
-        return SUPPORTED_SCREENSHOT_EXTENSIONS.map(ext => `${assetPath}.${ext}`);
-    }
-
-    const explicitExt = match[1].toLowerCase();
-    const candidates = [assetPath];
-    if (!SUPPORTED_SCREENSHOT_EXTENSIONS.includes(explicitExt)) {
-        const basePath = assetPath.slice(0, -(explicitExt.length + 1));
-        for (const ext of SUPPORTED_SCREENSHOT_EXTENSIONS) {
-            candidates.push(`${basePath}.${ext}`);
-        }
-    }
-
-    return [...new Set(candidates)];
-}
-
-async function resolveFirstExistingImage(assetPath) {
-    for (const candidate of buildImageCandidates(assetPath)) {
-        if (await checkImageExists(candidate)) {
-            return candidate;
-        }
+    // Replace the previous gallery's keydown handler to avoid duplicates
+    if (lightboxKeydown) {
+        document.removeEventListener('keydown', lightboxKeydown);
+    } else {
+        onPageLeave(() => {
+            document.removeEventListener('keydown', lightboxKeydown);
+            lightboxKeydown = null;
+        });
     }
+    lightboxKeydown = handleKeydown;
+    document.addEventListener('keydown', handleKeydown);
 
-    return null;
+    // Open the slide named in the URL (projects.html?slide=2#ID-9482)
+    lightboxControls = { open: openLightbox, close: closeLightbox, count: images.length };
+    syncLightbox(getUrlState().params);
 }
 
-async function collectFolderImages(basePath, fileNames) {
-    const checks = [];
-
-    for (const fileName of fileNames) {
-        for (const ext of SUPPORTED_SCREENSHOT_EXTENSIONS) {
-            const assetPath = `${basePath}/${fileName}.${ext}`;
-            checks.push(checkImageExists(assetPath).then(exists => exists ? assetPath : null));
-        }
+/**
+ * A project's screenshots, in gallery order
+ * A folder's come from its screenshots.json (scripts/build-images.mjs);
+ * a list of paths is shown as given, without sizes, placeholders or srcset.
+ * @param {string|string[]} screenshots - Folder under assets/ or a list of image paths
+ * @returns {Promise<Object[]>} Images: { src, srcset, width, height, caption, alt, placeholder }
+ */
+async function getScreenshots(screenshots) {
+    if (Array.isArray(screenshots)) {
+        return screenshots.map(path => ({ src: `../assets/${path}` }));
     }
 
-    const results = await Promise.all(checks);
-    return results.filter(Boolean);
-}
-
-function getExtensionPriority(path) {
-    const extension = path.split('.').pop()?.toLowerCase() || '';
-    const priority = SUPPORTED_SCREENSHOT_EXTENSIONS.indexOf(extension);
-    return priority === -1 ? Number.MAX_SAFE_INTEGER : priority;
+    const folder = `../assets/${screenshots}`;
+    const images = await loadJSON(`${folder}/screenshots.json`) || [];
+    return images.map(image => ({ ...image, src: `${folder}/${image.file}`, srcset: getSrcset(folder, image) }));
 }
 
 /**
- * Cache for image existence checks to avoid redundant requests
+ * Alt text of a screenshot, numbered when the manifest has none
+ * @param {Object} image - Image from getScreenshots()
+ * @param {number} index - Position in the gallery
+ * @returns {string} Alt text
  */
-const imageExistsCache = new Map();
-
-/**
- * Check if an image exists at the given path
- * Uses caching to speed up repeated checks
- * @param {string} url - Image URL to check
- * @returns {Promise<boolean>}
- */
-function checkImageExists(url) {
-    // Return cached result if available
-    if (imageExistsCache.has(url)) {
-        return Promise.resolve(imageExistsCache.get(url));
-    }
-    
-    return new Promise(resolve => {
-        const img = new Image();
-        img.onload = () => {
-            imageExistsCache.set(url, true);
-            resolve(true);
-        };
-        img.onerror = () => {
-            imageExistsCache.set(url, false);
-            resolve(false);
-        };
-        img.src = url;
-    });
+function getScreenshotAlt(image, index) {
+    return image.alt || t('projects.screenshotAlt', { index: index + 1 });
 }
 
 // Auto-initialize when DOM is ready
-if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', initProjects);
-} else {
-    initProjects();
-}
+onPageReady(initProjects);
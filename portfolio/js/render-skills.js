@@ -3,43 +3,112 @@
  * Renders skills/capabilities grid from JSON data
  */
 
-import { loadJSON } from './core.js';
+import { loadJSON, loadWithRetry, onDataUpdate, html, onPageReady, renderSections, t, loadRelations, createRelatedLinks, getSkillAnchor, slugify } from './core.js';
 
 let skillsData = null;
+let relations = null;
 
 /**
  * Initialize skills page
  */
 export async function initSkills() {
-    skillsData = await loadJSON('../data/skills.json');
+    skillsData = await loadWithRetry('skills-grid', '../data/skills.json');
+    if (!skillsData) return;
 
-    if (!skillsData) {
-        console.error('[SKILLS] Failed to load skills data');
-        return;
-    }
+    relations = await loadRelations();
 
-    renderSkillsGrid();
+    renderSections(getSections());
+
+    // Re-render when a newer skills.json arrives in the background
+    onDataUpdate('../data/skills.json', async (data) => {
+        skillsData = data;
+        relations = await loadRelations();
+        renderSections(getSections());
+    });
 
     console.log(`[SKILLS] Loaded ${skillsData.categories.length} skill categories`);
 }
 
+/**
+ * Page variants for scripts/prerender.mjs
+ * @returns {Promise<Object[]>} The skills page
+ */
+export async function prerender() {
+    skillsData = await loadJSON('../data/skills.json');
+    relations = await loadRelations();
+    return [{ sections: getSections() }];
+}
+
+/**
+ * Markup for each container on the page
+ * @returns {Object<string, SafeHtml|string>} Container id → markup
+ */
+function getSections() {
+    return {
+        'skills-grid': renderSkillsGrid(),
+        'skills-related': renderSkillMap()
+    };
+}
+
 /**
  * Render the skills grid
+ * @returns {SafeHtml} Category cards
  */
 function renderSkillsGrid() {
-    const container = document.getElementById('skills-grid');
-    if (!container) return;
-
-    container.innerHTML = skillsData.categories.map((category, i) =>
+    return html`${skillsData.categories.map((category, i) =>
         renderSkillCategory(category, i)
-    ).join('');
+    )}`;
+}
+
+/**
+ * Render the skill map: every skill that projects or certificates point at,
+ * with links to them. Rows carry the skill's anchor (skills.html#skill-python).
+ * @returns {SafeHtml|string} Skill map markup
+ */
+function renderSkillMap() {
+    if (!relations) return '';
+
+    const rows = relations.all('skill')
+        .map(skill => ({
+            skill,
+            projects: relations.related('skill', skill.id, 'project'),
+            certificates: relations.related('skill', skill.id, 'certificate')
+        }))
+        .filter(row => row.projects.length > 0 || row.certificates.length > 0);
+
+    return rows.length === 0 ? '' : html`
+        <h2 class="font-mono text-sm text-gray-400 uppercase tracking-widest mb-6">[ ${t('skills.map')} ]</h2>
+        <div class="grid grid-cols-1 md:grid-cols-2 gap-5">
+            ${rows.map(row => html`
+                <div id="${getSkillAnchor(row.skill.title)}" class="bg-surface-dark border border-border-dark p-4 scroll-mt-24">
+                    <span class="font-mono text-sm text-white">${row.skill.title}</span>
+                    ${createRelatedLinks(row.projects, t('related.projects'))}
+                    ${createRelatedLinks(row.certificates, t('related.certificates'))}
+                </div>
+            `)}
+        </div>
+    `;
+}
+
+/**
+ * Skill name, linked to its row in the skill map when it has one
+ * @param {string} name - Skill name
+ * @returns {SafeHtml|string} Name markup
+ */
+function renderSkillName(name) {
+    const id = slugify(name);
+    const linked = relations && (relations.related('skill', id, 'project').length > 0
+        || relations.related('skill', id, 'certificate').length > 0);
+    if (!linked) return name;
+
+    return html`<a href="#${getSkillAnchor(name)}" class="hover:text-primary transition-colors">${name}</a>`;
 }
 
 /**
  * Render a single skill category
  * @param {Object} category - Category data
  * @param {number} index - Category index for animation delay
- * @returns {string} HTML string
+ * @returns {SafeHtml} Card markup
  */
 function renderSkillCategory(category, index) {
     const delay = 0.2 + (index * 0.1);
@@ -66,8 +135,8 @@ function renderSkillCategory(category, index) {
             content = renderTagSkills(category.items);
     }
 
-    return `
-        <div class="skill-card group relative bg-surface-dark border border-border-dark p-6 hover:border-primary/40 transition-colors duration-300"
+    return html`
+        <div id="${category.id}" class="skill-card group relative bg-surface-dark border border-border-dark p-6 hover:border-primary/40 transition-colors duration-300"
              style="animation: fadeInUp 0.6s ease-out ${delay}s forwards; opacity: 0;">
             <div class="absolute top-0 left-0 w-full h-[1px] bg-border-dark card-decor-line transition-all duration-500 ease-out"></div>
             <div class="flex justify-between items-start mb-6">
@@ -86,17 +155,17 @@ function renderSkillCategory(category, index) {
  * Render list-style skills (with versions)
  */
 function renderListSkills(items) {
-    return `
+    return html`
         <ul class="space-y-3 font-mono text-sm">
-            ${items.map(item => `
+            ${items.map(item => html`
                 <li class="flex items-center justify-between group/item">
-                    <span class="${item.active ? 'text-white' : 'text-gray-400'} group-hover/item:text-primary transition-colors">${item.name}</span>
-                    ${item.version ? `<span class="text-[10px] text-gray-600">${item.version}</span>` : ''}
-                    ${item.active !== undefined && item.version === undefined ? `
+                    <span class="${item.active ? 'text-white' : 'text-gray-400'} group-hover/item:text-primary transition-colors">${renderSkillName(item.name)}</span>
+                    ${item.version ? html`<span class="text-[10px] text-gray-600">${item.version}</span>` : ''}
+                    ${item.active !== undefined && item.version === undefined ? html`
                         <span class="w-1.5 h-1.5 ${item.active ? 'bg-emerald-500' : 'bg-gray-700'} rounded-full"></span>
                     ` : ''}
                 </li>
-            `).join('')}
+            `)}
         </ul>
     `;
 }
@@ -105,11 +174,11 @@ function renderListSkills(items) {
  * Render tag-style skills
  */
 function renderTagSkills(items) {
-    return `
+    return html`
         <div class="flex flex-wrap gap-2">
-            ${items.map(item => `
-                <span class="px-2 py-1 bg-surface-highlight border border-gray-800 text-xs font-mono text-gray-300 hover:text-white hover:border-primary/50 transition-colors cursor-default">${item.name}</span>
-            `).join('')}
+            ${items.map(item => html`
+                <span class="px-2 py-1 bg-surface-highlight border border-gray-800 text-xs font-mono text-gray-300 hover:text-white hover:border-primary/50 transition-colors cursor-default">${renderSkillName(item.name)}</span>
+            `)}
         </div>
     `;
 }
@@ -118,16 +187,16 @@ function renderTagSkills(items) {
  * Render grid-style skills (grouped)
  */
 function renderGridSkills(groups) {
-    return `
+    return html`
         <div class="grid grid-cols-2 gap-4 font-mono text-xs">
-            ${groups.map(group => `
+            ${groups.map(group => html`
                 <div class="flex flex-col gap-1 ${group.items.length > 2 ? 'col-span-2 mt-2' : ''}">
                     <span class="text-[10px] text-gray-600 uppercase">${group.label}</span>
-                    ${group.items.map(item => `
-                        <span class="${item.active ? 'text-white' : 'text-gray-400'}">${item.name}</span>
-                    `).join('')}
+                    ${group.items.map(item => html`
+                        <span class="${item.active ? 'text-white' : 'text-gray-400'}">${renderSkillName(item.name)}</span>
+                    `)}
                 </div>
-            `).join('')}
+            `)}
         </div>
     `;
 }
@@ -136,14 +205,14 @@ function renderGridSkills(groups) {
  * Render prefixed list skills (with arrows)
  */
 function renderPrefixedListSkills(items) {
-    return `
+    return html`
         <ul class="space-y-3 font-mono text-sm">
-            ${items.map(item => `
+            ${items.map(item => html`
                 <li class="flex items-center gap-3 group/item">
                     <span class="${item.primary ? 'text-primary' : 'text-gray-700'} font-bold">&gt;</span>
-                    <span class="text-white group-hover/item:text-primary transition-colors">${item.name}</span>
+                    <span class="text-white group-hover/item:text-primary transition-colors">${renderSkillName(item.name)}</span>
                 </li>
-            `).join('')}
+            `)}
         </ul>
     `;
 }
@@ -152,18 +221,18 @@ function renderPrefixedListSkills(items) {
  * Render inline skills (pipe-separated)
  */
 function renderInlineSkills(items, showSync) {
-    return `
+    return html`
         <div class="flex flex-wrap gap-x-4 gap-y-2 font-mono text-sm text-gray-400">
-            ${items.map((item, i) => `
-                <span class="hover:text-white transition-colors cursor-default">${item}</span>
-                ${i < items.length - 1 ? '<span class="text-gray-800">|</span>' : ''}
-            `).join('')}
+            ${items.map((item, i) => html`
+                <span class="hover:text-white transition-colors cursor-default">${renderSkillName(item)}</span>
+                ${i < items.length - 1 ? html`<span class="text-gray-800">|</span>` : ''}
+            `)}
         </div>
-        ${showSync ? `
+        ${showSync ? html`
             <div class="mt-8 border-t border-dashed border-gray-800 pt-4">
                 <div class="flex items-center gap-2 text-[10px] font-mono text-gray-500">
                     <span class="material-symbols-outlined text-sm animate-spin">sync</span>
-                    <span>SYNCING_TOOLCHAIN...</span>
+                    <span>${t('skills.syncing')}</span>
                 </div>
             </div>
         ` : ''}
@@ -171,8 +240,4 @@ function renderInlineSkills(items, showSync) {
 }
 
 // Auto-initialize when DOM is ready
-if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', initSkills);
-} else {
-    initSkills();
-}
+onPageReady(initSkills);
@@ -0,0 +1,218 @@
+/**
+ * PORTFOLIO SYSTEM - SEO METADATA
+ * Canonical URLs, Open Graph / Twitter tags and JSON-LD built from the data
+ *
+ * scripts/prerender.mjs writes the tags into each page's <head> (crawlers and
+ * link previews don't run scripts); in the browser, renderers only keep the
+ * title, description and canonical URL in step with the project or note on
+ * screen.
+ */
+
+import { html, trusted, slugify } from './core.js';
+
+// ============================================
+// PAGE URLS
+// ============================================
+
+/**
+ * Prerendered page of a project
+ * @param {string} id - Project ID (ID-9482)
+ * @returns {string} Page filename (project-id-9482.html)
+ */
+export function getProjectPage(id) {
+    return `project-${slugify(id)}.html`;
+}
+
+/**
+ * Prerendered page of a lab note
+ * @param {string} id - Experiment ID (NOTE-201)
+ * @returns {string} Page filename (lab-note-201.html)
+ */
+export function getLabNotePage(id) {
+    return `lab-${slugify(id)}.html`;
+}
+
+/**
+ * Generated link preview card of a project or lab note
+ * Served by functions/api/og/[id].js at 1200×630.
+ * @param {string} id - Project or experiment ID
+ * @returns {string} Site-relative image path (api/og/ID-9482.png)
+ */
+export function getPreviewImage(id) {
+    return `api/og/${encodeURIComponent(id)}.png`;
+}
+
+/**
+ * Absolute URL of a site file
+ * Paths may be written from pages/ (../assets/x.webp); the live site serves
+ * everything from the root.
+ * @param {string} path - Site-relative path
+ * @param {string} siteUrl - Site root (profile.url)
+ * @returns {string} Absolute URL
+ */
+export function toSiteUrl(path, siteUrl) {
+    const file = path.replace(/^(\.\.?\/)+/, '');
+    return new URL(file === 'index.html' ? '' : file, siteUrl).href;
+}
+
+// ============================================
+// JSON-LD
+// ============================================
+
+/**
+ * @id of the site owner, so other entries can point at them
+ * @param {string} siteUrl - Site root
+ * @returns {string} Node ID
+ */
+function getPersonId(siteUrl) {
+    return `${siteUrl}#person`;
+}
+
+/**
+ * Person entry for the site owner
+ * @param {Object} profile - Localized profile.json
+ * @returns {Object} JSON-LD
+ */
+export function createPersonSchema(profile) {
+    return {
+        '@context': 'https://schema.org',
+        '@type': 'Person',
+        '@id': getPersonId(profile.url),
+        name: profile.name,
+        jobTitle: profile.title,
+        description: profile.tagline || undefined,
+        email: `mailto:${profile.email}`,
+        url: profile.url,
+        sameAs: Object.values(profile.socials || {}).map(social => social.url)
+    };
+}
+
+/**
+ * SoftwareSourceCode entry for a project with a repository, CreativeWork otherwise
+ * @param {Object} project - Project data
+ * @param {string} siteUrl - Site root
+ * @param {string|null} image - Cover screenshot path
+ * @returns {Object} JSON-LD
+ */
+export function createProjectSchema(project, siteUrl, image = null) {
+    const url = toSiteUrl(getProjectPage(project.id), siteUrl);
+    const code = project.links?.code;
+
+    return {
+        '@context': 'https://schema.org',
+        '@type': code ? 'SoftwareSourceCode' : 'CreativeWork',
+        '@id': url,
+        name: project.title,
+        description: project.summary,
+        url,
+        image: image ? toSiteUrl(image, siteUrl) : undefined,
+        author: { '@id': getPersonId(siteUrl) },
+        keywords: [...(project.tags || []), ...(project.tech || [])].join(', ') || undefined,
+        dateModified: project.lastUpdated,
+        codeRepository: code,
+        programmingLanguage: code ? project.tech : undefined
+    };
+}
+
+/**
+ * EducationalOccupationalCredential entry for a certificate
+ * @param {Object} certificate - Certificate from profile.json
+ * @param {string} siteUrl - Site root
+ * @returns {Object} JSON-LD
+ */
+export function createCredentialSchema(certificate, siteUrl) {
+    return {
+        '@context': 'https://schema.org',
+        '@type': 'EducationalOccupationalCredential',
+        '@id': `${toSiteUrl('certificates.html', siteUrl)}#${certificate.id}`,
+        name: certificate.name,
+        credentialCategory: 'certificate',
+        recognizedBy: { '@type': 'Organization', name: certificate.issuer },
+        dateCreated: certificate.date,
+        url: certificate.link,
+        competencyRequired: certificate.skills
+    };
+}
+
+// ============================================
+// HEAD TAGS
+// ============================================
+
+/**
+ * Canonical link, feed links, Open Graph and Twitter tags and JSON-LD for a page
+ * Every tag carries data-seo, so the router can swap them with the page.
+ * @param {Object} meta - Page metadata
+ * @param {string} meta.siteUrl - Site root, where the feeds are
+ * @param {string} meta.url - Canonical URL
+ * @param {string} meta.title - Page title
+ * @param {string} meta.description - Page description
+ * @param {string} meta.siteName - Site name
+ * @param {string} [meta.type='website'] - Open Graph type
+ * @param {string} [meta.image] - Absolute URL of a 1200×630 preview card
+ * @param {Object[]} [meta.schema=[]] - JSON-LD entries
+ * @returns {SafeHtml} Tags for <head>
+ */
+export function renderHeadTags({ siteUrl, url, title, description, siteName, type = 'website', image, schema = [] }) {
+    return html`
+    <link rel="canonical" href="${url}" data-seo />
+    <link rel="alternate" type="application/atom+xml" title="${siteName}" href="${toSiteUrl('feed.xml', siteUrl)}" data-seo />
+    <link rel="alternate" type="application/feed+json" title="${siteName}" href="${toSiteUrl('feed.json', siteUrl)}" data-seo />
+    <meta property="og:type" content="${type}" data-seo />
+    <meta property="og:site_name" content="${siteName}" data-seo />
+    <meta property="og:url" content="${url}" data-seo />
+    <meta property="og:title" content="${title}" data-seo />
+    <meta property="og:description" content="${description}" data-seo />
+    ${image ? html`<meta property="og:image" content="${image}" data-seo />
+    <meta property="og:image:width" content="1200" data-seo />
+    <meta property="og:image:height" content="630" data-seo />` : ''}
+    <meta name="twitter:card" content="${image ? 'summary_large_image' : 'summary'}" data-seo />
+    <meta name="twitter:title" content="${title}" data-seo />
+    <meta name="twitter:description" content="${description}" data-seo />
+    ${image ? html`<meta name="twitter:image" content="${image}" data-seo />` : ''}
+    ${schema.map(entry => html`<script type="application/ld+json" data-seo>${renderJsonLd(entry)}</script>`)}
+`;
+}
+
+/**
+ * Serialize a JSON-LD entry for a <script> element
+ * @param {Object} entry - JSON-LD
+ * @returns {SafeHtml} JSON with "<" escaped so it can't close the script
+ */
+function renderJsonLd(entry) {
+    return trusted(JSON.stringify(entry).replace(/</g, '\\u003c'));
+}
+
+// ============================================
+// BROWSER
+// ============================================
+
+/**
+ * Title, description and canonical URL the page currently shows
+ * @returns {{title: string, description: string|null, url: string|null}}
+ */
+export function getPageMeta() {
+    return {
+        title: document.title,
+        description: document.querySelector('meta[name="description"]')?.getAttribute('content') ?? null,
+        url: document.querySelector('link[rel="canonical"]')?.getAttribute('href') ?? null
+    };
+}
+
+/**
+ * Point the title, description and canonical URL at what's on screen
+ * A relative url resolves against the current canonical one; without one
+ * (unbuilt pages) only the title and description change.
+ * @param {{title?: string, description?: string|null, url?: string|null}} meta - New values
+ */
+export function setPageMeta({ title, description, url }) {
+    if (title) document.title = title;
+
+    if (description) {
+        document.querySelector('meta[name="description"]')?.setAttribute('content', description);
+    }
+
+    const canonical = document.querySelector('link[rel="canonical"]');
+    if (canonical && url) {
+        canonical.href = new URL(url, canonical.href).href;
+    }
+}
@@ -1,8 +1,11 @@
 /**
  * Shooting Stars Effect
  * Creates a subtle shooting star effect across the screen.
+ * Stays idle for visitors who prefer reduced motion.
  */
 
+import { prefersReducedMotion } from './core.js';
+
 class ShootingStars {
     constructor() {
         this.container = document.body;
@@ -13,7 +16,8 @@ class ShootingStars {
         // Configuration
         this.minDuration = 2;
         this.maxDuration = 5;
-        this.colors = ['#ffffff', '#3B82F6', '#a5f3fc']; // White, Blue, Light Cyan
+        // Theme tokens, so stars stay visible on every theme (foreground, primary, accent)
+        this.colors = ['rgb(var(--color-white))', 'rgb(var(--color-primary))', 'rgb(var(--color-accent))'];
 
         this.init();
     }
@@ -26,11 +30,13 @@ class ShootingStars {
 
     startLoop() {
         // Initial star
-        setTimeout(() => this.createStar(), 1000);
+        setTimeout(() => {
+            if (!prefersReducedMotion()) this.createStar();
+        }, 1000);
 
-        // Regular interval
+        // Regular interval (checked each tick, so an OS setting change applies live)
         setInterval(() => {
-            if (this.activeStars < this.maxStars) {
+            if (this.activeStars < this.maxStars && !prefersReducedMotion()) {
                 this.createStar();
             }
         }, this.interval);
@@ -0,0 +1,27 @@
+/**
+ * PORTFOLIO SYSTEM - STATUS TONES
+ * Project and experiment status strings mapped to the theme's status tokens
+ * (ok / warn / info / idle). Shared by the site (js/core.js) and the preview
+ * cards (functions/lib/og-card.js), so a badge has the same color in both.
+ */
+
+export const STATUS_TONES = {
+    deployed: 'ok',
+    training: 'ok',
+    live: 'ok',
+    active: 'ok',
+    experiment: 'warn',
+    research: 'info',
+    archived: 'idle',
+    prototype: 'idle',
+    dormant: 'idle'
+};
+
+/**
+ * Tone of a status string; unknown ones are idle
+ * @param {string} status - Status string, any case
+ * @returns {'ok'|'warn'|'info'|'idle'} Tone
+ */
+export function getStatusTone(status) {
+    return STATUS_TONES[String(status).toLowerCase()] || 'idle';
+}
@@ -1,28 +1,259 @@
 /**
  * Tailwind CSS Configuration for Portfolio System
  * Shared across all pages
+ *
+ * Loaded as a classic script in <head>, so it also picks the color theme
+ * before the first paint (no flash of the wrong theme).
  */
 
+// ============================================
+// THEMES
+// ============================================
+
+/**
+ * Color themes as token sets ("R G B" channels)
+ * Every Tailwind color below reads one of these through a CSS variable, so
+ * switching theme only rewrites the variables on <html>. white, black and
+ * gray are tokens too: text-white means "foreground" and bg-white/5 a faint
+ * foreground tint, which is why they flip in the light theme.
+ * `effects` lists the decorative layers the theme shows (grid, scanline, crt).
+ */
+const PORTFOLIO_THEMES = {
+    'terminal-dark': {
+        label: 'Terminal',
+        scheme: 'dark',
+        effects: ['grid'],
+        tokens: {
+            'primary': '59 130 246',
+            'secondary': '16 185 129',
+            'warning': '245 158 11',
+            'background-dark': '5 5 5',
+            'surface-dark': '10 10 10',
+            'surface-highlight': '18 18 18',
+            'surface-card': '20 20 20',
+            'border-dark': '31 31 31',
+            'text-muted': '107 114 128',
+            'text-dim': '136 136 136',
+            'accent': '96 165 250',
+            'accent-success': '16 185 129',
+            'accent-warning': '245 158 11',
+            'paper': '245 245 244',
+            'white': '255 255 255',
+            'black': '0 0 0',
+            'gray-100': '243 244 246',
+            'gray-200': '229 231 235',
+            'gray-300': '209 213 219',
+            'gray-400': '156 163 175',
+            'gray-500': '107 114 128',
+            'gray-600': '75 85 99',
+            'gray-700': '55 65 81',
+            'gray-800': '31 41 55',
+            'gray-900': '17 24 39',
+            'status-ok': '16 185 129',
+            'status-warn': '245 158 11',
+            'status-info': '96 165 250',
+            'status-idle': '107 114 128'
+        }
+    },
+    'light': {
+        label: 'Light',
+        scheme: 'light',
+        effects: ['grid'],
+        tokens: {
+            'primary': '37 99 235',
+            'secondary': '5 150 105',
+            'warning': '217 119 6',
+            'background-dark': '250 250 250',
+            'surface-dark': '255 255 255',
+            'surface-highlight': '244 244 245',
+            'surface-card': '255 255 255',
+            'border-dark': '228 228 231',
+            'text-muted': '82 82 91',
+            'text-dim': '82 82 91',
+            'accent': '29 78 216',
+            'accent-success': '5 150 105',
+            'accent-warning': '217 119 6',
+            'paper': '255 255 255',
+            'white': '10 10 10',
+            'black': '255 255 255',
+            'gray-100': '17 24 39',
+            'gray-200': '31 41 55',
+            'gray-300': '55 65 81',
+            'gray-400': '75 85 99',
+            'gray-500': '95 102 115',
+            'gray-600': '107 114 128',
+            'gray-700': '209 213 219',
+            'gray-800': '229 231 235',
+            'gray-900': '243 244 246',
+            'status-ok': '4 120 87',
+            'status-warn': '180 83 9',
+            'status-info': '29 78 216',
+            'status-idle': '82 82 91'
+        }
+    },
+    'high-contrast': {
+        label: 'High contrast',
+        scheme: 'dark',
+        effects: [],
+        tokens: {
+            'primary': '125 180 255',
+            'secondary': '52 211 153',
+            'warning': '251 191 36',
+            'background-dark': '0 0 0',
+            'surface-dark': '0 0 0',
+            'surface-highlight': '23 23 23',
+            'surface-card': '0 0 0',
+            'border-dark': '163 163 163',
+            'text-muted': '229 229 229',
+            'text-dim': '229 229 229',
+            'accent': '147 197 253',
+            'accent-success': '52 211 153',
+            'accent-warning': '251 191 36',
+            'paper': '255 255 255',
+            'white': '255 255 255',
+            'black': '0 0 0',
+            'gray-100': '255 255 255',
+            'gray-200': '250 250 250',
+            'gray-300': '245 245 245',
+            'gray-400': '235 235 235',
+            'gray-500': '220 220 220',
+            'gray-600': '200 200 200',
+            'gray-700': '163 163 163',
+            'gray-800': '64 64 64',
+            'gray-900': '38 38 38',
+            'status-ok': '52 211 153',
+            'status-warn': '251 191 36',
+            'status-info': '147 197 253',
+            'status-idle': '220 220 220'
+        }
+    },
+    'amber-crt': {
+        label: 'Amber CRT',
+        scheme: 'dark',
+        effects: ['grid', 'scanline', 'crt'],
+        tokens: {
+            'primary': '255 176 0',
+            'secondary': '255 204 102',
+            'warning': '255 140 0',
+            'background-dark': '10 6 0',
+            'surface-dark': '18 11 0',
+            'surface-highlight': '28 18 0',
+            'surface-card': '24 15 0',
+            'border-dark': '61 40 0',
+            'text-muted': '179 124 0',
+            'text-dim': '204 142 0',
+            'accent': '255 204 102',
+            'accent-success': '255 204 102',
+            'accent-warning': '255 140 0',
+            'paper': '255 236 179',
+            'white': '255 191 64',
+            'black': '10 6 0',
+            'gray-100': '255 224 153',
+            'gray-200': '255 214 128',
+            'gray-300': '255 200 90',
+            'gray-400': '230 160 30',
+            'gray-500': '191 128 0',
+            'gray-600': '153 102 0',
+            'gray-700': '110 73 0',
+            'gray-800': '61 40 0',
+            'gray-900': '36 24 0',
+            'status-ok': '255 204 102',
+            'status-warn': '255 140 0',
+            'status-info': '255 176 0',
+            'status-idle': '153 102 0'
+        }
+    }
+};
+
+const DEFAULT_THEME = 'terminal-dark';
+
+/**
+ * Write a theme's tokens onto <html>
+ * @param {string} name - Key of PORTFOLIO_THEMES
+ */
+function applyPortfolioTheme(name) {
+    const theme = PORTFOLIO_THEMES[name] || PORTFOLIO_THEMES[DEFAULT_THEME];
+    const root = document.documentElement;
+
+    Object.entries(theme.tokens).forEach(([token, channels]) => {
+        root.style.setProperty(`--color-${token}`, channels);
+    });
+    root.dataset.theme = PORTFOLIO_THEMES[name] ? name : DEFAULT_THEME;
+    root.dataset.effects = theme.effects.join(' ');
+    root.style.colorScheme = theme.scheme;
+    root.classList.toggle('dark', theme.scheme === 'dark');
+}
+
+/**
+ * Tailwind color that follows the active theme
+ * @param {string} token - Token name
+ * @returns {string} Color value with Tailwind's opacity placeholder
+ */
+function themeColor(token) {
+    return `rgb(var(--color-${token}) / <alpha-value>)`;
+}
+
+// Saved choice first, then the OS preference. "dark" was saved by the old
+// two-way toggle.
+(function applyInitialTheme() {
+    let saved = null;
+    try {
+        saved = localStorage.getItem('portfolio_theme');
+    } catch {
+        // Storage unavailable
+    }
+    if (saved === 'dark') saved = DEFAULT_THEME;
+
+    const prefersLight = window.matchMedia && window.matchMedia('(prefers-color-scheme: light)').matches;
+    applyPortfolioTheme(PORTFOLIO_THEMES[saved] ? saved : (prefersLight ? 'light' : DEFAULT_THEME));
+})();
+
+window.PORTFOLIO_THEMES = PORTFOLIO_THEMES;
+window.applyPortfolioTheme = applyPortfolioTheme;
+
+// ============================================
+// TAILWIND
+// ============================================
+
 tailwind.config = {
     darkMode: "class",
     theme: {
         extend: {
             colors: {
-                "primary": "#3B82F6",
-                "primary-dim": "rgba(59, 130, 246, 0.1)",
-                "secondary": "#10B981",
-                "warning": "#F59E0B",
-                "background-dark": "#050505",
-                "surface-dark": "#0A0A0A",
-                "surface-highlight": "#121212",
-                "surface-card": "#141414",
-                "border-dark": "#1F1F1F",
-                "text-muted": "#6B7280",
-                "text-dim": "#888888",
-                "accent": "#60A5FA",
-                "accent-success": "#10B981",
-                "accent-warning": "#F59E0B",
-                "paper": "#F5F5F4"
+                "primary": themeColor('primary'),
+                "primary-dim": "rgb(var(--color-primary) / 0.1)",
+                "secondary": themeColor('secondary'),
+                "warning": themeColor('warning'),
+                "background-dark": themeColor('background-dark'),
+                "surface-dark": themeColor('surface-dark'),
+                "surface-highlight": themeColor('surface-highlight'),
+                "surface-card": themeColor('surface-card'),
+                "border-dark": themeColor('border-dark'),
+                "text-muted": themeColor('text-muted'),
+                "text-dim": themeColor('text-dim'),
+                "accent": themeColor('accent'),
+                "accent-success": themeColor('accent-success'),
+                "accent-warning": themeColor('accent-warning'),
+                "paper": themeColor('paper'),
+                "white": themeColor('white'),
+                "black": themeColor('black'),
+                "gray": {
+                    100: themeColor('gray-100'),
+                    200: themeColor('gray-200'),
+                    300: themeColor('gray-300'),
+                    400: themeColor('gray-400'),
+                    500: themeColor('gray-500'),
+                    600: themeColor('gray-600'),
+                    700: themeColor('gray-700'),
+                    800: themeColor('gray-800'),
+                    900: themeColor('gray-900')
+                },
+                "status": {
+                    "ok": themeColor('status-ok'),
+                    "warn": themeColor('status-warn'),
+                    "info": themeColor('status-info'),
+                    "idle": themeColor('status-idle')
+                }
             },
             fontFamily: {
                 "display": ["Space Grotesk", "sans-serif"],
@@ -30,8 +261,8 @@ tailwind.config = {
                 "serif": ["Times New Roman", "serif"]
             },
             backgroundImage: {
-                'grid-pattern': "linear-gradient(to right, #1F1F1F 1px, transparent 1px), linear-gradient(to bottom, #1F1F1F 1px, transparent 1px)",
-                'dot-pattern': "radial-gradient(#3B82F6 1px, transparent 1px)"
+                'grid-pattern': "linear-gradient(to right, rgb(var(--color-border-dark)) 1px, transparent 1px), linear-gradient(to bottom, rgb(var(--color-border-dark)) 1px, transparent 1px)",
+                'dot-pattern': "radial-gradient(rgb(var(--color-primary)) 1px, transparent 1px)"
             },
             animation: {
                 'pulse-slow': 'pulse 3s cubic-bezier(0.4, 0, 0.6, 1) infinite',
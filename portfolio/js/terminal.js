@@ -0,0 +1,643 @@
+/**
+ * PORTFOLIO SYSTEM - SHELL
+ * Command interpreter for the dashboard terminal
+ *
+ * Commands read the same data files as the pages (through the cache), so
+ * `cat projects/ID-9482` always shows what the project's data currently says.
+ * Content is exposed as a small virtual file system: projects/, lab/,
+ * experience/, skills/ and certificates/.
+ */
+
+import { loadJSON, getProjectPath, html, navigate, getNavItems } from './core.js';
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const PROMPT = 'root@portfolio:~$';
+const HISTORY_STORAGE_KEY = 'portfolio_shell_history';
+const HISTORY_LIMIT = 50;
+const GREP_LIMIT = 25;
+
+/**
+ * Virtual directories
+ * `entries` maps the data file to [{name, title, href, lines}], where `lines`
+ * is the plain-text body that `cat` prints and `grep` searches. A directory
+ * with `detailPath` lists from an index; `cat` and `grep` read each entry's
+ * own file for the full body.
+ */
+const DIRECTORIES = {
+    projects: {
+        path: '../data/projects/index.json',
+        detailPath: getProjectPath,
+        entries: projects => (projects || []).map(project => ({
+            name: project.id,
+            title: project.title,
+            href: `projects.html#${encodeURIComponent(project.id)}`,
+            lines: [
+                `${project.title} [${project.status}]`,
+                project.summary,
+                project.problem && `problem: ${project.problem}`,
+                listLine('tech', project.tech),
+                listLine('tags', project.tags),
+                ...(project.highlights || []).map(item => `- ${item}`),
+                project.links?.code && `code: ${project.links.code}`,
+                project.links?.demo && `demo: ${project.links.demo}`
+            ]
+        }))
+    },
+    lab: {
+        path: '../data/lab.json',
+        entries: experiments => (experiments || []).map(exp => ({
+            name: exp.id,
+            title: exp.title,
+            href: `lab.html#${encodeURIComponent(exp.id)}`,
+            lines: [
+                `${exp.title} [${exp.statusLabel || exp.status}]`,
+                exp.summary,
+                listLine('tech', exp.tech),
+                exp.noteFile && `note: lab-notes/${exp.noteFile}`
+            ]
+        }))
+    },
+    experience: {
+        path: '../data/experience.json',
+        entries: experiences => (experiences || []).map(exp => ({
+            name: exp.id,
+            title: exp.title,
+            href: `experience.html#${encodeURIComponent(exp.id)}`,
+            lines: [
+                exp.title,
+                [exp.company, exp.date].filter(Boolean).join(' · '),
+                ...(exp.highlights || []).map(item => `- ${item}`),
+                listLine('tech', exp.tech)
+            ]
+        }))
+    },
+    skills: {
+        path: '../data/skills.json',
+        entries: skills => (skills?.categories || []).map(category => ({
+            name: category.id,
+            title: category.title,
+            href: `skills.html#${encodeURIComponent(category.id)}`,
+            lines: [category.title, ...skillLines(category)]
+        }))
+    },
+    certificates: {
+        path: '../data/profile.json',
+        entries: profile => (profile?.certificates || []).map(cert => ({
+            name: cert.id,
+            title: cert.name,
+            href: `certificates.html#${encodeURIComponent(cert.id)}`,
+            lines: [
+                cert.name,
+                [cert.issuer, cert.date].filter(Boolean).join(' · '),
+                cert.link && `link: ${cert.link}`
+            ]
+        }))
+    }
+};
+
+// ============================================
+// DATA HELPERS
+// ============================================
+
+/**
+ * Format a list field as one line
+ * @param {string} label - Field label
+ * @param {string[]} [values] - Values
+ * @returns {string|null} Line, or null when empty
+ */
+function listLine(label, values) {
+    return values?.length ? `${label}: ${values.join(', ')}` : null;
+}
+
+/**
+ * Skill names of a category, one line per sub-group
+ * @param {Object} category - skills.json category
+ * @returns {string[]} Lines
+ */
+function skillLines(category) {
+    const names = items => (items || []).map(item => (typeof item === 'string' ? item : item.name));
+
+    if (category.groups) {
+        return category.groups.map(group => `${group.label}: ${names(group.items).join(', ')}`);
+    }
+    return [names(category.items).join(', ')];
+}
+
+/**
+ * Load the entries of a virtual directory
+ * @param {string} dir - Directory name
+ * @param {Object} [options]
+ * @param {boolean} [options.full=false] - Read each entry's own file, where the directory has them
+ * @returns {Promise<Object[]>} Entries
+ */
+async function listDirectory(dir, options = {}) {
+    const { path, detailPath, entries } = DIRECTORIES[dir];
+    let data = await loadJSON(path);
+
+    if (options.full && detailPath && data) {
+        data = await Promise.all(data.map(async item => (await loadJSON(detailPath(item.id))) || item));
+    }
+
+    return entries(data).map(entry => ({ ...entry, lines: entry.lines.filter(Boolean) }));
+}
+
+/**
+ * Resolve "dir/name" to a directory entry
+ * @param {string} target - Path argument
+ * @param {Object} [options]
+ * @param {boolean} [options.full=false] - Read the entry's own file, where the directory has them
+ * @returns {Promise<{dir: string, entry: Object|null}|null>} Null when the directory doesn't exist
+ */
+async function resolvePath(target, options = {}) {
+    const [dir, name] = target.replace(/\/+$/, '').split('/');
+    if (!Object.hasOwn(DIRECTORIES, dir)) return null;
+    if (!name) return { dir, entry: null };
+
+    const entries = await listDirectory(dir);
+    const entry = entries.find(e => e.name.toLowerCase() === name.toLowerCase());
+    if (!entry) return null;
+
+    const { detailPath } = DIRECTORIES[dir];
+    if (!options.full || !detailPath) return { dir, entry };
+
+    const detail = await loadJSON(detailPath(entry.name));
+    if (!detail) return { dir, entry };
+
+    const [full] = DIRECTORIES[dir].entries([detail]);
+    return { dir, entry: { ...full, lines: full.lines.filter(Boolean) } };
+}
+
+// ============================================
+// OUTPUT FORMATTING
+// ============================================
+
+/**
+ * Render a line, turning a trailing "label: https://..." into a link
+ * @param {string} line - Plain text line
+ * @returns {SafeHtml} Markup
+ */
+function formatLine(line) {
+    const link = line.match(/^(\w+): (https?:\/\/\S+)$/);
+    if (link) {
+        return html`${link[1]}: <a href="${link[2]}" target="_blank" rel="noopener noreferrer" class="text-primary hover:underline">${link[2]}</a>`;
+    }
+    return html`${line}`;
+}
+
+/**
+ * Wrap case-insensitive occurrences of a pattern in <mark>
+ * @param {string} text - Line
+ * @param {string} pattern - Search pattern
+ * @returns {SafeHtml} Markup
+ */
+function markMatches(text, pattern) {
+    const parts = [];
+    const lower = text.toLowerCase();
+    const needle = pattern.toLowerCase();
+    let start = 0;
+
+    for (let i = lower.indexOf(needle); i !== -1; i = lower.indexOf(needle, i + needle.length)) {
+        parts.push(text.slice(start, i), html`<mark class="bg-transparent text-amber-400">${text.slice(i, i + needle.length)}</mark>`);
+        start = i + needle.length;
+    }
+    parts.push(text.slice(start));
+
+    return html`${parts}`;
+}
+
+/**
+ * Error line in the style of a shell
+ * @param {string} message - Message
+ * @returns {SafeHtml} Markup
+ */
+function errorLine(message) {
+    return html`<span class="text-red-400">${message}</span>`;
+}
+
+// ============================================
+// COMMANDS
+// ============================================
+
+/**
+ * Command table
+ * `run` returns the lines to print (SafeHtml or strings). `complete` names
+ * what the arguments complete to: 'path', 'dir', 'command' or 'category'.
+ */
+const COMMANDS = {
+    help: {
+        usage: 'help [command]',
+        description: 'List commands, or show how to use one',
+        complete: 'command',
+        run: ([name]) => {
+            if (name) {
+                const command = Object.hasOwn(COMMANDS, name) ? COMMANDS[name] : null;
+                return command
+                    ? [html`<span class="text-primary">${command.usage}</span>`, command.description]
+                    : [errorLine(`help: no such command: ${name}`)];
+            }
+
+            return [
+                ...Object.values(COMMANDS).map(command => html`<span class="text-primary inline-block w-48">${command.usage}</span>${command.description}`),
+                html`<span class="text-gray-600">Tab completes, ↑/↓ walk the history, Ctrl+L clears.</span>`
+            ];
+        }
+    },
+    ls: {
+        usage: 'ls [dir]',
+        description: 'List directories, or the entries in one',
+        complete: 'dir',
+        run: async ([target]) => {
+            if (!target) {
+                return [html`${Object.keys(DIRECTORIES).map(dir => html`<span class="text-primary mr-4">${dir}/</span>`)}`];
+            }
+
+            const resolved = await resolvePath(target);
+            if (!resolved || resolved.entry) {
+                return [errorLine(`ls: ${target}: No such directory`)];
+            }
+
+            const entries = await listDirectory(resolved.dir);
+            return entries.map(entry => html`<a href="${entry.href}" class="text-primary hover:underline inline-block w-36">${entry.name}</a>${entry.title}`);
+        }
+    },
+    cat: {
+        usage: 'cat <dir>/<entry>',
+        description: 'Print an entry',
+        complete: 'path',
+        run: async ([target]) => {
+            if (!target) return [errorLine('cat: missing operand')];
+
+            const resolved = await resolvePath(target, { full: true });
+            if (!resolved) return [errorLine(`cat: ${target}: No such file or directory`)];
+            if (!resolved.entry) return [errorLine(`cat: ${target}: Is a directory`)];
+
+            const [first, ...rest] = resolved.entry.lines;
+            return [html`<span class="text-white">${first}</span>`, ...rest.map(formatLine)];
+        }
+    },
+    open: {
+        usage: 'open <page|dir/entry>',
+        description: 'Go to a page or an entry',
+        complete: 'path',
+        run: async ([target]) => {
+            if (!target) return [errorLine('open: missing operand')];
+
+            const page = getNavItems('shell').find(item => item.id === target.replace(/\/$/, '').toLowerCase());
+            const resolved = page ? null : await resolvePath(target);
+            const href = page?.href
+                ?? resolved?.entry?.href
+                ?? (resolved ? `${resolved.dir}.html` : null);
+
+            if (!href) return [errorLine(`open: ${target}: No such file or directory`)];
+
+            navigate(href);
+            return [html`<span class="text-gray-500">opening ${href}…</span>`];
+        }
+    },
+    grep: {
+        usage: 'grep <pattern>',
+        description: 'Search every entry (case-insensitive)',
+        run: async (args) => {
+            const pattern = args.filter(arg => arg !== '-i').join(' ');
+            if (!pattern) return [errorLine('grep: missing pattern')];
+
+            const matches = [];
+            for (const dir of Object.keys(DIRECTORIES)) {
+                (await listDirectory(dir, { full: true })).forEach(entry => {
+                    entry.lines
+                        .filter(line => line.toLowerCase().includes(pattern.toLowerCase()))
+                        .forEach(line => matches.push({ path: `${dir}/${entry.name}`, line }));
+                });
+            }
+
+            if (matches.length === 0) return [html`<span class="text-gray-600">(no matches)</span>`];
+
+            const shown = matches.slice(0, GREP_LIMIT).map(match =>
+                html`<span class="text-primary">${match.path}</span>: ${markMatches(match.line, pattern)}`
+            );
+            return matches.length > GREP_LIMIT
+                ? [...shown, html`<span class="text-gray-600">… ${matches.length - GREP_LIMIT} more</span>`]
+                : shown;
+        }
+    },
+    whoami: {
+        usage: 'whoami',
+        description: 'Who runs this system',
+        run: async () => {
+            const profile = await loadJSON('../data/profile.json');
+            if (!profile) return [errorLine('whoami: profile unavailable')];
+
+            return [
+                html`<span class="text-white">${profile.name}</span>`,
+                profile.title,
+                `${profile.location} · ${profile.stats?.timezone || ''}`.replace(/ · $/, ''),
+                html`status: <span class="text-emerald-500">${profile.status}</span>`
+            ];
+        }
+    },
+    skills: {
+        usage: 'skills [--category <name>]',
+        description: 'List skills, optionally one category',
+        complete: 'category',
+        run: async (args) => {
+            const skills = await loadJSON('../data/skills.json');
+            if (!skills) return [errorLine('skills: data unavailable')];
+
+            const flag = args.indexOf('--category');
+            const query = flag === -1 ? '' : args.slice(flag + 1).join(' ').toLowerCase();
+            if (flag !== -1 && !query) return [errorLine('skills: --category needs a name')];
+
+            const categories = skills.categories.filter(category =>
+                !query || category.title.toLowerCase().includes(query) || category.id.toLowerCase().startsWith(query)
+            );
+            if (categories.length === 0) return [errorLine(`skills: no category matching "${query}"`)];
+
+            return categories.flatMap(category => [
+                html`<span class="text-primary">[ ${category.title} ]</span>`,
+                ...skillLines(category)
+            ]);
+        }
+    },
+    contact: {
+        usage: 'contact',
+        description: 'Ways to reach me',
+        run: async () => {
+            const profile = await loadJSON('../data/profile.json');
+            if (!profile) return [errorLine('contact: profile unavailable')];
+
+            return [
+                html`email: <a href="mailto:${profile.email}" class="text-primary hover:underline">${profile.email}</a>`,
+                ...Object.entries(profile.socials || {}).map(([name, social]) => formatLine(`${name}: ${social.url}`)),
+                html`<span class="text-gray-600">or leave a message: open contact</span>`
+            ];
+        }
+    },
+    history: {
+        usage: 'history',
+        description: 'Show previous commands',
+        run: (args, shell) => shell.history.map((line, i) => html`<span class="text-gray-600 inline-block w-8 text-right mr-3">${i + 1}</span>${line}`)
+    },
+    clear: {
+        usage: 'clear',
+        description: 'Clear the screen',
+        run: (args, shell) => {
+            shell.clear();
+            return [];
+        }
+    }
+};
+
+/**
+ * Split a command line into words, honoring "double" and 'single' quotes
+ * @param {string} line - Command line
+ * @returns {string[]} Words
+ */
+function tokenize(line) {
+    return [...line.matchAll(/"([^"]*)"|'([^']*)'|(\S+)/g)].map(match => match[1] ?? match[2] ?? match[3]);
+}
+
+// ============================================
+// COMPLETION
+// ============================================
+
+/**
+ * Candidates for the word being typed
+ * @param {string[]} words - Words before the current one
+ * @param {string} current - Partial word
+ * @returns {Promise<string[]>} Full candidate words
+ */
+async function getCompletions(words, current) {
+    const lower = current.toLowerCase();
+    const matching = list => list.filter(candidate => candidate.toLowerCase().startsWith(lower));
+
+    if (words.length === 0) {
+        return matching(Object.keys(COMMANDS));
+    }
+
+    const kind = Object.hasOwn(COMMANDS, words[0]) ? COMMANDS[words[0]].complete : null;
+
+    if (kind === 'command') {
+        return matching(Object.keys(COMMANDS));
+    }
+
+    if (kind === 'category') {
+        if (words[words.length - 1] !== '--category') return matching(['--category']);
+        const skills = await loadJSON('../data/skills.json');
+        return matching((skills?.categories || []).map(category => category.id));
+    }
+
+    if (kind === 'dir' || kind === 'path') {
+        const dirs = Object.keys(DIRECTORIES).map(dir => `${dir}/`);
+        const slash = current.indexOf('/');
+
+        if (kind === 'dir' || slash === -1) {
+            const pages = words[0] === 'open' ? getNavItems('shell').map(item => item.id) : [];
+            return matching([...new Set([...dirs, ...pages])]);
+        }
+
+        const dir = current.slice(0, slash).toLowerCase();
+        if (!Object.hasOwn(DIRECTORIES, dir)) return [];
+        return matching((await listDirectory(dir)).map(entry => `${dir}/${entry.name}`));
+    }
+
+    return [];
+}
+
+/**
+ * Longest prefix shared by every candidate (case-insensitive)
+ * @param {string[]} candidates - Candidate words
+ * @returns {string} Prefix, in the first candidate's case
+ */
+function commonPrefix(candidates) {
+    let prefix = candidates[0];
+    for (const candidate of candidates.slice(1)) {
+        let i = 0;
+        while (i < prefix.length && prefix[i].toLowerCase() === candidate[i]?.toLowerCase()) i++;
+        prefix = prefix.slice(0, i);
+    }
+    return prefix;
+}
+
+// ============================================
+// SHELL
+// ============================================
+
+/**
+ * Read saved command history
+ * @returns {string[]} Commands, oldest first
+ */
+function loadHistory() {
+    try {
+        return JSON.parse(localStorage.getItem(HISTORY_STORAGE_KEY)) || [];
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Turn a container into an interactive shell
+ * @param {HTMLElement} container - Element to render into (its content is replaced)
+ * @param {Object} options - Shell options
+ * @param {Array<SafeHtml|string>} [options.intro] - Lines printed before the first prompt
+ * @returns {{run: Function, clear: Function}} Shell controls
+ */
+export function createShell(container, options = {}) {
+    const { intro = [] } = options;
+
+    container.innerHTML = html`
+        <div class="absolute top-2 right-2 flex gap-1">
+            <div class="w-2 h-2 rounded-full bg-red-500/20"></div>
+            <div class="w-2 h-2 rounded-full bg-yellow-500/20"></div>
+            <div class="w-2 h-2 rounded-full bg-green-500/20"></div>
+        </div>
+        <div class="text-gray-500 mb-1 border-b border-white/10 pb-1">system_log.txt</div>
+        <div data-shell-output role="log" aria-live="polite" class="flex-1 min-h-0 overflow-y-auto flex flex-col gap-1 text-gray-400 whitespace-pre-wrap break-words"></div>
+        <div class="flex items-center gap-2 pt-1">
+            <label for="shell-input" class="text-primary shrink-0">${PROMPT}</label>
+            <input id="shell-input" type="text" autocomplete="off" autocapitalize="off" spellcheck="false"
+                   aria-label="Shell command" placeholder="type help"
+                   class="flex-1 min-w-0 bg-transparent border-0 p-0 text-xs font-mono text-white placeholder-gray-700 caret-primary focus:ring-0 focus:outline-none" />
+        </div>
+    `;
+
+    const output = container.querySelector('[data-shell-output]');
+    const input = container.querySelector('#shell-input');
+
+    const shell = {
+        history: loadHistory(),
+        clear: () => { output.innerHTML = ''; },
+        run
+    };
+
+    let historyIndex = shell.history.length;
+    let draft = '';
+
+    /**
+     * Append lines to the output and keep the newest in view
+     * @param {Array<SafeHtml|string>} lines - Lines to print
+     */
+    function print(lines) {
+        output.insertAdjacentHTML('beforeend', html`${lines.map(line => html`<p>${line}</p>`)}`.toString());
+        output.scrollTop = output.scrollHeight;
+    }
+
+    /**
+     * Remember a command, skipping immediate repeats
+     * @param {string} line - Command line
+     */
+    function remember(line) {
+        if (shell.history[shell.history.length - 1] !== line) {
+            shell.history.push(line);
+            shell.history.splice(0, Math.max(0, shell.history.length - HISTORY_LIMIT));
+            try {
+                localStorage.setItem(HISTORY_STORAGE_KEY, JSON.stringify(shell.history));
+            } catch {
+                // History just won't survive a reload
+            }
+        }
+        historyIndex = shell.history.length;
+        draft = '';
+    }
+
+    /**
+     * Echo and execute a command line
+     * @param {string} line - Command line
+     * @returns {Promise<void>}
+     */
+    async function run(line) {
+        print([html`<span class="text-primary">${PROMPT}</span> <span class="text-white">${line}</span>`]);
+
+        const [name, ...args] = tokenize(line.trim());
+        if (!name) return;
+        remember(line.trim());
+
+        // Own keys only, so "constructor" or "toString" isn't a command
+        const command = Object.hasOwn(COMMANDS, name) ? COMMANDS[name] : null;
+        if (!command) {
+            print([errorLine(`${name}: command not found (try help)`)]);
+            return;
+        }
+
+        try {
+            print(await command.run(args, shell));
+        } catch (error) {
+            console.error(`[SHELL] ${name} failed:`, error);
+            print([errorLine(`${name}: ${error.message}`)]);
+        }
+    }
+
+    /**
+     * Complete the word before the cursor
+     * @returns {Promise<void>}
+     */
+    async function complete() {
+        const before = input.value.slice(0, input.selectionStart ?? input.value.length);
+        const after = input.value.slice(before.length);
+        const words = tokenize(before);
+        const current = /\s$/.test(before) || before === '' ? '' : words.pop();
+
+        const candidates = await getCompletions(words, current);
+        if (candidates.length === 0) return;
+
+        const prefix = commonPrefix(candidates);
+        const replacement = candidates.length === 1 && !prefix.endsWith('/') ? `${prefix} ` : prefix;
+
+        if (candidates.length > 1 && prefix.length <= current.length) {
+            print([html`<span class="text-primary">${PROMPT}</span> <span class="text-white">${input.value}</span>`, candidates.join('  ')]);
+            return;
+        }
+
+        const head = before.slice(0, before.length - current.length) + replacement;
+        input.value = head + after;
+        input.setSelectionRange(head.length, head.length);
+    }
+
+    /**
+     * Step through history with the arrow keys
+     * @param {number} step - -1 for older, 1 for newer
+     */
+    function browseHistory(step) {
+        if (historyIndex === shell.history.length) draft = input.value;
+
+        historyIndex = Math.min(Math.max(historyIndex + step, 0), shell.history.length);
+        input.value = historyIndex === shell.history.length ? draft : shell.history[historyIndex];
+        input.setSelectionRange(input.value.length, input.value.length);
+    }
+
+    input.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') {
+            const line = input.value;
+            input.value = '';
+            run(line);
+        } else if (event.key === 'Tab' && !event.shiftKey) {
+            // Let Tab leave the field once it's empty, so keyboard users aren't trapped
+            if (input.value === '') return;
+            complete();
+        } else if (event.key === 'ArrowUp' || event.key === 'ArrowDown') {
+            browseHistory(event.key === 'ArrowUp' ? -1 : 1);
+        } else if (event.ctrlKey && event.key.toLowerCase() === 'l') {
+            shell.clear();
+        } else if (event.ctrlKey && event.key.toLowerCase() === 'c' && input.selectionStart === input.selectionEnd) {
+            print([html`<span class="text-primary">${PROMPT}</span> <span class="text-white">${input.value}</span>^C`]);
+            input.value = '';
+            historyIndex = shell.history.length;
+        } else {
+            return;
+        }
+        event.preventDefault();
+    });
+
+    // Clicking anywhere in the panel focuses the prompt, unless text is being selected
+    container.addEventListener('click', (event) => {
+        if (!event.target.closest('a') && !window.getSelection()?.toString()) {
+            input.focus();
+        }
+    });
+
+    print(intro);
+
+    return shell;
+}
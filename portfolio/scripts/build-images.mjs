@@ -0,0 +1,406 @@
+/**
+ * PORTFOLIO SYSTEM - IMAGE BUILDER
+ * Writes assets/projects/<folder>/screenshots.json for every screenshot
+ * folder named in data/projects.json, the hand-edited file that
+ * build-projects.mjs splits into data/projects/: each image's file, size,
+ * caption, alt text, a tiny blur placeholder and its smaller copies, in
+ * gallery order. Run it before build-projects.mjs, which leaves `screenshots`
+ * out of a project's file when its folder has no manifest.
+ * Does the same for the issuer logos in assets/logos/logos.json.
+ *
+ * The gallery, lightbox, prerender and preview cards read the manifest
+ * instead of probing for 1.webp, 2.webp… Images are picked up by name as
+ * before: numbered files in order, then screenshot, main, demo, preview,
+ * cover, hero and logo. Captions and alt text are written by hand in the
+ * manifest; re-running keeps them and refreshes the rest.
+ *
+ * Smaller copies sit next to the original as <name>-<width>w.webp, for the
+ * pages' srcset. They're encoded with libwebp's cwebp (scripts/webp.mjs), and
+ * only when missing or older than the original, so only new or replaced
+ * images take time.
+ * The first screenshot of a folder also gets <name>-card.png, cropped to the
+ * preview card's screenshot panel, which the card function can decode.
+ *
+ * Usage: node scripts/build-images.mjs
+ */
+
+import { existsSync, statSync } from 'node:fs';
+import { readdir, readFile, writeFile } from 'node:fs/promises';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { getSchemaForPath, validate } from '../js/data-schemas.js';
+import { SHOT_BOX } from '../functions/lib/og-card.js';
+import { encodePng } from '../functions/lib/png.js';
+import { decodeWebp, readWebpSize, resizeWebp } from './webp.mjs';
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+const PROJECTS = join(ROOT, 'data', 'projects.json');
+const LOGOS = join(ROOT, 'assets', 'logos');
+const MANIFEST_NAME = 'screenshots.json';
+const LOGO_MANIFEST_NAME = 'logos.json';
+
+// Gallery images by name, in order after the numbered ones
+const NAMED_IMAGES = ['screenshot', 'main', 'demo', 'preview', 'cover', 'hero', 'logo'];
+const EXTENSIONS = ['webp', 'gif'];
+const IMAGE_PATTERN = new RegExp(`^(\\d+|${NAMED_IMAGES.join('|')})\\.(${EXTENSIONS.join('|')})$`, 'i');
+
+// Widths of the smaller copies. Screenshots cover gallery tiles at 1-3x and
+// the lightbox on phones; logos are drawn 48px wide.
+const SCREENSHOT_WIDTHS = [320, 640, 1280];
+const LOGO_WIDTHS = [48, 96, 144];
+const VARIANT_PATTERN = /-\d+w\.webp$/;
+
+// Longest side of a placeholder, in pixels
+const PLACEHOLDER_SIZE = 12;
+
+/**
+ * Pixel size of a WebP or GIF from its header
+ * @param {Uint8Array} bytes - File content
+ * @returns {{width: number, height: number}|null} Size, or null if unreadable
+ */
+function readImageSize(bytes) {
+    const signature = String.fromCharCode(...bytes.subarray(0, 6));
+    if (signature === 'GIF87a' || signature === 'GIF89a') {
+        return { width: bytes[6] | (bytes[7] << 8), height: bytes[8] | (bytes[9] << 8) };
+    }
+    return readWebpSize(bytes);
+}
+
+/**
+ * Scale an image down, averaging the area each output pixel covers
+ * Colors are weighted by alpha so transparent pixels don't darken the edges.
+ * @param {{width: number, height: number, pixels: Uint8Array}} image - RGBA image
+ * @param {number} width - New width
+ * @param {number} height - New height
+ * @returns {{width: number, height: number, pixels: Uint8Array}} Scaled image
+ */
+function resizeImage(image, width, height) {
+    const columns = getCoverage(image.width, width);
+    const rows = getCoverage(image.height, height);
+
+    // Premultiplied, resized horizontally
+    const wide = new Float32Array(width * image.height * 4);
+    for (let y = 0; y < image.height; y++) {
+        for (let x = 0; x < width; x++) {
+            const out = (y * width + x) * 4;
+            for (const [sx, weight] of columns[x]) {
+                const i = (y * image.width + sx) * 4;
+                const alpha = image.pixels[i + 3] * weight;
+                wide[out] += image.pixels[i] * alpha;
+                wide[out + 1] += image.pixels[i + 1] * alpha;
+                wide[out + 2] += image.pixels[i + 2] * alpha;
+                wide[out + 3] += alpha;
+            }
+        }
+    }
+
+    const pixels = new Uint8Array(width * height * 4);
+    const sums = new Float64Array(4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            sums.fill(0);
+            for (const [sy, weight] of rows[y]) {
+                const i = (sy * width + x) * 4;
+                for (let c = 0; c < 4; c++) sums[c] += wide[i + c] * weight;
+            }
+            const out = (y * width + x) * 4;
+            const alpha = sums[3];
+            for (let c = 0; c < 3; c++) {
+                pixels[out + c] = alpha > 0 ? Math.min(255, Math.round(sums[c] / alpha)) : 0;
+            }
+            pixels[out + 3] = Math.min(255, Math.round(alpha));
+        }
+    }
+
+    return { width, height, pixels };
+}
+
+/**
+ * Which source pixels each output pixel covers along one axis, and how much
+ * @param {number} from - Source length
+ * @param {number} to - Output length
+ * @returns {Array<Array<[number, number]>>} Per output pixel: [source index, weight] pairs
+ */
+function getCoverage(from, to) {
+    const scale = from / to;
+    return Array.from({ length: to }, (_, i) => {
+        const start = i * scale;
+        const end = (i + 1) * scale;
+        const pairs = [];
+        for (let s = Math.floor(start); s < Math.min(from, Math.ceil(end)); s++) {
+            const overlap = Math.min(end, s + 1) - Math.max(start, s);
+            if (overlap > 0) pairs.push([s, overlap / scale]);
+        }
+        return pairs;
+    });
+}
+
+/**
+ * Shrink an image to a few pixels and encode it as a data: URL
+ * The browser's scaling blurs it back up.
+ * @param {{width: number, height: number, pixels: Uint8Array}} image - Decoded RGBA image
+ * @returns {Promise<string>} PNG data: URL
+ */
+async function createPlaceholder(image) {
+    const scale = PLACEHOLDER_SIZE / Math.max(image.width, image.height);
+    const width = Math.max(1, Math.round(image.width * scale));
+    const height = Math.max(1, Math.round(image.height * scale));
+    const { pixels } = resizeImage(image, width, height);
+
+    const png = await encodePng(width, height, pixels);
+    return `data:image/png;base64,${Buffer.from(png).toString('base64')}`;
+}
+
+/**
+ * Cut the middle out of an image at the given aspect ratio
+ * @param {{width: number, height: number, pixels: Uint8Array}} image - RGBA image
+ * @param {number} aspect - Width / height to keep
+ * @returns {{width: number, height: number, pixels: Uint8Array}} Cropped image
+ */
+function cropImage(image, aspect) {
+    const width = Math.min(image.width, Math.round(image.height * aspect));
+    const height = Math.min(image.height, Math.round(image.width / aspect));
+    const left = Math.floor((image.width - width) / 2);
+    const top = Math.floor((image.height - height) / 2);
+
+    const pixels = new Uint8Array(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        const from = ((top + y) * image.width + left) * 4;
+        pixels.set(image.pixels.subarray(from, from + width * 4), y * width * 4);
+    }
+    return { width, height, pixels };
+}
+
+/**
+ * Write the preview card's copy of a screenshot, if it's missing or stale
+ * @param {string} dir - Image's folder
+ * @param {string} file - Image file name
+ * @param {Function} decode - async () => decoded image, called only if the copy needs drawing
+ * @returns {Promise<string>} File name of the PNG
+ */
+async function writeCardImage(dir, file, decode) {
+    const card = file.replace(/\.webp$/i, '-card.png');
+    const path = join(dir, card);
+
+    if (!existsSync(path) || statSync(path).mtimeMs < statSync(join(dir, file)).mtimeMs) {
+        const cropped = cropImage(await decode(), SHOT_BOX.w / SHOT_BOX.h);
+        const { pixels } = resizeImage(cropped, SHOT_BOX.w, SHOT_BOX.h);
+        await writeFile(path, await encodePng(SHOT_BOX.w, SHOT_BOX.h, pixels));
+    }
+    return card;
+}
+
+/**
+ * Write the smaller copies of an image that are narrower than it
+ * @param {string} dir - Image's folder
+ * @param {string} file - Image file name
+ * @param {{width: number, height: number}} size - Original size
+ * @param {number[]} widths - Widths to make
+ * @returns {Promise<Object[]>} Copies: { file, width }, narrowest first
+ */
+async function writeVariants(dir, file, size, widths) {
+    const source = statSync(join(dir, file));
+    const base = file.replace(/\.webp$/i, '');
+    const variants = [];
+
+    for (const width of widths.filter(w => w < size.width)) {
+        const variant = { file: `${base}-${width}w.webp`, width };
+        const path = join(dir, variant.file);
+
+        if (!existsSync(path) || statSync(path).mtimeMs < source.mtimeMs) {
+            const height = Math.max(1, Math.round(size.height * width / size.width));
+            if (!(await resizeWebp(join(dir, file), path, width, height))) {
+                console.warn(`[IMAGES] cwebp couldn't write ${variant.file}`);
+                continue;
+            }
+        }
+        variants.push(variant);
+    }
+    return variants;
+}
+
+/**
+ * Describe one image: size, placeholder and smaller copies
+ * GIFs and anything else dwebp can't read get only their size.
+ * @param {string} dir - Image's folder
+ * @param {string} file - Image file name
+ * @param {number[]} widths - Widths of the smaller copies
+ * @param {boolean} withPlaceholder - Whether to draw a placeholder
+ * @param {boolean} [withCard] - Whether to write the preview card's copy
+ * @returns {Promise<Object|null>} { width, height, placeholder?, variants?, card? }, or null if unreadable
+ */
+async function describeImage(dir, file, widths, withPlaceholder, withCard = false) {
+    const bytes = new Uint8Array(await readFile(join(dir, file)));
+    const size = readImageSize(bytes);
+    if (!size) return null;
+
+    let decoded;
+    const decode = () => (decoded ??= decodeWebp(join(dir, file)));
+    if (!readWebpSize(bytes) || !(await decode())) return size;
+
+    const described = { ...size };
+    if (withPlaceholder) {
+        described.placeholder = await createPlaceholder(await decode());
+    }
+    const variants = await writeVariants(dir, file, size, widths);
+    if (variants.length > 0) {
+        described.variants = variants;
+    }
+    if (withCard) {
+        described.card = await writeCardImage(dir, file, decode);
+    }
+    return described;
+}
+
+/**
+ * Gallery order: numbered images first, then the named ones, WebP before GIF
+ * @param {string} a - Image file name
+ * @param {string} b - Image file name
+ * @returns {number} Sort order
+ */
+function compareImages(a, b) {
+    const sortKey = (file) => {
+        const [, name, extension] = IMAGE_PATTERN.exec(file);
+        const numbered = /^\d+$/.test(name);
+        return [
+            numbered ? 0 : 1,
+            numbered ? Number(name) : NAMED_IMAGES.indexOf(name.toLowerCase()),
+            EXTENSIONS.indexOf(extension.toLowerCase())
+        ];
+    };
+    const [keyA, keyB] = [sortKey(a), sortKey(b)];
+    return keyA.map((part, i) => part - keyB[i]).find(diff => diff !== 0) ?? 0;
+}
+
+/**
+ * English title of a project, for default alt text
+ * @param {string|Object} title - Possibly localized title
+ * @returns {string} Title
+ */
+function getTitle(title) {
+    return typeof title === 'object' && title !== null ? title.en : title;
+}
+
+/**
+ * Read a manifest written by an earlier run
+ * @param {string} path - Manifest path
+ * @returns {Promise<Map<string, Object>>} File name -> entry
+ */
+async function readPreviousManifest(path) {
+    const previous = existsSync(path)
+        ? JSON.parse((await readFile(path, 'utf8')).replace(/^\uFEFF/, ''))
+        : [];
+    return new Map(previous.map(entry => [entry.file, entry]));
+}
+
+/**
+ * Validate a manifest and write it
+ * @param {string} path - Manifest path
+ * @param {Object[]} entries - Manifest entries
+ * @param {string} label - Name for error messages
+ */
+async function writeManifest(path, entries, label) {
+    const errors = validate(entries, getSchemaForPath(path));
+    if (errors.length > 0) {
+        errors.forEach(err => console.error(`  ${err.path} (${err.rule}): ${err.message}`));
+        throw new Error(`${label} failed validation (${errors.length} errors)`);
+    }
+
+    await writeFile(path, `${JSON.stringify(entries, null, 4)}\n`);
+}
+
+/**
+ * Build the manifest of one screenshot folder
+ * @param {string} folder - Folder under assets/
+ * @param {string} title - Project title
+ * @returns {Promise<Object[]|null>} Manifest entries, or null if the folder was missing
+ */
+async function buildFolder(folder, title) {
+    const dir = join(ROOT, 'assets', folder);
+    const manifestPath = join(dir, MANIFEST_NAME);
+    if (!existsSync(dir)) return null;
+
+    const previousByFile = await readPreviousManifest(manifestPath);
+
+    const files = (await readdir(dir))
+        .filter(file => IMAGE_PATTERN.test(file))
+        .sort(compareImages);
+
+    const entries = [];
+    for (const file of files) {
+        const image = await describeImage(dir, file, SCREENSHOT_WIDTHS, true, entries.length === 0);
+        if (!image) {
+            console.warn(`[IMAGES] Skipping ${folder}/${file}: not a readable image`);
+            continue;
+        }
+
+        const kept = previousByFile.get(file);
+        const { width, height, ...extras } = image;
+        entries.push({
+            file,
+            width,
+            height,
+            caption: kept?.caption ?? '',
+            alt: kept?.alt ?? `${title} screenshot ${entries.length + 1}`,
+            ...extras
+        });
+    }
+
+    await writeManifest(manifestPath, entries, `${folder}/${MANIFEST_NAME}`);
+    return entries;
+}
+
+/**
+ * Build the logo manifest; logos have no placeholder, they're tiny already
+ * @returns {Promise<Object[]>} Manifest entries
+ */
+async function buildLogos() {
+    const files = (await readdir(LOGOS))
+        .filter(file => file.endsWith('.webp') && !VARIANT_PATTERN.test(file))
+        .sort();
+
+    const entries = [];
+    for (const file of files) {
+        const image = await describeImage(LOGOS, file, LOGO_WIDTHS, false);
+        if (!image) {
+            console.warn(`[IMAGES] Skipping logos/${file}: not a readable image`);
+            continue;
+        }
+        entries.push({ file, ...image });
+    }
+
+    await writeManifest(join(LOGOS, LOGO_MANIFEST_NAME), entries, LOGO_MANIFEST_NAME);
+    return entries;
+}
+
+async function buildImages() {
+    const projects = JSON.parse((await readFile(PROJECTS, 'utf8')).replace(/^\uFEFF/, ''));
+
+    // Lists of image paths are shown as given and have no folder to describe
+    const folders = new Map();
+    for (const project of projects) {
+        if (typeof project.screenshots === 'string' && !folders.has(project.screenshots)) {
+            folders.set(project.screenshots, getTitle(project.title));
+        }
+    }
+
+    let images = 0;
+    let built = 0;
+    for (const [folder, title] of folders) {
+        const entries = await buildFolder(folder, title);
+        if (!entries) {
+            console.warn(`[IMAGES] No folder assets/${folder} for "${title}"; add its screenshots there or remove \`screenshots\` from the project in projects.json`);
+            continue;
+        }
+        images += entries.length;
+        built++;
+    }
+
+    const logos = await buildLogos();
+    console.log(`[IMAGES] ${images} screenshots in ${built} folders, ${logos.length} logos`);
+}
+
+buildImages().catch(error => {
+    console.error('[IMAGES] Failed:', error.message);
+    process.exit(1);
+});
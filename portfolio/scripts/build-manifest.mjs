@@ -0,0 +1,132 @@
+/**
+ * PORTFOLIO SYSTEM - CONTENT MANIFEST BUILDER
+ * Hashes every data file, lab note, locale bundle and screenshot manifest
+ * into content-manifest.json, and lists the files the service worker precaches
+ *
+ * core.js compares the content hashes with its cached copies to decide what
+ * to refetch; sw.js precaches the `precache` list under the build `version`.
+ * Run this whenever anything it covers changes (the build does).
+ *
+ * Usage: node scripts/build-manifest.mjs [root]
+ *   root defaults to portfolio/. Pass the dist/ folder after flattening and
+ *   page paths are picked up from the root instead of pages/.
+ */
+
+import { createHash } from 'node:crypto';
+import { existsSync } from 'node:fs';
+import { readdir, readFile, writeFile } from 'node:fs/promises';
+import { dirname, join, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = process.argv[2]
+    ? resolve(process.argv[2])
+    : join(dirname(fileURLToPath(import.meta.url)), '..');
+const OUTPUT = join(ROOT, 'content-manifest.json');
+
+/**
+ * Content directories whose files get individual hashes
+ * projects.json is only the source of data/projects/ (build-projects.mjs);
+ * pages never load it, so it isn't precached. `subfolders` hashes the
+ * matching files one level down (each project's screenshots.json from
+ * build-images.mjs) instead of the directory itself.
+ */
+const CONTENT_SOURCES = [
+    { dir: 'data', ext: ['.json'], exclude: ['projects.json'] },
+    { dir: 'data/projects', ext: ['.json'] },
+    { dir: 'lab-notes', ext: ['.md'] },
+    { dir: 'locales', ext: ['.json'] },
+    { dir: 'assets/projects', ext: ['screenshots.json'], subfolders: true },
+    { dir: 'assets/logos', ext: ['logos.json'] }
+];
+
+/**
+ * App shell files precached alongside the content
+ * Pages live in pages/ during development and at the root once flattened.
+ */
+const SHELL_SOURCES = [
+    { dir: existsSync(join(ROOT, 'pages')) ? 'pages' : '', ext: ['.html', '.webmanifest'] },
+    { dir: 'js', ext: ['.js'] },
+    { dir: 'assets', ext: ['.css', '.webp', '.svg'] },
+    { dir: 'assets/icons', ext: ['.svg', '.png', '.webp'] }
+];
+
+/**
+ * Short content hash of a buffer
+ * @param {Buffer|string} content - File content
+ * @returns {string} 12-char hex hash
+ */
+function hashContent(content) {
+    return createHash('sha256').update(content).digest('hex').slice(0, 12);
+}
+
+/**
+ * Hash every file in a directory (non-recursive) with a matching extension
+ * @param {string} dir - Directory relative to ROOT ('' for ROOT itself)
+ * @param {string[]} extensions - Extensions to include
+ * @param {string[]} [exclude=[]] - File names to leave out
+ * @returns {Promise<Object<string, string>>} Relative path -> hash
+ */
+async function hashDirectory(dir, extensions, exclude = []) {
+    const hashes = {};
+    const absolute = join(ROOT, dir);
+    if (!existsSync(absolute)) return hashes;
+
+    const entries = await readdir(absolute, { withFileTypes: true });
+    const names = entries
+        .filter(entry => entry.isFile() && extensions.some(ext => entry.name.endsWith(ext)) && !exclude.includes(entry.name))
+        .map(entry => entry.name)
+        .sort();
+
+    for (const name of names) {
+        const relative = dir ? `${dir}/${name}` : name;
+        hashes[relative] = hashContent(await readFile(join(absolute, name)));
+    }
+
+    return hashes;
+}
+
+/**
+ * Directories directly inside a directory
+ * @param {string} dir - Directory relative to ROOT
+ * @returns {Promise<string[]>} Relative paths, sorted
+ */
+async function listSubfolders(dir) {
+    const absolute = join(ROOT, dir);
+    if (!existsSync(absolute)) return [];
+
+    const entries = await readdir(absolute, { withFileTypes: true });
+    return entries
+        .filter(entry => entry.isDirectory())
+        .map(entry => `${dir}/${entry.name}`)
+        .sort();
+}
+
+async function buildManifest() {
+    const files = {};
+    for (const { dir, ext, exclude, subfolders } of CONTENT_SOURCES) {
+        const dirs = subfolders ? await listSubfolders(dir) : [dir];
+        for (const folder of dirs) {
+            Object.assign(files, await hashDirectory(folder, ext, exclude));
+        }
+    }
+
+    const shell = {};
+    for (const { dir, ext } of SHELL_SOURCES) {
+        Object.assign(shell, await hashDirectory(dir, ext));
+    }
+
+    const precache = [...Object.keys(shell), ...Object.keys(files)];
+
+    // Build version changes whenever any precached file does
+    const version = hashContent(
+        Object.entries({ ...shell, ...files }).map(([file, hash]) => `${file}:${hash}`).join('\n')
+    );
+
+    await writeFile(OUTPUT, `${JSON.stringify({ version, files, precache }, null, 4)}\n`);
+    console.log(`[MANIFEST] ${precache.length} files hashed (${Object.keys(files).length} content), version ${version}`);
+}
+
+buildManifest().catch(error => {
+    console.error('[MANIFEST] Failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,93 @@
+/**
+ * PORTFOLIO SYSTEM - PROJECT INDEX BUILDER
+ * Splits data/projects.json into what the site loads: data/projects/index.json
+ * with the fields project cards, search and cross-references use, and one
+ * data/projects/<id>.json per project with all of it
+ *
+ * The project list only needs the index, so visitors (and their localStorage
+ * cache) no longer pull every project's architecture and write-ups up front;
+ * js/render-projects.js fetches a project's file when it's opened or hovered.
+ * projects.json stays the file to edit. Run this after changing it (the
+ * build does); it refuses to write anything if projects.json fails its schema.
+ * Run build-images.mjs first: a screenshot folder without a screenshots.json
+ * is left out of the project's file, so the site doesn't request one.
+ *
+ * Usage: node scripts/build-projects.mjs
+ */
+
+import { existsSync } from 'node:fs';
+import { mkdir, readdir, readFile, rm, writeFile } from 'node:fs/promises';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { getSchemaForPath, validate } from '../js/data-schemas.js';
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+const SOURCE = join(ROOT, 'data', 'projects.json');
+const OUTPUT = join(ROOT, 'data', 'projects');
+const ASSETS = join(ROOT, 'assets');
+
+/**
+ * Fields copied into the index
+ * `tech` is there for search and the skill cross-references, which cover
+ * every project at once.
+ */
+const INDEX_FIELDS = ['id', 'title', 'status', 'summary', 'tags', 'tech'];
+
+/**
+ * Serialize like the other generated files
+ * @param {any} data - JSON value
+ * @returns {string} File content
+ */
+function toJsonFile(data) {
+    return `${JSON.stringify(data, null, 4)}\n`;
+}
+
+/**
+ * A project's own file, minus a screenshot folder that has no manifest
+ * @param {Object} project - Project from projects.json
+ * @returns {Object} Project to write
+ */
+function toProjectFile(project) {
+    const { screenshots, ...rest } = project;
+    if (typeof screenshots !== 'string' || existsSync(join(ASSETS, screenshots, 'screenshots.json'))) return project;
+
+    console.warn(`[PROJECTS] ${project.id}: no assets/${screenshots}/screenshots.json, so its screenshots are left out (run build-images.mjs first)`);
+    return rest;
+}
+
+async function buildProjects() {
+    const projects = JSON.parse((await readFile(SOURCE, 'utf8')).replace(/^\uFEFF/, ''));
+
+    const errors = validate(projects, getSchemaForPath(SOURCE));
+    if (errors.length > 0) {
+        errors.forEach(err => console.error(`  ${err.path} (${err.rule}): ${err.message}`));
+        throw new Error(`projects.json failed validation (${errors.length} errors)`);
+    }
+
+    const index = projects.map(project => Object.fromEntries(
+        INDEX_FIELDS.filter(field => field in project).map(field => [field, project[field]])
+    ));
+
+    await mkdir(OUTPUT, { recursive: true });
+    await writeFile(join(OUTPUT, 'index.json'), toJsonFile(index));
+
+    const files = new Set(['index.json']);
+    for (const project of projects) {
+        const file = `${project.id}.json`;
+        files.add(file);
+        await writeFile(join(OUTPUT, file), toJsonFile(toProjectFile(project)));
+    }
+
+    // Drop the files of projects that were removed or renamed
+    const stale = (await readdir(OUTPUT)).filter(file => file.endsWith('.json') && !files.has(file));
+    await Promise.all(stale.map(file => rm(join(OUTPUT, file))));
+
+    const indexSize = JSON.stringify(index).length;
+    const fullSize = JSON.stringify(projects).length;
+    console.log(`[PROJECTS] ${projects.length} projects split, index is ${Math.round(indexSize / 1024)} KB of ${Math.round(fullSize / 1024)} KB${stale.length ? `, removed ${stale.join(', ')}` : ''}`);
+}
+
+buildProjects().catch(error => {
+    console.error('[PROJECTS] Failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,153 @@
+/**
+ * PORTFOLIO SYSTEM - FEEDS AND SITEMAP
+ * Atom feed, JSON Feed, sitemap.xml and robots.txt for the prerendered site
+ *
+ * Used by prerender.mjs, which collects the entries from the page variants:
+ * a project page is an entry updated on its `lastUpdated`, a lab note page
+ * one published on its note's date.
+ */
+
+/**
+ * Escape text for XML
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * Full timestamp for a data date
+ * Data files write days (2026-01-26) or months (2026-01).
+ * @param {string} date - Date from the data
+ * @returns {string} RFC 3339 timestamp
+ */
+export function toTimestamp(date) {
+    const [year, month = '01', day = '01'] = date.split('-');
+    return `${year}-${month}-${day}T00:00:00Z`;
+}
+
+/**
+ * Newest of some data dates
+ * @param {string[]} dates - Dates from the data
+ * @returns {string|null} Newest date
+ */
+export function latestDate(dates) {
+    const sorted = dates.filter(Boolean).sort((a, b) => toTimestamp(b).localeCompare(toTimestamp(a)));
+    return sorted[0] || null;
+}
+
+// ============================================
+// FEEDS
+// ============================================
+
+/**
+ * Atom feed
+ * @param {Object} feed - Feed details
+ * @param {string} feed.title - Feed title
+ * @param {string} feed.description - Feed subtitle
+ * @param {string} feed.siteUrl - Site root
+ * @param {{name: string, url: string}} feed.author - Site owner
+ * @param {Object[]} feed.entries - Newest first ({url, title, summary, content, updated, published?, tags?})
+ * @returns {string} feed.xml
+ */
+export function buildAtomFeed({ title, description, siteUrl, author, entries }) {
+    const renderEntry = (entry) => '\n' + [
+        '    <entry>',
+        `        <title>${escapeXml(entry.title)}</title>`,
+        `        <link href="${escapeXml(entry.url)}" />`,
+        `        <id>${escapeXml(entry.url)}</id>`,
+        `        <updated>${toTimestamp(entry.updated)}</updated>`,
+        entry.published && `        <published>${toTimestamp(entry.published)}</published>`,
+        `        <summary>${escapeXml(entry.summary)}</summary>`,
+        `        <content type="html">${escapeXml(entry.content)}</content>`,
+        ...(entry.tags || []).map(tag => `        <category term="${escapeXml(tag)}" />`),
+        '    </entry>'
+    ].filter(Boolean).join('\n');
+
+    return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+    <title>${escapeXml(title)}</title>
+    <subtitle>${escapeXml(description)}</subtitle>
+    <link href="${escapeXml(siteUrl)}" />
+    <link rel="self" type="application/atom+xml" href="${escapeXml(new URL('feed.xml', siteUrl).href)}" />
+    <id>${escapeXml(siteUrl)}</id>
+    <updated>${toTimestamp(latestDate(entries.map(entry => entry.updated)) || new Date().toISOString().slice(0, 10))}</updated>
+    <author>
+        <name>${escapeXml(author.name)}</name>
+        <uri>${escapeXml(author.url)}</uri>
+    </author>${entries.map(renderEntry).join('')}
+</feed>
+`;
+}
+
+/**
+ * JSON Feed (https://jsonfeed.org/version/1.1)
+ * @param {Object} feed - Same as buildAtomFeed()
+ * @returns {string} feed.json
+ */
+export function buildJsonFeed({ title, description, siteUrl, author, entries }) {
+    return JSON.stringify({
+        version: 'https://jsonfeed.org/version/1.1',
+        title,
+        description,
+        home_page_url: siteUrl,
+        feed_url: new URL('feed.json', siteUrl).href,
+        language: 'en',
+        authors: [author],
+        items: entries.map(entry => ({
+            id: entry.url,
+            url: entry.url,
+            title: entry.title,
+            summary: entry.summary,
+            content_html: entry.content,
+            date_published: entry.published ? toTimestamp(entry.published) : undefined,
+            date_modified: toTimestamp(entry.updated),
+            tags: entry.tags
+        }))
+    }, null, 4) + '\n';
+}
+
+// ============================================
+// CRAWLERS
+// ============================================
+
+/**
+ * Sitemap of every page
+ * @param {{url: string, updated: string|null}[]} pages - Absolute URLs and last change dates
+ * @returns {string} sitemap.xml
+ */
+export function buildSitemap(pages) {
+    const renderUrl = ({ url, updated }) => `
+    <url>
+        <loc>${escapeXml(url)}</loc>${updated ? `
+        <lastmod>${updated}</lastmod>` : ''}
+    </url>`;
+
+    return `<?xml version="1.0" encoding="utf-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">${pages.map(renderUrl).join('')}
+</urlset>
+`;
+}
+
+/**
+ * robots.txt pointing crawlers at the sitemap
+ * The /api/ functions have nothing to index, apart from the preview cards
+ * that link previews (some of which honour robots.txt) fetch.
+ * @param {string} siteUrl - Site root
+ * @returns {string} robots.txt
+ */
+export function buildRobots(siteUrl) {
+    return `User-agent: *
+Allow: /
+Allow: /api/og/
+Disallow: /api/
+
+Sitemap: ${new URL('sitemap.xml', siteUrl).href}
+`;
+}
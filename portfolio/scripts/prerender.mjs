@@ -0,0 +1,294 @@
+/**
+ * PORTFOLIO SYSTEM - STATIC PRERENDERER
+ * Builds dist/ with every page's content already in the HTML, so crawlers
+ * and no-JS visitors get the real page instead of empty containers
+ *
+ * Each page's renderer exports prerender(), returning the markup for its
+ * containers from the same template functions the browser uses; pages
+ * without one (index, resume) are copied with only the nav filled in.
+ * Every page also gets a canonical URL, Open Graph / Twitter tags and JSON-LD
+ * (js/seo.js) under profile.json's `url`, and the pages that name a date
+ * (projects, lab notes) make up the feeds and the sitemap (feeds.mjs).
+ * Projects and lab notes also get a page each (project-id-9482.html,
+ * lab-note-104.html) whose <main data-item> tells the renderer what to show
+ * once the scripts load and take over.
+ *
+ * Usage: node scripts/prerender.mjs [out]
+ *   out defaults to dist/. Run build-manifest.mjs on it afterwards.
+ */
+
+import { existsSync } from 'node:fs';
+import { cp, mkdir, readdir, readFile, rm, writeFile } from 'node:fs/promises';
+import { dirname, join, resolve } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+const OUT = resolve(process.argv[2] || join(ROOT, 'dist'));
+
+/**
+ * Folders and files copied to the output as they are
+ */
+const STATIC_SOURCES = ['assets', 'data', 'js', 'lab-notes', 'locales', 'resume', 'sw.js'];
+
+// ============================================
+// BROWSER SHIM
+// ============================================
+
+/**
+ * Just enough of a browser for core.js and the renderers
+ * Relative paths resolve against pages/, like they do on the dev server, and
+ * fetch() reads from disk.
+ */
+globalThis.window = { location: new URL('pages/index.html', pathToFileURL(`${ROOT}/`)) };
+
+globalThis.fetch = async (input) => {
+    const url = new URL(String(input), window.location);
+
+    try {
+        return new Response(await readFile(fileURLToPath(url)), { status: 200 });
+    } catch {
+        return new Response(null, { status: 404 });
+    }
+};
+
+const core = await import('../js/core.js');
+const seo = await import('../js/seo.js');
+const feeds = await import('./feeds.mjs');
+
+// ============================================
+// HTML HELPERS
+// ============================================
+
+/**
+ * Find the element with an attribute and where its content starts and ends
+ * Walks the same-named tags after it so nested <div>s don't end it early.
+ * @param {string} page - Page HTML
+ * @param {string} attribute - Attribute as written, e.g. id="project-list"
+ * @returns {{start: number, end: number}|null} Content range
+ */
+function findElement(page, attribute) {
+    const match = new RegExp(`<([a-z][a-z0-9]*)\\b[^>]*\\b${attribute}[^>]*>`, 'i').exec(page);
+    if (!match) return null;
+
+    const tag = new RegExp(`<(/?)${match[1]}\\b[^>]*>`, 'gi');
+    const start = match.index + match[0].length;
+    let depth = 1;
+
+    tag.lastIndex = start;
+    for (let next = tag.exec(page); next; next = tag.exec(page)) {
+        depth += next[1] ? -1 : 1;
+        if (depth === 0) return { start, end: next.index };
+    }
+
+    return null;
+}
+
+/**
+ * Replace an element's content
+ * @param {string} page - Page HTML
+ * @param {string} attribute - Attribute as written, e.g. id="project-list"
+ * @param {SafeHtml|string} markup - New content
+ * @returns {string} Updated HTML
+ */
+function fillElement(page, attribute, markup) {
+    const range = findElement(page, attribute);
+    if (!range) {
+        console.warn(`[PRERENDER] No [${attribute}] on the page`);
+        return page;
+    }
+
+    return page.slice(0, range.start) + String(markup) + page.slice(range.end);
+}
+
+/**
+ * Fill the nav and header control slots, over any fallback markup in them
+ * @param {string} page - Page HTML
+ * @param {string} file - Source page filename
+ * @returns {string} Updated HTML
+ */
+function fillSlots(page, file) {
+    ['header', 'drawer', 'footer'].forEach(placement => {
+        if (findElement(page, `data-nav="${placement}"`)) {
+            page = fillElement(page, `data-nav="${placement}"`, core.html`${core.createNavigation(file, placement)}`);
+        }
+    });
+    ['header', 'drawer', 'status'].forEach(placement => {
+        if (findElement(page, `data-controls="${placement}"`)) {
+            page = fillElement(page, `data-controls="${placement}"`, core.createHeaderControls(placement));
+        }
+    });
+
+    return page;
+}
+
+/**
+ * Warn about nav slots whose fallback links have fallen behind navigation.json
+ * The source pages keep plain links in their slots for when the scripts
+ * don't run, and nothing else updates those.
+ * @param {string} template - Source page HTML
+ * @param {string} file - Source page filename
+ */
+function checkFallbackLinks(template, file) {
+    ['header', 'drawer', 'footer'].forEach(placement => {
+        const range = findElement(template, `data-nav="${placement}"`);
+        if (!range) return;
+
+        const links = [...template.slice(range.start, range.end).matchAll(/href="([^"]*)"/g)].map(match => match[1]);
+        const items = core.getNavItems(placement).map(item => item.href);
+        if (links.join() !== items.join()) {
+            console.warn(`[PRERENDER] pages/${file}'s ${placement} links don't match data/navigation.json; update them for visitors without JavaScript`);
+        }
+    });
+}
+
+// ============================================
+// PAGES
+// ============================================
+
+/**
+ * Build the HTML for one page variant
+ * @param {string} template - Source page HTML
+ * @param {string} file - Source page filename
+ * @param {Object} variant - From the renderer's prerender()
+ * @param {Object} profile - profile.json, for the site URL and the Person entry
+ * @returns {string} Finished HTML
+ */
+function buildPage(template, file, variant, profile) {
+    let page = template;
+
+    Object.entries(variant.sections || {}).forEach(([id, markup]) => {
+        if (markup !== null) page = fillElement(page, `id="${id}"`, markup);
+    });
+
+    page = fillSlots(page, file);
+
+    if (variant.item) {
+        page = page.replace(/<main\b/, `<main data-page="${file}" data-item="${core.escapeHtml(variant.item)}"`);
+    }
+    if (variant.title) {
+        page = page.replace(/<title>[\s\S]*?<\/title>/, `<title>${core.escapeHtml(variant.title)}</title>`);
+    }
+    if (variant.description) {
+        page = page.replace(/(<meta name="description"\s+content=")[^"]*"/, `$1${core.escapeHtml(variant.description)}"`);
+    }
+
+    page = page.replace('</head>', `${renderSeoTags(template, variant.file || file, variant, profile)}\n</head>`);
+
+    if (variant.append) {
+        page = page.replace('</body>', `${variant.append}\n</body>`);
+    }
+
+    // Pages sit at the root of dist/, next to js/ and data/ (srcset lists
+    // several URLs, the later ones after a comma)
+    return page.replaceAll('="../', '="./').replaceAll("'../", "'./").replaceAll(', ../', ', ./');
+}
+
+/**
+ * Canonical link, social tags and JSON-LD for a page
+ * Title and description are the variant's, or else the page's own, so the
+ * preview matches what search results show.
+ * @param {string} template - Source page HTML
+ * @param {string} file - Output filename
+ * @param {Object} variant - From the renderer's prerender()
+ * @param {Object} profile - profile.json
+ * @returns {SafeHtml} Tags for <head>
+ */
+function renderSeoTags(template, file, variant, profile) {
+    const title = variant.title || template.match(/<title>([\s\S]*?)<\/title>/)?.[1].trim() || profile.name;
+    const description = variant.description || template.match(/<meta name="description"\s+content="([^"]*)"/)?.[1].trim() || '';
+
+    return seo.renderHeadTags({
+        siteUrl: profile.url,
+        url: seo.toSiteUrl(file, profile.url),
+        title,
+        description,
+        siteName: profile.name,
+        type: variant.type,
+        image: variant.image ? seo.toSiteUrl(variant.image, profile.url) : undefined,
+        schema: [seo.createPersonSchema(profile), ...(variant.schema || [])]
+    });
+}
+
+/**
+ * Variants a page's renderer wants written
+ * @param {string} file - Page filename
+ * @param {{url: string}} site - Site root, passed on to prerender()
+ * @returns {Promise<Object[]>} Variants (just the page itself without a renderer)
+ */
+async function getVariants(file, site) {
+    const item = core.getNavItems().find(nav => nav.href === file && nav.module);
+    if (!item) return [{}];
+
+    const module = await import(`../js/${item.module}`);
+    if (typeof module.prerender !== 'function') return [{}];
+
+    return module.prerender(site);
+}
+
+// ============================================
+// BUILD
+// ============================================
+
+await core.whenCoreReady();
+const profile = await core.loadJSON('../data/profile.json');
+
+await rm(OUT, { recursive: true, force: true });
+await mkdir(OUT, { recursive: true });
+
+for (const source of STATIC_SOURCES) {
+    if (existsSync(join(ROOT, source))) {
+        await cp(join(ROOT, source), join(OUT, source), { recursive: true });
+    }
+}
+await cp(join(ROOT, 'pages/site.webmanifest'), join(OUT, 'site.webmanifest'));
+
+const pages = (await readdir(join(ROOT, 'pages'))).filter(file => file.endsWith('.html'));
+const written = [];
+const entries = [];
+
+for (const file of pages) {
+    const template = await readFile(join(ROOT, 'pages', file), 'utf8');
+    checkFallbackLinks(template, file);
+    const variants = await getVariants(file, { url: profile.url });
+    const pageUpdated = feeds.latestDate(variants.map(variant => variant.updated));
+
+    for (const variant of variants) {
+        const output = variant.file || file;
+        const url = seo.toSiteUrl(output, profile.url);
+
+        await writeFile(join(OUT, output), buildPage(template, file, variant, profile));
+        written.push({ url, updated: variant.updated || pageUpdated });
+
+        if (variant.feed && variant.updated) {
+            entries.push({ url, page: file, title: variant.title, summary: variant.description, updated: variant.updated, ...variant.feed });
+        }
+    }
+}
+
+// The feeds are for lab notes as much as projects; a note that fails to make
+// it in usually means a noteFile in lab.json that points at the wrong file
+const notes = (await readdir(join(ROOT, 'lab-notes'))).filter(file => file.endsWith('.md'));
+if (notes.length > 0 && !entries.some(entry => entry.page === 'lab.html')) {
+    console.error(`[PRERENDER] lab-notes/ has ${notes.length} notes but none made it into the feeds; check noteFile and the notes' **Created:** dates`);
+    process.exit(1);
+}
+
+// Pages without a date of their own changed whenever the site last did
+const siteUpdated = feeds.latestDate(written.map(page => page.updated));
+const sitemap = written.map(page => ({ url: page.url, updated: page.updated || siteUpdated }));
+
+entries.sort((a, b) => feeds.toTimestamp(b.updated).localeCompare(feeds.toTimestamp(a.updated)));
+const feed = {
+    title: `${profile.name} — Projects & Lab Notes`,
+    description: profile.tagline || profile.title,
+    siteUrl: profile.url,
+    author: { name: profile.name, url: profile.url },
+    entries: entries.map(entry => ({ ...entry, content: String(entry.content) }))
+};
+
+await writeFile(join(OUT, 'feed.xml'), feeds.buildAtomFeed(feed));
+await writeFile(join(OUT, 'feed.json'), feeds.buildJsonFeed(feed));
+await writeFile(join(OUT, 'sitemap.xml'), feeds.buildSitemap(sitemap));
+await writeFile(join(OUT, 'robots.txt'), feeds.buildRobots(profile.url));
+
+console.log(`[PRERENDER] Wrote ${written.length} pages and ${entries.length} feed entries to ${OUT}`);
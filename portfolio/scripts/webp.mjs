@@ -0,0 +1,146 @@
+/**
+ * PORTFOLIO SYSTEM - WEBP TOOLS
+ * Sizes of WebP images from their headers, plus decoding and resizing with
+ * libwebp's command-line tools (dwebp and cwebp), for scripts/build-images.mjs.
+ * Install them with `apt install webp` or `brew install webp`.
+ */
+
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+
+const run = promisify(execFile);
+
+// cwebp's quality for the smaller copies: 0 (smallest) to 100 (best)
+const DEFAULT_QUALITY = 75;
+
+// ============================================
+// CONTAINER
+// ============================================
+
+/**
+ * Find the image chunks of a WebP file
+ * @param {Uint8Array} bytes - File content
+ * @returns {Map<string, Uint8Array>|null} Chunk type -> data, or null if it isn't WebP
+ */
+function readChunks(bytes) {
+    const tag = (offset) => String.fromCharCode(...bytes.subarray(offset, offset + 4));
+    if (bytes.length < 12 || tag(0) !== 'RIFF' || tag(8) !== 'WEBP') return null;
+
+    const chunks = new Map();
+    for (let offset = 12; offset + 8 <= bytes.length;) {
+        const size = readUint(bytes, offset + 4, 4);
+        chunks.set(tag(offset), bytes.subarray(offset + 8, offset + 8 + size));
+        offset += 8 + size + (size & 1);
+    }
+    return chunks;
+}
+
+/**
+ * Little-endian unsigned integer
+ * @param {Uint8Array} bytes - Data
+ * @param {number} offset - First byte
+ * @param {number} length - Byte count (up to 4)
+ * @returns {number} Value
+ */
+function readUint(bytes, offset, length) {
+    let value = 0;
+    for (let i = length - 1; i >= 0; i--) {
+        value = value * 256 + bytes[offset + i];
+    }
+    return value;
+}
+
+/**
+ * Pixel size of a WebP image, from its headers
+ * @param {Uint8Array} bytes - File content
+ * @returns {{width: number, height: number}|null} Size, or null if it isn't WebP
+ */
+export function readWebpSize(bytes) {
+    const chunks = readChunks(bytes);
+    if (!chunks) return null;
+
+    const extended = chunks.get('VP8X');
+    if (extended) {
+        return { width: 1 + readUint(extended, 4, 3), height: 1 + readUint(extended, 7, 3) };
+    }
+
+    const lossy = chunks.get('VP8 ');
+    if (lossy) {
+        return { width: readUint(lossy, 6, 2) & 0x3FFF, height: readUint(lossy, 8, 2) & 0x3FFF };
+    }
+
+    const lossless = chunks.get('VP8L');
+    if (lossless) {
+        const bits = readUint(lossless, 1, 4);
+        return { width: (bits & 0x3FFF) + 1, height: ((bits >>> 14) & 0x3FFF) + 1 };
+    }
+
+    return null;
+}
+
+
+// ============================================
+// TOOLS
+// ============================================
+
+/**
+ * Run one of libwebp's tools
+ * @param {string} tool - 'dwebp' or 'cwebp'
+ * @param {string[]} args - Arguments
+ * @returns {Promise<Buffer|null>} Standard output, or null if the tool failed on the image
+ */
+async function runTool(tool, args) {
+    try {
+        const { stdout } = await run(tool, ['-quiet', ...args], { encoding: 'buffer', maxBuffer: 1 << 30 });
+        return stdout;
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            throw new Error(`${tool} not found; install libwebp's tools (apt install webp, brew install webp)`);
+        }
+        return null;
+    }
+}
+
+/**
+ * Read the RGBA pixels out of a PAM file, as dwebp writes it
+ * @param {Buffer} bytes - File content
+ * @returns {{width: number, height: number, pixels: Uint8Array}|null} Image, or null if it isn't RGBA
+ */
+function readPam(bytes) {
+    const end = bytes.indexOf('ENDHDR\n');
+    if (end === -1) return null;
+
+    const header = Object.fromEntries(bytes.toString('latin1', 0, end).split('\n').map(line => line.split(' ')));
+    const width = Number(header.WIDTH);
+    const height = Number(header.HEIGHT);
+    if (header.DEPTH !== '4' || header.MAXVAL !== '255' || !(width > 0 && height > 0)) return null;
+
+    const start = end + 'ENDHDR\n'.length;
+    return { width, height, pixels: new Uint8Array(bytes.subarray(start, start + width * height * 4)) };
+}
+
+/**
+ * Decode a WebP image with dwebp
+ * @param {string} path - Image file
+ * @returns {Promise<{width: number, height: number, pixels: Uint8Array}|null>} RGBA pixels, or null
+ *          for animations and anything else dwebp can't read
+ */
+export async function decodeWebp(path) {
+    const output = await runTool('dwebp', [path, '-pam', '-o', '-']);
+    return output && readPam(output);
+}
+
+/**
+ * Write a resized copy of a WebP image with cwebp, keeping its transparency
+ * @param {string} source - Image file
+ * @param {string} target - File to write
+ * @param {number} width - New width
+ * @param {number} height - New height
+ * @param {Object} [options]
+ * @param {number} [options.quality=75] - 0 (smallest) to 100 (best)
+ * @returns {Promise<boolean>} Whether the copy was written
+ */
+export async function resizeWebp(source, target, width, height, { quality = DEFAULT_QUALITY } = {}) {
+    const args = ['-q', String(quality), '-resize', String(width), String(height), source, '-o', target];
+    return (await runTool('cwebp', args)) !== null;
+}
@@ -0,0 +1,194 @@
+/**
+ * PORTFOLIO SYSTEM - SERVICE WORKER
+ * Offline support: precaches the app shell and content, caches screenshots
+ * and the resume at runtime
+ *
+ * Registered by core.js as sw.js?v=<build version>. The version comes from
+ * content-manifest.json, so every build installs a fresh worker; it waits
+ * until the visitor accepts the update prompt.
+ */
+
+const VERSION = new URL(self.location.href).searchParams.get('v') || 'dev';
+const PRECACHE = `portfolio-precache-${VERSION}`;
+const CONTENT_CACHE = 'portfolio-content';
+// Screenshots, logos and the resume; cleared with each build
+const RUNTIME_CACHE = `portfolio-runtime-${VERSION}`;
+const CDN_CACHE = 'portfolio-cdn';
+const KEEP_CACHES = [PRECACHE, CONTENT_CACHE, RUNTIME_CACHE, CDN_CACHE];
+
+/**
+ * Third-party hosts the pages load from (Tailwind, fonts, pdf.js)
+ */
+const CDN_HOSTS = [
+    'cdn.tailwindcss.com',
+    'fonts.googleapis.com',
+    'fonts.gstatic.com',
+    'cdnjs.cloudflare.com'
+];
+
+// ============================================
+// LIFECYCLE
+// ============================================
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const response = await fetch('content-manifest.json', { cache: 'no-store' });
+        const manifest = await response.json();
+
+        const cache = await caches.open(PRECACHE);
+        await cache.addAll(manifest.precache.map(file => new Request(file, { cache: 'reload' })));
+        console.log(`[SW] Precached ${manifest.precache.length} files for ${VERSION}`);
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith('portfolio-') && !KEEP_CACHES.includes(name))
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+        console.log(`[SW] Activated ${VERSION}`);
+    })());
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data?.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+// ============================================
+// CACHING STRATEGIES
+// ============================================
+
+/**
+ * Serve from cache, falling back to the network (and caching the result)
+ * @param {Request} request - Incoming request
+ * @param {string} cacheName - Cache to store network responses in
+ * @returns {Promise<Response>}
+ */
+async function cacheFirst(request, cacheName) {
+    const cached = await caches.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok) {
+        const cache = await caches.open(cacheName);
+        cache.put(request, response.clone());
+    }
+    return response;
+}
+
+/**
+ * Go to the network, falling back to the cache when offline
+ * Conditional requests from core.js pass straight through, so its ETag
+ * revalidation keeps working; 304s are never cached.
+ * @param {Request} request - Incoming request
+ * @param {string} cacheName - Cache to keep the latest copy in
+ * @returns {Promise<Response>}
+ */
+async function networkFirst(request, cacheName) {
+    try {
+        const response = await fetch(request);
+        if (response.status === 200) {
+            const cache = await caches.open(cacheName);
+            cache.put(request.url, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await caches.match(request.url, { ignoreSearch: true });
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+/**
+ * Serve from cache immediately and refresh the cache in the background
+ * @param {Request} request - Incoming request
+ * @param {string} cacheName - Cache to use
+ * @returns {Promise<Response>}
+ */
+async function staleWhileRevalidate(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+
+    const network = fetch(request)
+        .then(response => {
+            // Opaque (no-cors) responses report status 0 but are still usable
+            if (response.ok || response.type === 'opaque') {
+                cache.put(request, response.clone());
+            }
+            return response;
+        })
+        .catch(() => cached);
+
+    return cached || network;
+}
+
+/**
+ * Serve a page navigation, tolerating hosts that strip the .html extension
+ * @param {Request} request - Navigation request
+ * @returns {Promise<Response>}
+ */
+async function handleNavigation(request) {
+    const url = new URL(request.url);
+    const candidates = [url.pathname];
+    if (!url.pathname.endsWith('.html')) {
+        candidates.push(url.pathname.endsWith('/') ? `${url.pathname}index.html` : `${url.pathname}.html`);
+    }
+
+    for (const path of candidates) {
+        const cached = await caches.match(path, { ignoreSearch: true });
+        if (cached) return cached;
+    }
+
+    return fetch(request);
+}
+
+// ============================================
+// ROUTING
+// ============================================
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (url.origin !== self.location.origin) {
+        if (CDN_HOSTS.includes(url.hostname)) {
+            event.respondWith(staleWhileRevalidate(request, CDN_CACHE));
+        }
+        return;
+    }
+
+    // Functions (api/ping etc.) are never cached
+    if (url.pathname.includes('/api/')) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(handleNavigation(request));
+        return;
+    }
+
+    // Content stays fresh online; core.js does its own caching on top.
+    // Screenshot and logo manifests count as content, the images themselves don't.
+    if (/\/(data|lab-notes|locales)\//.test(url.pathname)
+        || url.pathname.endsWith('/screenshots.json')
+        || url.pathname.endsWith('/logos.json')
+        || url.pathname.endsWith('/content-manifest.json')) {
+        event.respondWith(networkFirst(request, CONTENT_CACHE));
+        return;
+    }
+
+    // Screenshots, logos and the resume are cached the first time they're
+    // viewed. They keep their file names when replaced and the build version
+    // doesn't cover them, so each view also refreshes the cached copy.
+    if (/\/(assets\/projects|assets\/logos|resume)\//.test(url.pathname)) {
+        event.respondWith(staleWhileRevalidate(request, RUNTIME_CACHE));
+        return;
+    }
+
+    // Shell files come from the precache
+    event.respondWith(cacheFirst(request, RUNTIME_CACHE));
+});